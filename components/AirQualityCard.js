@@ -0,0 +1,112 @@
+import { useEffect, useState } from "react";
+import { cityQuery } from "../utils/savedCities";
+
+/**
+ * AQI, main pollutants and UV index for a location, from /api/air-quality.
+ * Category labels and advice come back localized for the browser language.
+ */
+export default function AirQualityCard({ location }) {
+  const [state, setState] = useState({ data: null, error: "" });
+  const query = location ? cityQuery(location) : null;
+
+  useEffect(() => {
+    if (!query) return;
+
+    let cancelled = false;
+    const lang = typeof navigator !== "undefined" ? navigator.language : "en";
+
+    setState({ data: null, error: "" });
+
+    fetch(`/api/air-quality?${query}&lang=${encodeURIComponent(lang)}`)
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Error fetching air quality");
+        if (!cancelled) setState({ data, error: "" });
+      })
+      .catch((err) => {
+        if (!cancelled) setState({ data: null, error: err.message });
+      });
+
+    return () => { cancelled = true; };
+  }, [query]);
+
+  if (!query) return null;
+
+  const { data, error } = state;
+  const aq = data?.current;
+  const uvBand = aq?.uv.peakCategory || aq?.uv.category;
+
+  return (
+    <section style={styles.card} aria-label="Air quality and UV">
+      <h3 style={styles.title}>Air Quality & UV</h3>
+
+      {error && <div style={styles.muted}>{error}</div>}
+      {!error && !aq && <div style={styles.muted}>Loading…</div>}
+
+      {aq && (
+        <div style={styles.grid}>
+          <div style={styles.block}>
+            <div style={styles.row}>
+              <span style={{ ...styles.badge, background: aq.category?.color || theme.none }}>{aq.aqi ?? "—"}</span>
+              <div>
+                <div style={styles.label}>AQI · {aq.category?.label || "—"}</div>
+                {aq.dominant && <div style={styles.muted}>Main pollutant: {aq.pollutants[aq.dominant].label}</div>}
+              </div>
+            </div>
+            {aq.category && <p style={styles.advice}>{aq.category.advice}</p>}
+            <dl style={styles.pollutants}>
+              {Object.entries(aq.pollutants).map(([key, p]) => (
+                <div key={key} style={styles.pollutant}>
+                  <dt style={styles.muted}>{p.label}</dt>
+                  <dd style={styles.value}>{p.value ?? "—"}{p.value !== null && <span style={styles.unit}> {p.unit}</span>}</dd>
+                </div>
+              ))}
+            </dl>
+          </div>
+
+          {aq.uv.index !== null && (
+            <div style={styles.block}>
+              <div style={styles.row}>
+                <span style={{ ...styles.badge, background: aq.uv.category?.color || theme.none }}>{aq.uv.index}</span>
+                <div>
+                  <div style={styles.label}>UV index · {aq.uv.category?.label}</div>
+                  {aq.uv.max !== null && (
+                    <div style={styles.muted}>Today's peak {aq.uv.max} ({aq.uv.peakCategory?.label})</div>
+                  )}
+                </div>
+              </div>
+              {uvBand && <p style={styles.advice}>{uvBand.advice}</p>}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+// --- Styling ---
+const theme = {
+  border: "#e3e8ee",
+  none: "#c9d2e3",
+};
+const styles = {
+  card: {
+    width: "100%", maxWidth: 400, background: "#fff", borderRadius: 12, padding: 20,
+    margin: "20px auto 0 auto", boxShadow: "0 2px 12px 0 #adbeea22", boxSizing: "border-box",
+  },
+  title: { margin: "0 0 12px 0", color: "#0e1f3a", fontSize: "1.1rem", fontWeight: 700 },
+  grid: { display: "flex", flexDirection: "column", gap: 16 },
+  block: { borderTop: `1px solid ${theme.border}`, paddingTop: 12 },
+  row: { display: "flex", alignItems: "center", gap: 12 },
+  badge: {
+    minWidth: 44, height: 44, borderRadius: 22, display: "flex", alignItems: "center", justifyContent: "center",
+    fontWeight: 800, color: "#0f1f3c", textShadow: "0 0 3px #fff", padding: "0 6px", boxSizing: "border-box",
+  },
+  label: { fontWeight: 700, color: "#344767" },
+  advice: { margin: "10px 0 0 0", fontSize: 14, color: "#5c6f92", lineHeight: 1.4 },
+  pollutants: { display: "grid", gridTemplateColumns: "repeat(4, minmax(0, 1fr))", gap: 8, margin: "12px 0 0 0" },
+  pollutant: { textAlign: "center" },
+  value: { margin: 0, fontWeight: 700, color: "#0f1f3c" },
+  unit: { fontWeight: 400, fontSize: 11, color: "#7183a3" },
+  muted: { fontSize: 13, color: "#7183a3" },
+};
@@ -0,0 +1,159 @@
+import { useEffect, useId, useMemo, useRef, useState } from "react";
+import Accessibility from "../utils/accessibility";
+import { debounce } from "../utils/debounceThrottle";
+import { searchCities } from "../utils/citySearch";
+
+const SEARCH_DELAY = 150; // ms after the last keystroke
+
+/**
+ * City input with offline, typo-tolerant suggestions (utils/citySearch).
+ * Follows the WAI-ARIA combobox pattern: focus stays in the input and
+ * the highlighted option is exposed through aria-activedescendant.
+ * Free text still submits the surrounding form as before.
+ */
+export default function CityAutocomplete({ value, onChange, onSelect, inputRef, disabled, placeholder, style }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [active, setActive] = useState(-1);
+  const [open, setOpen] = useState(false);
+  const a11y = useRef(null);
+  const listId = useId();
+
+  const runSearch = useMemo(
+    () => debounce((text) => {
+      const results = searchCities(text);
+      setSuggestions(results);
+      setActive(-1);
+      setOpen(results.length > 0);
+      a11y.current?.announce(
+        results.length ? `${results.length} suggestions available, use up and down arrows to review` : "No matching cities"
+      );
+    }, SEARCH_DELAY),
+    []
+  );
+
+  useEffect(() => {
+    a11y.current = new Accessibility();
+    return () => {
+      runSearch.cancel();
+      a11y.current.cleanup();
+    };
+  }, [runSearch]);
+
+  // aria-expanded/aria-controls follow the listbox's visibility
+  useEffect(() => {
+    Accessibility.setAriaExpanded(inputRef?.current, open);
+    Accessibility.setAriaControls(inputRef?.current, listId);
+  }, [open, listId, inputRef]);
+
+  function handleInput(e) {
+    onChange(e.target.value);
+    runSearch(e.target.value);
+  }
+
+  function choose(city) {
+    runSearch.cancel();
+    setOpen(false);
+    setActive(-1);
+    onSelect(city);
+  }
+
+  // Same keys as Accessibility#makeAccessibleList, plus Enter/Escape
+  function handleKeyDown(e) {
+    const count = suggestions.length;
+
+    switch (e.key) {
+      case "ArrowDown":
+        if (!count) return;
+        e.preventDefault();
+        setOpen(true);
+        setActive((i) => (i + 1) % count);
+        break;
+      case "ArrowUp":
+        if (!count) return;
+        e.preventDefault();
+        setOpen(true);
+        setActive((i) => (i <= 0 ? count - 1 : i - 1));
+        break;
+      case "Home":
+      case "End":
+        if (!open || !count) return;
+        e.preventDefault();
+        setActive(e.key === "Home" ? 0 : count - 1);
+        break;
+      case "Enter":
+        // A highlighted suggestion wins over submitting the free text
+        if (open && active >= 0) {
+          e.preventDefault();
+          choose(suggestions[active]);
+        }
+        break;
+      case "Escape":
+        if (open) {
+          e.preventDefault();
+          setOpen(false);
+          setActive(-1);
+        }
+        break;
+    }
+  }
+
+  const optionId = (i) => `${listId}-option-${i}`;
+
+  return (
+    <div style={styles.wrap}>
+      <input
+        type="text"
+        role="combobox"
+        aria-autocomplete="list"
+        aria-activedescendant={open && active >= 0 ? optionId(active) : undefined}
+        aria-label="City search"
+        autoComplete="off"
+        placeholder={placeholder}
+        value={value}
+        onChange={handleInput}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setOpen(false)}
+        onFocus={() => setOpen(suggestions.length > 0)}
+        ref={inputRef}
+        style={style}
+        disabled={disabled}
+        required
+      />
+
+      <ul id={listId} role="listbox" aria-label="City suggestions" hidden={!open} style={styles.list}>
+        {suggestions.map((city, i) => (
+          <li
+            key={`${city.name}|${city.admin}|${city.country}`}
+            id={optionId(i)}
+            role="option"
+            aria-selected={i === active}
+            // mousedown fires before the input's blur closes the list
+            onMouseDown={(e) => { e.preventDefault(); choose(city); }}
+            onMouseEnter={() => setActive(i)}
+            style={i === active ? { ...styles.option, ...styles.optionActive } : styles.option}
+          >
+            <span style={styles.name}>{city.name}</span>
+            <span style={styles.region}>{[city.admin !== city.name && city.admin, city.country].filter(Boolean).join(", ")}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// --- Styling ---
+const theme = {
+  border: "#e3e8ee",
+};
+const styles = {
+  wrap: { position: "relative", flex: 1, display: "flex", minWidth: 0 },
+  list: {
+    position: "absolute", top: "100%", left: 0, right: 4, zIndex: 10, margin: "4px 0 0 0", padding: 4,
+    listStyle: "none", background: "#fff", border: `1px solid ${theme.border}`, borderRadius: 6,
+    boxShadow: "0 6px 18px 0 #adbeea44",
+  },
+  option: { display: "flex", flexDirection: "column", padding: "6px 10px", borderRadius: 4, cursor: "pointer" },
+  optionActive: { background: "#eef5ff" },
+  name: { fontWeight: 600, color: "#0f1f3c", fontSize: 15 },
+  region: { fontSize: 12, color: "#7183a3" },
+};
@@ -0,0 +1,102 @@
+import { formatTemp } from "../utils/weatherFormat";
+
+/**
+ * Overlaid forecast temperature lines, one per city, on a shared time
+ * axis. `series` is [{ key, label, color, points: [{ time, temp }] }]
+ * with metric temperatures; `units` comes from utils/units.resolveUnits.
+ * Times are shown in the viewer's time zone so every line lines up.
+ */
+export default function ComparisonChart({ series = [], units }) {
+  const lines = series.filter((s) => s.points.length > 1);
+  if (!lines.length) return null;
+
+  const width = 720, height = 260;
+  const pad = { top: 16, right: 16, bottom: 28, left: 44 };
+
+  const all = lines.flatMap((s) => s.points);
+  const t0 = Math.min(...all.map((p) => p.time));
+  const t1 = Math.max(...all.map((p) => p.time));
+  const lo = Math.floor(Math.min(...all.map((p) => p.temp)));
+  const hi = Math.ceil(Math.max(...all.map((p) => p.temp)));
+
+  const x = (t) => pad.left + ((t - t0) / (t1 - t0 || 1)) * (width - pad.left - pad.right);
+  const y = (v) => height - pad.bottom - ((v - lo) / (hi - lo || 1)) * (height - pad.top - pad.bottom);
+
+  // ~5 horizontal gridlines on whole degrees
+  const step = Math.max(1, Math.ceil((hi - lo) / 5));
+  const ticks = [];
+  for (let v = lo; v <= hi; v += step) ticks.push(v);
+
+  // Local midnights between the first and last point
+  const days = [];
+  const day = new Date(t0 * 1000);
+  day.setHours(24, 0, 0, 0);
+  for (; day.getTime() / 1000 <= t1; day.setDate(day.getDate() + 1)) days.push(day.getTime() / 1000);
+  const dayFormat = new Intl.DateTimeFormat(undefined, { weekday: "short" });
+
+  return (
+    <section style={styles.card} aria-label="Temperature comparison chart">
+      <h3 style={styles.title}>Temperature forecast</h3>
+      <svg
+        viewBox={`0 0 ${width} ${height}`}
+        width="100%"
+        role="img"
+        aria-label={`Forecast temperatures for ${lines.map((s) => s.label).join(", ")}`}
+      >
+        {ticks.map((v) => (
+          <g key={v}>
+            <line x1={pad.left} x2={width - pad.right} y1={y(v)} y2={y(v)} stroke={theme.grid} />
+            <text x={pad.left - 6} y={y(v) + 4} textAnchor="end" style={styles.axisLabel}>
+              {formatTemp(v, { unit: units.temperature, from: "C", decimals: 0 })}
+            </text>
+          </g>
+        ))}
+
+        {days.map((t) => (
+          <g key={t}>
+            <line x1={x(t)} x2={x(t)} y1={pad.top} y2={height - pad.bottom} stroke={theme.grid} strokeDasharray="3 3" />
+            <text x={x(t) + 4} y={height - 10} style={styles.axisLabel}>{dayFormat.format(new Date(t * 1000))}</text>
+          </g>
+        ))}
+
+        {lines.map((s) => (
+          <path
+            key={s.key}
+            d={s.points.map((p, i) => `${i ? "L" : "M"}${x(p.time).toFixed(1)},${y(p.temp).toFixed(1)}`).join(" ")}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="2.2"
+            strokeLinejoin="round"
+          >
+            <title>{s.label}</title>
+          </path>
+        ))}
+      </svg>
+
+      <ul style={styles.legend}>
+        {lines.map((s) => (
+          <li key={s.key} style={styles.legendItem}>
+            <span style={{ ...styles.swatch, background: s.color }} aria-hidden="true" />
+            {s.label}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+// --- Styling ---
+const theme = {
+  grid: "#e8edf5",
+};
+const styles = {
+  card: {
+    width: "100%", background: "#fff", borderRadius: 12, padding: 20, marginTop: 20,
+    boxShadow: "0 2px 12px 0 #adbeea22", boxSizing: "border-box",
+  },
+  title: { margin: "0 0 12px 0", color: "#0e1f3a", fontSize: "1.1rem", fontWeight: 700 },
+  axisLabel: { fontSize: 11, fill: "#7183a3" },
+  legend: { display: "flex", flexWrap: "wrap", gap: "6px 16px", listStyle: "none", padding: 0, margin: "10px 0 0 0" },
+  legendItem: { display: "flex", alignItems: "center", gap: 6, fontSize: 13, color: "#344767" },
+  swatch: { width: 14, height: 4, borderRadius: 2 },
+};
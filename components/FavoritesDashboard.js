@@ -0,0 +1,98 @@
+import { useEffect, useState } from "react";
+import { formatTemp, formatWind } from "../utils/weatherFormat";
+import { cityKey, cityQuery } from "../utils/savedCities";
+
+/**
+ * Current conditions for every favorite at a glance.
+ * Cities are fetched in parallel (metric, converted at render time) and a
+ * failing city only marks its own tile, never the whole grid.
+ */
+export default function FavoritesDashboard({ favorites = [], units, onSelect }) {
+  const [results, setResults] = useState({});
+
+  // Refetch only when the set of cities changes, not when they're reordered
+  const keys = favorites.map(cityKey).sort().join(";");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.allSettled(
+      favorites.map(async (c) => {
+        const res = await fetch(`/api/weather?${cityQuery(c)}&units=metric`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Error fetching weather");
+        return data;
+      })
+    ).then((settled) => {
+      if (cancelled) return;
+      const next = {};
+      settled.forEach((r, i) => {
+        next[cityKey(favorites[i])] = r.status === "fulfilled" ? { data: r.value } : { error: r.reason.message };
+      });
+      setResults(next);
+    });
+
+    return () => { cancelled = true; };
+    // favorites is captured through `keys`
+  }, [keys]);
+
+  if (!favorites.length) {
+    return <p style={styles.empty}>Star a city to add it to your dashboard.</p>;
+  }
+
+  return (
+    <section style={styles.grid} aria-label="Favorites dashboard">
+      {favorites.map((c) => {
+        const result = results[cityKey(c)];
+        const current = result?.data?.current;
+
+        return (
+          <button key={cityKey(c)} type="button" onClick={() => onSelect(c)} style={styles.tile}>
+            <div style={styles.city}>{c.name}</div>
+            <div style={styles.country}>{c.country}</div>
+            {current ? (
+              <>
+                <img
+                  src={`https://openweathermap.org/img/wn/${current.condition.icon}@2x.png`}
+                  alt={current.condition.main}
+                  style={styles.icon}
+                />
+                <div style={styles.temp}>{formatTemp(current.temp, { unit: units.temperature, from: "C", decimals: 0 })}</div>
+                <div style={styles.desc}>{current.condition.description}</div>
+                <div style={styles.meta}>
+                  {current.humidity}% · {formatWind(current.windSpeed, { unit: units.wind, decimals: 0 })}
+                </div>
+              </>
+            ) : (
+              <div style={result?.error ? styles.error : styles.meta}>{result?.error || "Loading…"}</div>
+            )}
+          </button>
+        );
+      })}
+    </section>
+  );
+}
+
+// --- Styling ---
+const theme = {
+  border: "#e3e8ee",
+  err: "#e63946",
+};
+const styles = {
+  grid: {
+    width: "100%", maxWidth: 640, display: "grid", gridTemplateColumns: "repeat(auto-fill, minmax(140px, 1fr))",
+    gap: 12, margin: "0 auto 24px auto", boxSizing: "border-box",
+  },
+  tile: {
+    background: "#fff", border: `1px solid ${theme.border}`, borderRadius: 12, padding: 14, textAlign: "center",
+    font: "inherit", cursor: "pointer", boxShadow: "0 2px 12px 0 #adbeea22",
+  },
+  city: { fontWeight: 700, color: "#2a8cf9", fontSize: 15 },
+  country: { fontSize: 12, color: "#6374a5" },
+  icon: { width: 56, height: 56, margin: "2px auto", display: "block" },
+  temp: { fontSize: "1.5rem", fontWeight: 700, color: "#011b39" },
+  desc: { fontSize: 13, color: "#616886", textTransform: "capitalize" },
+  meta: { fontSize: 12, color: "#7183a3", marginTop: 4 },
+  error: { fontSize: 12, color: theme.err, marginTop: 8 },
+  empty: { color: "#66687c", margin: "0 0 24px 0" },
+};
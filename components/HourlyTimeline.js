@@ -0,0 +1,117 @@
+import { formatTemp, formatWind, formatComfort } from "../utils/weatherFormat";
+import { zonedDate } from "../utils/forecastUtils";
+
+/**
+ * Hourly forecast timeline rendered as inline SVG:
+ * temperature curve, precipitation-probability bars and wind arrows.
+ * `entries` are normalized forecast slices (metric); `units` comes from
+ * utils/units.resolveUnits and is applied at render time. Hours are
+ * labelled in the location's `zone` ({ timezone, utcOffset }).
+ */
+export default function HourlyTimeline({ entries = [], units, zone = {}, title = "Hourly" }) {
+  const points = entries.filter((e) => Number.isFinite(e.temp));
+  if (points.length < 2) return null;
+
+  const step = 56;
+  const pad = { left: 28, right: 28 };
+  const width = pad.left + pad.right + step * (points.length - 1);
+
+  // Vertical bands: labels | temperature curve | pop bars | wind | hour
+  const curveTop = 28, curveBottom = 96;
+  const barTop = 112, barBottom = 152;
+  const windY = 176, hourY = 206;
+  const height = 216;
+
+  const temps = points.map((e) => e.temp);
+  const lo = Math.min(...temps), hi = Math.max(...temps);
+  const span = hi - lo || 1;
+
+  const x = (i) => pad.left + i * step;
+  const y = (t) => curveBottom - ((t - lo) / span) * (curveBottom - curveTop);
+
+  const path = points
+    .map((e, i) => `${i ? "L" : "M"}${x(i).toFixed(1)},${y(e.temp).toFixed(1)}`)
+    .join(" ");
+
+  const hourFormat = new Intl.DateTimeFormat(undefined, { hour: "numeric", timeZone: zonedDate(0, zone).timeZone });
+
+  return (
+    <section style={styles.card} aria-label={`${title} forecast`}>
+      <h3 style={styles.title}>{title}</h3>
+      <div style={styles.scroller}>
+        <svg
+          width={width}
+          height={height}
+          viewBox={`0 0 ${width} ${height}`}
+          role="img"
+          aria-label="Temperature, precipitation probability and wind by hour"
+        >
+          <path d={path} fill="none" stroke={theme.accent} strokeWidth="2.5" strokeLinejoin="round" />
+
+          {points.map((e, i) => {
+            const pop = Math.round((e.pop ?? 0) * 100);
+            const barH = ((barBottom - barTop) * pop) / 100;
+            const hour = hourFormat.format(zonedDate(e.time, zone).date);
+
+            return (
+              <g key={e.time}>
+                <title>
+                  {`${hour}: ${formatTemp(e.temp, { unit: units.temperature, from: "C" })}, ` +
+                    `${pop}% precipitation, ${formatWind(e.windSpeed, { unit: units.wind })}` +
+                    (e.derived
+                      ? `, feels like ${formatTemp(e.derived.feelsLike, { unit: units.temperature, from: "C" })}` +
+                        `, dew point ${formatTemp(e.derived.dewPoint, { unit: units.temperature, from: "C" })}` +
+                        `, comfort ${formatComfort(e.derived.comfort)}`
+                      : "")}
+                </title>
+
+                <circle cx={x(i)} cy={y(e.temp)} r="3.5" fill={theme.accent} />
+                <text x={x(i)} y={y(e.temp) - 9} textAnchor="middle" style={styles.tempLabel}>
+                  {formatTemp(e.temp, { unit: units.temperature, from: "C", decimals: 0 })}
+                </text>
+
+                <rect x={x(i) - 10} y={barTop} width="20" height={barBottom - barTop} rx="3" fill={theme.track} />
+                <rect x={x(i) - 10} y={barBottom - barH} width="20" height={barH} rx="3" fill={theme.rain} />
+                <text x={x(i)} y={barBottom + 11} textAnchor="middle" style={styles.smallLabel}>{pop}%</text>
+
+                {Number.isFinite(e.windDeg) && (
+                  // windDeg is where the wind comes from; the arrow shows where it blows
+                  <path
+                    d="M0,-8 L5,6 L0,3 L-5,6 Z"
+                    fill={theme.wind}
+                    transform={`translate(${x(i)},${windY}) rotate(${(e.windDeg + 180) % 360})`}
+                  />
+                )}
+                <text x={x(i)} y={windY + 18} textAnchor="middle" style={styles.smallLabel}>
+                  {formatWind(e.windSpeed, { unit: units.wind, decimals: 0 })}
+                </text>
+
+                <text x={x(i)} y={hourY} textAnchor="middle" style={styles.hourLabel}>{hour}</text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+    </section>
+  );
+}
+
+// --- Styling ---
+const theme = {
+  accent: "#2a8cf9",
+  rain: "#5aa9f9",
+  track: "#eef3fb",
+  wind: "#6374a5",
+  border: "#e3e8ee",
+};
+const styles = {
+  card: {
+    width: "100%", maxWidth: 400, background: "#fff", borderRadius: 12, padding: 20,
+    margin: "20px auto 0 auto", boxShadow: "0 2px 12px 0 #adbeea22", boxSizing: "border-box",
+  },
+  title: { margin: "0 0 12px 0", color: "#0e1f3a", fontSize: "1.1rem", fontWeight: 700 },
+  scroller: { overflowX: "auto", paddingBottom: 4 },
+  tempLabel: { fontSize: 12, fontWeight: 700, fill: "#0f1f3c" },
+  smallLabel: { fontSize: 10, fill: "#7183a3" },
+  hourLabel: { fontSize: 11, fontWeight: 600, fill: "#344767" },
+};
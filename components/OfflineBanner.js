@@ -0,0 +1,28 @@
+import { getRelativeTime } from "../utils/dateFormatter";
+
+/**
+ * Shown while offline or while the weather on screen came from the
+ * service worker's offline copy: "Offline · data from 2 hours ago".
+ */
+export default function OfflineBanner({ online, fromCache, fetchedAt }) {
+  if (online && !fromCache) return null;
+
+  const age = fetchedAt ? getRelativeTime(fetchedAt) : "";
+
+  return (
+    <div role="status" aria-live="polite" style={styles.banner}>
+      <strong>{online ? "Couldn't refresh" : "Offline"}</strong>
+      {age && ` · data from ${age}`}
+      {!online && <span style={styles.hint}> Updates resume when you're back online.</span>}
+    </div>
+  );
+}
+
+// --- Styling ---
+const styles = {
+  banner: {
+    width: "100%", maxWidth: 400, margin: "0 auto 16px auto", padding: "10px 14px", boxSizing: "border-box",
+    background: "#fff7e0", border: "1px solid #f5d37a", borderRadius: 10, color: "#6b4e00", fontSize: 14,
+  },
+  hint: { color: "#8a6d1f" },
+};
@@ -0,0 +1,92 @@
+import { cityKey } from "../utils/savedCities";
+
+/**
+ * Favorite cities (reorderable chips) and recent searches.
+ * Lists come from utils/savedCities; every action is a callback so the
+ * page stays the single owner of the stored state.
+ */
+export default function SavedCities({ favorites = [], recent = [], onSelect, onRemove, onMove, onClearRecent }) {
+  if (!favorites.length && !recent.length) return null;
+
+  return (
+    <section style={styles.wrap} aria-label="Saved cities">
+      {favorites.length > 0 && (
+        <div style={styles.row}>
+          <span style={styles.label}>Favorites</span>
+          <ul style={styles.list}>
+            {favorites.map((c, i) => (
+              <li key={cityKey(c)} style={styles.chip}>
+                <button type="button" onClick={() => onSelect(c)} style={styles.chipName} title={`Load ${c.name}`}>
+                  ★ {c.name}{c.country ? `, ${c.country}` : ""}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onMove(c, -1)}
+                  disabled={i === 0}
+                  aria-label={`Move ${c.name} up`}
+                  style={styles.chipAction}
+                >
+                  ‹
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onMove(c, 1)}
+                  disabled={i === favorites.length - 1}
+                  aria-label={`Move ${c.name} down`}
+                  style={styles.chipAction}
+                >
+                  ›
+                </button>
+                <button type="button" onClick={() => onRemove(c)} aria-label={`Remove ${c.name} from favorites`} style={styles.chipAction}>
+                  ×
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {recent.length > 0 && (
+        <div style={styles.row}>
+          <span style={styles.label}>Recent</span>
+          <ul style={styles.list}>
+            {recent.map((c) => (
+              <li key={cityKey(c)}>
+                <button type="button" onClick={() => onSelect(c)} style={styles.recent}>
+                  {c.name}{c.country ? `, ${c.country}` : ""}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button type="button" onClick={onClearRecent} style={styles.clear}>Clear</button>
+        </div>
+      )}
+    </section>
+  );
+}
+
+// --- Styling ---
+const theme = {
+  accent: "#2a8cf9",
+  border: "#e3e8ee",
+};
+const styles = {
+  wrap: { width: "100%", maxWidth: 400, margin: "-12px auto 24px auto", display: "flex", flexDirection: "column", gap: 8 },
+  row: { display: "flex", alignItems: "center", flexWrap: "wrap", gap: 6 },
+  label: { fontSize: 13, fontWeight: 700, color: "#6374a5", marginRight: 4 },
+  list: { display: "flex", flexWrap: "wrap", gap: 6, listStyle: "none", margin: 0, padding: 0 },
+  chip: {
+    display: "flex", alignItems: "center", background: "#fff", border: `1px solid ${theme.border}`,
+    borderRadius: 16, overflow: "hidden",
+  },
+  chipName: {
+    border: "none", background: "none", padding: "4px 8px 4px 10px", fontSize: 13, fontWeight: 600,
+    color: "#344767", cursor: "pointer",
+  },
+  chipAction: { border: "none", background: "none", padding: "4px 5px", fontSize: 14, color: "#7183a3", cursor: "pointer" },
+  recent: {
+    border: `1px solid ${theme.border}`, background: "#f9fbff", borderRadius: 16, padding: "4px 10px",
+    fontSize: 13, color: "#344767", cursor: "pointer",
+  },
+  clear: { border: "none", background: "none", fontSize: 12, color: theme.accent, cursor: "pointer", textDecoration: "underline" },
+};
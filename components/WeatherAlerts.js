@@ -0,0 +1,149 @@
+import { useEffect, useRef, useState } from "react";
+import { NotificationSystem } from "../utils/notificationSystem";
+import {
+  getRules, addRule, removeRule, setRuleEnabled, subscribeRules,
+  parseRule, describeRule, checkAlerts, startAlertMonitor,
+} from "../utils/weatherAlerts";
+
+/**
+ * Alert rules for the loaded city plus the toast stack that shows hits.
+ * Owns the cron monitor (utils/weatherAlerts) for the page's lifetime;
+ * rules for every city are checked, not just the one on screen.
+ */
+export default function WeatherAlerts({ location, units }) {
+  const [rules, setRules] = useState([]);
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+  const [toasts, setToasts] = useState([]);
+  const notifications = useRef(null);
+
+  useEffect(() => {
+    const system = new NotificationSystem({ allowDuplicates: false, maxNotifications: 5 });
+    notifications.current = system;
+
+    const unsubscribeToasts = system.subscribe(() => setToasts(system.getAll()));
+    const unsubscribeRules = subscribeRules(setRules);
+    const stopMonitor = startAlertMonitor({ notifications: system });
+
+    setRules(getRules());
+    checkAlerts({ notifications: system });
+
+    return () => {
+      stopMonitor();
+      unsubscribeRules();
+      unsubscribeToasts();
+      system.clear();
+    };
+  }, []);
+
+  function submit(e) {
+    e.preventDefault();
+    try {
+      setRules(addRule(location, parseRule(text, { units })));
+      setText("");
+      setError("");
+      checkAlerts({ notifications: notifications.current });
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  const cityRules = location ? rules.filter((r) => r.city.name === location.name && r.city.country === location.country) : [];
+  const otherCount = rules.length - cityRules.length;
+
+  return (
+    <>
+      {location && (
+        <section style={styles.card} aria-label={`Alerts for ${location.name}`}>
+          <h3 style={styles.title}>Alerts for {location.name}</h3>
+
+          {cityRules.length > 0 && (
+            <ul style={styles.list}>
+              {cityRules.map((r) => (
+                <li key={r.id} style={styles.rule}>
+                  <label style={r.enabled ? styles.ruleText : { ...styles.ruleText, ...styles.ruleOff }}>
+                    <input
+                      type="checkbox"
+                      checked={r.enabled}
+                      onChange={(e) => setRules(setRuleEnabled(r.id, e.target.checked))}
+                    />
+                    {describeRule(r)}
+                  </label>
+                  <button type="button" onClick={() => setRules(removeRule(r.id))} aria-label="Delete alert" style={styles.remove}>×</button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <form onSubmit={submit} style={styles.form}>
+            <input
+              type="text"
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              placeholder="e.g. wind > 50 km/h, rain probability > 70% tomorrow"
+              aria-label="New alert rule"
+              aria-invalid={Boolean(error)}
+              style={styles.input}
+            />
+            <button type="submit" style={styles.add}>Add</button>
+          </form>
+          {error && <div role="alert" style={styles.error}>{error}</div>}
+          {otherCount > 0 && (
+            <div style={styles.hint}>Also watching {otherCount} rule{otherCount === 1 ? "" : "s"} for other cities.</div>
+          )}
+        </section>
+      )}
+
+      <div style={styles.toasts} role="status" aria-live="polite">
+        {toasts.map((t) => (
+          <div key={t.id} style={styles.toast}>
+            <span>⚠ {t.message}</span>
+            <button
+              type="button"
+              onClick={() => notifications.current.remove(t.id)}
+              aria-label="Dismiss alert"
+              style={styles.dismiss}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+    </>
+  );
+}
+
+// --- Styling ---
+const theme = {
+  accent: "#2a8cf9",
+  border: "#e3e8ee",
+  err: "#e63946",
+  warn: "#f5b301",
+};
+const styles = {
+  card: {
+    width: "100%", maxWidth: 400, background: "#fff", borderRadius: 12, padding: 20,
+    margin: "20px auto 0 auto", boxShadow: "0 2px 12px 0 #adbeea22", boxSizing: "border-box",
+  },
+  title: { margin: "0 0 12px 0", color: "#0e1f3a", fontSize: "1.1rem", fontWeight: 700 },
+  list: { listStyle: "none", margin: "0 0 12px 0", padding: 0, display: "flex", flexDirection: "column", gap: 6 },
+  rule: { display: "flex", alignItems: "center", justifyContent: "space-between", gap: 8 },
+  ruleText: { display: "flex", alignItems: "center", gap: 8, fontSize: 14, color: "#344767" },
+  ruleOff: { color: "#9aa3bd", textDecoration: "line-through" },
+  remove: { border: "none", background: "none", fontSize: 18, color: "#7183a3", cursor: "pointer" },
+  form: { display: "flex", gap: 8 },
+  input: { flex: 1, minWidth: 0, fontSize: 14, padding: "8px 10px", border: `1px solid ${theme.border}`, borderRadius: 6 },
+  add: {
+    background: theme.accent, color: "#fff", border: "none", borderRadius: 6,
+    padding: "8px 14px", fontSize: 14, fontWeight: 600, cursor: "pointer",
+  },
+  error: { color: theme.err, fontSize: 13, marginTop: 8 },
+  hint: { color: "#7183a3", fontSize: 12, marginTop: 10 },
+  toasts: { position: "fixed", right: 16, bottom: 16, display: "flex", flexDirection: "column", gap: 8, zIndex: 20, maxWidth: 360 },
+  toast: {
+    display: "flex", alignItems: "flex-start", gap: 10, background: "#fffaf0", color: "#5b4300",
+    border: `1px solid ${theme.warn}`, borderRadius: 8, padding: "10px 12px", fontSize: 14,
+    boxShadow: "0 6px 18px 0 #adbeea44",
+  },
+  dismiss: { border: "none", background: "none", fontSize: 16, color: "#5b4300", cursor: "pointer", marginLeft: "auto" },
+};
@@ -1,4 +1,22 @@
+import { useEffect } from "react";
+import Head from "next/head";
 import "../styles/global.css";
+import { registerServiceWorker } from "../utils/serviceWorker";
+
 export default function MyApp({ Component, pageProps }) {
-  return <Component {...pageProps} />;
+  // Offline support (public/sw.js); a no-op in development
+  useEffect(() => { registerServiceWorker(); }, []);
+
+  return (
+    <>
+      <Head>
+        <link rel="manifest" href="/manifest.webmanifest" />
+        <link rel="icon" href="/logo-weather.svg" type="image/svg+xml" />
+        <link rel="apple-touch-icon" href="/logo-weather.svg" />
+        <meta name="theme-color" content="#2a8cf9" />
+        <meta name="viewport" content="width=device-width, initial-scale=1" />
+      </Head>
+      <Component {...pageProps} />
+    </>
+  );
 }
@@ -0,0 +1,68 @@
+// pages/api/air-quality.js
+
+import { createProviderCache, sendCached, badRequest } from "../../utils/providerCache";
+import { getProvider } from "../../utils/weatherProviders";
+import { parseLocationQuery, locationKey, formatLocationErrors } from "../../utils/locationQuery";
+import { describeAirQuality, resolveLocale } from "../../utils/airQuality";
+import { allowRequest } from "../../utils/apiAccess";
+
+// Air quality models update hourly; AIR_QUALITY_CACHE_TTL seconds (default 30 min)
+const CACHE_TTL = (Number(process.env.AIR_QUALITY_CACHE_TTL) || 1800) * 1000;
+
+const cache = createProviderCache("air-quality", { ttl: CACHE_TTL });
+
+// Raw concentrations are cached; AQI bands and ?lang= are applied per response
+function cacheKey({ provider, query }) {
+  return [provider, locationKey(query)].join("|");
+}
+
+export default async function handler(req, res) {
+  try {
+    res.setHeader("Content-Type", "application/json");
+
+    if (!(await allowRequest(req, res))) return;
+
+    // ?lang= wins over Accept-Language; unsupported languages fall back to English
+    const locale = resolveLocale(req.query.lang, req.headers["accept-language"]);
+
+    // Same location lookups as /api/weather
+    const { isValid, errors, query } = await parseLocationQuery(req.query);
+
+    if (!isValid) {
+      return badRequest(res, "Invalid location query", formatLocationErrors(errors));
+    }
+
+    let provider;
+    try {
+      provider = getProvider(req.query.provider);
+    } catch (error) {
+      return badRequest(res, error.message, { provider: [error.message] });
+    }
+
+    const entry = await cache.load(cacheKey({ provider: provider.name, query }), () => provider.getAirQuality(query));
+    const { data, fetchedAt, stale } = entry;
+
+    res.setHeader("Content-Language", locale);
+    res.setHeader("Vary", "Accept-Language");
+
+    return sendCached(req, res, {
+      success: true,
+      city: data.location.name,
+      query,
+      stale,
+      provider: data.provider,
+      locale,
+      location: data.location,
+      current: describeAirQuality(data.current, { locale }),
+      meta: {
+        fetchedAt: new Date(fetchedAt).toISOString(),
+        breaker: provider.getBreakerState(),
+      },
+    }, { ...entry, ttl: CACHE_TTL });
+  } catch (error) {
+    return res.status(error?.status || 500).json({
+      success: false,
+      error: error?.message || "Server error",
+    });
+  }
+}
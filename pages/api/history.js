@@ -0,0 +1,88 @@
+// pages/api/history.js
+
+import { createProviderCache, sendCached, badRequest } from "../../utils/providerCache";
+import { getProvider } from "../../utils/weatherProviders";
+import { parseLocationQuery, locationKey, formatLocationErrors } from "../../utils/locationQuery";
+import { findStation, compareToNormals, normalsForRange, describeStation } from "../../utils/climateNormals";
+import { localDateKey } from "../../utils/forecastUtils";
+import { allowRequest } from "../../utils/apiAccess";
+
+// Past days don't change; HISTORY_CACHE_TTL seconds (default 3 h) only bounds the date rollover
+const CACHE_TTL = (Number(process.env.HISTORY_CACHE_TTL) || 3 * 3600) * 1000;
+
+const DEFAULT_DAYS = 14;
+const MAX_DAYS = 92;
+
+// Normals for today and the days the Home page's forecast cards cover
+const UPCOMING_DAYS = 7;
+
+const cache = createProviderCache("history", { ttl: CACHE_TTL });
+
+function cacheKey({ provider, query, days }) {
+  return [provider, locationKey(query), days].join("|");
+}
+
+export default async function handler(req, res) {
+  try {
+    res.setHeader("Content-Type", "application/json");
+
+    if (!(await allowRequest(req, res))) return;
+
+    // ?days=1..92 past days, default 14
+    const days = req.query.days === undefined ? DEFAULT_DAYS : Number(req.query.days);
+
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+      const message = `days must be a whole number between 1 and ${MAX_DAYS}`;
+      return badRequest(res, message, { days: [message] });
+    }
+
+    const { isValid, errors, query } = await parseLocationQuery(req.query);
+
+    if (!isValid) {
+      return badRequest(res, "Invalid location query", formatLocationErrors(errors));
+    }
+
+    let provider;
+    try {
+      provider = getProvider(req.query.provider);
+    } catch (error) {
+      return badRequest(res, error.message, { provider: [error.message] });
+    }
+
+    const entry = await cache.load(cacheKey({ provider: provider.name, query, days }), () => provider.getHistory(query, { days }));
+    const { data, fetchedAt, stale } = entry;
+    const { location } = data;
+
+    // Without a station nearby the observations are still returned, just without anomalies
+    const match = findStation(location.lat, location.lon);
+    const today = localDateKey(Math.floor(Date.now() / 1000), {
+      timezone: location.timezone,
+      utcOffset: location.timezoneOffset,
+    });
+
+    const comparison = match ? compareToNormals(data.days, match.station) : null;
+
+    return sendCached(req, res, {
+      success: true,
+      city: location.name,
+      query,
+      stale,
+      provider: data.provider,
+      units: { temperature: "C", precipitation: "mm" },
+      location,
+      normals: match ? describeStation(match) : null,
+      days: comparison ? comparison.days : data.days,
+      summary: comparison ? comparison.summary : null,
+      upcoming: match ? normalsForRange(match.station, today, UPCOMING_DAYS) : [],
+      meta: {
+        fetchedAt: new Date(fetchedAt).toISOString(),
+        breaker: provider.getBreakerState(),
+      },
+    }, { ...entry, ttl: CACHE_TTL });
+  } catch (error) {
+    return res.status(error?.status || 500).json({
+      success: false,
+      error: error?.message || "Server error",
+    });
+  }
+}
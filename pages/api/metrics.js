@@ -0,0 +1,21 @@
+// pages/api/metrics.js
+
+import { renderMetrics } from "../../utils/observability";
+
+/**
+ * Prometheus scrape endpoint. With METRICS_TOKEN set, scrapers must send
+ * `Authorization: Bearer <token>`.
+ */
+export default function handler(req, res) {
+  const token = process.env.METRICS_TOKEN;
+
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    res.setHeader("WWW-Authenticate", "Bearer");
+    return res.status(401).json({ success: false, error: "Unauthorized" });
+  }
+
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.setHeader("Cache-Control", "no-store");
+
+  return res.status(200).end(renderMetrics());
+}
@@ -0,0 +1,49 @@
+// pages/api/observations.js
+
+import { badRequest } from "../../utils/providerCache";
+import { parseObservationQuery, listObservations } from "../../utils/observations";
+import { allowRequest } from "../../utils/apiAccess";
+import { trackRequest } from "../../utils/observability";
+
+/**
+ * Recorded /api/weather observations for a city, oldest first:
+ * ?city=Nairobi&from=2026-10-01&to=2026-10-19&page=1&limit=50
+ */
+export default async function handler(req, res) {
+  const { log, annotate } = trackRequest(req, res, "/api/observations");
+
+  try {
+    res.setHeader("Content-Type", "application/json");
+
+    if (!(await allowRequest(req, res, { log }))) return;
+
+    const request = parseObservationQuery(req.query);
+
+    if (!request.isValid) {
+      return badRequest(res, request.error, request.errors);
+    }
+
+    const { locations, rows, total, page, limit, pages } = await listObservations(request);
+
+    annotate({ city: request.city, total });
+    res.setHeader("Cache-Control", "no-store");
+
+    return res.status(200).json({
+      success: true,
+      city: request.city,
+      from: request.from?.toISOString() ?? null,
+      to: request.to?.toISOString() ?? null,
+      units: { temperature: "C", wind: "m/s", pressure: "hPa", precipitation: "mm", visibility: "m" },
+      locations,
+      observations: rows,
+      pagination: { page, limit, total, pages },
+    });
+  } catch (error) {
+    if (!error?.status || error.status >= 500) log.error(error);
+
+    return res.status(error?.status || 500).json({
+      success: false,
+      error: error?.message || "Server error",
+    });
+  }
+}
@@ -1,78 +1,42 @@
 // pages/api/weather.js
 
+import { sendCached, badRequest } from "../../utils/providerCache";
+import { CACHE_TTL, parseWeatherRequest, getWeather } from "../../utils/weatherService";
+import { recordWeather } from "../../utils/observations";
+import { allowRequest } from "../../utils/apiAccess";
+import { trackRequest } from "../../utils/observability";
+
 export default async function handler(req, res) {
+  // Request ID, child logger and one log line + metrics when the response finishes
+  const { log, annotate } = trackRequest(req, res, "/api/weather");
+
   try {
     res.setHeader("Content-Type", "application/json");
 
-    const { q, include, forecast } = req.query;
-    const includeForecast = include === "forecast" || forecast === "1";
+    // API key or per-IP limit (utils/apiAccess.js); sends the 401/429 itself
+    if (!(await allowRequest(req, res, { log }))) return;
 
-    // Validate city
-    if (!q || q.trim().length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing city parameter (?q=city)",
-      });
-    }
+    // Location, ?units=, ?provider= and ?include=forecast; see utils/weatherService.js
+    const request = await parseWeatherRequest(req.query);
 
-    const API_KEY = process.env.OPENWEATHER_KEY;
-    if (!API_KEY) {
-      return res.status(500).json({
-        success: false,
-        error: "Missing OPENWEATHER_KEY in environment",
-      });
+    if (!request.isValid) {
+      return badRequest(res, request.error, request.errors);
     }
 
-    // Prepare URLs
-    const currentUrl = `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(
-      q
-    )}&units=metric&appid=${API_KEY}`;
-
-    const forecastUrl = `https://api.openweathermap.org/data/2.5/forecast?q=${encodeURIComponent(
-      q
-    )}&units=metric&appid=${API_KEY}`;
+    // Cached per provider/city/include; concurrent misses are coalesced
+    const { payload, entry } = await getWeather(request);
 
-    // Fetch current + forecast in parallel when needed
-    const requests = includeForecast
-      ? [fetch(currentUrl), fetch(forecastUrl)]
-      : [fetch(currentUrl)];
+    annotate({ provider: request.provider.name, city: payload.city, upstreamMs: entry.upstreamMs });
 
-    const responses = await Promise.all(requests);
-    const data = await Promise.all(responses.map((r) => r.json()));
-
-    const currentData = data[0];
-
-    // Handle error for current weather
-    if (!responses[0].ok) {
-      return res.status(responses[0].status).json({
-        success: false,
-        error: currentData?.message || "Unable to fetch current weather",
-      });
-    }
+    // History for /api/observations, in base units; skips cache hits and is
+    // not awaited, so a slow write never delays the reply
+    recordWeather(entry).catch(error => log.warn("observation not recorded", { error: error.message }));
 
-    let forecastData = null;
-
-    // Handle forecast only if enabled
-    if (includeForecast) {
-      forecastData = data[1];
-
-      if (!responses[1].ok) {
-        return res.status(responses[1].status).json({
-          success: false,
-          error: forecastData?.message || "Unable to fetch forecast",
-        });
-      }
-    }
-
-    // Final response
-    return res.status(200).json({
-      success: true,
-      city: q,
-      current: currentData,
-      forecast: includeForecast ? forecastData : undefined,
-    });
+    return sendCached(req, res, payload, { ...entry, ttl: CACHE_TTL });
   } catch (error) {
-    return res.status(500).json({
+    if (!error?.status || error.status >= 500) log.error(error);
+
+    return res.status(error?.status || 500).json({
       success: false,
       error: error?.message || "Server error",
     });
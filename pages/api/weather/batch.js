@@ -0,0 +1,71 @@
+// pages/api/weather/batch.js
+
+import { badRequest } from "../../../utils/providerCache";
+import { MAX_BATCH, getWeatherBatch } from "../../../utils/weatherService";
+import { allowRequest } from "../../../utils/apiAccess";
+import { trackRequest } from "../../../utils/observability";
+
+/**
+ * POST { locations: [{ q } | { lat, lon } | { zip } | { id }, ...],
+ *        units?, temperature?, wind?, ..., include?, provider? }
+ *
+ * Up to 10 cities fetched in parallel. The response is 200 whenever the
+ * batch itself is valid; each entry in `results` reports its own
+ * success or failure (`status`, `error`, `errors`).
+ */
+export default async function handler(req, res) {
+  const { log, annotate } = trackRequest(req, res, "/api/weather/batch");
+
+  try {
+    res.setHeader("Content-Type", "application/json");
+
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ success: false, error: "Use POST with a JSON body" });
+    }
+
+    const { locations, ...shared } = req.body || {};
+
+    if (!Array.isArray(locations) || locations.length === 0) {
+      const message = "locations must be a non-empty array";
+      return badRequest(res, message, { locations: [message] });
+    }
+
+    if (locations.length > MAX_BATCH) {
+      const message = `At most ${MAX_BATCH} locations per batch`;
+      return badRequest(res, message, { locations: [message] });
+    }
+
+    if (locations.some((l) => !l || typeof l !== "object" || Array.isArray(l))) {
+      const message = "Each location must be an object such as { \"q\": \"London\" }";
+      return badRequest(res, message, { locations: [message] });
+    }
+
+    // One request per city against the caller's limit, as if each were its own /api/weather call
+    if (!(await allowRequest(req, res, { log, cost: locations.length }))) return;
+
+    const results = await getWeatherBatch(locations, shared);
+    const succeeded = results.filter((r) => r.success).length;
+
+    annotate({ requested: results.length, succeeded });
+
+    res.setHeader("Cache-Control", "no-store");
+
+    return res.status(200).json({
+      success: succeeded > 0,
+      results,
+      meta: {
+        requested: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+    });
+  } catch (error) {
+    if (!error?.status || error.status >= 500) log.error(error);
+
+    return res.status(error?.status || 500).json({
+      success: false,
+      error: error?.message || "Server error",
+    });
+  }
+}
@@ -0,0 +1,61 @@
+// pages/api/weather/export.js
+
+import { badRequest } from "../../../utils/providerCache";
+import { convertWeather } from "../../../utils/units";
+import { parseWeatherRequest, loadWeather } from "../../../utils/weatherService";
+import { EXPORT_FORMATS, exportWeather } from "../../../utils/weatherExport";
+import { allowRequest } from "../../../utils/apiAccess";
+import { trackRequest } from "../../../utils/observability";
+
+/**
+ * Forecast download: ?format=csv|json|xml|ics plus the same location,
+ * ?units= and ?provider= params as /api/weather.
+ */
+export default async function handler(req, res) {
+  const { log, annotate } = trackRequest(req, res, "/api/weather/export");
+
+  try {
+    res.setHeader("Content-Type", "application/json");
+
+    if (!(await allowRequest(req, res, { log }))) return;
+
+    const format = String(req.query.format || "csv").toLowerCase();
+
+    if (!EXPORT_FORMATS[format]) {
+      const message = `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`;
+      return badRequest(res, message, { format: [message] });
+    }
+
+    const request = await parseWeatherRequest(req.query);
+
+    if (!request.isValid) {
+      return badRequest(res, request.error, request.errors);
+    }
+
+    const { query, units, provider } = request;
+
+    // Same cache entry as /api/weather?include=forecast
+    const entry = await loadWeather(provider, query, { includeForecast: true });
+    annotate({ provider: provider.name, format, upstreamMs: entry.upstreamMs });
+
+    const { body, contentType, filename } = exportWeather(format, {
+      data: convertWeather(entry.data, units),
+      units,
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+    });
+
+    res.setHeader("Content-Type", contentType);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.setHeader("Cache-Control", "private, no-cache");
+    res.setHeader("X-Cache", entry.stale ? "STALE" : entry.fetched ? "MISS" : "HIT");
+
+    return res.status(200).end(body);
+  } catch (error) {
+    if (!error?.status || error.status >= 500) log.error(error);
+
+    return res.status(error?.status || 500).json({
+      success: false,
+      error: error?.message || "Server error",
+    });
+  }
+}
@@ -0,0 +1,335 @@
+// pages/compare.js
+import { useState, useEffect, useRef } from "react";
+import Link from "next/link";
+import { formatTemp, formatWind, formatPressure, formatPercent } from "../utils/weatherFormat";
+import { resolveUnits } from "../utils/units";
+import { getItem, setItem } from "../utils/localStorageManager";
+import { summarizeDailyForecast } from "../utils/forecastUtils";
+import { getFavorites, cityKey, cityQuery } from "../utils/savedCities";
+import { formatCityLabel } from "../utils/citySearch";
+import { sortBy, partition } from "../utils/arrayUtils";
+import { Pagination } from "../utils/pagination";
+import CityAutocomplete from "../components/CityAutocomplete";
+import ComparisonChart from "../components/ComparisonChart";
+
+const COMPARE_KEY = "compareCities";
+const UNIT_PREFS_KEY = "unitPrefs"; // shared with the Home page's unit toggle
+const MAX_CITIES = 10;
+const PAGE_SIZE = 5;
+
+const COLORS = ["#2a8cf9", "#e4572e", "#17a34a", "#a855f7", "#f59e0b", "#0891b2", "#db2777", "#64748b", "#84cc16", "#7c3aed"];
+
+// [key, header, numeric?]; values are read from the rows built below
+const COLUMNS = [
+  ["name", "City", false],
+  ["temp", "Temp", true],
+  ["feelsLike", "Feels like", true],
+  ["high", "Today high", true],
+  ["low", "Today low", true],
+  ["humidity", "Humidity", true],
+  ["wind", "Wind", true],
+  ["pressure", "Pressure", true],
+  ["pop", "Rain chance", true],
+];
+
+/**
+ * Side-by-side conditions for up to 10 cities, fetched in one
+ * /api/weather/batch call. Cities that fail are listed with their error
+ * instead of failing the page.
+ */
+export default function Compare() {
+  const [cities, setCities] = useState([]);
+  const [city, setCity] = useState("");
+  const [batch, setBatch] = useState({ keys: "", results: [] });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [unitPrefs, setUnitPrefs] = useState(null);
+  const [sort, setSort] = useState({ key: "temp", order: "desc" });
+  const [page, setPage] = useState(1);
+  const inputRef = useRef();
+
+  // Last comparison, else the first 10 favorites
+  useEffect(() => {
+    const saved = getItem(COMPARE_KEY);
+    setCities(Array.isArray(saved) ? saved : getFavorites().slice(0, MAX_CITIES));
+    setUnitPrefs(getItem(UNIT_PREFS_KEY));
+  }, []);
+
+  const keys = cities.map(cityKey).join(";");
+
+  useEffect(() => {
+    if (!cities.length) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError("");
+
+    fetch("/api/weather/batch", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        locations: cities.map((c) => Object.fromEntries(new URLSearchParams(cityQuery(c)))),
+        include: "forecast",
+        units: "metric",
+      }),
+    })
+      .then(async (res) => {
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || "Error fetching weather");
+        if (!cancelled) setBatch({ keys, results: data.results });
+      })
+      .catch((err) => { if (!cancelled) setError(err.message); })
+      .finally(() => { if (!cancelled) setLoading(false); });
+
+    return () => { cancelled = true; };
+    // cities is captured through `keys`
+  }, [keys]);
+
+  function updateCities(next) {
+    setCities(next);
+    setItem(COMPARE_KEY, next);
+    setPage(1);
+  }
+
+  function addCity(next) {
+    setCity("");
+    if (cities.length >= MAX_CITIES || cities.some((c) => cityKey(c) === cityKey(next))) return;
+    updateCities([...cities, next]);
+  }
+
+  function submitCity(e) {
+    e.preventDefault();
+    if (city.trim()) addCity({ name: city.trim(), country: "" });
+  }
+
+  const selectSuggestion = ({ name, country, lat, lon }) => addCity({ id: null, name, country, lat, lon });
+  const removeCity = (c) => updateCities(cities.filter((x) => cityKey(x) !== cityKey(c)));
+
+  const units = resolveUnits(
+    unitPrefs?.system || "metric",
+    unitPrefs?.system === "custom" ? unitPrefs.custom : {}
+  );
+  const temp = (v) => formatTemp(v, { unit: units.temperature, from: "C", decimals: 0 }) || "—";
+
+  // Results come back in request order; only pair them with the list they were fetched for
+  const results = batch.keys === keys ? batch.results : [];
+  const paired = results.map((r, i) => ({ result: r, city: cities[i], color: COLORS[i % COLORS.length] }))
+    .filter((p) => p.city);
+  const [ok, failed] = partition(paired, (p) => p.result.success);
+
+  const rows = ok.map(({ result, city: c, color }) => {
+    const zone = { timezone: result.location.timezone, utcOffset: result.location.timezoneOffset };
+    const today = summarizeDailyForecast(result.forecast?.list, { ...zone, days: 1, includeDerived: false })[0];
+    const cur = result.current;
+
+    return {
+      key: cityKey(c),
+      city: c,
+      color,
+      name: formatCityLabel(result.location),
+      temp: cur.temp,
+      feelsLike: cur.feelsLike,
+      high: today?.max ?? null,
+      low: today?.min ?? null,
+      humidity: cur.humidity,
+      wind: cur.windSpeed,
+      pressure: cur.pressure,
+      pop: today ? today.precipitationProbability : null,
+      icon: cur.condition?.icon,
+      condition: cur.condition?.description,
+      points: (result.forecast?.list || []).map((e) => ({ time: e.time, temp: e.temp })).filter((p) => Number.isFinite(p.temp)),
+    };
+  });
+
+  // Missing values always sort last
+  const [known, unknown] = partition(rows, (r) => r[sort.key] !== null && r[sort.key] !== undefined);
+  const sorted = [...sortBy(known, (r) => (typeof r[sort.key] === "string" ? r[sort.key].toLowerCase() : r[sort.key]), sort.order), ...unknown];
+
+  const pagination = new Pagination({ items: sorted, pageSize: PAGE_SIZE });
+  const visible = pagination.goToPage(page);
+  const info = pagination.getPageInfo();
+
+  function toggleSort(key) {
+    setSort((s) => (s.key === key ? { key, order: s.order === "asc" ? "desc" : "asc" } : { key, order: key === "name" ? "asc" : "desc" }));
+    setPage(1);
+  }
+
+  const cell = {
+    name: (r) => (
+      <span style={styles.cityCell}>
+        <span style={{ ...styles.swatch, background: r.color }} aria-hidden="true" />
+        {r.icon && <img src={`https://openweathermap.org/img/wn/${r.icon}.png`} alt={r.condition || ""} style={styles.icon} />}
+        {r.name}
+      </span>
+    ),
+    temp: (r) => temp(r.temp),
+    feelsLike: (r) => temp(r.feelsLike),
+    high: (r) => temp(r.high),
+    low: (r) => temp(r.low),
+    humidity: (r) => formatPercent(r.humidity) || "—",
+    wind: (r) => formatWind(r.wind, { unit: units.wind, decimals: 0 }) || "—",
+    pressure: (r) => formatPressure(r.pressure, { unit: units.pressure }) || "—",
+    pop: (r) => formatPercent(r.pop) || "—",
+  };
+
+  return (
+    <main style={styles.main}>
+      <header style={styles.header}>
+        <Link href="/" style={styles.back}>← WeatherPro</Link>
+        <h1 style={styles.title}>Compare cities</h1>
+        <p style={styles.subtitle}>Up to {MAX_CITIES} cities side by side.</p>
+      </header>
+
+      <form onSubmit={submitCity} style={styles.form}>
+        <CityAutocomplete
+          placeholder={cities.length >= MAX_CITIES ? `Limit of ${MAX_CITIES} cities reached` : "Add a city"}
+          value={city}
+          onChange={setCity}
+          onSelect={selectSuggestion}
+          inputRef={inputRef}
+          style={styles.input}
+          disabled={cities.length >= MAX_CITIES}
+        />
+        <button type="submit" style={styles.button} disabled={cities.length >= MAX_CITIES}>Add</button>
+      </form>
+
+      {cities.length > 0 && (
+        <ul style={styles.chips} aria-label="Cities being compared">
+          {cities.map((c) => (
+            <li key={cityKey(c)} style={styles.chip}>
+              {formatCityLabel(c)}
+              <button type="button" onClick={() => removeCity(c)} aria-label={`Remove ${c.name}`} style={styles.chipRemove}>×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {!cities.length && <p style={styles.muted}>Add cities above, or star some on the Home page.</p>}
+      {error && <div style={styles.error}>{error}</div>}
+      {loading && <p style={styles.muted}>Loading…</p>}
+
+      {!loading && rows.length > 0 && (
+        <section style={styles.card}>
+          <div style={styles.tableWrap}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  {COLUMNS.map(([key, label, numeric]) => (
+                    <th
+                      key={key}
+                      scope="col"
+                      aria-sort={sort.key === key ? (sort.order === "asc" ? "ascending" : "descending") : "none"}
+                      style={{ ...styles.th, textAlign: numeric ? "right" : "left" }}
+                    >
+                      <button type="button" onClick={() => toggleSort(key)} style={styles.sortButton}>
+                        {label}{sort.key === key ? (sort.order === "asc" ? " ▲" : " ▼") : ""}
+                      </button>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((r) => (
+                  <tr key={r.key}>
+                    {COLUMNS.map(([key, , numeric]) => (
+                      <td key={key} style={{ ...styles.td, textAlign: numeric ? "right" : "left" }}>{cell[key](r)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {info.totalPages > 1 && (
+            <nav style={styles.pager} aria-label="Table pages">
+              <button type="button" onClick={() => setPage(info.currentPage - 1)} disabled={!info.hasPrevious} style={styles.pageButton}>‹ Prev</button>
+              <span style={styles.muted}>
+                {info.startIndex + 1}–{info.endIndex} of {info.totalItems}
+              </span>
+              <button type="button" onClick={() => setPage(info.currentPage + 1)} disabled={!info.hasNext} style={styles.pageButton}>Next ›</button>
+            </nav>
+          )}
+        </section>
+      )}
+
+      {!loading && failed.length > 0 && (
+        <section style={styles.card} aria-label="Cities that failed to load">
+          <h3 style={styles.cardTitle}>Couldn't load</h3>
+          <ul style={styles.failures}>
+            {failed.map(({ result, city: c }) => (
+              <li key={cityKey(c)} style={styles.failure}>
+                <strong>{formatCityLabel(c)}</strong>: {result.error}
+                <button type="button" onClick={() => removeCity(c)} style={styles.linkButton}>Remove</button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      )}
+
+      {!loading && rows.length > 0 && (
+        <ComparisonChart
+          units={units}
+          series={rows.map((r) => ({ key: r.key, label: r.name, color: r.color, points: r.points }))}
+        />
+      )}
+    </main>
+  );
+}
+
+// --- Styling ---
+const theme = {
+  accent: "#2a8cf9",
+  border: "#e3e8ee",
+  err: "#e63946",
+};
+const styles = {
+  main: {
+    minHeight: "100vh", display: "flex", flexDirection: "column", alignItems: "center",
+    padding: "24px 16px", background: "#ededf3", boxSizing: "border-box", maxWidth: 800, margin: "0 auto",
+  },
+  header: { textAlign: "center", marginBottom: 24 },
+  back: { color: theme.accent, textDecoration: "none", fontWeight: 600, fontSize: 14 },
+  title: { fontSize: "2rem", margin: "8px 0 0 0", fontWeight: 800, color: theme.accent, letterSpacing: "-0.03em" },
+  subtitle: { fontSize: "1rem", color: "#66687c", margin: "4px 0 0 0" },
+  form: { display: "flex", gap: 12, width: "100%", maxWidth: 380, margin: "0 auto 16px auto", justifyContent: "center" },
+  input: {
+    flex: 1, fontSize: "1rem", padding: "10px 12px", border: `1px solid ${theme.border}`,
+    borderRadius: 6, outline: "none", minWidth: 0, marginRight: 4,
+  },
+  button: {
+    background: theme.accent, color: "#fff", border: "none", borderRadius: 6,
+    padding: "10px 18px", fontSize: "1rem", cursor: "pointer", fontWeight: 600,
+  },
+  chips: { display: "flex", flexWrap: "wrap", gap: 8, justifyContent: "center", listStyle: "none", padding: 0, margin: "0 0 16px 0" },
+  chip: {
+    display: "flex", alignItems: "center", gap: 4, background: "#fff", border: `1px solid ${theme.border}`,
+    borderRadius: 16, padding: "4px 6px 4px 12px", fontSize: 14, color: "#344767",
+  },
+  chipRemove: { border: "none", background: "none", cursor: "pointer", fontSize: 16, color: "#9aa3bd", padding: "0 4px" },
+  card: {
+    width: "100%", background: "#fff", borderRadius: 12, padding: 20, marginTop: 20,
+    boxShadow: "0 2px 12px 0 #adbeea22", boxSizing: "border-box",
+  },
+  cardTitle: { margin: "0 0 8px 0", color: "#0e1f3a", fontSize: "1.1rem", fontWeight: 700 },
+  tableWrap: { overflowX: "auto" },
+  table: { width: "100%", borderCollapse: "collapse", fontSize: 14 },
+  th: { borderBottom: `2px solid ${theme.border}`, padding: "6px 8px", whiteSpace: "nowrap" },
+  sortButton: { border: "none", background: "none", font: "inherit", fontWeight: 700, color: "#344767", cursor: "pointer", padding: 0 },
+  td: { borderBottom: `1px solid ${theme.border}`, padding: "6px 8px", whiteSpace: "nowrap", color: "#0f1f3c" },
+  cityCell: { display: "flex", alignItems: "center", gap: 6, fontWeight: 600 },
+  swatch: { width: 10, height: 10, borderRadius: 5, flex: "none" },
+  icon: { width: 28, height: 28 },
+  pager: { display: "flex", justifyContent: "center", alignItems: "center", gap: 12, marginTop: 12 },
+  pageButton: {
+    background: "#fff", color: "#344767", border: `1px solid ${theme.border}`, borderRadius: 6,
+    padding: "4px 10px", fontSize: 13, cursor: "pointer", fontWeight: 600,
+  },
+  failures: { listStyle: "none", padding: 0, margin: 0 },
+  failure: { color: theme.err, fontSize: 14, padding: "4px 0" },
+  linkButton: { border: "none", background: "none", color: theme.accent, cursor: "pointer", fontSize: 13, marginLeft: 8 },
+  error: {
+    color: theme.err, padding: "10px 16px", background: "#fff5f6",
+    border: `1px solid ${theme.err}33`, margin: "7px 0 20px 0", borderRadius: 5, fontWeight: 500,
+  },
+  muted: { fontSize: 14, color: "#7183a3" },
+};
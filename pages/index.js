@@ -1,5 +1,33 @@
 // AI Assistant Demo PR: harmless comment to trigger PR
 import { useState, useRef, useEffect } from "react";
+import Link from "next/link";
+import {
+  formatTemp, formatTempDelta, formatWind, formatHeight, formatAbsoluteHumidity, formatDegreeDays, formatComfort,
+} from "../utils/weatherFormat";
+import { resolveUnits } from "../utils/units";
+import { getItem, setItem } from "../utils/localStorageManager";
+import { summarizeDailyForecast, formatLocalTime } from "../utils/forecastUtils";
+import {
+  getFavorites, getRecent, pushRecent, clearRecent, toggleFavorite, removeFavorite,
+  moveFavorite, subscribeSavedCities, cityKey, cityQuery, rememberLastCity,
+} from "../utils/savedCities";
+import { formatCityLabel } from "../utils/citySearch";
+import HourlyTimeline from "../components/HourlyTimeline";
+import SavedCities from "../components/SavedCities";
+import FavoritesDashboard from "../components/FavoritesDashboard";
+import CityAutocomplete from "../components/CityAutocomplete";
+import WeatherAlerts from "../components/WeatherAlerts";
+import AirQualityCard from "../components/AirQualityCard";
+import OfflineBanner from "../components/OfflineBanner";
+import { isOnline, isOfflineResponse, subscribeConnectivity, requestWeatherRefresh } from "../utils/serviceWorker";
+// Server-only; used by getServerSideProps, so Next.js leaves them out of the client bundle
+import { resolveDefaultCity, envDefault } from "../utils/defaultCity";
+import { fetchWeather } from "../utils/weatherService";
+import { checkAccess } from "../utils/apiAccess";
+
+// Persisted unit preference; custom overrides apply on top of metric
+const UNIT_PREFS_KEY = "unitPrefs";
+const DEFAULT_UNIT_PREFS = { system: "metric", custom: { temperature: "C", wind: "km/h" } };
 
 /**
  * Professional Weather App Home Page (2025)
@@ -9,66 +37,135 @@ export default function Home({ initialWeather }) {
   const [weather, setWeather] = useState(initialWeather);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
+  const [unitPrefs, setUnitPrefs] = useState(DEFAULT_UNIT_PREFS);
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [favorites, setFavorites] = useState([]);
+  const [recent, setRecent] = useState([]);
+  const [showDashboard, setShowDashboard] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [online, setOnline] = useState(true);
+  const [fromCache, setFromCache] = useState(false);
   const inputRef = useRef();
+  const refreshRef = useRef(null);
 
   // Auto-focus the city input on mount
   useEffect(() => { inputRef.current?.focus(); }, []);
 
-  // Turn 3h slices into 5 daily summaries
-  function reduceToDaily(forecast) {
-    const list = forecast?.list;
-    if (!Array.isArray(list) || !list.length) return [];
-
-    const byDate = {};
-    for (const item of list) {
-      const [dateStr] = item.dt_txt.split(" ");
-      (byDate[dateStr] ||= []).push(item);
-    }
+  // Restore unit preference after hydration (localStorage is client-only)
+  useEffect(() => {
+    const saved = getItem(UNIT_PREFS_KEY);
+    if (saved?.system) setUnitPrefs({ ...DEFAULT_UNIT_PREFS, ...saved });
+  }, []);
 
-    const days = Object.keys(byDate).sort().map((dateStr) => {
-      const entries = byDate[dateStr];
-      let min = Infinity, max = -Infinity;
-
-      for (const e of entries) {
-        if (typeof e.main?.temp_min === "number") min = Math.min(min, e.main.temp_min);
-        if (typeof e.main?.temp_max === "number") max = Math.max(max, e.main.temp_max);
-      }
+  // Saved cities live in localStorage; other tabs push their changes here
+  useEffect(() => {
+    setFavorites(getFavorites());
+    setRecent(getRecent());
+    return subscribeSavedCities((changed) => {
+      if (changed.favorites) setFavorites(changed.favorites);
+      if (changed.recent) setRecent(changed.recent);
+    });
+  }, []);
 
-      const noon = entries.find(e => e.dt_txt.includes("12:00:00")) || entries[Math.floor(entries.length / 2)];
-      const w = noon.weather?.[0] || entries[0]?.weather?.[0] || {};
-
-      return {
-        dateStr,
-        min: Number.isFinite(min) ? Math.round(min) : null,
-        max: Number.isFinite(max) ? Math.round(max) : null,
-        icon: w.icon,
-        main: w.main,
-        desc: w.description,
-      };
+  // Back online: the service worker refreshes every saved city, the page its current one
+  useEffect(() => {
+    setOnline(isOnline());
+    return subscribeConnectivity((nowOnline) => {
+      setOnline(nowOnline);
+      if (!nowOnline) return;
+      requestWeatherRefresh();
+      refreshRef.current?.();
     });
+  }, []);
 
-    return days.slice(0, 5);
+  // Units are applied client-side from metric data, so switching never re-fetches
+  function updateUnitPrefs(next) {
+    setUnitPrefs(next);
+    setItem(UNIT_PREFS_KEY, next);
   }
 
-  // NOTE: Uses ?q= for city in backend now + include forecast
-  async function fetchWeather(e) {
-    e.preventDefault();
-    setWeather(null);
-    setError("");
-    setLoading(true);
+  const units = resolveUnits(
+    unitPrefs.system,
+    unitPrefs.system === "custom" ? unitPrefs.custom : {}
+  );
+  const temp = (value, decimals = 1) => formatTemp(value, { unit: units.temperature, from: "C", decimals }) || "—";
+
+  // `lookup` is a location query string (q=, lat=&lon=, id=), always with forecast.
+  // A `quiet` reload keeps the current data on screen and ignores failures.
+  async function loadWeather(lookup, { quiet = false } = {}) {
+    if (!quiet) {
+      setWeather(null);
+      setError("");
+      setLoading(true);
+    }
     try {
-      const res = await fetch(`/api/weather?q=${encodeURIComponent(city)}&include=forecast`);
+      const res = await fetch(`/api/weather?${lookup}&include=forecast&units=metric`);
       const data = await res.json();
       if (!res.ok) throw new Error(data.error || "Error fetching weather");
       setWeather(data);
+      setFromCache(isOfflineResponse(res));
+      if (!quiet) {
+        setSelectedDay(null);
+        setRecent(pushRecent(data.location));
+        rememberLastCity(data.location);
+      }
     } catch (err) {
-      setError(err.message);
+      if (!quiet) setError(err.message);
     } finally {
-      setLoading(false);
+      if (!quiet) setLoading(false);
     }
   }
 
-  const daily = reduceToDaily(weather?.forecast);
+  function fetchWeather(e) {
+    e.preventDefault();
+    loadWeather(`q=${encodeURIComponent(city)}`);
+  }
+
+  // Suggestions carry coordinates, so "Portland, Maine" never resolves to Oregon
+  function selectSuggestion(suggestion) {
+    setCity(formatCityLabel(suggestion));
+    loadWeather(cityQuery(suggestion));
+  }
+
+  function selectSavedCity(saved) {
+    setCity(saved.name);
+    setShowDashboard(false);
+    loadWeather(cityQuery(saved));
+  }
+
+  const current = weather?.success ? weather.current : null;
+  const location = weather?.location || {};
+  const starred = favorites.some((c) => cityKey(c) === cityKey(location));
+  const currentLookup = current ? cityQuery(location) : null;
+
+  // Climate normals for the forecast days and how the last two weeks compared
+  useEffect(() => {
+    setHistory(null);
+    if (!currentLookup) return;
+
+    let cancelled = false;
+    fetch(`/api/history?${currentLookup}&days=14`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => { if (!cancelled && data?.normals) setHistory(data); })
+      // Badges are extra context; the forecast is fine without them
+      .catch(() => {});
+
+    return () => { cancelled = true; };
+  }, [currentLookup]);
+
+  // What the connectivity listener re-fetches when the browser comes back online
+  useEffect(() => {
+    refreshRef.current = currentLookup ? () => loadWeather(currentLookup, { quiet: true }) : null;
+  });
+
+  const normalsByDate = Object.fromEntries((history?.upcoming || []).map((n) => [n.date, n]));
+
+  // Days, "Today", sunrise/sunset and hours all use the city's local time
+  const zone = { timezone: location.timezone, utcOffset: location.timezoneOffset };
+
+  // Daily cards and the hourly timeline share one summary from forecastUtils
+  const daily = summarizeDailyForecast(weather?.forecast?.list, { ...zone, days: 5, includeHourly: true });
+  const activeDay = daily.find((d) => d.date === selectedDay) || daily[0];
 
   return (
     <main style={styles.main}>
@@ -81,83 +178,165 @@ export default function Home({ initialWeather }) {
         </p>
       </header>
 
+      <OfflineBanner online={online} fromCache={fromCache} fetchedAt={weather?.meta?.fetchedAt} />
+
       {/* Search */}
       <form onSubmit={fetchWeather} style={styles.form}>
-        <input
-          type="text"
+        <CityAutocomplete
           placeholder="Search for a city (e.g. Paris)"
           value={city}
-          onChange={(e) => setCity(e.target.value)}
-          ref={inputRef}
+          onChange={setCity}
+          onSelect={selectSuggestion}
+          inputRef={inputRef}
           style={styles.input}
-          aria-label="City search"
           disabled={loading}
-          required
         />
         <button type="submit" style={styles.button} disabled={loading}>
           {loading ? "Getting weather..." : "Search"}
         </button>
       </form>
 
+      {/* Units */}
+      <UnitToggle prefs={unitPrefs} onChange={updateUnitPrefs} />
+
+      {/* Favorites & recent searches */}
+      <SavedCities
+        favorites={favorites}
+        recent={recent}
+        onSelect={selectSavedCity}
+        onRemove={(c) => setFavorites(removeFavorite(c))}
+        onMove={(c, offset) => setFavorites(moveFavorite(c, offset))}
+        onClearRecent={() => setRecent(clearRecent())}
+      />
+
+      {favorites.length > 0 && (
+        <button
+          type="button"
+          onClick={() => setShowDashboard((v) => !v)}
+          aria-pressed={showDashboard}
+          style={{ ...styles.unitButton, ...(showDashboard && styles.unitButtonActive), ...styles.dashboardToggle }}
+        >
+          {showDashboard ? "Back to city" : "Favorites dashboard"}
+        </button>
+      )}
+
+      <Link href="/compare" style={styles.compareLink}>Compare cities →</Link>
+
+      {showDashboard && (
+        <FavoritesDashboard favorites={favorites} units={units} onSelect={selectSavedCity} />
+      )}
+
       {/* Errors */}
       {error && <div style={styles.error}>{error}</div>}
 
       {/* Weather Card */}
-      {!loading && weather?.main && (
+      {!showDashboard && !loading && current && (
         <section style={{ ...styles.card, animation: "fadein 0.7s" }} tabIndex={0}>
           <h2 style={styles.cardCity}>
-            {weather.name}, <span style={styles.cardCountry}>{weather.sys.country}</span>
+            {location.name}, <span style={styles.cardCountry}>{location.country}</span>
+            <button
+              type="button"
+              onClick={() => setFavorites(toggleFavorite(location))}
+              aria-pressed={starred}
+              aria-label={starred ? `Remove ${location.name} from favorites` : `Add ${location.name} to favorites`}
+              style={starred ? { ...styles.star, ...styles.starActive } : styles.star}
+            >
+              {starred ? "★" : "☆"}
+            </button>
           </h2>
           <img
-            src={`https://openweathermap.org/img/wn/${weather.weather[0].icon}@4x.png`}
-            alt={weather.weather[0].main}
+            src={`https://openweathermap.org/img/wn/${current.condition.icon}@4x.png`}
+            alt={current.condition.main}
             style={styles.icon}
           />
           <div style={styles.tempRow}>
-            <span style={styles.temp}>{weather.main.temp.toFixed(1)}°C</span>
-            <span style={styles.desc}>{weather.weather[0].description}</span>
+            <span style={styles.temp}>{temp(current.temp)}</span>
+            <span style={styles.desc}>{current.condition.description}</span>
           </div>
           <div style={styles.infoRow}>
             <div>
               <strong>Humidity</strong>
-              <div>{weather.main.humidity}%</div>
+              <div>{current.humidity}%</div>
             </div>
             <div>
               <strong>Feels Like</strong>
-              <div>{weather.main.feels_like.toFixed(1)}°C</div>
+              <div>{temp(current.feelsLike)}</div>
             </div>
             <div>
               <strong>Wind</strong>
-              <div>{weather.wind.speed} m/s</div>
+              <div>{formatWind(current.windSpeed, { unit: units.wind }) || "—"}</div>
             </div>
           </div>
+          {current.sunrise && current.sunset && (
+            <div style={styles.sunRow}>
+              Sunrise {formatLocalTime(current.sunrise, zone)} · Sunset {formatLocalTime(current.sunset, zone)}
+              <span style={styles.sunZone}> ({location.timezone || formatUtcOffset(location.timezoneOffset)})</span>
+            </div>
+          )}
         </section>
       )}
 
+      {/* Air quality & UV */}
+      {!showDashboard && !loading && current && <AirQualityCard location={location} />}
+
       {/* 5-Day Forecast (if backend included it) */}
-      {!loading && daily?.length > 0 && (
+      {!showDashboard && !loading && daily?.length > 0 && (
         <section style={{ ...styles.card, ...styles.forecastCard }}>
-          <h3 style={styles.forecastTitle}>5-Day Forecast</h3>
+          <div style={styles.forecastHeader}>
+            <h3 style={styles.forecastTitle}>5-Day Forecast</h3>
+            {currentLookup && <ExportMenu lookup={currentLookup} prefs={unitPrefs} />}
+          </div>
+          {history?.summary?.anomaly && (
+            <p style={styles.historyNote}>
+              Last {history.summary.days} days averaged {formatTempDelta(history.summary.anomaly.mean, { unit: units.temperature })} vs
+              the {history.normals.period} normal ({history.normals.station})
+            </p>
+          )}
           <div style={styles.forecastGrid}>
             {daily.map((d) => (
-              <article key={d.dateStr} style={styles.dayCard} aria-label={`Forecast for ${d.dateStr}`}>
-                <div style={styles.dayName}>{formatDayName(d.dateStr)}</div>
+              <button
+                key={d.date}
+                type="button"
+                onClick={() => setSelectedDay(d.date)}
+                aria-pressed={d === activeDay}
+                aria-label={`Forecast for ${d.date}, show hourly`}
+                style={d === activeDay ? { ...styles.dayCard, ...styles.dayCardActive } : styles.dayCard}
+              >
+                <div style={styles.dayName}>{dayLabel(d)}</div>
                 <img
                   src={`https://openweathermap.org/img/wn/${d.icon}@2x.png`}
-                  alt={d.main || "weather icon"}
+                  alt={d.weather || "weather icon"}
                   style={styles.dayIcon}
                 />
-                <div style={styles.dayDesc}>{d.desc}</div>
+                <div style={styles.dayDesc}>{d.description}</div>
                 <div style={styles.dayTemps}>
-                  <span style={styles.maxTemp}>{d.max ?? "—"}°</span>
-                  <span style={styles.minTemp}>{d.min ?? "—"}°</span>
+                  <span style={styles.maxTemp}>{temp(d.max, 0)}</span>
+                  <span style={styles.minTemp}>{temp(d.min, 0)}</span>
                 </div>
-              </article>
+                <div style={styles.dayWind}>{formatWind(d.wind, { unit: units.wind, decimals: 0 })}</div>
+                {normalsByDate[d.date] && (
+                  <AnomalyBadge delta={d.max - normalsByDate[d.date].tempMax} unit={units.temperature} />
+                )}
+              </button>
             ))}
           </div>
+          {activeDay?.derived && <DayDetails day={activeDay} units={units} temp={temp} />}
         </section>
       )}
 
+      {/* Hourly timeline for the selected day */}
+      {!showDashboard && !loading && activeDay?.hourly && (
+        <HourlyTimeline
+          entries={activeDay.hourly}
+          units={units}
+          zone={zone}
+          title={`Hourly · ${dayLabel(activeDay)}`}
+        />
+      )}
+
+      {/* Alert rules for this city; hits pop up as toasts */}
+      <WeatherAlerts location={!showDashboard && !loading && current ? location : null} units={units} />
+
       {/* Global styles unchanged */}
       <style jsx global>{`
         @keyframes fadein {
@@ -180,25 +359,165 @@ export default function Home({ initialWeather }) {
   );
 }
 
+const UNIT_SYSTEM_OPTIONS = [
+  { value: "metric", label: "Metric" },
+  { value: "imperial", label: "Imperial" },
+  { value: "custom", label: "Custom" },
+];
+
+const CUSTOM_UNIT_OPTIONS = {
+  temperature: [["C", "°C"], ["F", "°F"], ["K", "K"]],
+  wind: [["m/s", "m/s"], ["km/h", "km/h"], ["mph", "mph"], ["kn", "knots"], ["bft", "Beaufort"]],
+};
+
+// Highs within half a degree of normal aren't worth a colour
+const NEAR_NORMAL_C = 0.5;
+
+function UnitToggle({ prefs, onChange }) {
+  return (
+    <div style={styles.unitBar}>
+      <div role="radiogroup" aria-label="Unit system" style={styles.unitGroup}>
+        {UNIT_SYSTEM_OPTIONS.map((o) => (
+          <button
+            key={o.value}
+            type="button"
+            role="radio"
+            aria-checked={prefs.system === o.value}
+            onClick={() => onChange({ ...prefs, system: o.value })}
+            style={prefs.system === o.value ? { ...styles.unitButton, ...styles.unitButtonActive } : styles.unitButton}
+          >
+            {o.label}
+          </button>
+        ))}
+      </div>
+
+      {prefs.system === "custom" && (
+        <div style={styles.unitGroup}>
+          {Object.entries(CUSTOM_UNIT_OPTIONS).map(([field, options]) => (
+            <select
+              key={field}
+              aria-label={`${field} unit`}
+              value={prefs.custom[field]}
+              onChange={(e) => onChange({ ...prefs, custom: { ...prefs.custom, [field]: e.target.value } })}
+              style={styles.unitSelect}
+            >
+              {options.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const EXPORT_OPTIONS = [
+  ["csv", "CSV (spreadsheet)"],
+  ["json", "JSON"],
+  ["xml", "XML"],
+  ["ics", "Calendar (.ics)"],
+];
+
+// Downloads the forecast from /api/weather/export in the units on screen
+function ExportMenu({ lookup, prefs }) {
+  const params = new URLSearchParams({ units: prefs.system });
+  if (prefs.system === "custom") {
+    params.set("temperature", prefs.custom.temperature);
+    params.set("wind", prefs.custom.wind);
+  }
+
+  return (
+    <details style={styles.exportMenu}>
+      <summary style={styles.exportSummary}>Export</summary>
+      <ul style={styles.exportList}>
+        {EXPORT_OPTIONS.map(([format, label]) => (
+          <li key={format}>
+            <a href={`/api/weather/export?${lookup}&format=${format}&${params}`} download style={styles.exportLink}>
+              {label}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+// Derived metrics for the selected day (forecastUtils), in the chosen units
+function DayDetails({ day, units, temp }) {
+  const d = day.derived;
+  const rows = [
+    ["Feels like", d.feelsLikeMin === null ? "—" : `${temp(d.feelsLikeMin, 0)} – ${temp(d.feelsLikeMax, 0)}`],
+    ["Dew point", temp(d.dewPoint)],
+    ["Absolute humidity", formatAbsoluteHumidity(d.absoluteHumidity, { unit: units.humidity }) || "—"],
+    ["Cloud base", formatHeight(d.cloudBase, { unit: units.height }) || "—"],
+    ["Growing degree days", formatDegreeDays(d.growingDegreeDays, { unit: units.temperature }) || "—"],
+    ["Comfort", formatComfort(d.comfort) || "—"],
+  ];
+
+  return (
+    <dl style={styles.details} aria-label={`Details for ${dayLabel(day)}`}>
+      {rows.map(([label, value]) => (
+        <div key={label} style={styles.detail}>
+          <dt style={styles.detailLabel}>{label}</dt>
+          <dd style={styles.detailValue}>{value}</dd>
+        </div>
+      ))}
+    </dl>
+  );
+}
+
+// Daytime high vs the climate normal, e.g. "+4.2° above normal"
+function AnomalyBadge({ delta, unit }) {
+  const near = Math.abs(delta) < NEAR_NORMAL_C;
+  const tone = near ? styles.anomalyNear : delta > 0 ? styles.anomalyWarm : styles.anomalyCool;
+  const text = near ? "near normal" : `${formatTempDelta(delta, { unit })} ${delta > 0 ? "above" : "below"} normal`;
+
+  return <div style={{ ...styles.anomaly, ...tone }}>{text}</div>;
+}
+
+// "Today" / "Tomorrow" in the city's local time, else e.g. "Wed, Oct 21"
+function dayLabel(day) {
+  return day.label === day.dayName ? formatDayName(day.date) : day.label;
+}
+
+// dateStr is already the city's local calendar date; format it as-is
 function formatDayName(dateStr) {
   try {
-    const d = new Date(dateStr + "T00:00:00Z");
-    return d.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" });
+    const d = new Date(dateStr + "T12:00:00Z");
+    return d.toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric", timeZone: "UTC" });
   } catch {
     return dateStr;
   }
 }
 
-// Server-side fetch for default city (London) WITH forecast
-export async function getServerSideProps() {
+function formatUtcOffset(seconds) {
+  if (!Number.isFinite(seconds)) return "UTC";
+  const sign = seconds < 0 ? "-" : "+";
+  const abs = Math.abs(seconds);
+  const hh = String(Math.floor(abs / 3600)).padStart(2, "0");
+  const mm = String(Math.floor((abs % 3600) / 60)).padStart(2, "0");
+  return `UTC${sign}${hh}:${mm}`;
+}
+
+// Server-side fetch of the default city WITH forecast. The city is the first of
+// ?q= / lastCity cookie / geo headers / Accept-Language / DEFAULT_CITY (utils/defaultCity.js),
+// fetched in-process through the same service as /api/weather (no HTTP hop).
+export async function getServerSideProps({ req, res, query }) {
+  // Counted like /api/weather, or /?q= would reach the provider unmetered
+  if (!(await checkAccess(req, res)).allowed) return { props: { initialWeather: null } };
+
+  const { params, source } = resolveDefaultCity({ query, cookies: req.cookies, headers: req.headers });
+  const load = (location) => fetchWeather({ ...location, include: "forecast", units: "metric" });
+
   let initialWeather = null;
   try {
-    const res = await fetch(`http://localhost:3000/api/weather?q=London&include=forecast`);
-    initialWeather = await res.json();
+    initialWeather = await load(params);
   } catch {
-    initialWeather = null;
+    // A stale cookie or odd header shouldn't leave the page empty
+    if (source !== "env") initialWeather = await load(envDefault()).catch(() => null);
   }
-  return { props: { initialWeather } };
+
+  // Props must be plain JSON (no undefined fields)
+  return { props: { initialWeather: initialWeather && JSON.parse(JSON.stringify(initialWeather)) } };
 }
 
 // --- Styling ---
@@ -230,6 +549,14 @@ const styles = {
     background: theme.accent, color: "#fff", border: "none", borderRadius: 6,
     padding: "10px 18px", fontSize: "1rem", cursor: "pointer", fontWeight: 600, transition: "background 0.2s",
   },
+  unitBar: { display: "flex", flexWrap: "wrap", gap: 10, justifyContent: "center", margin: "-16px 0 24px 0" },
+  unitGroup: { display: "flex", gap: 4 },
+  unitButton: {
+    background: theme.card, color: "#344767", border: `1px solid ${theme.border}`, borderRadius: 6,
+    padding: "6px 12px", fontSize: 14, cursor: "pointer", fontWeight: 600,
+  },
+  unitButtonActive: { background: theme.accent, color: "#fff", border: `1px solid ${theme.accent}` },
+  unitSelect: { fontSize: 14, padding: "5px 8px", border: `1px solid ${theme.border}`, borderRadius: 6, background: theme.card },
   error: {
     color: theme.err, padding: "10px 16px", background: "#fff5f6",
     border: `1px solid ${theme.err}33`, margin: "7px 0 20px 0", borderRadius: 5, fontWeight: 500,
@@ -240,6 +567,10 @@ const styles = {
   },
   cardCity: { margin: 0, fontSize: "1.4rem", fontWeight: 700, color: theme.accent },
   cardCountry: { fontWeight: 400, color: "#6374a5", fontSize: 18 },
+  star: { border: "none", background: "none", fontSize: 22, marginLeft: 8, color: "#9aa3bd", cursor: "pointer", verticalAlign: "middle" },
+  starActive: { color: "#f5b301" },
+  dashboardToggle: { margin: "0 0 12px 0" },
+  compareLink: { color: theme.accent, fontWeight: 600, fontSize: 14, textDecoration: "none", marginBottom: 24 },
   icon: {
     margin: "16px 0 12px 0", width: 84, height: 84, display: "block",
     background: "#f3f8ff", borderRadius: "50%", border: "1px solid #e4eaf6",
@@ -247,17 +578,45 @@ const styles = {
   tempRow: { display: "flex", alignItems: "center", gap: 14 },
   temp: { fontSize: "2.4rem", fontWeight: 700, marginRight: 8, color: "#011b39" },
   desc: { fontSize: 20, textTransform: "capitalize", color: "#616886" },
+  sunRow: { marginTop: 14, fontSize: 14, color: "#616886" },
+  sunZone: { color: "#9aa3bd" },
   infoRow: { display: "flex", gap: 32, marginTop: 16, justifyContent: "center", fontSize: 17, width: "100%", textAlign: "center" },
 
   // Forecast styles
   forecastCard: { marginTop: 20, alignItems: "stretch" },
-  forecastTitle: { margin: "0 0 16px 0", color: "#0e1f3a", fontSize: "1.1rem", fontWeight: 700 },
+  forecastHeader: { display: "flex", justifyContent: "space-between", alignItems: "flex-start", marginBottom: 16 },
+  forecastTitle: { margin: 0, color: "#0e1f3a", fontSize: "1.1rem", fontWeight: 700 },
+  exportMenu: { position: "relative", fontSize: 14 },
+  exportSummary: { cursor: "pointer", color: theme.accent, fontWeight: 600, listStyle: "none" },
+  exportList: {
+    position: "absolute", right: 0, top: "100%", zIndex: 5, margin: "6px 0 0 0", padding: 6, listStyle: "none",
+    background: "#fff", border: `1px solid ${theme.border}`, borderRadius: 8, boxShadow: "0 4px 16px #adbeea55",
+    whiteSpace: "nowrap",
+  },
+  exportLink: { display: "block", padding: "6px 10px", color: "#344767", textDecoration: "none", borderRadius: 6 },
   forecastGrid: { display: "grid", gridTemplateColumns: "repeat(5, minmax(0, 1fr))", gap: 10 },
-  dayCard: { border: `1px solid ${theme.border}`, borderRadius: 10, padding: 12, textAlign: "center", background: "#f9fbff" },
+  dayCard: {
+    border: `1px solid ${theme.border}`, borderRadius: 10, padding: 12, textAlign: "center", background: "#f9fbff",
+    font: "inherit", cursor: "pointer",
+  },
+  dayCardActive: { border: `1px solid ${theme.accent}`, background: "#eef5ff" },
   dayName: { fontWeight: 700, fontSize: 14, color: "#344767", marginBottom: 6 },
   dayIcon: { width: 64, height: 64, margin: "4px auto" },
   dayDesc: { fontSize: 13, color: "#5c6f92", textTransform: "capitalize", minHeight: 18 },
   dayTemps: { display: "flex", justifyContent: "center", gap: 8, marginTop: 6 },
   maxTemp: { fontWeight: 700, color: "#0f1f3c" },
   minTemp: { color: "#7183a3" },
+  dayWind: { fontSize: 12, color: "#7183a3", marginTop: 4 },
+  details: {
+    display: "grid", gridTemplateColumns: "repeat(3, minmax(0, 1fr))", gap: 10, margin: "16px 0 0 0",
+    paddingTop: 14, borderTop: `1px solid ${theme.border}`,
+  },
+  detail: { textAlign: "center" },
+  detailLabel: { fontSize: 12, color: "#7183a3" },
+  detailValue: { margin: "2px 0 0 0", fontWeight: 700, fontSize: 14, color: "#0f1f3c" },
+  historyNote: { margin: "-8px 0 14px 0", fontSize: 13, color: "#7183a3" },
+  anomaly: { fontSize: 11, fontWeight: 600, borderRadius: 6, padding: "2px 4px", marginTop: 6, lineHeight: 1.3 },
+  anomalyWarm: { background: "#fde8e4", color: "#b3361d" },
+  anomalyCool: { background: "#e3eeff", color: "#1f57b3" },
+  anomalyNear: { background: "#eef1f6", color: "#5c6f92" },
 };
@@ -0,0 +1,176 @@
+/**
+ * WeatherPro service worker
+ *
+ * - App shell (the Home page, Next.js static chunks, manifest, logo and
+ *   /offline.html) is cached so the app opens offline.
+ * - Each page navigated to is kept under its own URL; offline, a page
+ *   that was never visited gets /offline.html rather than another page.
+ * - The last successful /api/weather response per city is kept; offline
+ *   requests get it back with an `X-SW-Cache: offline` header, and its
+ *   `meta.fetchedAt` tells the page how old it is.
+ * - A "REFRESH_WEATHER" message re-fetches every saved city, e.g. when
+ *   the page sees connectivity return.
+ */
+
+const VERSION = "v2";
+const SHELL_CACHE = `weatherpro-shell-${VERSION}`;
+const PAGE_CACHE = `weatherpro-pages-${VERSION}`;
+const DATA_CACHE = `weatherpro-weather-${VERSION}`;
+
+const OFFLINE_URL = "/offline.html";
+const SHELL_URLS = ["/", "/manifest.webmanifest", "/logo-weather.svg", OFFLINE_URL];
+
+// Cities and pages kept for offline use; least recently fetched ones go first
+const MAX_CITIES = 20;
+const MAX_PAGES = 20;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(
+        keys
+          .filter((key) => key.startsWith("weatherpro-") && ![SHELL_CACHE, PAGE_CACHE, DATA_CACHE].includes(key))
+          .map((key) => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (url.pathname === "/api/weather") {
+    event.respondWith(weatherNetworkFirst(request));
+  } else if (request.mode === "navigate") {
+    event.respondWith(pageNetworkFirst(request));
+  } else if (url.pathname.startsWith("/_next/static/") || SHELL_URLS.includes(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  }
+  // Everything else (other API routes, HMR) goes straight to the network
+});
+
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "REFRESH_WEATHER") {
+    event.waitUntil(refreshWeather());
+  }
+});
+
+/* --------------------------------
+   Strategies
+-------------------------------- */
+
+// Hashed chunks never change, so the cached copy is always right
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Fresh page when online (its server-rendered weather included), else the
+// last copy of that URL, of the same page with other params, or /offline.html
+async function pageNetworkFirst(request) {
+  try {
+    const response = await fetch(request);
+    if (response.ok) await putLimited(PAGE_CACHE, request.url, response.clone(), MAX_PAGES);
+    return response;
+  } catch (error) {
+    const pages = await caches.open(PAGE_CACHE);
+    const cached =
+      (await pages.match(request.url)) ??
+      (await pages.match(request.url, { ignoreSearch: true })) ??
+      (await caches.match(OFFLINE_URL));
+
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function weatherNetworkFirst(request) {
+  const key = weatherKey(request.url);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) await saveWeather(key, response.clone());
+    return response;
+  } catch {
+    const cache = await caches.open(DATA_CACHE);
+    const cached = await cache.match(key);
+
+    if (!cached) {
+      return jsonResponse(503, {
+        success: false,
+        offline: true,
+        error: "You're offline and this city hasn't been saved for offline use yet",
+      });
+    }
+
+    const headers = new Headers(cached.headers);
+    headers.set("X-SW-Cache", "offline");
+    return new Response(cached.body, { status: 200, headers });
+  }
+}
+
+/* --------------------------------
+   Weather cache
+-------------------------------- */
+
+// Same city regardless of param order
+function weatherKey(href) {
+  const url = new URL(href);
+  url.searchParams.sort();
+  return url.toString();
+}
+
+function saveWeather(key, response) {
+  return putLimited(DATA_CACHE, key, response, MAX_CITIES);
+}
+
+// Keeps the `max` most recently stored entries of a cache
+async function putLimited(cacheName, key, response, max) {
+  const cache = await caches.open(cacheName);
+
+  // Re-inserting moves the entry to the end of the key order
+  await cache.delete(key);
+  await cache.put(key, response);
+
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((k) => cache.delete(k)));
+}
+
+async function refreshWeather() {
+  const cache = await caches.open(DATA_CACHE);
+  const keys = await cache.keys();
+
+  await Promise.allSettled(keys.map(async (request) => {
+    const response = await fetch(request.url, { cache: "no-store" });
+    if (response.ok) await saveWeather(request.url, response);
+  }));
+
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach((client) => client.postMessage({ type: "WEATHER_REFRESHED", count: keys.length }));
+}
+
+function jsonResponse(status, body) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+}
@@ -0,0 +1,122 @@
+/**
+ * Day grouping either side of the date line: Auckland (UTC+13 under
+ * NZDT) and Honolulu (UTC-10) are 23 hours apart, so at most instants
+ * they are on different calendar days.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { localDateKey, summarizeDailyForecast } = require("../utils/forecastUtils");
+const { FixtureProvider } = require("../utils/weatherProviders");
+
+// 22:00 UTC: 11:00 on Oct 20 in Auckland, 12:00 on Oct 19 in Honolulu
+const NOW = Date.parse("2026-10-19T22:00:00Z");
+
+const AUCKLAND = { timezone: "Pacific/Auckland", utcOffset: 13 * 3600 };
+const HONOLULU = { timezone: "Pacific/Honolulu", utcOffset: -10 * 3600 };
+
+const unix = iso => Date.parse(iso) / 1000;
+
+async function fixtureForecast(q) {
+    const provider = new FixtureProvider({ now: () => NOW });
+    const { location, forecast } = await provider.getWeather({ type: "q", q }, { includeForecast: true });
+
+    return { location, list: forecast.list };
+}
+
+/* --------------------------------
+   localDateKey
+-------------------------------- */
+
+test("localDateKey puts one instant on different days across the date line", () => {
+    const instant = NOW / 1000;
+
+    assert.equal(localDateKey(instant, AUCKLAND), "2026-10-20");
+    assert.equal(localDateKey(instant, HONOLULU), "2026-10-19");
+});
+
+test("localDateKey agrees for IANA zones and offset-only zones", () => {
+    for (const zone of [AUCKLAND, HONOLULU]) {
+        for (const iso of ["2026-10-19T10:30:00Z", "2026-10-19T11:30:00Z", "2026-10-20T09:30:00Z", "2026-10-20T10:30:00Z"]) {
+            assert.equal(
+                localDateKey(unix(iso), { timezone: zone.timezone }),
+                localDateKey(unix(iso), { utcOffset: zone.utcOffset }),
+                `${zone.timezone} at ${iso}`
+            );
+        }
+    }
+});
+
+test("localDateKey splits at local midnight, not UTC midnight", () => {
+    // Auckland midnight is 11:00 UTC
+    assert.equal(localDateKey(unix("2026-10-20T10:59:00Z"), AUCKLAND), "2026-10-20");
+    assert.equal(localDateKey(unix("2026-10-20T11:00:00Z"), AUCKLAND), "2026-10-21");
+
+    // Honolulu midnight is 10:00 UTC
+    assert.equal(localDateKey(unix("2026-10-20T09:59:00Z"), HONOLULU), "2026-10-19");
+    assert.equal(localDateKey(unix("2026-10-20T10:00:00Z"), HONOLULU), "2026-10-20");
+});
+
+/* --------------------------------
+   summarizeDailyForecast
+-------------------------------- */
+
+test("summarizeDailyForecast groups an Auckland forecast by its local days", async () => {
+    const { location, list } = await fixtureForecast("Auckland");
+    const days = summarizeDailyForecast(list, { timezone: location.timezone, now: NOW, days: 10, includeHourly: true });
+
+    assert.deepEqual(days.map(day => day.date), ["2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23", "2026-10-24", "2026-10-25"]);
+    assert.deepEqual(days.map(day => day.isToday), [true, false, false, false, false, false]);
+    assert.deepEqual(days.slice(0, 2).map(day => day.label), ["Today", "Tomorrow"]);
+    assert.equal(days.reduce((sum, day) => sum + day.hourly.length, 0), list.length);
+
+    for (const day of days) {
+        for (const entry of day.hourly) {
+            assert.equal(localDateKey(entry.time, AUCKLAND), day.date);
+        }
+    }
+});
+
+test("summarizeDailyForecast groups a Honolulu forecast by its local days", async () => {
+    const { location, list } = await fixtureForecast("Honolulu");
+    const days = summarizeDailyForecast(list, { timezone: location.timezone, now: NOW, days: 10, includeHourly: true });
+
+    assert.deepEqual(days.map(day => day.date), ["2026-10-19", "2026-10-20", "2026-10-21", "2026-10-22", "2026-10-23", "2026-10-24"]);
+    assert.deepEqual(days.map(day => day.isToday), [true, false, false, false, false, false]);
+    assert.deepEqual(days.slice(0, 2).map(day => day.label), ["Today", "Tomorrow"]);
+    assert.equal(days.reduce((sum, day) => sum + day.hourly.length, 0), list.length);
+
+    for (const day of days) {
+        for (const entry of day.hourly) {
+            assert.equal(localDateKey(entry.time, HONOLULU), day.date);
+        }
+    }
+});
+
+test("summarizeDailyForecast marks today from the location's clock with only an offset", () => {
+    // One entry either side of Auckland midnight, both on Oct 20 in UTC
+    const list = [
+        { time: unix("2026-10-20T10:30:00Z"), temp: 14, tempMin: 14, tempMax: 14 },
+        { time: unix("2026-10-20T11:30:00Z"), temp: 13, tempMin: 13, tempMax: 13 }
+    ];
+
+    const auckland = summarizeDailyForecast(list, { utcOffset: AUCKLAND.utcOffset, now: NOW });
+    assert.deepEqual(auckland.map(day => [day.date, day.isToday]), [["2026-10-20", true], ["2026-10-21", false]]);
+
+    // The same instants are Oct 20 00:30 and 01:30 in Honolulu, where it is still Oct 19
+    const honolulu = summarizeDailyForecast(list, { utcOffset: HONOLULU.utcOffset, now: NOW });
+    assert.deepEqual(honolulu.map(day => [day.date, day.isToday, day.label]), [["2026-10-20", false, "Tomorrow"]]);
+});
+
+test("summarizeDailyForecast labels today and tomorrow in the requested locale", async () => {
+    const { location, list } = await fixtureForecast("Honolulu");
+    const labels = locale =>
+        summarizeDailyForecast(list, { timezone: location.timezone, now: NOW, locale })
+            .slice(0, 3)
+            .map(day => day.label);
+
+    assert.deepEqual(labels("en-US"), ["Today", "Tomorrow", "Wednesday"]);
+    assert.deepEqual(labels("es"), ["Hoy", "Mañana", "miércoles"]);
+    assert.deepEqual(labels("de"), ["Heute", "Morgen", "Mittwoch"]);
+});
@@ -0,0 +1,337 @@
+/**
+ * utils/memoryDriver.js run directly through its connections: CRUD,
+ * bindings, filtering, ordering, aggregates, transactions and the JSON
+ * file written by flush().
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const { MemoryDriver, SQLError } = require("../utils/memoryDriver");
+
+const CREATE_READINGS = `
+    CREATE TABLE readings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        city VARCHAR(64) NOT NULL,
+        temp REAL,
+        observedAt TIMESTAMP,
+        raining BOOLEAN DEFAULT FALSE,
+        meta JSON
+    )
+`;
+
+const ROWS = [
+    ["Oslo", 3.5, true],
+    ["Rome", 18, false],
+    ["Lima", null, false],
+    ["Oslo", -1, true],
+    ["Riga", 6.25, false]
+];
+
+async function connect(driver = new MemoryDriver()) {
+    const conn = await driver.createConnection();
+    await conn.query(CREATE_READINGS);
+
+    for (const [city, temp, raining] of ROWS) {
+        await conn.query("INSERT INTO readings (city, temp, raining) VALUES (?, ?, ?)", [city, temp, raining]);
+    }
+
+    return conn;
+}
+
+async function select(conn, sql, params) {
+    return (await conn.query(sql, params)).rows;
+}
+
+async function tempDir(t) {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "memory-driver-"));
+    t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+/* --------------------------------
+   INSERT / SELECT / UPDATE / DELETE
+-------------------------------- */
+
+test("INSERT assigns ids and returns the new rows with RETURNING", async () => {
+    const conn = await connect();
+
+    const result = await conn.query("INSERT INTO readings (city, temp) VALUES ('Quito', 14), ('Baku', 21) RETURNING id, city, raining");
+
+    assert.equal(result.command, "INSERT");
+    assert.equal(result.rowCount, 2);
+    assert.equal(result.lastInsertId, 7);
+    assert.deepEqual(result.rows, [
+        { id: 6, city: "Quito", raining: false },
+        { id: 7, city: "Baku", raining: false }
+    ]);
+});
+
+test("SELECT returns the stored rows and columns", async () => {
+    const conn = await connect();
+
+    assert.deepEqual(await select(conn, "SELECT id, city, temp FROM readings WHERE id <= 2"), [
+        { id: 1, city: "Oslo", temp: 3.5 },
+        { id: 2, city: "Rome", temp: 18 }
+    ]);
+    assert.deepEqual(await select(conn, "SELECT city AS name, temp * 2 AS doubled FROM readings WHERE id = 5"), [
+        { name: "Riga", doubled: 12.5 }
+    ]);
+});
+
+test("UPDATE changes matching rows only and reports how many", async () => {
+    const conn = await connect();
+
+    const result = await conn.query("UPDATE readings SET temp = temp + 1 WHERE city = 'Oslo' RETURNING id, temp");
+
+    assert.equal(result.rowCount, 2);
+    assert.deepEqual(result.rows, [{ id: 1, temp: 4.5 }, { id: 4, temp: 0 }]);
+    assert.deepEqual(await select(conn, "SELECT temp FROM readings WHERE id = 2"), [{ temp: 18 }]);
+});
+
+test("DELETE removes matching rows and leaves the rest", async () => {
+    const conn = await connect();
+
+    const result = await conn.query("DELETE FROM readings WHERE raining = TRUE RETURNING city");
+
+    assert.equal(result.rowCount, 2);
+    assert.deepEqual(result.rows, [{ city: "Oslo" }, { city: "Oslo" }]);
+    assert.deepEqual((await select(conn, "SELECT id FROM readings")).map(row => row.id), [2, 3, 5]);
+});
+
+test("constraint violations reject with an SQLError and change nothing", async () => {
+    const conn = await connect();
+
+    await assert.rejects(conn.query("INSERT INTO readings (temp) VALUES (1)"), SQLError);
+
+    // The second row fails, so the first is not kept either
+    await assert.rejects(
+        conn.query("INSERT INTO readings (city) VALUES ('Kyiv'), (NULL)"),
+        /NOT NULL/
+    );
+
+    assert.deepEqual(await select(conn, "SELECT COUNT(*) AS n FROM readings"), [{ n: 5 }]);
+});
+
+/* --------------------------------
+   Bindings
+-------------------------------- */
+
+test("? and $n bindings are substituted in order and by number", async () => {
+    const conn = await connect();
+
+    assert.deepEqual(await select(conn, "SELECT city FROM readings WHERE city = ? AND temp > ?", ["Oslo", 0]), [{ city: "Oslo" }]);
+    assert.deepEqual(
+        await select(conn, "SELECT id FROM readings WHERE temp > $1 AND temp < $2 OR city = $3 ORDER BY id", [0, 10, "Rome"]),
+        [{ id: 1 }, { id: 2 }, { id: 5 }]
+    );
+
+    // $n may repeat; a quoted ? is text, not a binding
+    assert.deepEqual(await select(conn, "SELECT $1 AS a, $1 + $2 AS b, '?' AS c", [2, 3]), [{ a: 2, b: 5, c: "?" }]);
+});
+
+test("a missing binding is an error rather than NULL", async () => {
+    const conn = await connect();
+
+    await assert.rejects(
+        conn.query("SELECT id FROM readings WHERE city = ? AND temp > ?", ["Oslo"]),
+        err => err instanceof SQLError && err.code === "SQL_BINDING"
+    );
+});
+
+test("bound dates are stored as ISO text and objects as JSON", async () => {
+    const conn = await connect();
+    const observedAt = new Date("2026-10-19T12:00:00Z");
+
+    await conn.query("INSERT INTO readings (city, observedAt, meta) VALUES (?, ?, ?)", ["Oslo", observedAt, { source: "fixture", tags: ["a"] }]);
+
+    assert.deepEqual(await select(conn, "SELECT observedAt, meta FROM readings WHERE observedAt = ?", [observedAt]), [
+        { observedAt: "2026-10-19T12:00:00.000Z", meta: { source: "fixture", tags: ["a"] } }
+    ]);
+});
+
+/* --------------------------------
+   WHERE: IN, NULL, LIKE
+-------------------------------- */
+
+test("IN and NOT IN take literal lists and bound arrays", async () => {
+    const conn = await connect();
+    const ids = async (sql, params) => (await select(conn, sql, params)).map(row => row.id);
+
+    assert.deepEqual(await ids("SELECT id FROM readings WHERE city IN ('Rome', 'Riga')"), [2, 5]);
+    assert.deepEqual(await ids("SELECT id FROM readings WHERE city IN (?)", [["Oslo", "Lima"]]), [1, 3, 4]);
+    assert.deepEqual(await ids("SELECT id FROM readings WHERE city NOT IN (?, ?)", ["Oslo", "Lima"]), [2, 5]);
+    assert.deepEqual(await ids("SELECT id FROM readings WHERE city IN (?)", [[]]), []);
+    assert.deepEqual(
+        await ids("SELECT id FROM readings WHERE city IN (SELECT city FROM readings WHERE raining = TRUE) AND temp > 0"),
+        [1]
+    );
+});
+
+test("NULL only matches IS NULL, never = or <>", async () => {
+    const conn = await connect();
+
+    assert.deepEqual(await select(conn, "SELECT city FROM readings WHERE temp IS NULL"), [{ city: "Lima" }]);
+    assert.deepEqual(await select(conn, "SELECT city FROM readings WHERE temp = NULL"), []);
+    assert.deepEqual(await select(conn, "SELECT city FROM readings WHERE temp = ?", [null]), []);
+    assert.equal((await select(conn, "SELECT id FROM readings WHERE temp <> 18")).length, 3);
+    assert.equal((await select(conn, "SELECT id FROM readings WHERE temp IS NOT NULL")).length, 4);
+});
+
+test("LIKE is case-sensitive with % and _ wildcards; ILIKE ignores case", async () => {
+    const conn = await connect();
+    const cities = async sql => (await select(conn, sql)).map(row => row.city);
+
+    assert.deepEqual(await cities("SELECT DISTINCT city FROM readings WHERE city LIKE 'R%'"), ["Rome", "Riga"]);
+    assert.deepEqual(await cities("SELECT city FROM readings WHERE city LIKE 'r%'"), []);
+    assert.deepEqual(await cities("SELECT city FROM readings WHERE city ILIKE 'r%'"), ["Rome", "Riga"]);
+    assert.deepEqual(await cities("SELECT city FROM readings WHERE city LIKE 'R_ga'"), ["Riga"]);
+    assert.deepEqual(await cities("SELECT city FROM readings WHERE city NOT LIKE '%o%'"), ["Lima", "Riga"]);
+});
+
+/* --------------------------------
+   ORDER BY, LIMIT / OFFSET
+-------------------------------- */
+
+test("ORDER BY sorts by several keys and places NULLs as asked", async () => {
+    const conn = await connect();
+    const ids = async sql => (await select(conn, sql)).map(row => row.id);
+
+    // NULL sorts first ascending, as in SQLite
+    assert.deepEqual(await ids("SELECT id FROM readings ORDER BY temp"), [3, 4, 1, 5, 2]);
+    assert.deepEqual(await ids("SELECT id FROM readings ORDER BY temp DESC NULLS LAST"), [2, 5, 1, 4, 3]);
+    assert.deepEqual(await ids("SELECT id FROM readings ORDER BY city ASC, temp DESC"), [3, 1, 4, 5, 2]);
+});
+
+test("LIMIT and OFFSET page through the ordered rows", async () => {
+    const conn = await connect();
+    const page = async (limit, offset) =>
+        (await select(conn, "SELECT id FROM readings ORDER BY id DESC LIMIT ? OFFSET ?", [limit, offset])).map(row => row.id);
+
+    assert.deepEqual(await page(2, 0), [5, 4]);
+    assert.deepEqual(await page(2, 2), [3, 2]);
+    assert.deepEqual(await page(2, 4), [1]);
+    assert.deepEqual(await page(2, 10), []);
+});
+
+/* --------------------------------
+   Aggregates
+-------------------------------- */
+
+test("COUNT(*) counts rows and COUNT(column) skips NULLs", async () => {
+    const conn = await connect();
+
+    assert.deepEqual(await select(conn, "SELECT COUNT(*) AS rows, COUNT(temp) AS withTemp, COUNT(DISTINCT city) AS cities FROM readings"), [
+        { rows: 5, withTemp: 4, cities: 4 }
+    ]);
+});
+
+test("SUM, AVG, MIN and MAX ignore NULLs and are NULL over no rows", async () => {
+    const conn = await connect();
+
+    assert.deepEqual(await select(conn, "SELECT SUM(temp) AS sum, AVG(temp) AS avg, MIN(temp) AS min, MAX(city) AS max FROM readings"), [
+        { sum: 26.75, avg: 6.6875, min: -1, max: "Rome" }
+    ]);
+    assert.deepEqual(await select(conn, "SELECT COUNT(*) AS n, SUM(temp) AS sum, MAX(temp) AS max FROM readings WHERE city = 'Paris'"), [
+        { n: 0, sum: null, max: null }
+    ]);
+});
+
+test("GROUP BY with HAVING filters the groups", async () => {
+    const conn = await connect();
+
+    assert.deepEqual(await select(conn, "SELECT city, COUNT(*) AS n, MAX(temp) AS warmest FROM readings GROUP BY city ORDER BY city"), [
+        { city: "Lima", n: 1, warmest: null },
+        { city: "Oslo", n: 2, warmest: 3.5 },
+        { city: "Riga", n: 1, warmest: 6.25 },
+        { city: "Rome", n: 1, warmest: 18 }
+    ]);
+    assert.deepEqual(await select(conn, "SELECT city FROM readings GROUP BY city HAVING COUNT(*) > ?", [1]), [{ city: "Oslo" }]);
+});
+
+/* --------------------------------
+   Transactions
+-------------------------------- */
+
+test("ROLLBACK undoes the transaction's inserts, updates and deletes", async () => {
+    const conn = await connect();
+    const before = await select(conn, "SELECT * FROM readings ORDER BY id");
+
+    await conn.query("BEGIN");
+    await conn.query("INSERT INTO readings (city) VALUES ('Kyiv')");
+    await conn.query("UPDATE readings SET temp = 99 WHERE city = 'Rome'");
+    await conn.query("DELETE FROM readings WHERE city = 'Oslo'");
+    assert.equal((await select(conn, "SELECT id FROM readings")).length, 4);
+    await conn.query("ROLLBACK");
+
+    assert.equal(conn.inTransaction, false);
+    assert.deepEqual(await select(conn, "SELECT * FROM readings ORDER BY id"), before);
+});
+
+test("ROLLBACK leaves other connections' changes and COMMIT keeps its own", async () => {
+    const driver = new MemoryDriver();
+    const conn = await connect(driver);
+    const other = await driver.createConnection();
+
+    await conn.query("BEGIN");
+    await conn.query("DELETE FROM readings WHERE id = 1");
+    await other.query("DELETE FROM readings WHERE id = 2");
+    await conn.query("ROLLBACK");
+
+    assert.deepEqual((await select(other, "SELECT id FROM readings ORDER BY id")).map(row => row.id), [1, 3, 4, 5]);
+
+    await conn.query("BEGIN");
+    await conn.query("DELETE FROM readings WHERE id = 3");
+    await conn.query("COMMIT");
+
+    assert.deepEqual((await select(other, "SELECT id FROM readings ORDER BY id")).map(row => row.id), [1, 4, 5]);
+});
+
+/* --------------------------------
+   File persistence
+-------------------------------- */
+
+test("flush() writes the tables to the file and a new driver reads them back", async t => {
+    const filename = path.join(await tempDir(t), "nested", "weather.json");
+    const observedAt = new Date("2026-10-19T06:30:00Z");
+
+    const driver = new MemoryDriver({ filename, saveDelay: 60_000 });
+    const conn = await connect(driver);
+    await conn.query("UPDATE readings SET observedAt = ?, meta = ? WHERE id = 1", [observedAt, { provider: "fixture" }]);
+    await conn.query("DELETE FROM readings WHERE id = 5");
+
+    // The save is delayed a minute; flush() writes it now
+    assert.equal(fs.existsSync(filename), false);
+    await driver.flush();
+
+    const saved = JSON.parse(await fs.promises.readFile(filename, "utf8"));
+    assert.deepEqual(saved.tables.map(table => table.name), ["readings"]);
+
+    const reloaded = await new MemoryDriver({ filename }).createConnection();
+
+    assert.deepEqual(await select(reloaded, "SELECT * FROM readings ORDER BY id"), await select(conn, "SELECT * FROM readings ORDER BY id"));
+    assert.deepEqual(await select(reloaded, "SELECT observedAt, meta, raining FROM readings WHERE id = 1"), [
+        { observedAt: "2026-10-19T06:30:00.000Z", meta: { provider: "fixture" }, raining: true }
+    ]);
+
+    // The id sequence carries over, so deleted ids are not reused
+    const { lastInsertId } = await reloaded.query("INSERT INTO readings (city) VALUES ('Kyiv')");
+    assert.equal(lastInsertId, 6);
+});
+
+test("flush() rejects once when the file can't be written", async t => {
+    const filename = path.join(await tempDir(t), "weather.json");
+
+    const driver = new MemoryDriver({ filename, saveDelay: 60_000 });
+    await connect(driver);
+
+    // A directory where the file should go makes the save fail
+    await fs.promises.mkdir(filename);
+    await assert.rejects(driver.flush(), { code: "EISDIR" });
+
+    // The failure is reported to one caller, not every later flush
+    await driver.flush();
+});
@@ -0,0 +1,123 @@
+/**
+ * The observation store: what gets recorded, forecast snapshot pruning
+ * and saving to WEATHER_DB_FILE.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+// Read once when utils/observations.js loads
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), "observations-"));
+const DB_FILE = path.join(DIR, "weather-db.json");
+
+process.env.WEATHER_DB_FILE = DB_FILE;
+process.env.WEATHER_DB_SAVE_DELAY = "60000";
+process.env.FORECAST_SNAPSHOTS_PER_LOCATION = "3";
+process.env.FORECAST_SNAPSHOT_RETENTION_DAYS = "7";
+
+const { MemoryDriver } = require("../utils/memoryDriver");
+const { FixtureProvider } = require("../utils/weatherProviders");
+const { parseWeatherRequest, getWeather } = require("../utils/weatherService");
+const { Location, Observation, ForecastSnapshot, recordWeather, flush } = require("../utils/observations");
+
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+test.after(() => fs.promises.rm(DIR, { recursive: true, force: true }));
+
+// A provider result as utils/weatherService.js caches it
+async function fetchedEntry(q, fetchedAt) {
+  const provider = new FixtureProvider({ now: () => fetchedAt });
+  const data = await provider.getWeather({ type: "q", q }, { includeForecast: true });
+
+  return { data, fetchedAt, fetched: true };
+}
+
+async function snapshotTimes(name) {
+  const location = await Location.findOne({ name });
+  const snapshots = await ForecastSnapshot.findAll({ where: { locationId: location.id }, orderBy: "fetchedAt asc" });
+
+  return snapshots.map(snapshot => snapshot.fetchedAt.toISOString());
+}
+
+/* --------------------------------
+   Recording
+-------------------------------- */
+
+test("recordWeather stores a provider fetch and skips a cache hit", async () => {
+  const request = await parseWeatherRequest({ q: "Nairobi", provider: "fixture", include: "forecast" });
+
+  const first = await getWeather(request);
+  const second = await getWeather(request);
+  assert.equal(first.entry.fetched, true);
+  assert.equal(second.entry.fetched, false);
+
+  const recorded = await recordWeather(first.entry);
+  assert.equal(recorded.location.name, "Nairobi");
+  assert.equal(recorded.observation.provider, "fixture");
+  assert.ok(recorded.snapshot);
+
+  assert.equal(await recordWeather(second.entry), null);
+
+  assert.equal(await Observation.count({ locationId: recorded.location.id }), 1);
+  assert.equal(await ForecastSnapshot.count({ locationId: recorded.location.id }), 1);
+});
+
+/* --------------------------------
+   Snapshot retention
+-------------------------------- */
+
+test("only the newest snapshots per location are kept", async () => {
+  for (let i = 0; i < 5; i++) {
+    await recordWeather(await fetchedEntry("Auckland", NOW + i * HOUR));
+  }
+
+  assert.deepEqual(await snapshotTimes("Auckland"), [
+    "2026-10-19T14:00:00.000Z",
+    "2026-10-19T15:00:00.000Z",
+    "2026-10-19T16:00:00.000Z"
+  ]);
+});
+
+test("snapshots past the retention period are dropped for every location", async () => {
+  await recordWeather(await fetchedEntry("Honolulu", NOW));
+  assert.equal((await snapshotTimes("Honolulu")).length, 1);
+
+  // A later fetch of another city prunes Honolulu's week-old snapshot
+  await recordWeather(await fetchedEntry("Auckland", NOW + 8 * DAY));
+
+  assert.deepEqual(await snapshotTimes("Honolulu"), []);
+  assert.deepEqual(await snapshotTimes("Auckland"), ["2026-10-27T12:00:00.000Z"]);
+
+  // Observations are history and stay
+  const honolulu = await Location.findOne({ name: "Honolulu" });
+  assert.equal(await Observation.count({ locationId: honolulu.id }), 1);
+});
+
+/* --------------------------------
+   Saving
+-------------------------------- */
+
+test("writes are saved on flush(), not per record", async () => {
+  await recordWeather(await fetchedEntry("Honolulu", NOW + 9 * DAY));
+
+  // WEATHER_DB_SAVE_DELAY is a minute, so nothing has reached the file yet
+  assert.equal(fs.existsSync(DB_FILE), false);
+
+  await flush();
+
+  const conn = await new MemoryDriver({ filename: DB_FILE }).createConnection();
+  const count = async table => (await conn.query(`SELECT COUNT(*) AS n FROM ${table}`)).rows[0].n;
+
+  assert.equal(await count("locations"), await Location.count());
+  assert.equal(await count("observations"), await Observation.count());
+  assert.equal(await count("forecast_snapshots"), await ForecastSnapshot.count());
+  assert.deepEqual(
+    (await conn.query("SELECT name FROM locations ORDER BY id")).rows.map(row => row.name),
+    ["Nairobi", "Auckland", "Honolulu"]
+  );
+});
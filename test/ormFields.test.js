@@ -0,0 +1,310 @@
+/**
+ * ORM model fields against the memory driver: casting in and out of the
+ * database (decimal rounding included), validation before writes and
+ * dirty tracking, with the diff the update hooks receive.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const DatabaseManager = require("../utils/databaseManager");
+const { MemoryDriver } = require("../utils/memoryDriver");
+const { ORM, ValidationError } = require("../utils/orm");
+const { builtInValidators } = require("../utils/validator");
+
+const CREATE_STATIONS = `
+    CREATE TABLE stations (
+        id INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        wmo TEXT,
+        active TEXT,
+        meta TEXT,
+        elevation TEXT,
+        rainfall TEXT,
+        opened TEXT,
+        lastSeen TEXT,
+        apiKey TEXT,
+        createdAt TEXT,
+        updatedAt TEXT,
+        deletedAt TEXT
+    )
+`;
+
+async function setup(schema = {}) {
+    const db = new DatabaseManager();
+    db.registerDriver("memory", new MemoryDriver());
+    await db.query(conn => conn.query(CREATE_STATIONS));
+
+    const orm = new ORM(db);
+    const updates = [];
+
+    const Station = orm.defineModel("Station", {
+        hidden: ["apiKey"],
+        fields: {
+            name: { type: "string", required: true, rules: [builtInValidators.maxLength(20)] },
+            wmo: { type: "int", validate: value => value == null || (value >= 10000 && value <= 99999) || "Must be a 5-digit WMO id" },
+            active: "bool",
+            meta: "json",
+            elevation: { type: "decimal", scale: 1 },
+            rainfall: "decimal",
+            opened: "date",
+            lastSeen: "timestamp",
+            apiKey: "text"
+        },
+        hooks: {
+            beforeUpdate: ({ data, changes }) => updates.push({ columns: Object.keys(data).sort(), changes })
+        },
+        ...schema
+    });
+
+    // The row as stored, without the model's casts
+    const raw = async id => (await db.query(conn => conn.query("SELECT * FROM stations WHERE id = ?", [id]))).rows[0];
+
+    return { orm, Station, raw, updates };
+}
+
+const NAIROBI = {
+    name: "Nairobi",
+    wmo: "63741",
+    active: "yes",
+    meta: { source: "synop", tags: ["capital"] },
+    elevation: "1795.26",
+    opened: "1950-03-01",
+    lastSeen: Date.parse("2026-10-19T06:00:00Z"),
+    apiKey: "secret"
+};
+
+/* --------------------------------
+   Casting
+-------------------------------- */
+
+test("create() casts input to the declared types", async () => {
+    const { Station } = await setup();
+
+    const station = await Station.create(NAIROBI);
+
+    assert.equal(station.wmo, 63741);
+    assert.equal(station.active, true);
+    assert.deepEqual(station.meta, { source: "synop", tags: ["capital"] });
+    assert.equal(station.elevation, 1795.3);
+    assert.deepEqual(station.opened, new Date("1950-03-01T00:00:00Z"));
+    assert.deepEqual(station.lastSeen, new Date("2026-10-19T06:00:00Z"));
+    assert.ok(station.createdAt instanceof Date);
+});
+
+test("values are stored in a form every driver can bind and read back as typed", async () => {
+    const { Station, raw } = await setup();
+
+    const { id } = await Station.create(NAIROBI);
+    const row = await raw(id);
+
+    assert.equal(row.meta, '{"source":"synop","tags":["capital"]}');
+    assert.equal(row.elevation, "1795.3");
+    assert.equal(row.opened, "1950-03-01");
+    assert.equal(row.lastSeen, "2026-10-19T06:00:00.000Z");
+
+    const loaded = await Station.findById(id);
+
+    assert.equal(loaded.active, true);
+    assert.deepEqual(loaded.meta, NAIROBI.meta);
+    assert.equal(loaded.elevation, 1795.3);
+    assert.deepEqual(loaded.opened, new Date("1950-03-01T00:00:00Z"));
+    assert.equal(loaded.isDirty(), false);
+});
+
+test("booleans accept the usual spellings and nothing else", async () => {
+    const { Station } = await setup();
+
+    for (const [input, expected] of [["true", true], ["T", true], ["1", true], [1, true], ["on", true], ["no", false], ["off", false], [0, false], ["F", false]]) {
+        assert.equal((await Station.create({ name: "Buoy", active: input })).active, expected, `active: ${JSON.stringify(input)}`);
+    }
+
+    await assert.rejects(Station.create({ name: "Buoy", active: "maybe" }), { errors: { active: ["Must be true or false"] } });
+    await assert.rejects(Station.create({ name: "Buoy", active: 2 }), { errors: { active: ["Must be true or false"] } });
+});
+
+test("decimals round half away from zero on their decimal digits", async () => {
+    const { Station, raw } = await setup();
+
+    // [input, rainfall (scale 2), stored text]
+    const cases = [
+        [1.005, 1.01, "1.01"],
+        [0.285, 0.29, "0.29"],
+        [8.675, 8.68, "8.68"],
+        [-1.005, -1.01, "-1.01"],
+        [2.344, 2.34, "2.34"],
+        ["12.3", 12.3, "12.30"],
+        [0.1 + 0.2, 0.3, "0.30"],
+        [-0.004, 0, "0.00"],
+        [123456789.125, 123456789.13, "123456789.13"]
+    ];
+
+    for (const [input, value, stored] of cases) {
+        const station = await Station.create({ name: "Buoy", rainfall: input });
+
+        assert.equal(station.rainfall, value, `rainfall ${input}`);
+        assert.ok(!Object.is(station.rainfall, -0), `rainfall ${input} is not -0`);
+        assert.equal((await raw(station.id)).rainfall, stored, `rainfall ${input} stored`);
+    }
+});
+
+test("decimal scale applies per field, including whole numbers", async () => {
+    const { Station } = await setup({
+        fields: { name: "string", elevation: { type: "decimal", scale: 0 }, rainfall: { type: "decimal", scale: 3 } }
+    });
+
+    const rounded = async (elevation, rainfall) => {
+        const station = await Station.create({ name: "Buoy", elevation, rainfall });
+        return [station.elevation, station.rainfall];
+    };
+
+    assert.deepEqual(await rounded(2.5, 0.0005), [3, 0.001]);
+    assert.deepEqual(await rounded(-2.5, -0.0005), [-3, -0.001]);
+    assert.deepEqual(await rounded(1795.49, "1.23449"), [1795, 1.234]);
+});
+
+test("unknown field types are rejected when the model is defined", async () => {
+    const { orm } = await setup();
+
+    assert.throws(() => orm.defineModel("Gauge", { fields: { level: "money" } }), /Field 'level' has unknown type 'money'/);
+});
+
+/* --------------------------------
+   Validation
+-------------------------------- */
+
+test("create() rejects invalid input with every field's errors and writes nothing", async () => {
+    const { Station } = await setup();
+
+    await assert.rejects(
+        Station.create({ name: "", wmo: "12", active: "maybe", elevation: "high", rainfall: "", opened: "someday" }),
+        error => {
+            assert.ok(error instanceof ValidationError);
+            assert.equal(error.status, 400);
+            assert.deepEqual(error.errors, {
+                name: ["This field is required"],
+                wmo: ["Must be a 5-digit WMO id"],
+                active: ["Must be true or false"],
+                elevation: ["Must be a number"],
+                rainfall: ["Must be a number"],
+                opened: ["Must be a valid date"]
+            });
+            return true;
+        }
+    );
+
+    assert.equal(await Station.count(), 0);
+});
+
+test("rules and validate() run after the type check", async () => {
+    const { Station } = await setup();
+
+    assert.deepEqual(await Station.validate({ name: "x".repeat(21) }), {
+        isValid: false,
+        errors: { name: ["Maximum length is 20"] }
+    });
+    assert.deepEqual(await Station.validate({ name: "Nairobi", wmo: "6374.5" }), {
+        isValid: false,
+        errors: { wmo: ["Must be an integer"] }
+    });
+    assert.deepEqual(await Station.validate({ name: "Nairobi", wmo: 63741 }), { isValid: true, errors: {} });
+});
+
+test("updates only validate the columns that changed", async () => {
+    const { Station } = await setup();
+
+    const station = await Station.create(NAIROBI);
+
+    assert.deepEqual(await Station.validate({ elevation: "12" }, { partial: true }), { isValid: true, errors: {} });
+
+    station.elevation = "tall";
+    await assert.rejects(station.save(), { name: "ValidationError", errors: { elevation: ["Must be a number"] } });
+
+    assert.equal((await Station.findById(station.id)).elevation, 1795.3);
+});
+
+/* --------------------------------
+   Dirty tracking
+-------------------------------- */
+
+test("changes are compared after casting", async () => {
+    const { Station } = await setup();
+
+    const station = await Station.findById((await Station.create(NAIROBI)).id);
+
+    // Same values in another form are not changes
+    station.active = "true";
+    station.elevation = "1795.34";
+    station.opened = "1950-03-01";
+    station.wmo = "63741";
+    assert.equal(station.isDirty(), false);
+    assert.deepEqual(station.getChanges(), {});
+
+    station.elevation = 1795.36;
+    assert.deepEqual(station.getChanges(), { elevation: 1795.36 });
+    assert.equal(station.isDirty("elevation"), true);
+    assert.equal(station.isDirty("name", "wmo"), false);
+});
+
+test("nested JSON edits are changes and original keeps the loaded value", async () => {
+    const { Station } = await setup();
+
+    const station = await Station.findById((await Station.create(NAIROBI)).id);
+
+    station.meta.tags.push("highland");
+
+    assert.deepEqual(station.getChanges(), { meta: { source: "synop", tags: ["capital", "highland"] } });
+    assert.deepEqual(station.original.meta, { source: "synop", tags: ["capital"] });
+
+    // original is a copy
+    station.original.meta.tags.length = 0;
+    assert.deepEqual(station.original.meta.tags, ["capital"]);
+});
+
+test("save() writes the changed columns only and hooks get the diff", async () => {
+    const { Station, raw, updates } = await setup();
+
+    const station = await Station.create(NAIROBI);
+    station.name = "Nairobi Dagoretti";
+    station.rainfall = "0.285";
+    await station.save();
+
+    assert.equal(updates.length, 1);
+    assert.deepEqual(updates[0].columns, ["name", "rainfall", "updatedAt"]);
+    assert.deepEqual(updates[0].changes.name, { from: "Nairobi", to: "Nairobi Dagoretti" });
+    assert.deepEqual(updates[0].changes.rainfall, { from: null, to: 0.29 });
+
+    assert.equal(station.isDirty(), false);
+    assert.equal(station.rainfall, 0.29);
+    assert.equal((await raw(station.id)).rainfall, "0.29");
+
+    // Nothing changed, nothing written
+    await station.save();
+    assert.equal(updates.length, 1);
+});
+
+test("Model.update() respects fillable and reports only real changes", async () => {
+    const { Station, updates } = await setup({ fillable: ["name", "elevation"] });
+
+    const { id } = await Station.create({ name: "Nairobi", elevation: 1795.3 });
+
+    const station = await Station.update(id, { elevation: "1795.3", apiKey: "leaked" });
+    assert.equal(updates.length, 0);
+    assert.equal(station.apiKey, null);
+
+    await Station.update(id, { elevation: 1800 });
+    assert.deepEqual(updates[0].columns, ["elevation", "updatedAt"]);
+    assert.deepEqual(updates[0].changes.elevation, { from: 1795.3, to: 1800 });
+
+    assert.equal(await Station.update(999, { name: "Nowhere" }), null);
+});
+
+test("hidden fields are kept on the instance but left out of toJSON()", async () => {
+    const { Station } = await setup();
+
+    const station = await Station.create(NAIROBI);
+
+    assert.equal(station.apiKey, "secret");
+    assert.equal("apiKey" in station.toJSON(), false);
+    assert.equal(JSON.parse(JSON.stringify(station)).opened, "1950-03-01T00:00:00.000Z");
+});
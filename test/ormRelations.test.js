@@ -0,0 +1,241 @@
+/**
+ * ORM relations against the memory driver: eager loading (one query
+ * per relation and level), constrained loads, whereHas /
+ * whereDoesntHave and soft-deleted related rows.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const DatabaseManager = require("../utils/databaseManager");
+const { MemoryDriver } = require("../utils/memoryDriver");
+const { ORM } = require("../utils/orm");
+
+// Keeps the SQL of every statement, so tests can count round trips
+class RecordingDriver extends MemoryDriver {
+    constructor(options) {
+        super(options);
+        this.statements = [];
+    }
+
+    async createConnection(config) {
+        const conn = await super.createConnection(config);
+        const query = conn.query.bind(conn);
+
+        conn.query = (sql, params) => {
+            this.statements.push(sql);
+            return query(sql, params);
+        };
+
+        return conn;
+    }
+}
+
+const TABLES = [
+    "CREATE TABLE countrys (id INTEGER PRIMARY KEY, name TEXT, deletedAt TEXT)",
+    "CREATE TABLE stations (id INTEGER PRIMARY KEY, name TEXT, countryId INTEGER, deletedAt TEXT)",
+    "CREATE TABLE readings (id INTEGER PRIMARY KEY, stationId INTEGER, temp REAL, deletedAt TEXT)",
+    "CREATE TABLE profiles (id INTEGER PRIMARY KEY, stationId INTEGER, bio TEXT, deletedAt TEXT)",
+    "CREATE TABLE tags (id INTEGER PRIMARY KEY, label TEXT, deletedAt TEXT)",
+    "CREATE TABLE station_tag (stationId INTEGER, tagId INTEGER)",
+
+    "INSERT INTO countrys (name) VALUES ('Kenya'), ('Nigeria'), ('Chad')",
+    "INSERT INTO stations (name, countryId) VALUES ('Nairobi', 1), ('Mombasa', 1), ('Lagos', 2), ('Buoy', NULL)",
+    "INSERT INTO readings (stationId, temp) VALUES (1, 20), (1, 22), (2, 30), (2, 35), (3, 28)",
+    "INSERT INTO profiles (stationId, bio) VALUES (2, 'by the sea')",
+    "INSERT INTO tags (label) VALUES ('coastal'), ('capital')",
+    "INSERT INTO station_tag (stationId, tagId) VALUES (1, 2), (2, 1), (3, 1), (3, 2)"
+];
+
+async function setup() {
+    const driver = new RecordingDriver();
+    const db = new DatabaseManager();
+    db.registerDriver("memory", driver);
+
+    await db.query(async conn => {
+        for (const sql of TABLES) await conn.query(sql);
+    });
+
+    const orm = new ORM(db, { timestampFields: false });
+
+    // Defined before the models they point at: relations resolve on use
+    const Country = orm.defineModel("Country", {
+        relationships: { stations: { type: "hasMany", model: "Station" } }
+    });
+
+    const Station = orm.defineModel("Station", {
+        relationships: {
+            country: { type: "belongsTo", model: "Country" },
+            readings: { type: "hasMany", model: "Reading" },
+            profile: { type: "hasOne", model: "Profile" },
+            tags: { type: "belongsToMany", model: "Tag", through: "station_tag" }
+        }
+    });
+
+    const Reading = orm.defineModel("Reading", {});
+    Reading.belongsTo("station", Station);
+
+    const Tag = orm.defineModel("Tag", {});
+    Tag.belongsToMany("stations", Station, { through: "station_tag" });
+
+    orm.defineModel("Profile", {});
+
+    driver.statements.length = 0;
+
+    return { driver, orm, Country, Station, Reading, Tag };
+}
+
+const names = rows => rows.map(row => row.name);
+
+/* --------------------------------
+   Eager loading
+-------------------------------- */
+
+test("nested hasMany loads with one query per level", async () => {
+    const { driver, Country } = await setup();
+
+    const countries = await Country.findAll({ with: "stations.readings", orderBy: "id" });
+
+    assert.equal(driver.statements.length, 3);
+    assert.deepEqual(
+        countries.map(country => [country.name, country.stations.map(station => [station.name, station.readings.map(r => r.temp)])]),
+        [
+            ["Kenya", [["Nairobi", [20, 22]], ["Mombasa", [30, 35]]]],
+            ["Nigeria", [["Lagos", [28]]]],
+            ["Chad", []]
+        ]
+    );
+});
+
+test("belongsTo and hasOne load a single instance or null", async () => {
+    const { driver, Station, Reading } = await setup();
+
+    const readings = await Reading.with("station.country").get();
+
+    assert.equal(driver.statements.length, 3);
+    assert.deepEqual(
+        readings.map(reading => `${reading.temp}@${reading.station.name}/${reading.station.country.name}`),
+        ["20@Nairobi/Kenya", "22@Nairobi/Kenya", "30@Mombasa/Kenya", "35@Mombasa/Kenya", "28@Lagos/Nigeria"]
+    );
+
+    const stations = await Station.with("country", "profile").orderBy("id").get();
+
+    assert.deepEqual(
+        stations.map(station => [station.name, station.country?.name ?? null, station.profile?.bio ?? null]),
+        [
+            ["Nairobi", "Kenya", null],
+            ["Mombasa", "Kenya", "by the sea"],
+            ["Lagos", "Nigeria", null],
+            ["Buoy", null, null]
+        ]
+    );
+});
+
+test("belongsToMany loads through the pivot table without leaking its key", async () => {
+    const { driver, Station, Tag } = await setup();
+
+    const stations = await Station.with("tags").orderBy("id").get();
+
+    assert.equal(driver.statements.length, 2);
+    assert.deepEqual(
+        stations.map(station => [station.name, station.tags.map(tag => tag.label).sort()]),
+        [["Nairobi", ["capital"]], ["Mombasa", ["coastal"]], ["Lagos", ["capital", "coastal"]], ["Buoy", []]]
+    );
+
+    const [tag] = stations[2].tags;
+    assert.deepEqual(Object.keys(tag.toJSON()).sort(), ["deletedAt", "id", "label"]);
+    assert.equal(tag.isDirty(), false);
+
+    const coastal = await Tag.with("stations").where("label", "coastal").first();
+    assert.deepEqual(names(coastal.stations).sort(), ["Lagos", "Mombasa"]);
+});
+
+test("constrained eager loads only attach the matching rows", async () => {
+    const { Station } = await setup();
+
+    const stations = await Station.with({ readings: q => q.where("temp", ">", 21).orderBy("temp", "desc") })
+        .whereIn("id", [1, 2])
+        .orderBy("id")
+        .get();
+
+    assert.deepEqual(
+        stations.map(station => station.readings.map(r => r.temp)),
+        [[22], [35, 30]]
+    );
+});
+
+test("load() adds relations to an instance; toJSON includes them but save() ignores them", async () => {
+    const { Station } = await setup();
+
+    const station = await Station.findById(1);
+    await station.load("readings", "country");
+
+    assert.deepEqual(station.toJSON().readings.map(r => r.temp), [20, 22]);
+    assert.equal(station.toJSON().country.name, "Kenya");
+    assert.equal(station.isDirty(), false);
+
+    station.name = "Nairobi West";
+    assert.deepEqual(station.getChanges(), { name: "Nairobi West" });
+    await station.save();
+
+    assert.equal((await Station.findById(1)).name, "Nairobi West");
+});
+
+/* --------------------------------
+   whereHas / whereDoesntHave
+-------------------------------- */
+
+test("whereHas filters by related rows, with or without a constraint", async () => {
+    const { Country, Station } = await setup();
+
+    assert.deepEqual(names(await Station.whereHas("readings").orderBy("id").get()), ["Nairobi", "Mombasa", "Lagos"]);
+    assert.deepEqual(names(await Station.whereHas("readings", q => q.where("temp", ">", 29)).get()), ["Mombasa"]);
+    assert.deepEqual(names(await Station.whereHas("tags", q => q.where("label", "capital")).orderBy("id").get()), ["Nairobi", "Lagos"]);
+    assert.deepEqual(names(await Station.whereHas("country", q => q.where("name", "Nigeria")).get()), ["Lagos"]);
+
+    // A dotted path constrains the innermost relation
+    assert.deepEqual(names(await Country.whereHas("stations.readings", q => q.where("temp", "<", 25)).get()), ["Kenya"]);
+});
+
+test("whereDoesntHave keeps rows with no related row or a NULL key", async () => {
+    const { Country, Station } = await setup();
+
+    assert.deepEqual(names(await Station.query().whereDoesntHave("readings").get()), ["Buoy"]);
+    assert.deepEqual(names(await Station.query().whereDoesntHave("country").get()), ["Buoy"]);
+    assert.deepEqual(names(await Country.query().whereDoesntHave("stations").get()), ["Chad"]);
+});
+
+test("soft-deleted related rows are neither loaded nor matched", async () => {
+    const { Station, Reading } = await setup();
+
+    await Reading.destroy(5);
+
+    assert.deepEqual(names(await Station.whereHas("readings").orderBy("id").get()), ["Nairobi", "Mombasa"]);
+
+    const lagos = await Station.with("readings").where("name", "Lagos").first();
+    assert.deepEqual(lagos.readings, []);
+
+    await Reading.restore(5);
+    await lagos.load("readings");
+    assert.deepEqual(lagos.readings.map(r => r.temp), [28]);
+});
+
+/* --------------------------------
+   Errors
+-------------------------------- */
+
+test("unknown relations, relation types and related models are reported", async () => {
+    const { orm, Station } = await setup();
+
+    await assert.rejects(Station.with("nope").get(), /Station has no relation 'nope'/);
+    assert.throws(() => Station.whereHas("nope"), /Station has no relation 'nope'/);
+
+    assert.throws(
+        () => orm.defineModel("Buoy", { relationships: { station: { type: "hasSome", model: "Station" } } }),
+        /Relation 'station' on Buoy has unknown type 'hasSome'/
+    );
+
+    // Only checked on use, since models may be defined in any order
+    Station.belongsTo("owner", "Owner");
+    assert.throws(() => Station.whereHas("owner"), /Related model 'Owner' not found/);
+});
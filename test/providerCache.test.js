@@ -0,0 +1,59 @@
+/**
+ * Caching headers from sendCached(): Cache-Control scope and Vary.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { sendCached, appendVary } = require("../utils/providerCache");
+
+// Just enough of a Node response for sendCached()
+function mockResponse() {
+  const headers = new Map();
+
+  return {
+    statusCode: 200,
+    body: null,
+    getHeader: name => headers.get(name.toLowerCase()),
+    setHeader(name, value) { headers.set(name.toLowerCase(), value); },
+    status(code) { this.statusCode = code; return this; },
+    end(body) { this.body = body; return this; }
+  };
+}
+
+const entry = { ttl: 600000, fetchedAt: Date.now(), fetched: true, stale: false };
+
+test("sendCached keeps a Vary header the route already set", () => {
+  const res = mockResponse();
+  res.setHeader("Vary", "Accept-Language");
+
+  sendCached({ headers: {} }, res, { success: true }, entry);
+
+  assert.equal(res.getHeader("Vary"), "Accept-Language, X-API-Key, Authorization");
+});
+
+test("sendCached varies on the API key headers when nothing else was set", () => {
+  const res = mockResponse();
+
+  sendCached({ headers: {} }, res, { success: true }, entry);
+
+  assert.equal(res.getHeader("Vary"), "X-API-Key, Authorization");
+  assert.match(res.getHeader("Cache-Control"), /^public, max-age=\d+/);
+});
+
+test("sendCached marks keyed requests private", () => {
+  const res = mockResponse();
+
+  sendCached({ headers: { "x-api-key": "secret" } }, res, { success: true }, entry);
+
+  assert.match(res.getHeader("Cache-Control"), /^private, /);
+});
+
+test("appendVary skips fields that are already listed in any case", () => {
+  const res = mockResponse();
+  res.setHeader("Vary", "accept-language, Authorization");
+
+  appendVary(res, "Accept-Language", "X-API-Key", "authorization");
+
+  assert.equal(res.getHeader("Vary"), "accept-language, Authorization, X-API-Key");
+});
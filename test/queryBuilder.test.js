@@ -0,0 +1,246 @@
+/**
+ * The SQL and bindings QueryBuilder produces per dialect, and what that
+ * SQL returns when the memory driver runs it.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const QueryBuilder = require('../utils/queryBuilder');
+const { MemoryDriver } = require('../utils/memoryDriver');
+
+const qb = dialect => new QueryBuilder({ dialect });
+
+async function stations() {
+    const conn = await new MemoryDriver().createConnection();
+
+    await conn.query(`
+        CREATE TABLE stations (id INTEGER PRIMARY KEY, name TEXT NOT NULL, country TEXT);
+        CREATE TABLE readings (id INTEGER PRIMARY KEY, stationId INTEGER, temp REAL, at TEXT);
+        INSERT INTO stations (name, country) VALUES ('Nairobi', 'KE'), ('Mombasa', 'KE'), ('Oslo', 'NO');
+        INSERT INTO readings (stationId, temp, at) VALUES
+            (1, 21, '2026-10-19'), (1, 24, '2026-10-20'), (2, 31, '2026-10-19'),
+            (2, NULL, '2026-10-20'), (3, 4, '2026-10-19');
+    `);
+
+    return async builder => {
+        const { sql, params } = builder.build();
+        return (await conn.query(sql, params)).rows;
+    };
+}
+
+/* --------------------------------
+   SELECT
+-------------------------------- */
+
+test('select quotes identifiers, aliases and aggregates', () => {
+    assert.deepEqual(
+        qb().select('id', 'r.temp as t', 'COUNT(DISTINCT r.stationId)').from('readings r').build(),
+        { sql: 'SELECT "id", "r"."temp" AS "t", COUNT(DISTINCT "r"."stationId") FROM "readings" AS "r"', params: [] }
+    );
+    assert.deepEqual(qb().select('id, name').select(['country']).distinct().from('stations').build(), {
+        sql: 'SELECT DISTINCT "id", "name", "country" FROM "stations"',
+        params: []
+    });
+    assert.deepEqual(qb().from('readings').count().max('temp', 'warmest').build(), {
+        sql: 'SELECT COUNT(*) AS "count", MAX("temp") AS "warmest" FROM "readings"',
+        params: []
+    });
+});
+
+test('every value becomes a binding, in the order it appears', () => {
+    const { sql, params } = qb()
+        .select('stationId')
+        .sum('temp', 'total')
+        .from('readings')
+        .where('temp', '>', 0)
+        .whereBetween('at', ['2026-10-01', '2026-10-31'])
+        .groupBy('stationId')
+        .having('SUM(temp)', '>=', 30)
+        .orderBy('total', 'desc')
+        .limit(10)
+        .offset(20)
+        .build();
+
+    assert.equal(
+        sql,
+        'SELECT "stationId", SUM("temp") AS "total" FROM "readings" WHERE "temp" > ? AND "at" BETWEEN ? AND ? ' +
+            'GROUP BY "stationId" HAVING SUM("temp") >= ? ORDER BY "total" DESC LIMIT ? OFFSET ?'
+    );
+    assert.deepEqual(params, [0, '2026-10-01', '2026-10-31', 30, 10, 20]);
+});
+
+test('joins take a column pair, an operator or an ON callback', () => {
+    assert.deepEqual(
+        qb()
+            .select('s.name', 'r.temp')
+            .from('readings r')
+            .join('stations s', 's.id', 'r.stationId')
+            .leftJoin('stations o', on => on.on('o.id', 'r.stationId').orOn('o.country', '<>', 's.country'))
+            .build().sql,
+        'SELECT "s"."name", "r"."temp" FROM "readings" AS "r" INNER JOIN "stations" AS "s" ON "s"."id" = "r"."stationId" ' +
+            'LEFT JOIN "stations" AS "o" ON "o"."id" = "r"."stationId" OR "o"."country" <> "s"."country"'
+    );
+});
+
+/* --------------------------------
+   Conditions
+-------------------------------- */
+
+test('where groups, objects and OR keep their precedence', () => {
+    assert.deepEqual(
+        qb()
+            .from('readings')
+            .where({ stationId: 1, at: '2026-10-19' })
+            .orWhere(q => q.where('temp', '>', 30).orWhereNull('temp'))
+            .build(),
+        {
+            sql: 'SELECT * FROM "readings" WHERE ("stationId" = ? AND "at" = ?) OR ("temp" > ? OR "temp" IS NULL)',
+            params: [1, '2026-10-19', 30]
+        }
+    );
+
+    // An empty group adds nothing rather than "()"
+    assert.deepEqual(qb().from('readings').where(() => {}).build(), { sql: 'SELECT * FROM "readings"', params: [] });
+});
+
+test('null and arrays turn into IS NULL and IN', () => {
+    const { sql, params } = qb()
+        .from('readings')
+        .where('temp', null)
+        .orWhere('temp', '<>', null)
+        .where('stationId', [1, 2])
+        .whereNotIn('id', [5])
+        .build();
+
+    assert.equal(sql, 'SELECT * FROM "readings" WHERE "temp" IS NULL OR "temp" IS NOT NULL AND "stationId" IN (?, ?) AND "id" NOT IN (?)');
+    assert.deepEqual(params, [1, 2, 5]);
+});
+
+test('empty IN lists match nothing and empty NOT IN lists match everything', () => {
+    assert.equal(qb().from('readings').whereIn('id', []).build().sql, 'SELECT * FROM "readings" WHERE 1 = 0');
+    assert.equal(qb().from('readings').whereNotIn('id', []).build().sql, 'SELECT * FROM "readings" WHERE 1 = 1');
+});
+
+test('whereIn with a builder becomes a subquery sharing the bindings', () => {
+    const kenyan = qb().select('id').from('stations').where('country', 'KE');
+
+    assert.deepEqual(qb('postgres').from('readings').where('temp', '>', 20).whereIn('stationId', kenyan).limit(5).build(), {
+        sql: 'SELECT * FROM "readings" WHERE "temp" > $1 AND "stationId" IN (SELECT "id" FROM "stations" WHERE "country" = $2) LIMIT $3',
+        params: [20, 'KE', 5]
+    });
+});
+
+test('raw SQL only goes in through the *Raw methods', () => {
+    assert.throws(() => qb().from('readings').where('temp > 0 OR 1 = 1', true), TypeError);
+    assert.throws(() => qb().from('readings').where('temp'), /No value given for "temp"/);
+    assert.throws(() => qb().from('readings').where('temp', undefined), /Undefined binding/);
+    assert.throws(() => qb().from('readings').orderBy('temp; DROP TABLE readings'), TypeError);
+    assert.throws(() => qb().from('readings').where('temp', 'LIKE ? OR 1 =', 1), /Unsupported operator/);
+    assert.throws(() => qb().from('readings').orderBy('temp', 'sideways'), /ASC or DESC/);
+
+    assert.deepEqual(qb().from('readings').whereRaw('temp * 1.8 + 32 > ?', [80]).build(), {
+        sql: 'SELECT * FROM "readings" WHERE (temp * 1.8 + 32 > ?)',
+        params: [80]
+    });
+});
+
+/* --------------------------------
+   Writes
+-------------------------------- */
+
+test('insert, update and delete build parameterized statements', () => {
+    assert.deepEqual(
+        qb().table('readings').insert([{ stationId: 1, temp: 20 }, { stationId: 2, temp: null }]).returning('id').build(),
+        { sql: 'INSERT INTO "readings" ("stationId", "temp") VALUES (?, ?), (?, ?) RETURNING "id"', params: [1, 20, 2, null] }
+    );
+
+    // Undefined values are left out, as if the key were missing
+    assert.deepEqual(qb().table('readings').update({ temp: 22, at: undefined }).where('id', 1).build(), {
+        sql: 'UPDATE "readings" SET "temp" = ? WHERE "id" = ?',
+        params: [22, 1]
+    });
+
+    assert.deepEqual(qb('mysql').table('readings').delete().where('temp', '<', -50).build(), {
+        sql: 'DELETE FROM `readings` WHERE `temp` < ?',
+        params: [-50]
+    });
+
+    assert.equal(qb().table('readings').insert({}).build().sql, 'INSERT INTO "readings" DEFAULT VALUES');
+    assert.throws(() => qb().table('readings').insert([{ a: 1 }, { b: 2 }]).build(), /same columns/);
+    assert.throws(() => qb().table('readings').update({ temp: undefined }), /at least one column/);
+    assert.throws(() => qb('mysql').table('readings').delete().returning('id'), /RETURNING is not supported/);
+});
+
+/* --------------------------------
+   Dialects
+-------------------------------- */
+
+test('each dialect quotes names and places bindings its own way', () => {
+    const build = dialect => qb(dialect).select('name').from('stations').where('country', 'KE').offset(10).build();
+
+    assert.deepEqual(build('sqlite'), { sql: 'SELECT "name" FROM "stations" WHERE "country" = ? LIMIT -1 OFFSET ?', params: ['KE', 10] });
+    assert.deepEqual(build('pg'), { sql: 'SELECT "name" FROM "stations" WHERE "country" = $1 OFFSET $2', params: ['KE', 10] });
+    assert.deepEqual(build('mysql'), {
+        sql: 'SELECT `name` FROM `stations` WHERE `country` = ? LIMIT 18446744073709551615 OFFSET ?',
+        params: ['KE', 10]
+    });
+
+    assert.throws(() => qb('oracle'), /Unknown SQL dialect/);
+});
+
+test('postgres numbering skips ? inside quoted raw SQL', () => {
+    assert.deepEqual(qb('postgres').from('stations').whereRaw("name <> '?' AND country = ?", ['KE']).where('id', 1).build(), {
+        sql: 'SELECT * FROM "stations" WHERE (name <> \'?\' AND country = $1) AND "id" = $2',
+        params: ['KE', 1]
+    });
+});
+
+test('quoting doubles embedded quote characters', () => {
+    assert.equal(qb().quote('we"ird'), '"we""ird"');
+    assert.equal(qb('mysql').quote('we`ird'), '`we``ird`');
+});
+
+/* --------------------------------
+   Results
+-------------------------------- */
+
+test('built queries return the expected rows', async () => {
+    const run = await stations();
+
+    assert.deepEqual(
+        await run(
+            qb()
+                .select('s.name')
+                .max('r.temp', 'warmest')
+                .from('readings r')
+                .join('stations s', 's.id', 'r.stationId')
+                .where('s.country', 'KE')
+                .groupBy('s.name')
+                .orderBy('warmest', 'desc')
+        ),
+        [{ name: 'Mombasa', warmest: 31 }, { name: 'Nairobi', warmest: 24 }]
+    );
+
+    assert.deepEqual(
+        await run(qb().select('id').from('readings').where(q => q.where('temp', '<', 10).orWhereNull('temp')).orderBy('id')),
+        [{ id: 4 }, { id: 5 }]
+    );
+
+    const kenyan = qb().select('id').from('stations').where('country', 'KE');
+    assert.deepEqual(await run(qb().from('readings').whereNotIn('stationId', kenyan).count()), [{ count: 1 }]);
+
+    assert.deepEqual(await run(qb().select('id').from('readings').orderBy('id').limit(2).offset(1)), [{ id: 2 }, { id: 3 }]);
+    assert.deepEqual(await run(qb().select('id').from('readings').orderBy('id').offset(3)), [{ id: 4 }, { id: 5 }]);
+});
+
+test('built writes change the expected rows', async () => {
+    const run = await stations();
+
+    assert.deepEqual(
+        await run(qb().table('readings').update({ temp: 0 }).whereNull('temp').returning('id', 'temp')),
+        [{ id: 4, temp: 0 }]
+    );
+    assert.deepEqual(await run(qb().table('readings').delete().where('at', '2026-10-20').returning('id')), [{ id: 2 }, { id: 4 }]);
+    assert.deepEqual(await run(qb().from('readings').count('id', 'n')), [{ n: 3 }]);
+});
@@ -0,0 +1,89 @@
+/**
+ * RateLimiter strategies, in memory and against a shared MemoryStore,
+ * including multi-request `cost` charges.
+ */
+
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { RateLimiter, MemoryStore } from "../utils/rateLimiter.js";
+
+const START = 1_000_000;
+
+function limiter(strategy, { storage = null, maxRequests = 5, ...options } = {}) {
+  const instance = new RateLimiter({ maxRequests, timeWindow: 1000, strategy, storage, ...options });
+  instance.clock = START;
+  instance._now = () => instance.clock;
+  return instance;
+}
+
+async function allowedCount(checks) {
+  return (await Promise.all(checks)).filter(result => result.allowed).length;
+}
+
+for (const strategy of ["fixed", "sliding"]) {
+  test(`${strategy}: instances sharing a store never let more than the limit through`, async () => {
+    const storage = new MemoryStore();
+    const a = limiter(strategy, { storage });
+    const b = limiter(strategy, { storage });
+
+    const checks = Array.from({ length: 20 }, (_, i) => (i % 2 ? a : b).check("ip:1"));
+
+    assert.equal(await allowedCount(checks), 5);
+  });
+
+  test(`${strategy}: a cost is charged in full or not at all`, async () => {
+    for (const storage of [null, new MemoryStore()]) {
+      const instance = limiter(strategy, { storage });
+
+      assert.equal((await instance.check("ip:1", { cost: 3 })).remaining, 2);
+
+      const refused = await instance.check("ip:1", { cost: 3 });
+      assert.equal(refused.allowed, false);
+      assert.ok(refused.retryAfter >= 1);
+
+      // The refused batch took nothing, so two single requests still fit
+      assert.equal((await instance.check("ip:1", { cost: 2 })).allowed, true);
+      assert.equal((await instance.check("ip:1")).allowed, false);
+    }
+  });
+}
+
+test("token: a cost spends that many tokens", async () => {
+  const instance = limiter("token");
+
+  assert.equal((await instance.check("ip:1", { cost: 4 })).remaining, 1);
+  assert.equal((await instance.check("ip:1", { cost: 2 })).allowed, false);
+  assert.equal((await instance.check("ip:1")).allowed, true);
+});
+
+test("sliding: the previous window counts by how much of it still overlaps", async () => {
+  const instance = limiter("sliding", { storage: new MemoryStore() });
+
+  for (let i = 0; i < 5; i++) await instance.check("ip:1");
+
+  // Halfway through the next window, half of the previous 5 still counts
+  instance.clock = START + 1500;
+
+  const results = [];
+  for (let i = 0; i < 3; i++) results.push((await instance.check("ip:1")).allowed);
+
+  assert.deepEqual(results, [true, true, false]);
+});
+
+test("a shared store can't be used with the token strategy", () => {
+  assert.throws(() => limiter("token", { storage: new MemoryStore() }), /fixed and sliding/);
+});
+
+test("MemoryStore counters behave like their Redis namesakes", async () => {
+  const store = new MemoryStore();
+
+  assert.equal(await store.incrby("n", 3), 3);
+  assert.equal(await store.decrby("n", 1), 2);
+  assert.equal(await store.incr("n"), 3);
+  assert.equal(await store.pexpire("n", 10), 1);
+  assert.equal(await store.pexpire("missing", 10), 0);
+
+  await new Promise(resolve => setTimeout(resolve, 20));
+  assert.equal(await store.get("n"), null);
+});
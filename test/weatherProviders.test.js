@@ -0,0 +1,24 @@
+/**
+ * Provider mappers: vendor rows in, the normalized schema out.
+ */
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { OpenMeteoProvider } = require("../utils/weatherProviders");
+
+test("Open-Meteo snowfall in cm becomes water-equivalent mm", () => {
+    const provider = new OpenMeteoProvider();
+
+    // 7 cm of snow is 10 mm of water
+    assert.equal(provider.mapEntry({ time: 0, snowfall: 7 }).snow, 10);
+    assert.equal(provider.mapEntry({ time: 0, snowfall: 1.4 }).snow, 2);
+    assert.equal(provider.mapEntry({ time: 0, snowfall: 0.35 }).snow, 0.5);
+});
+
+test("Open-Meteo rows without snowfall report no snow", () => {
+    const provider = new OpenMeteoProvider();
+
+    assert.equal(provider.mapEntry({ time: 0 }).snow, 0);
+    assert.equal(provider.mapEntry({ time: 0, snowfall: null }).snow, 0);
+});
@@ -0,0 +1,249 @@
+/**
+ * Air Quality & UV
+ *
+ * Providers report raw concentrations (µg/m³) and the UV index; this
+ * module turns them into a US EPA AQI (0–500), category bands and
+ * health advice. Category labels and advice are localized through
+ * utils/i18n.js so /api/air-quality can answer in the caller's language.
+ */
+
+const { I18n } = require("./i18n");
+
+/* --------------------------------
+   Pollutants & Breakpoints
+-------------------------------- */
+
+const POLLUTANTS = {
+  pm2_5: { label: "PM2.5", unit: "µg/m³" },
+  pm10: { label: "PM10", unit: "µg/m³" },
+  o3: { label: "O₃", unit: "µg/m³" },
+  no2: { label: "NO₂", unit: "µg/m³" }
+};
+
+// EPA breakpoints: [concentration low, high, index low, high].
+// PM in µg/m³; gases in ppb, converted from µg/m³ at 25 °C.
+const BREAKPOINTS = {
+  pm2_5: [[0, 9, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]],
+  pm10: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]],
+  o3: [[0, 54, 0, 50], [55, 70, 51, 100], [71, 85, 101, 150], [86, 105, 151, 200], [106, 200, 201, 300]],
+  no2: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]]
+};
+
+// µg/m³ per ppb
+const PPB_FACTOR = { o3: 1.96, no2: 1.88 };
+
+const AQI_BANDS = [
+  { key: "good", max: 50, color: "#00e400" },
+  { key: "moderate", max: 100, color: "#ffff00" },
+  { key: "unhealthySensitive", max: 150, color: "#ff7e00" },
+  { key: "unhealthy", max: 200, color: "#ff0000" },
+  { key: "veryUnhealthy", max: 300, color: "#8f3f97" },
+  { key: "hazardous", max: Infinity, color: "#7e0023" }
+];
+
+// WHO UV index bands
+const UV_BANDS = [
+  { key: "low", max: 2, color: "#289500" },
+  { key: "moderate", max: 5, color: "#f7e400" },
+  { key: "high", max: 7, color: "#f85900" },
+  { key: "veryHigh", max: 10, color: "#d8001d" },
+  { key: "extreme", max: Infinity, color: "#6b49c8" }
+];
+
+/* --------------------------------
+   Translations
+-------------------------------- */
+
+const TRANSLATIONS = {
+  en: {
+    aqi: {
+      good: { label: "Good", advice: "Air quality is satisfactory. Enjoy outdoor activities." },
+      moderate: { label: "Moderate", advice: "Unusually sensitive people should consider reducing prolonged outdoor exertion." },
+      unhealthySensitive: {
+        label: "Unhealthy for sensitive groups",
+        advice: "Children, older adults and people with heart or lung disease should reduce prolonged outdoor exertion."
+      },
+      unhealthy: { label: "Unhealthy", advice: "Everyone should reduce prolonged outdoor exertion; sensitive groups should avoid it." },
+      veryUnhealthy: { label: "Very unhealthy", advice: "Avoid prolonged outdoor exertion. Sensitive groups should stay indoors." },
+      hazardous: { label: "Hazardous", advice: "Health warning: everyone should avoid all outdoor exertion." }
+    },
+    uv: {
+      low: { label: "Low", advice: "No protection needed." },
+      moderate: { label: "Moderate", advice: "Wear sunscreen and a hat; seek shade around midday." },
+      high: { label: "High", advice: "Reduce time in the sun between 10am and 4pm; use SPF 30+." },
+      veryHigh: { label: "Very high", advice: "Take extra precautions: avoid the midday sun and cover up." },
+      extreme: { label: "Extreme", advice: "Avoid being outside around midday; unprotected skin can burn in minutes." }
+    }
+  },
+  so: {
+    aqi: {
+      good: { label: "Wanaagsan", advice: "Tayada hawadu waa fiican tahay. Ku raaxayso hawlaha bannaanka." },
+      moderate: { label: "Dhexdhexaad", advice: "Dadka aadka u nugul waa inay yareeyaan dadaalka dheer ee bannaanka." },
+      unhealthySensitive: {
+        label: "Caafimaad darro u ah dadka nugul",
+        advice: "Carruurta, waayeelka iyo dadka qaba cudurrada wadnaha ama sambabada waa inay yareeyaan dadaalka dheer ee bannaanka."
+      },
+      unhealthy: { label: "Caafimaad darro", advice: "Qof walba waa inuu yareeyo dadaalka dheer ee bannaanka; dadka nugul ha ka fogaadaan." },
+      veryUnhealthy: { label: "Aad caafimaad darro u ah", advice: "Ka fogow dadaalka dheer ee bannaanka. Dadka nugul ha joogaan gudaha." },
+      hazardous: { label: "Khatar", advice: "Digniin caafimaad: qof walba ha ka fogaado dhammaan hawlaha bannaanka." }
+    },
+    uv: {
+      low: { label: "Hoose", advice: "Looma baahna ilaalin gaar ah." },
+      moderate: { label: "Dhexdhexaad", advice: "Mari kareemka qorraxda oo xiro koofiyad; hooska raadso duhurkii." },
+      high: { label: "Sare", advice: "Yaree waqtiga qorraxda inta u dhexeysa 10-ka subaxnimo iyo 4-ta galabnimo; isticmaal SPF 30+." },
+      veryHigh: { label: "Aad u sare", advice: "Taxaddar dheeraad ah: ka fogow qorraxda duhurkii oo isdabool." },
+      extreme: { label: "Xad dhaaf", advice: "Ka fogow bannaanka saacadaha duhurka; maqaarku wuxuu ku guban karaa daqiiqado gudahood." }
+    }
+  }
+};
+
+const SUPPORTED_LOCALES = Object.keys(TRANSLATIONS);
+const DEFAULT_LOCALE = "en";
+
+// One translator per locale, so concurrent requests never share a current locale
+const translators = new Map();
+
+function translator(locale) {
+  if (!translators.has(locale)) {
+    const i18n = new I18n({ defaultLocale: locale, fallbackChain: [DEFAULT_LOCALE] });
+    for (const [lang, strings] of Object.entries(TRANSLATIONS)) {
+      i18n.addTranslations(lang, { airQuality: strings });
+    }
+    translators.set(locale, i18n);
+  }
+
+  return translators.get(locale);
+}
+
+/**
+ * Pick a supported locale from ?lang= or an Accept-Language header.
+ * @example resolveLocale(null, "so-SO,so;q=0.9,en;q=0.8") // "so"
+ */
+function resolveLocale(lang, acceptLanguage = "") {
+  const candidates = [
+    lang,
+    ...String(acceptLanguage).split(",").map(part => part.split(";")[0])
+  ];
+
+  for (const candidate of candidates) {
+    const base = String(candidate || "").trim().toLowerCase().split("-")[0];
+    if (SUPPORTED_LOCALES.includes(base)) return base;
+  }
+
+  return DEFAULT_LOCALE;
+}
+
+/* --------------------------------
+   Calculations
+-------------------------------- */
+
+function isValidNumber(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
+
+/**
+ * Sub-index for one pollutant from its µg/m³ concentration
+ */
+function pollutantAqi(pollutant, concentration) {
+  const table = BREAKPOINTS[pollutant];
+  if (!table || !isValidNumber(concentration) || concentration < 0) return null;
+
+  const c = PPB_FACTOR[pollutant] ? concentration / PPB_FACTOR[pollutant] : concentration;
+  const band = table.find(([, cHigh]) => c <= cHigh);
+
+  // Off the top of the scale
+  if (!band) return 500;
+
+  const [cLow, cHigh, iLow, iHigh] = band;
+  return Math.round(((iHigh - iLow) / (cHigh - cLow)) * (Math.max(c, cLow) - cLow) + iLow);
+}
+
+/**
+ * Overall AQI is the worst pollutant's sub-index.
+ * @returns {{ aqi: number|null, dominant: string|null, byPollutant: object }}
+ */
+function computeAqi(concentrations = {}) {
+  const byPollutant = {};
+  let aqi = null;
+  let dominant = null;
+
+  for (const pollutant of Object.keys(POLLUTANTS)) {
+    const index = pollutantAqi(pollutant, concentrations[pollutant]);
+    byPollutant[pollutant] = index;
+
+    if (index !== null && (aqi === null || index > aqi)) {
+      aqi = index;
+      dominant = pollutant;
+    }
+  }
+
+  return { aqi, dominant, byPollutant };
+}
+
+function band(bands, value) {
+  return isValidNumber(value) ? bands.find(b => value <= b.max) : null;
+}
+
+function describeBand(bands, group, value, locale) {
+  const b = band(bands, value);
+  if (!b) return null;
+
+  const t = translator(locale);
+
+  return {
+    key: b.key,
+    label: t.t(`airQuality:${group}.${b.key}.label`),
+    advice: t.t(`airQuality:${group}.${b.key}.advice`),
+    color: b.color
+  };
+}
+
+const aqiCategory = (aqi, locale = DEFAULT_LOCALE) => describeBand(AQI_BANDS, "aqi", aqi, locale);
+const uvCategory = (uvIndex, locale = DEFAULT_LOCALE) => describeBand(UV_BANDS, "uv", uvIndex, locale);
+
+/**
+ * Turn a provider's normalized `current` air-quality block
+ * ({ time, pm2_5, pm10, o3, no2, uvIndex, uvIndexMax }) into what the
+ * API returns: AQI, per-pollutant detail and localized UV/AQI bands.
+ */
+function describeAirQuality(current = {}, { locale = DEFAULT_LOCALE } = {}) {
+  const { aqi, dominant, byPollutant } = computeAqi(current);
+  const round = v => (isValidNumber(v) ? Math.round(v * 10) / 10 : null);
+
+  return {
+    time: current.time ?? null,
+    aqi,
+    dominant,
+    category: aqiCategory(aqi, locale),
+    pollutants: Object.fromEntries(
+      Object.entries(POLLUTANTS).map(([key, { label, unit }]) => [
+        key,
+        { label, value: round(current[key]), unit, aqi: byPollutant[key] }
+      ])
+    ),
+    uv: {
+      index: round(current.uvIndex),
+      max: round(current.uvIndexMax),
+      category: uvCategory(current.uvIndex, locale),
+      // Advice for the day's peak matters more than the current reading at night
+      peakCategory: uvCategory(current.uvIndexMax, locale)
+    }
+  };
+}
+
+/* --------------------------------
+   Export
+-------------------------------- */
+
+module.exports = {
+  POLLUTANTS,
+  AQI_BANDS,
+  UV_BANDS,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  pollutantAqi,
+  computeAqi,
+  aqiCategory,
+  uvCategory,
+  describeAirQuality
+};
@@ -0,0 +1,193 @@
+/**
+ * API Access (server-only)
+ *
+ * API keys and rate limits for the routes that spend provider quota
+ * (/api/weather, /api/weather/batch, /api/weather/export,
+ * /api/air-quality, /api/history):
+ *   - callers without a key are limited per client IP
+ *   - `X-API-Key: <key>` or `Authorization: Bearer <key>` with a key from
+ *     API_KEYS gets a separate, larger allowance per key
+ *   - an unknown key is a 401; so is a missing one with API_KEY_REQUIRED=true
+ *
+ * Counters live in a utils/rateLimiter.js store, in memory by default.
+ * Serverless instances don't share memory, so production deployments
+ * should call setRateLimitStore() with a Redis-style client.
+ */
+
+const { createHash } = require("crypto");
+const { RateLimiter, MemoryStore } = require("./rateLimiter");
+const { getInt, getBoolean, getList, getEnv } = require("./env");
+const { logger } = require("./observability");
+
+const STRATEGIES = ["fixed", "sliding"];
+
+// On globalThis so the page and every API route bundle count against one store
+globalThis.__weatherproRateLimits ??= { store: new MemoryStore(), limiters: null };
+
+const state = globalThis.__weatherproRateLimits;
+
+/* --------------------------------
+   Configuration
+-------------------------------- */
+
+function hashKey(key) {
+  return createHash("sha256").update(key).digest("hex");
+}
+
+// Read lazily so env changes and setRateLimitStore() take effect on the next request
+function getLimiters() {
+  if (state.limiters) return state.limiters;
+
+  const strategy = getEnv("RATE_LIMIT_STRATEGY", "sliding");
+  if (!STRATEGIES.includes(strategy)) {
+    throw new Error(`RATE_LIMIT_STRATEGY must be one of: ${STRATEGIES.join(", ")}`);
+  }
+
+  const timeWindow = getInt("RATE_LIMIT_WINDOW", 60) * 1000;
+  const common = { timeWindow, strategy, storage: state.store };
+
+  state.limiters = {
+    anonymous: new RateLimiter({ ...common, maxRequests: getInt("RATE_LIMIT_MAX", 60) }),
+    apiKey: new RateLimiter({ ...common, maxRequests: getInt("API_KEY_RATE_LIMIT_MAX", 600) }),
+    // Only hashes are kept, and only hashes reach the store
+    keys: new Set(getList("API_KEYS").map(hashKey)),
+    required: getBoolean("API_KEY_REQUIRED", false),
+    trustProxyHops: getInt("TRUST_PROXY_HOPS", 0)
+  };
+
+  return state.limiters;
+}
+
+/**
+ * Swap the counter store, e.g. for an ioredis client shared by every
+ * instance, or a fresh MemoryStore between tests.
+ */
+function setRateLimitStore(nextStore) {
+  state.store = nextStore;
+  state.limiters = null;
+}
+
+/* --------------------------------
+   Callers
+-------------------------------- */
+
+/**
+ * The address to count against. By default that's the socket peer, since
+ * X-Forwarded-For is whatever the caller chose to send. Behind
+ * TRUST_PROXY_HOPS proxies (the socket peer being the nearest one), the
+ * chain is read from the right and the first address none of them added
+ * for itself is the client; hops to the left of it are caller-supplied.
+ */
+function clientIp(req, trustProxyHops = getLimiters().trustProxyHops) {
+  const socket = req.socket?.remoteAddress || "unknown";
+  let ip = socket;
+
+  if (trustProxyHops > 0) {
+    const forwarded = String(req.headers["x-forwarded-for"] || "")
+      .split(",")
+      .map(hop => hop.trim())
+      .filter(Boolean);
+
+    const chain = [...forwarded, socket];
+    ip = chain[Math.max(0, chain.length - 1 - trustProxyHops)];
+  }
+
+  return String(ip).replace(/^::ffff:/, "");
+}
+
+function readApiKey(req) {
+  const header = req.headers["x-api-key"];
+  if (header) return String(header).trim();
+
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Whether the response is tied to an API key. Shared caches must not
+ * store those, or they would answer keyless callers on the key's behalf.
+ */
+function isKeyedRequest(req) {
+  return getLimiters().required || Boolean(readApiKey(req));
+}
+
+/* --------------------------------
+   Guard
+-------------------------------- */
+
+/**
+ * Authenticate and count one request without answering it, for callers
+ * that render their own response (the Home page's getServerSideProps).
+ * Sets the X-RateLimit-* headers when a limiter ran.
+ * Pass the route's request logger as `log` so warnings carry its request ID,
+ * and `cost` when one request makes several provider lookups.
+ * @returns {Promise<{ allowed: true } | { allowed: false, status: 401|429, error: string, retryAfter?: number }>}
+ */
+async function checkAccess(req, res, { log = logger, cost = 1 } = {}) {
+  const { anonymous, apiKey, keys, required, trustProxyHops } = getLimiters();
+  const key = readApiKey(req);
+
+  let limiter = anonymous;
+  let bucket = `ip:${clientIp(req, trustProxyHops)}`;
+
+  if (key) {
+    const hash = hashKey(key);
+
+    if (!keys.has(hash)) {
+      return { allowed: false, status: 401, error: "Invalid API key" };
+    }
+
+    limiter = apiKey;
+    bucket = `key:${hash.slice(0, 16)}`;
+  } else if (required) {
+    res.setHeader("WWW-Authenticate", "Bearer");
+    return { allowed: false, status: 401, error: "An API key is required (X-API-Key header)" };
+  }
+
+  let result;
+  try {
+    result = await limiter.check(bucket, { cost });
+  } catch (error) {
+    // A store outage shouldn't take the weather down with it
+    log.warn("rate limit store unavailable, allowing request", { error: error?.message });
+    return { allowed: true };
+  }
+
+  limiter.setHeaders(res, result);
+
+  if (!result.allowed) {
+    return {
+      allowed: false,
+      status: 429,
+      error: `Too many requests, try again in ${result.retryAfter} s`,
+      retryAfter: result.retryAfter
+    };
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * checkAccess() for API routes: when the request may not proceed it also
+ * sends the 401/429 response.
+ * @returns {Promise<boolean>} whether the route should carry on
+ */
+async function allowRequest(req, res, options) {
+  const { allowed, status, ...body } = await checkAccess(req, res, options);
+
+  if (!allowed) {
+    res.status(status).json({ success: false, ...body });
+  }
+
+  return allowed;
+}
+
+module.exports = {
+  allowRequest,
+  checkAccess,
+  setRateLimitStore,
+  clientIp,
+  readApiKey,
+  isKeyedRequest,
+  MemoryStore
+};
@@ -4,7 +4,7 @@
  * - O(1) LRU eviction (Map + Doubly Linked List)
  * - TTL with auto cleanup
  * - Max size & max memory limit
- * - Async value caching (Promises)
+ * - Async value caching (Promises) with request coalescing
  * - Namespaces
  * - Event hooks
  * - Metrics & performance tracking
@@ -34,6 +34,7 @@ class CacheManager {
         this.head = null;
         this.tail = null;
         this.memoryUsage = 0;
+        this.pending = new Map();
 
         this.stats = {
             hits: 0,
@@ -111,6 +112,7 @@ class CacheManager {
         this._cleanupTimer = setInterval(() => {
             this.cleanupExpired();
         }, this.cleanupInterval);
+        this._cleanupTimer.unref?.();
     }
 
     _emit(event, payload) {
@@ -188,9 +190,23 @@ class CacheManager {
         const cached = this.get(key);
         if (cached !== null) return cached;
 
-        const result = await asyncFn();
-        this.set(key, result, ttl);
-        return result;
+        // Concurrent misses for the same key share one in-flight call
+        if (this.pending.has(key)) {
+            return this.pending.get(key);
+        }
+
+        const promise = Promise.resolve()
+            .then(asyncFn)
+            .then(result => {
+                this.set(key, result, ttl);
+                return result;
+            })
+            .finally(() => {
+                this.pending.delete(key);
+            });
+
+        this.pending.set(key, promise);
+        return promise;
     }
 
     has(key) {
@@ -85,6 +85,18 @@ export function median(numbers) {
   return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
 }
 
+/**
+ * p-th percentile (0–100), interpolating between closest ranks
+ * @example percentile([1, 2, 3, 4], 50) // 2.5
+ */
+export function percentile(numbers, p) {
+  if (numbers.length === 0) return 0;
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const rank = (clamp(p, 0, 100) / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  return sorted[lower] + (rank - lower) * ((sorted[lower + 1] ?? sorted[lower]) - sorted[lower]);
+}
+
 /**
  * Generate a random integer between min and max (inclusive)
  */
@@ -147,3 +159,14 @@ export function degToRad(deg) {
 export function radToDeg(rad) {
   return (rad * 180) / Math.PI;
 }
+
+/**
+ * Great-circle distance in km between two lat/lon points
+ */
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const dLat = degToRad(lat2 - lat1);
+  const dLon = degToRad(lon2 - lon1);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(degToRad(lat1)) * Math.cos(degToRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
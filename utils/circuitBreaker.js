@@ -18,6 +18,7 @@ export class CircuitBreaker {
         this.onClose = options.onClose ?? (() => {});
         this.onHalfOpen = options.onHalfOpen ?? (() => {});
         this.halfOpenMaxCalls = options.halfOpenMaxCalls ?? 1;
+        this.successThreshold = options.successThreshold ?? this.threshold;
 
         // State
         this.state = "CLOSED";
@@ -54,6 +55,7 @@ export class CircuitBreaker {
             this.halfOpenActiveCalls++;
         }
 
+        const probing = this.state === "HALF_OPEN";
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
@@ -61,11 +63,13 @@ export class CircuitBreaker {
             const result = await this.fn(...args, { signal: controller.signal });
 
             clearTimeout(timeoutId);
+            if (probing) this.halfOpenActiveCalls--;
             this._handleSuccess();
             return result;
 
         } catch (error) {
             clearTimeout(timeoutId);
+            if (probing) this.halfOpenActiveCalls--;
 
             // Ignore non-critical errors
             if (!this.errorFilter(error)) {
@@ -83,7 +87,7 @@ export class CircuitBreaker {
         if (this.state === "HALF_OPEN") {
             this.successCount++;
 
-            if (this.successCount >= this.threshold) {
+            if (this.successCount >= this.successThreshold) {
                 this._close();
             }
         }
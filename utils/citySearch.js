@@ -0,0 +1,117 @@
+/**
+ * Offline City Search
+ * Typo-tolerant autocomplete over the bundled city list (data/cities.json)
+ * using SearchEngine's BM25 scoring and Levenshtein term matching.
+ *
+ * A city is { name, country, admin, lat, lon, population }, where
+ * `country` is the ISO 3166-1 alpha-2 code used by /api/weather.
+ */
+
+import { SearchEngine } from "./searchEngine";
+import cities from "../data/cities.json";
+
+const DEFAULT_LIMIT = 8;
+
+let engine = null;
+
+/**
+ * Lowercase and strip accents ("Zürich" → "zurich"). SearchEngine's own
+ * tokenizer would split decomposed letters into separate tokens.
+ */
+function fold(text = "") {
+  return String(text).normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+}
+
+/**
+ * Built on first use so pages that never search don't pay for the index
+ */
+function getEngine() {
+  if (engine) return engine;
+
+  engine = new SearchEngine({ fuzzyThreshold: 2 });
+  cities.forEach((city, i) => {
+    engine.addDocument(String(i), fold(`${city.name} ${city.admin}`), city);
+  });
+
+  return engine;
+}
+
+// Two edits on a short word match most of the index ("oslo" → "lyon", "lima")
+function maxDistance(term) {
+  return term.length <= 4 ? 1 : 2;
+}
+
+/**
+ * Index terms a query term should count as: fuzzy matches, weighted by
+ * closeness, plus prefix completions for the word still being typed.
+ * @returns {Map<string, number>} term -> weight (0..1]
+ */
+function expandTerm(search, term, isLast) {
+  const weights = new Map();
+
+  for (const candidate of search.findSimilarTerms(term)) {
+    const distance = search.levenshtein(term, candidate);
+    if (distance <= maxDistance(term)) {
+      weights.set(candidate, 1 / (1 + distance));
+    }
+  }
+
+  if (isLast) {
+    for (const candidate of search.index.keys()) {
+      if (candidate.startsWith(term)) {
+        weights.set(candidate, Math.max(weights.get(candidate) || 0, 0.8));
+      }
+    }
+  }
+
+  return weights;
+}
+
+/**
+ * Rank cities for an autocomplete query.
+ * Name prefix matches come first, then BM25 relevance, then population.
+ * @param {string} query
+ * @param {{ limit?: number }} options
+ * @returns {Array<{ name, country, admin, lat, lon, population, score }>}
+ */
+export function searchCities(query, { limit = DEFAULT_LIMIT } = {}) {
+  const folded = fold(query).trim().replace(/\s+/g, " ");
+  if (folded.length < 2) return [];
+
+  const search = getEngine();
+  const terms = search.tokenize(folded);
+  const scores = new Map();
+
+  terms.forEach((term, i) => {
+    for (const [matched, weight] of expandTerm(search, term, i === terms.length - 1)) {
+      const idf = search.idf(matched);
+
+      search.index.get(matched)?.forEach((tf, id) => {
+        const score = search.bm25(tf, idf, search.docLengths.get(id) || 1) * weight;
+        scores.set(id, (scores.get(id) || 0) + score);
+      });
+    }
+  });
+
+  // Two-letter input is below the tokenizer's minimum; match names directly
+  for (const [id, doc] of search.documents) {
+    if (fold(doc.metadata.name).startsWith(folded)) {
+      scores.set(id, (scores.get(id) || 0) + 5);
+    }
+  }
+
+  return [...scores.entries()]
+    .map(([id, score]) => {
+      const city = search.documents.get(id).metadata;
+      return { ...city, score: score + Math.log10(city.population || 1) / 10 };
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * "Portland, Oregon, US"
+ */
+export function formatCityLabel(city) {
+  return [city.name, city.admin !== city.name ? city.admin : null, city.country].filter(Boolean).join(", ");
+}
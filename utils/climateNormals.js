@@ -0,0 +1,215 @@
+/**
+ * Climate Normals
+ *
+ * Monthly 1991–2020 station normals (data/climateNormals.json) turned
+ * into a smooth day-by-day "normal", and observed days compared to it.
+ *
+ * Observations are { date: "YYYY-MM-DD", tempMin, tempMax, tempMean,
+ * precipitation } in °C and mm, as returned by a provider's getHistory().
+ */
+
+const dataset = require("../data/climateNormals.json");
+const {
+  average,
+  standardDeviation,
+  percentile,
+  roundTo,
+  haversineDistance
+} = require("./calculator");
+
+// Normals from a station further away than this say little about the city
+const MAX_STATION_DISTANCE_KM = 150;
+
+const DAYS_IN_MONTH = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+/* --------------------------------
+   Dates
+-------------------------------- */
+
+function parseDate(date) {
+  const [year, month, day] = String(date).split("-").map(Number);
+  return { year, month, day };
+}
+
+/**
+ * "2024-02-28" + 2 → "2024-03-01"
+ */
+function addDays(date, days) {
+  const { year, month, day } = parseDate(date);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/* --------------------------------
+   Stations
+-------------------------------- */
+
+/**
+ * Nearest station with normals, or null if none is close enough.
+ * @returns {{ station: object, distanceKm: number } | null}
+ */
+function findStation(lat, lon, { maxDistanceKm = MAX_STATION_DISTANCE_KM } = {}) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+
+  let best = null;
+
+  for (const station of dataset.stations) {
+    const distanceKm = haversineDistance(lat, lon, station.lat, station.lon);
+    if (distanceKm <= maxDistanceKm && (!best || distanceKm < best.distanceKm)) {
+      best = { station, distanceKm };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Normal for one calendar day. Each monthly value is taken to sit at
+ * mid-month and days in between are interpolated linearly, so the
+ * normal doesn't jump on the 1st.
+ * @returns {{ tempMax, tempMin, tempMean, precipitation }}  °C, mm/day
+ */
+function dailyNormal(station, date) {
+  const { month, day } = parseDate(date);
+  const length = DAYS_IN_MONTH[month - 1] + (month === 2 && day === 29 ? 1 : 0);
+
+  // Position in "months", where month i's midpoint is i + 0.5
+  const t = (month - 1) + (day - 0.5) / length - 0.5;
+  const i0 = (Math.floor(t) + 12) % 12;
+  const i1 = (i0 + 1) % 12;
+  const f = t - Math.floor(t);
+
+  const at = (values, perDay = false) => {
+    const a = perDay ? values[i0] / DAYS_IN_MONTH[i0] : values[i0];
+    const b = perDay ? values[i1] / DAYS_IN_MONTH[i1] : values[i1];
+    return a + (b - a) * f;
+  };
+
+  const tempMax = at(station.tempMax);
+  const tempMin = at(station.tempMin);
+
+  return {
+    tempMax: roundTo(tempMax, 1),
+    tempMin: roundTo(tempMin, 1),
+    tempMean: roundTo((tempMax + tempMin) / 2, 1),
+    precipitation: roundTo(at(station.precipitation, true), 1)
+  };
+}
+
+/**
+ * Normals for `count` consecutive days starting at `startDate`
+ */
+function normalsForRange(station, startDate, count) {
+  return Array.from({ length: count }, (_, i) => {
+    const date = addDays(startDate, i);
+    return { date, ...dailyNormal(station, date) };
+  });
+}
+
+/* --------------------------------
+   Comparison
+-------------------------------- */
+
+const delta = (observed, normal) =>
+  Number.isFinite(observed) && Number.isFinite(normal) ? roundTo(observed - normal, 1) : null;
+
+const finite = values => values.filter(Number.isFinite);
+
+/**
+ * Attach each day's normal and anomaly, and summarize the period.
+ * Anomaly stats use calculator.js (mean, standard deviation, percentiles).
+ */
+function compareToNormals(observations, station) {
+  const days = observations.map(obs => {
+    const normal = dailyNormal(station, obs.date);
+
+    return {
+      ...obs,
+      normal,
+      anomaly: {
+        tempMax: delta(obs.tempMax, normal.tempMax),
+        tempMin: delta(obs.tempMin, normal.tempMin),
+        tempMean: delta(obs.tempMean, normal.tempMean),
+        precipitation: delta(obs.precipitation, normal.precipitation)
+      }
+    };
+  });
+
+  const anomalies = finite(days.map(d => d.anomaly.tempMean));
+  const temps = finite(days.map(d => d.tempMean));
+  const sd = anomalies.length > 1 ? standardDeviation(anomalies) : null;
+
+  // How unusual each day was within this period
+  for (const d of days) {
+    d.zScore = sd && d.anomaly.tempMean !== null
+      ? roundTo((d.anomaly.tempMean - average(anomalies)) / sd, 2)
+      : null;
+  }
+
+  const rain = finite(days.map(d => d.precipitation)).reduce((sum, v) => sum + v, 0);
+  const normalRain = days.reduce((sum, d) => sum + d.normal.precipitation, 0);
+  const ranked = days.filter(d => Number.isFinite(d.tempMean)).sort((a, b) => a.tempMean - b.tempMean);
+
+  return {
+    days,
+    summary: {
+      days: days.length,
+      tempMean: temps.length
+        ? {
+          mean: roundTo(average(temps), 1),
+          stdDeviation: roundTo(standardDeviation(temps), 2),
+          p10: roundTo(percentile(temps, 10), 1),
+          p50: roundTo(percentile(temps, 50), 1),
+          p90: roundTo(percentile(temps, 90), 1)
+        }
+        : null,
+      anomaly: anomalies.length
+        ? {
+          mean: roundTo(average(anomalies), 1),
+          stdDeviation: sd === null ? null : roundTo(sd, 2),
+          p10: roundTo(percentile(anomalies, 10), 1),
+          p90: roundTo(percentile(anomalies, 90), 1)
+        }
+        : null,
+      precipitation: {
+        total: roundTo(rain, 1),
+        normal: roundTo(normalRain, 1),
+        percentOfNormal: normalRain > 0 ? Math.round((rain / normalRain) * 100) : null
+      },
+      coldest: ranked[0]?.date ?? null,
+      warmest: ranked[ranked.length - 1]?.date ?? null
+    }
+  };
+}
+
+/**
+ * Station metadata safe to return from the API
+ */
+function describeStation({ station, distanceKm }) {
+  const { id, name, country, lat, lon } = station;
+
+  return {
+    id,
+    name,
+    country,
+    station: station.station,
+    lat,
+    lon,
+    distanceKm: Math.round(distanceKm),
+    period: dataset.period,
+    source: dataset.source
+  };
+}
+
+/* --------------------------------
+   Export
+-------------------------------- */
+
+module.exports = {
+  MAX_STATION_DISTANCE_KM,
+  addDays,
+  findStation,
+  dailyNormal,
+  normalsForRange,
+  compareToNormals,
+  describeStation
+};
@@ -282,7 +282,8 @@ export class CSVParser {
         }
 
         // Spreadsheet formula-injection protection.
-        if (/^[=+\-@\t\r]/.test(str)) {
+        // Numbers are left alone so negative values stay numeric.
+        if (typeof value !== "number" && /^[=+\-@\t\r]/.test(str)) {
             str = `'${str}`;
         }
 
@@ -2,13 +2,21 @@
  * DatabaseManager
  * - Driver-based connection abstraction
  * - Connection pooling
- * - Safe query builder with bindings
+ * - Safe query builder with bindings (utils/queryBuilder.js), quoted
+ *   and parameterized for the driver's dialect
+ *
+ * No driver is bundled except utils/memoryDriver.js (in-memory SQL,
+ * optionally saved to a JSON file), which is enough for tests and small
+ * deployments.
  */
+const QueryBuilder = require('./queryBuilder');
+
 class DatabaseManager {
     constructor(options = {}) {
         this.drivers = new Map();
         this.pools = new Map();
         this.defaultDriver = options.defaultDriver ?? null;
+        this.dialect = options.dialect ?? 'sqlite';
 
         this.poolConfig = {
             max: options.poolMax ?? 10,
@@ -161,61 +169,48 @@ class DatabaseManager {
 
     async query(fn, config = {}) {
         const conn = await this.connect(config);
-        const key = this.getPoolKey(config.driver ?? this.defaultDriver, config);
-        const pool = this.pools.get(key);
+        const driverName = config.driver ?? this.defaultDriver;
+        const pool = this.pools.get(this.getPoolKey(driverName, config));
+        const dialect = config.dialect ?? this.drivers.get(driverName).dialect;
 
         try {
-            return await fn(conn, this.createQueryBuilder());
+            return await fn(conn, this.createQueryBuilder({ dialect }));
         } finally {
             pool.release(conn);
         }
     }
 
+    /**
+     * Run fn(conn, qb) between BEGIN and COMMIT on one connection,
+     * rolling back if it throws.
+     */
+    async transaction(fn, config = {}) {
+        return this.query(async (conn, qb) => {
+            await conn.query('BEGIN');
+
+            try {
+                const result = await fn(conn, qb);
+                await conn.query('COMMIT');
+                return result;
+            } catch (err) {
+                await conn.query('ROLLBACK');
+                throw err;
+            }
+        }, config);
+    }
+
     /* ---------------------------------- */
     /* Query Builder (Safe)               */
     /* ---------------------------------- */
 
-    createQueryBuilder() {
-        const clauses = [];
-        const bindings = [];
-
-        return {
-            select(fields = '*') {
-                clauses.push(`SELECT ${Array.isArray(fields) ? fields.join(', ') : fields}`);
-                return this;
-            },
-            from(table) {
-                clauses.push(`FROM ${table}`);
-                return this;
-            },
-            where(condition, params = []) {
-                clauses.push(`WHERE ${condition}`);
-                bindings.push(...params);
-                return this;
-            },
-            orderBy(field, dir = 'ASC') {
-                clauses.push(`ORDER BY ${field} ${dir.toUpperCase()}`);
-                return this;
-            },
-            limit(n) {
-                clauses.push(`LIMIT ?`);
-                bindings.push(n);
-                return this;
-            },
-            offset(n) {
-                clauses.push(`OFFSET ?`);
-                bindings.push(n);
-                return this;
-            },
-            build() {
-                return {
-                    sql: clauses.join(' '),
-                    params: bindings
-                };
-            }
-        };
+    /**
+     * A QueryBuilder (utils/queryBuilder.js) for `options.dialect`, else
+     * the manager's `dialect` option (default 'sqlite'). query() passes
+     * the driver's `dialect` when it declares one.
+     */
+    createQueryBuilder(options = {}) {
+        return new QueryBuilder({ dialect: options.dialect ?? this.dialect });
     }
-    
 
     /* ---------------------------------- */
     /* Shutdown                           */
@@ -0,0 +1,140 @@
+/**
+ * Default City (server-side)
+ *
+ * Which city the Home page renders before the visitor searches, first
+ * match wins:
+ *   1. the page's own location params   /?q=Paris, /?lat=..&lon=..
+ *   2. the last city they loaded        `lastCity` cookie, set by
+ *                                       utils/savedCities.rememberLastCity
+ *   3. edge geolocation headers         Vercel, Cloudflare, CloudFront
+ *   4. Accept-Language region           "en-KE" → the largest Kenyan city we know
+ *   5. DEFAULT_CITY env var             default "London"
+ *
+ * Returns location params in /api/weather form; they're validated by
+ * utils/weatherService.js like any other request.
+ */
+
+const { getEnv } = require("./env");
+const cities = require("../data/cities.json");
+
+const LAST_CITY_COOKIE = "lastCity";
+const LOCATION_PARAMS = ["q", "lat", "lon", "zip", "id"];
+
+// [latitude, longitude, city] header names per edge network
+const GEO_HEADERS = [
+  ["x-vercel-ip-latitude", "x-vercel-ip-longitude", "x-vercel-ip-city"],
+  ["cf-iplatitude", "cf-iplongitude", "cf-ipcity"],
+  ["cloudfront-viewer-latitude", "cloudfront-viewer-longitude", "cloudfront-viewer-city"]
+];
+
+/* --------------------------------
+   Sources
+-------------------------------- */
+
+function pickLocation(source = {}) {
+  const params = {};
+
+  for (const key of LOCATION_PARAMS) {
+    const value = Array.isArray(source[key]) ? source[key][0] : source[key];
+    if (typeof value === "string" && value.trim()) params[key] = value.trim();
+  }
+
+  return Object.keys(params).length ? params : null;
+}
+
+// Cookie holds a query string such as "lat=51.51&lon=-0.13" (already URI-decoded by Next.js)
+function fromCookie(cookies = {}) {
+  const raw = cookies[LAST_CITY_COOKIE];
+  return raw ? pickLocation(Object.fromEntries(new URLSearchParams(raw))) : null;
+}
+
+function fromGeoHeaders(headers = {}) {
+  for (const [latKey, lonKey, cityKey] of GEO_HEADERS) {
+    const lat = Number(headers[latKey]);
+    const lon = Number(headers[lonKey]);
+
+    if (headers[latKey] && headers[lonKey] && Number.isFinite(lat) && Number.isFinite(lon)) {
+      return { lat: String(lat), lon: String(lon) };
+    }
+
+    if (headers[cityKey]) {
+      try {
+        return { q: decodeURIComponent(headers[cityKey]) };
+      } catch {
+        return { q: headers[cityKey] };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Regions from Accept-Language in preference order:
+ * "so-SO,en-GB;q=0.8,en;q=0.5" → ["SO", "GB"]
+ */
+function acceptLanguageRegions(header = "") {
+  return String(header)
+    .split(",")
+    .map(part => {
+      const [tag, ...params] = part.trim().split(";");
+      const q = params.map(p => p.trim()).find(p => p.startsWith("q="));
+      return { tag, q: q ? Number(q.slice(2)) : 1 };
+    })
+    .filter(({ q }) => q > 0)
+    .sort((a, b) => b.q - a.q)
+    .map(({ tag }) => tag.split("-").find((sub, i) => i > 0 && /^[A-Za-z]{2}$/.test(sub)))
+    .filter(Boolean)
+    .map(region => region.toUpperCase());
+}
+
+// Largest city per country in data/cities.json
+const largestCity = new Map();
+for (const city of cities) {
+  const best = largestCity.get(city.country);
+  if (!best || city.population > best.population) largestCity.set(city.country, city);
+}
+
+function fromAcceptLanguage(header) {
+  for (const region of acceptLanguageRegions(header)) {
+    const city = largestCity.get(region);
+    if (city) return { lat: String(city.lat), lon: String(city.lon) };
+  }
+
+  return null;
+}
+
+/* --------------------------------
+   Resolution
+-------------------------------- */
+
+function envDefault() {
+  return { q: getEnv("DEFAULT_CITY", "London") };
+}
+
+/**
+ * @param {{ query?: object, cookies?: object, headers?: object }} request
+ * @returns {{ params: object, source: "query"|"cookie"|"geo"|"accept-language"|"env" }}
+ */
+function resolveDefaultCity({ query = {}, cookies = {}, headers = {} } = {}) {
+  const candidates = [
+    ["query", () => pickLocation(query)],
+    ["cookie", () => fromCookie(cookies)],
+    ["geo", () => fromGeoHeaders(headers)],
+    ["accept-language", () => fromAcceptLanguage(headers["accept-language"])]
+  ];
+
+  for (const [source, resolve] of candidates) {
+    const params = resolve();
+    if (params) return { params, source };
+  }
+
+  return { params: envDefault(), source: "env" };
+}
+
+module.exports = {
+  LAST_CITY_COOKIE,
+  acceptLanguageRegions,
+  resolveDefaultCity,
+  envDefault
+};
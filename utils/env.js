@@ -255,12 +255,11 @@ function logLoaded(prefix = "[ENV]") {
 
 
 /* --------------------------------------------------------
- Date 
+   Date
 -------------------------------------------------------- */
 
-
-getDate(key, defaultValue = null) {
-  const value = this.get(key);
+function getDate(name, defaultValue = null) {
+  const value = readEnv(name);
 
   if (!value) return defaultValue;
 
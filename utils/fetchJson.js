@@ -141,7 +141,8 @@ async function fetchJson(url, options = {}) {
     body,
     params,
     timeout = 10000,
-    retries = 0
+    retries = 0,
+    signal
   } = options;
 
   const finalUrl = buildUrl(url, params);
@@ -149,6 +150,10 @@ async function fetchJson(url, options = {}) {
   const controller = new AbortController();
   const timer = setTimeout(() => controller.abort(), timeout);
 
+  // Caller-supplied signal (e.g. a circuit breaker deadline) aborts too
+  const onAbort = () => controller.abort();
+  signal?.addEventListener("abort", onAbort, { once: true });
+
   try {
 
     const res = await fetch(finalUrl, {
@@ -185,6 +190,13 @@ async function fetchJson(url, options = {}) {
 
   } catch (err) {
 
+    clearTimeout(timer);
+
+    // Aborted by the caller: no retries, surface the AbortError as-is
+    if (signal?.aborted) {
+      throw err;
+    }
+
     if (retries > 0) {
       return fetchJson(url, { ...options, retries: retries - 1 });
     }
@@ -194,6 +206,9 @@ async function fetchJson(url, options = {}) {
     }
 
     throw err;
+
+  } finally {
+    signal?.removeEventListener("abort", onAbort);
   }
 }
 
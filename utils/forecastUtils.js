@@ -1,8 +1,283 @@
+/**
+ * Forecast grouping & daily summaries over normalized forecast entries
+ * (see utils/weatherProviders.js): { time, temp, tempMin, tempMax,
+ * humidity, windSpeed, pop, rain, snow, condition }.
+ *
+ * Daily summaries also carry derived metrics (feels-like, dew point,
+ * absolute humidity, cloud base, growing degree days, comfort score),
+ * computed in base units; format them with utils/weatherFormat.js.
+ *
+ * Days are the location's local calendar days. Pass its IANA `timezone`
+ * when known, otherwise its `utcOffset` in seconds (OpenWeatherMap only
+ * reports an offset).
+ */
+
+/* --------------------------------
+   Time zones
+-------------------------------- */
+
+/**
+ * Date + Intl time zone that render `unix` as wall-clock time at the
+ * location. Offset-only zones shift the instant and format it as UTC.
+ */
+function zonedDate(unix, { timezone = null, utcOffset = 0 } = {}) {
+    if (timezone) {
+        return { date: new Date(unix * 1000), timeZone: timezone };
+    }
+
+    return {
+        date: new Date((unix + (utcOffset || 0)) * 1000),
+        timeZone: "UTC"
+    };
+}
+
+// "YYYY-MM-DD" of `unix` at the location
+function localDateKey(unix, zone = {}) {
+    const { date, timeZone } = zonedDate(unix, zone);
+    return new Intl.DateTimeFormat("en-CA", { timeZone }).format(date);
+}
+
+function localHour(unix, zone = {}) {
+    const { date, timeZone } = zonedDate(unix, zone);
+
+    return Number(
+        new Intl.DateTimeFormat("en-US", {
+            hour: "numeric",
+            hourCycle: "h23",
+            timeZone
+        }).format(date)
+    );
+}
+
+function formatLocalTime(
+    unix,
+    zone = {},
+    {
+        locale,
+        hour = "2-digit",
+        minute = "2-digit"
+    } = {}
+) {
+    if (!Number.isFinite(unix)) return "";
+
+    const { date, timeZone } = zonedDate(unix, zone);
+
+    return new Intl.DateTimeFormat(locale, {
+        hour,
+        minute,
+        timeZone
+    }).format(date);
+}
+
+/**
+ * Current UTC offset (seconds) of an IANA zone, e.g. 3600 for
+ * Europe/London in summer. Returns null for unknown zones.
+ */
+function getTimezoneOffset(timezone, date = new Date()) {
+    try {
+        const parts = Object.fromEntries(
+            new Intl.DateTimeFormat("en-US", {
+                timeZone: timezone,
+                hourCycle: "h23",
+                year: "numeric",
+                month: "numeric",
+                day: "numeric",
+                hour: "numeric",
+                minute: "numeric",
+                second: "numeric"
+            })
+                .formatToParts(date)
+                .map(p => [p.type, Number(p.value)])
+        );
+
+        const wallClock = Date.UTC(
+            parts.year,
+            parts.month - 1,
+            parts.day,
+            parts.hour,
+            parts.minute,
+            parts.second
+        );
+
+        return Math.round((wallClock - date.getTime()) / 60000) * 60;
+    } catch {
+        return null;
+    }
+}
+
+/* --------------------------------
+   Derived metrics
+-------------------------------- */
+
+// Inputs are base units: °C, % relative humidity, m/s
+
+const isNum = Number.isFinite;
+
+function roundTo(value, decimals = 1) {
+    if (!isNum(value)) return null;
+    const f = 10 ** decimals;
+    return Math.round(value * f) / f;
+}
+
+/**
+ * NWS heat index (Rothfusz regression with its low/high humidity
+ * adjustments). Null below ~27 °C / 40 %, where it doesn't apply.
+ */
+function heatIndex(tempC, humidity) {
+    if (!isNum(tempC) || !isNum(humidity)) return null;
+    if (tempC < 26.7 || humidity < 40) return null;
+
+    const t = tempC * 9 / 5 + 32;
+    const rh = humidity;
+
+    // NWS uses the simple formula first and only regresses above 80 °F
+    const simple = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+    if ((simple + t) / 2 < 80) return null;
+
+    let hi =
+        -42.379 + 2.04901523 * t + 10.14333127 * rh
+        - 0.22475541 * t * rh - 0.00683783 * t * t
+        - 0.05481717 * rh * rh + 0.00122874 * t * t * rh
+        + 0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+
+    if (rh < 13 && t >= 80 && t <= 112) {
+        hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+        hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+
+    return (hi - 32) * 5 / 9;
+}
+
+/**
+ * Environment Canada / NWS wind chill. Null above 10 °C or in winds
+ * under 4.8 km/h, where it doesn't apply.
+ */
+function windChill(tempC, windMs) {
+    if (!isNum(tempC) || !isNum(windMs)) return null;
+
+    const kmh = windMs * 3.6;
+    if (tempC > 10 || kmh < 4.8) return null;
+
+    const v = kmh ** 0.16;
+    return 13.12 + 0.6215 * tempC - 11.37 * v + 0.3965 * tempC * v;
+}
+
+// Heat index when hot and humid, wind chill when cold and windy, else the air temperature
+function feelsLike(tempC, humidity, windMs) {
+    return heatIndex(tempC, humidity) ?? windChill(tempC, windMs) ?? (isNum(tempC) ? tempC : null);
+}
+
+// Magnus formula (Alduchov & Eskridge constants), good to ±0.4 °C for -40–50 °C
+function dewPoint(tempC, humidity) {
+    if (!isNum(tempC) || !isNum(humidity) || humidity <= 0) return null;
+
+    const a = 17.625;
+    const b = 243.04;
+    const g = Math.log(Math.min(humidity, 100) / 100) + (a * tempC) / (b + tempC);
+
+    return (b * g) / (a - g);
+}
+
+// Water vapour per cubic metre of air, g/m³
+function absoluteHumidity(tempC, humidity) {
+    if (!isNum(tempC) || !isNum(humidity)) return null;
+
+    const vapourPressure = 6.112 * Math.exp((17.67 * tempC) / (tempC + 243.5)) * (humidity / 100);
+    return (vapourPressure * 100 * 2.1674) / (273.15 + tempC);
+}
+
+/**
+ * Cumulus cloud base above ground, in metres: rising air cools about
+ * 8 °C/km faster than its dew point, i.e. ~125 m per °C of spread.
+ */
+function cloudBase(tempC, dewPointC) {
+    if (!isNum(tempC) || !isNum(dewPointC)) return null;
+    return Math.max(0, (tempC - dewPointC) * 125);
+}
+
+/**
+ * Growing degree days for one day (modified average method): min and
+ * max are clamped to [base, cap] before averaging.
+ */
+function growingDegreeDays(minC, maxC, { base = 10, cap = 30 } = {}) {
+    if (!isNum(minC) || !isNum(maxC)) return null;
+
+    const clampTemp = t => Math.min(Math.max(t, base), cap);
+    return (clampTemp(minC) + clampTemp(maxC)) / 2 - base;
+}
+
+/**
+ * 0–100, where 100 is ~21 °C feels-like, dry-feeling air, light wind
+ * and no rain. Each factor that's missing simply costs nothing.
+ */
+function comfortScore({ feelsLike: apparent, dewPoint: dew, windSpeed, pop } = {}) {
+    if (!isNum(apparent)) return null;
+
+    let score = 100;
+
+    // ±3 °C around 21 °C is comfortable for most people
+    score -= Math.max(0, Math.abs(apparent - 21) - 3) * 4;
+
+    // Dew points above 16 °C feel muggy
+    if (isNum(dew)) score -= Math.max(0, dew - 16) * 5;
+
+    if (isNum(windSpeed)) score -= Math.max(0, windSpeed - 8) * 3;
+    if (isNum(pop)) score -= pop * 30;
+
+    return Math.round(Math.min(Math.max(score, 0), 100));
+}
+
+/**
+ * Derived metrics for one forecast entry (°C, g/m³, m)
+ */
+function deriveMetrics(entry = {}) {
+    const { temp, humidity, windSpeed, pop } = entry;
+
+    const apparent = feelsLike(temp, humidity, windSpeed);
+    const dew = dewPoint(temp, humidity);
+    const base = cloudBase(temp, dew);
+
+    return {
+        feelsLike: roundTo(apparent),
+        heatIndex: roundTo(heatIndex(temp, humidity)),
+        windChill: roundTo(windChill(temp, windSpeed)),
+        dewPoint: roundTo(dew),
+        absoluteHumidity: roundTo(absoluteHumidity(temp, humidity)),
+        cloudBase: isNum(base) ? Math.round(base / 10) * 10 : null,
+        comfort: comfortScore({ feelsLike: apparent, dewPoint: dew, windSpeed, pop })
+    };
+}
+
+// Per-day rollup of hourly derived metrics
+function summarizeDerived(hourly, min, max) {
+    const values = key => hourly.map(d => d[key]).filter(isNum);
+    const mean = list => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : null);
+
+    const apparent = values("feelsLike");
+    const bases = values("cloudBase");
+
+    return {
+        feelsLikeMin: apparent.length ? Math.min(...apparent) : null,
+        feelsLikeMax: apparent.length ? Math.max(...apparent) : null,
+        dewPoint: roundTo(mean(values("dewPoint"))),
+        absoluteHumidity: roundTo(mean(values("absoluteHumidity"))),
+        // Lowest base of the day is the one that matters for flying and hiking
+        cloudBase: bases.length ? Math.min(...bases) : null,
+        growingDegreeDays: roundTo(growingDegreeDays(min, max)),
+        comfort: roundTo(mean(values("comfort")), 0)
+    };
+}
+
+/* --------------------------------
+   Grouping & summaries
+-------------------------------- */
+
 function groupForecastByDate(
     list = [],
     {
-        timezone = "UTC",
-        locale = "en-US"
+        timezone = null,
+        utcOffset = 0
     } = {}
 ) {
     const grouped = new Map();
@@ -15,19 +290,9 @@ function groupForecastByDate(
 
         if (!item) continue;
 
-        let date;
+        if (!item.time) continue;
 
-        if (item.dt) {
-            date = new Date(item.dt * 1000);
-        } else if (item.dt_txt) {
-            date = new Date(item.dt_txt);
-        } else {
-            continue;
-        }
-
-        const key = new Intl.DateTimeFormat("en-CA", {
-            timeZone: timezone
-        }).format(date);
+        const key = localDateKey(item.time, { timezone, utcOffset });
 
         if (!grouped.has(key)) {
             grouped.set(key, []);
@@ -39,21 +304,35 @@ function groupForecastByDate(
     return grouped;
 }
 
+// "Today" / "Tomorrow" in `locale` ("Hoy", "Morgen", ...), capitalized for a day label
+function relativeDayLabel(offset, locale) {
+    const text = new Intl.RelativeTimeFormat(locale, { numeric: "auto" }).format(offset, "day");
+    return text.charAt(0).toLocaleUpperCase(locale) + text.slice(1);
+}
+
 function summarizeDailyForecast(
     list = [],
     {
         days = 5,
-        timezone = "UTC",
+        timezone = null,
+        utcOffset = 0,
         locale = "en-US",
+        now = Date.now(),
         includeAverage = true,
-        includeHourly = false
+        includeHourly = false,
+        includeDerived = true
     } = {}
 ) {
 
-    const grouped = groupForecastByDate(list, {
-        timezone,
-        locale
-    });
+    const zone = { timezone, utcOffset };
+    const grouped = groupForecastByDate(list, zone);
+
+    const nowUnix = Math.floor(now / 1000);
+    const today = localDateKey(nowUnix, zone);
+    const tomorrow = localDateKey(nowUnix + 86400, zone);
+
+    const todayLabel = relativeDayLabel(0, locale);
+    const tomorrowLabel = relativeDayLabel(1, locale);
 
     return [...grouped.entries()]
         .sort(([a], [b]) => a.localeCompare(b))
@@ -80,32 +359,30 @@ function summarizeDailyForecast(
 
             for (const entry of entries) {
 
-                const main = entry.main || {};
-
-                if (Number.isFinite(main.temp_min))
-                    min = Math.min(min, main.temp_min);
+                if (Number.isFinite(entry.tempMin))
+                    min = Math.min(min, entry.tempMin);
 
-                if (Number.isFinite(main.temp_max))
-                    max = Math.max(max, main.temp_max);
+                if (Number.isFinite(entry.tempMax))
+                    max = Math.max(max, entry.tempMax);
 
-                if (Number.isFinite(main.temp)) {
-                    tempSum += main.temp;
+                if (Number.isFinite(entry.temp)) {
+                    tempSum += entry.temp;
                     count++;
                 }
 
-                if (Number.isFinite(main.humidity))
-                    humiditySum += main.humidity;
+                if (Number.isFinite(entry.humidity))
+                    humiditySum += entry.humidity;
 
-                if (Number.isFinite(entry.wind?.speed))
-                    windSum += entry.wind.speed;
+                if (Number.isFinite(entry.windSpeed))
+                    windSum += entry.windSpeed;
 
                 if (Number.isFinite(entry.pop))
                     popSum += entry.pop;
 
-                rain += entry.rain?.["3h"] || 0;
-                snow += entry.snow?.["3h"] || 0;
+                rain += entry.rain || 0;
+                snow += entry.snow || 0;
 
-                const weather = entry.weather?.[0];
+                const weather = entry.condition;
 
                 if (weather?.main) {
                     weatherCount.set(
@@ -115,9 +392,8 @@ function summarizeDailyForecast(
                 }
 
                 // Closest forecast to 12:00
-                if (entry.dt) {
-                    const d = new Date(entry.dt * 1000);
-                    const dist = Math.abs(d.getHours() - 12);
+                if (entry.time) {
+                    const dist = Math.abs(localHour(entry.time, zone) - 12);
 
                     if (dist < bestDistance) {
                         bestDistance = dist;
@@ -128,7 +404,11 @@ function summarizeDailyForecast(
 
             representative ??= entries[Math.floor(entries.length / 2)];
 
-            const weather = representative?.weather?.[0] || {};
+            const derived = includeDerived
+                ? entries.map(deriveMetrics)
+                : null;
+
+            const weather = representative?.condition || {};
 
             const dominant =
                 [...weatherCount.entries()]
@@ -136,15 +416,27 @@ function summarizeDailyForecast(
                 weather.main ??
                 null;
 
-            const date = new Date(dateStr);
+            // Calendar date at UTC noon, so formatting can't shift the day
+            const date = new Date(`${dateStr}T12:00:00Z`);
+
+            const dayName = new Intl.DateTimeFormat(locale, {
+                weekday: "long",
+                timeZone: "UTC"
+            }).format(date);
 
             return {
                 date: dateStr,
 
-                dayName: new Intl.DateTimeFormat(locale, {
-                    weekday: "long",
-                    timeZone: timezone
-                }).format(date),
+                dayName,
+
+                isToday: dateStr === today,
+
+                label:
+                    dateStr === today
+                        ? todayLabel
+                        : dateStr === tomorrow
+                            ? tomorrowLabel
+                            : dayName,
 
                 min: Number.isFinite(min)
                     ? Math.round(min)
@@ -181,19 +473,42 @@ function summarizeDailyForecast(
                 description: weather.description ?? null,
                 icon: weather.icon ?? null,
 
-                sunrise: representative?.sys?.sunrise ?? null,
-                sunset: representative?.sys?.sunset ?? null,
+                sunrise: representative?.sunrise ?? null,
+                sunset: representative?.sunset ?? null,
 
                 entries: entries.length,
 
+                ...(derived
+                    ? { derived: summarizeDerived(derived, min, max) }
+                    : {}),
+
+                // Hourly entries carry their own `derived` block
                 ...(includeHourly
-                    ? { hourly: entries }
+                    ? {
+                        hourly: derived
+                            ? entries.map((entry, i) => ({ ...entry, derived: derived[i] }))
+                            : entries
+                    }
                     : {})
             };
         });
 }
 
 module.exports = {
+    zonedDate,
+    localDateKey,
+    localHour,
+    formatLocalTime,
+    getTimezoneOffset,
+    heatIndex,
+    windChill,
+    feelsLike,
+    dewPoint,
+    absoluteHumidity,
+    cloudBase,
+    growingDegreeDays,
+    comfortScore,
+    deriveMetrics,
     groupForecastByDate,
     summarizeDailyForecast
 };
@@ -0,0 +1,146 @@
+/**
+ * iCalendar Writer (RFC 5545)
+ * Just enough to publish events: VCALENDAR with VEVENTs, all-day or
+ * timed, with text escaping, 75-octet line folding and CRLF endings.
+ *
+ * Event: { uid, start, end?, allDay?, summary, description?, location?,
+ *          geo?: { lat, lon }, categories?: string[], url? }
+ * All-day `start`/`end` are "YYYY-MM-DD" (end exclusive, defaults to the
+ * next day); timed ones are Dates or unix milliseconds.
+ */
+
+const CRLF = "\r\n";
+const MAX_LINE_OCTETS = 75;
+
+/* --------------------------------
+   Values
+-------------------------------- */
+
+// TEXT values: backslash, semicolon, comma and newlines are escaped
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// "2026-10-19" → "20261019"
+export function formatDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+    throw new TypeError(`Invalid calendar date "${date}"`);
+  }
+  return String(date).replace(/-/g, "");
+}
+
+// UTC date-time, e.g. "20261019T143000Z"
+export function formatDateTime(value) {
+  const date = value instanceof Date ? value : new Date(value);
+
+  if (Number.isNaN(date.getTime())) {
+    throw new TypeError(`Invalid date-time "${value}"`);
+  }
+
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Fold a content line into 75-octet chunks; continuation lines start
+ * with a space. Never splits a multi-byte character.
+ */
+export function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+
+  let current = "";
+  let octets = 0;
+  let limit = MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+      limit = MAX_LINE_OCTETS - 1; // leading space
+    }
+
+    current += char;
+    octets += size;
+  }
+
+  parts.push(current);
+  return parts.join(`${CRLF} `);
+}
+
+/* --------------------------------
+   Components
+-------------------------------- */
+
+function eventLines(event, stamp) {
+  const { uid, start, end, allDay = false, summary, description, location, geo, categories, url } = event;
+
+  if (!uid) throw new TypeError("Calendar event needs a uid");
+  if (!start) throw new TypeError(`Calendar event "${uid}" needs a start`);
+
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${uid}`,
+    `DTSTAMP:${stamp}`
+  ];
+
+  if (allDay) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(start)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(end || nextDay(start))}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(start)}`);
+    if (end) lines.push(`DTEND:${formatDateTime(end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(summary)}`);
+
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (location) lines.push(`LOCATION:${escapeText(location)}`);
+  if (geo && Number.isFinite(geo.lat) && Number.isFinite(geo.lon)) lines.push(`GEO:${geo.lat};${geo.lon}`);
+  if (categories?.length) lines.push(`CATEGORIES:${categories.map(escapeText).join(",")}`);
+  if (url) lines.push(`URL:${url}`);
+
+  // Weather is informational: don't block the day in free/busy
+  if (allDay) lines.push("TRANSP:TRANSPARENT");
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * @param {{ prodId?: string, name?: string, events: object[], now?: Date }} calendar
+ * @returns {string} A complete .ics document
+ */
+export function stringifyCalendar({
+  prodId = "-//WeatherPro//Weather Export//EN",
+  name,
+  events = [],
+  now = new Date()
+} = {}) {
+  const stamp = formatDateTime(now);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${prodId}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : []),
+    ...events.flatMap(event => eventLines(event, stamp)),
+    "END:VCALENDAR"
+  ];
+
+  return lines.map(foldLine).join(CRLF) + CRLF;
+}
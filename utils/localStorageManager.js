@@ -187,13 +187,14 @@ function decrypt(data, secret) {
 export function setItem(key, value, options = {}) {
   const {
     ttl = null,
+    version = STORAGE_VERSION,
     compress: useCompression = false,
     encrypt: secret = null
   } = options;
 
   try {
     const payload = {
-      v: STORAGE_VERSION,
+      v: version,
       value,
       expiresAt: ttl ? Date.now() + ttl : null,
       createdAt: Date.now()
@@ -214,9 +215,16 @@ export function setItem(key, value, options = {}) {
 
 /**
  * Core get item with auto-expiry & migration
+ * Pass `version` to reject entries written under another version, or
+ * `migrate(value, fromVersion)` to upgrade them (result is re-saved).
  */
 export function getItem(key, defaultValue = null, options = {}) {
-  const { decrypt: secret = null, compress: isCompressed = false } = options;
+  const {
+    decrypt: secret = null,
+    compress: isCompressed = false,
+    version = null,
+    migrate = null
+  } = options;
 
   try {
     const raw = storage.getItem(buildKey(key));
@@ -236,6 +244,16 @@ export function getItem(key, defaultValue = null, options = {}) {
       return defaultValue;
     }
 
+    // Versioning
+    if (version != null && parsed.v !== version) {
+      if (!migrate) return defaultValue;
+
+      const migrated = migrate(parsed.value, parsed.v);
+      const ttl = parsed.expiresAt ? parsed.expiresAt - Date.now() : null;
+      setItem(key, migrated, { ttl, version, compress: isCompressed, encrypt: secret });
+      return migrated;
+    }
+
     return parsed.value;
   } catch (error) {
     console.error(`Storage get failed for ${key}:`, error);
@@ -390,9 +408,10 @@ export function importData(obj, options = {}) {
 
 /**
  * Listen for cross-tab storage changes
+ * Returns an unsubscribe function.
  */
 export function onStorageChange(callback) {
-  window.addEventListener("storage", (event) => {
+  const listener = (event) => {
     if (event.key?.startsWith(STORAGE_PREFIX)) {
       const key = event.key.replace(STORAGE_PREFIX, "");
       callback({
@@ -401,5 +420,8 @@ export function onStorageChange(callback) {
         oldValue: event.oldValue
       });
     }
-  });
+  };
+
+  window.addEventListener("storage", listener);
+  return () => window.removeEventListener("storage", listener);
 }
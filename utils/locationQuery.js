@@ -0,0 +1,185 @@
+/**
+ * Location Query Parsing
+ *
+ * Turns `/api/weather` query params into one of:
+ *   { type: "city",   q }
+ *   { type: "coords", lat, lon }
+ *   { type: "zip",    zip, country }
+ *   { type: "id",     id }
+ */
+
+const { Validator, builtInValidators: v } = require("./validator");
+
+/* --------------------------------
+   Helpers
+-------------------------------- */
+
+function trimmed(value) {
+  if (Array.isArray(value)) value = value[0];
+  if (typeof value !== "string") return undefined;
+
+  const s = value.trim().replace(/\s+/g, " ");
+  return s || undefined;
+}
+
+function toNumber(value) {
+  const s = trimmed(value);
+  return s === undefined ? undefined : Number(s);
+}
+
+const finite = value =>
+  value === undefined || Number.isFinite(value) ? true : "Must be a number";
+
+const pairedWith = (other) => (value, data) =>
+  (value === undefined) === (trimmed(data[other]) === undefined)
+    ? true
+    : `Must be combined with ${other}`;
+
+/* --------------------------------
+   Schema
+-------------------------------- */
+
+const validator = new Validator().loadSchema({
+  q: {
+    transform: trimmed,
+    rules: [v.minLength(2), v.maxLength(100)]
+  },
+  lat: {
+    transform: toNumber,
+    rules: [finite, v.min(-90), v.max(90), pairedWith("lon")]
+  },
+  lon: {
+    transform: toNumber,
+    rules: [finite, v.min(-180), v.max(180), pairedWith("lat")]
+  },
+  zip: {
+    transform: trimmed,
+    rules: [
+      v.matches(
+        /^[A-Za-z0-9][A-Za-z0-9 -]{1,9}(,\s?[A-Za-z]{2})?$/,
+        "Expected a postal code with optional country, e.g. 94040,us"
+      )
+    ]
+  },
+  id: {
+    transform: trimmed,
+    rules: [v.matches(/^\d{1,10}$/, "City id must be numeric")]
+  }
+});
+
+const MODES = {
+  city: data => data.q !== undefined,
+  coords: data => data.lat !== undefined || data.lon !== undefined,
+  zip: data => data.zip !== undefined,
+  id: data => data.id !== undefined
+};
+
+function requestedModes(data) {
+  return Object.keys(MODES).filter(mode => MODES[mode](data));
+}
+
+validator.addSchemaValidator((validData, raw) => {
+  const modes = requestedModes({
+    q: trimmed(raw.q),
+    lat: trimmed(raw.lat),
+    lon: trimmed(raw.lon),
+    zip: trimmed(raw.zip),
+    id: trimmed(raw.id)
+  });
+
+  if (modes.length === 0) {
+    return "Missing location (?q=city, ?lat=&lon=, ?zip=code,country or ?id=)";
+  }
+
+  if (modes.length > 1) {
+    return `Use only one location lookup, got: ${modes.join(", ")}`;
+  }
+
+  return true;
+});
+
+/* --------------------------------
+   Public API
+-------------------------------- */
+
+/**
+ * Validate and normalize the location part of a request query.
+ * @returns {Promise<{ isValid: boolean, errors: object, query: object|null }>}
+ */
+async function parseLocationQuery(params = {}) {
+  const { isValid, errors, validData } = await validator.validate({
+    q: params.q,
+    lat: params.lat,
+    lon: params.lon,
+    zip: params.zip,
+    id: params.id
+  });
+
+  if (!isValid) {
+    return { isValid, errors, query: null };
+  }
+
+  const [mode] = requestedModes(validData);
+
+  let query;
+
+  switch (mode) {
+    case "coords":
+      query = { type: "coords", lat: validData.lat, lon: validData.lon };
+      break;
+    case "zip": {
+      const [zip, country] = validData.zip.split(",").map(s => s.trim());
+      query = { type: "zip", zip: zip.toUpperCase(), country: country ? country.toLowerCase() : null };
+      break;
+    }
+    case "id":
+      query = { type: "id", id: validData.id };
+      break;
+    default:
+      query = { type: "city", q: validData.q };
+  }
+
+  return { isValid, errors, query };
+}
+
+/**
+ * Stable cache key for a parsed query. Coordinates are rounded to
+ * ~100 m so nearby lookups share an entry.
+ */
+function locationKey(query) {
+  switch (query.type) {
+    case "coords":
+      return `coords=${query.lat.toFixed(3)},${query.lon.toFixed(3)}`;
+    case "zip":
+      return `zip=${query.zip},${query.country || ""}`;
+    case "id":
+      return `id=${query.id}`;
+    default:
+      return `city=${query.q.toLowerCase()}`;
+  }
+}
+
+/**
+ * Flatten validator errors into `{ field: ["message", ...] }`.
+ */
+function formatLocationErrors(errors = {}) {
+  const out = {};
+
+  for (const [field, messages] of Object.entries(errors)) {
+    out[field === "_schema" ? "location" : field] = messages.map(m =>
+      typeof m === "object" ? m.message : m
+    );
+  }
+
+  return out;
+}
+
+/* --------------------------------
+   Export
+-------------------------------- */
+
+module.exports = {
+  parseLocationQuery,
+  locationKey,
+  formatLocationErrors
+};
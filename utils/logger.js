@@ -33,7 +33,7 @@ class Logger {
     }
 
     child(context = {}) {
-        return new Logger({
+        const child = new Logger({
             level: this.level,
             transports: this.transports,
             timestamps: this.timestamps,
@@ -42,6 +42,13 @@ class Logger {
                 ...context
             }
         });
+
+        // Children share the parent's hooks and mute state at creation
+        child.beforeHooks = this.beforeHooks;
+        child.afterHooks = this.afterHooks;
+        child.silent = this.silent;
+
+        return child;
     }
 
     setLevel(level) {
@@ -175,3 +182,35 @@ class Logger {
     debug(msg, meta) { return this.log("debug", msg, meta); }
     trace(msg, meta) { return this.log("trace", msg, meta); }
 }
+
+/**
+ * One JSON object per line on stdout (stderr for warn/error), the
+ * format most log collectors (Vercel, CloudWatch, Loki) parse as-is.
+ * Context and meta are flattened into the line.
+ */
+class ConsoleTransport {
+    constructor(options = {}) {
+        this.level = options.level;
+        this.stream = options.stream ?? null;
+    }
+
+    write(entry) {
+        const line = JSON.stringify({
+            time: entry.timestamp,
+            level: entry.level,
+            msg: entry.message,
+            ...entry.context,
+            ...entry.meta
+        });
+
+        if (this.stream) {
+            this.stream.write(line + "\n");
+        } else if (entry.level === "error" || entry.level === "warn") {
+            console.error(line);
+        } else {
+            console.log(line);
+        }
+    }
+}
+
+module.exports = { Logger, ConsoleTransport };
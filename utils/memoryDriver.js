@@ -0,0 +1,1984 @@
+/**
+ * In-memory SQL driver for DatabaseManager
+ *
+ * Runs the SQL produced by DatabaseManager#createQueryBuilder,
+ * utils/orm.js and utils/migrationTool.js without a database server:
+ *   - CREATE/DROP TABLE, ALTER TABLE ADD/DROP COLUMN, CREATE/DROP INDEX
+ *   - SELECT with INNER/LEFT/CROSS JOIN, WHERE, GROUP BY, HAVING,
+ *     ORDER BY, LIMIT/OFFSET, DISTINCT and COUNT/SUM/AVG/MIN/MAX
+ *   - [NOT] IN (SELECT ...) subqueries (uncorrelated)
+ *   - INSERT (multi-row, ON CONFLICT DO NOTHING/DO UPDATE), UPDATE,
+ *     DELETE, all with RETURNING
+ *   - `?` and `$1` bindings, "double-quoted" and `backticked` names
+ *   - BEGIN / COMMIT / ROLLBACK per connection
+ *
+ * Every connection for the same `filename` (or `database` name) shares
+ * one set of tables. Statements are atomic and ROLLBACK undoes only the
+ * connection's own changes, but there is no isolation: other
+ * connections see uncommitted rows. With `filename`, tables are loaded
+ * from that JSON file and written back shortly after each change;
+ * flush() (driver or connection close) reports a failed save.
+ *
+ *   const db = new DatabaseManager();
+ *   db.registerDriver("memory", new MemoryDriver());
+ *   await db.query(conn => conn.query("SELECT COUNT(*) FROM users WHERE active = ?", [true]));
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+class SQLError extends Error {
+    constructor(message, code = "SQL_ERROR") {
+        super(message);
+        this.name = "SQLError";
+        this.code = code;
+    }
+}
+
+/* ---------------------------------- */
+/* Tokenizer                          */
+/* ---------------------------------- */
+
+const OPERATORS = ["<=", ">=", "<>", "!=", "==", "||"];
+const SINGLE_OPERATORS = "=<>+-*/%(),.;";
+
+function tokenize(sql) {
+    const tokens = [];
+    let paramIndex = 0;
+    let i = 0;
+
+    while (i < sql.length) {
+        const ch = sql[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (ch === "-" && sql[i + 1] === "-") {
+            const end = sql.indexOf("\n", i);
+            i = end === -1 ? sql.length : end;
+            continue;
+        }
+
+        if (ch === "/" && sql[i + 1] === "*") {
+            const end = sql.indexOf("*/", i + 2);
+            if (end === -1) throw new SQLError("Unterminated comment", "SQL_SYNTAX");
+            i = end + 2;
+            continue;
+        }
+
+        // 'string', "identifier", `identifier`, [identifier]; quotes escape by doubling
+        if (ch === "'" || ch === '"' || ch === "`" || ch === "[") {
+            const close = ch === "[" ? "]" : ch;
+            let value = "";
+            i++;
+
+            for (;;) {
+                if (i >= sql.length) throw new SQLError(`Unterminated ${ch === "'" ? "string" : "identifier"}`, "SQL_SYNTAX");
+
+                if (sql[i] === close) {
+                    if (sql[i + 1] === close && close !== "]") {
+                        value += close;
+                        i += 2;
+                        continue;
+                    }
+                    i++;
+                    break;
+                }
+
+                value += sql[i++];
+            }
+
+            tokens.push(ch === "'" ? { type: "string", value } : { type: "ident", value });
+            continue;
+        }
+
+        if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(sql[i + 1]))) {
+            const [text] = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(sql.slice(i));
+            tokens.push({ type: "number", value: Number(text) });
+            i += text.length;
+            continue;
+        }
+
+        if (ch === "?") {
+            tokens.push({ type: "param", index: paramIndex++ });
+            i++;
+            continue;
+        }
+
+        if (ch === "$" && /[0-9]/.test(sql[i + 1])) {
+            const [text, n] = /^\$(\d+)/.exec(sql.slice(i));
+            tokens.push({ type: "param", index: Number(n) - 1 });
+            i += text.length;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(ch)) {
+            const [word] = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.slice(i));
+            tokens.push({ type: "word", value: word, upper: word.toUpperCase() });
+            i += word.length;
+            continue;
+        }
+
+        const op = OPERATORS.find(o => sql.startsWith(o, i)) ?? (SINGLE_OPERATORS.includes(ch) ? ch : null);
+        if (!op) throw new SQLError(`Unexpected character "${ch}" at position ${i}`, "SQL_SYNTAX");
+
+        tokens.push({ type: "op", value: op });
+        i += op.length;
+    }
+
+    tokens.push({ type: "eof" });
+    return tokens;
+}
+
+/* ---------------------------------- */
+/* Parser                             */
+/* ---------------------------------- */
+
+// Words that end an expression or name rather than being an alias/column
+const RESERVED = new Set([
+    "SELECT", "FROM", "WHERE", "AND", "OR", "NOT", "ORDER", "BY", "GROUP", "HAVING",
+    "LIMIT", "OFFSET", "JOIN", "INNER", "LEFT", "RIGHT", "FULL", "OUTER", "CROSS", "ON",
+    "USING", "AS", "SET", "VALUES", "RETURNING", "INSERT", "UPDATE", "DELETE", "INTO",
+    "UNION", "IS", "IN", "BETWEEN", "LIKE", "ILIKE", "NULL", "TRUE", "FALSE", "DISTINCT",
+    "ASC", "DESC", "CONFLICT", "DO", "EXISTS", "DEFAULT", "CASE", "WHEN", "THEN", "ELSE", "END"
+]);
+
+const COLUMN_CONSTRAINTS = new Set([
+    "PRIMARY", "NOT", "NULL", "UNIQUE", "AUTOINCREMENT", "AUTO_INCREMENT",
+    "DEFAULT", "CONSTRAINT", "REFERENCES", "CHECK"
+]);
+
+const COMPARISONS = new Set(["=", "==", "<>", "!=", "<", "<=", ">", ">="]);
+
+const AGGREGATES = new Set(["COUNT", "SUM", "AVG", "MIN", "MAX"]);
+
+const FUNCTIONS = {
+    NOW: () => new Date().toISOString(),
+    LOWER: ([v]) => (v == null ? null : String(v).toLowerCase()),
+    UPPER: ([v]) => (v == null ? null : String(v).toUpperCase()),
+    LENGTH: ([v]) => (v == null ? null : String(v).length),
+    COALESCE: args => args.find(v => v != null) ?? null,
+    IFNULL: ([a, b]) => a ?? b ?? null,
+    ABS: ([v]) => (v == null ? null : Math.abs(Number(v))),
+    ROUND: ([v, digits = 0]) => {
+        if (v == null) return null;
+        const factor = 10 ** Number(digits);
+        return Math.round(Number(v) * factor) / factor;
+    }
+};
+
+class Parser {
+    constructor(tokens) {
+        this.tokens = tokens;
+        this.pos = 0;
+    }
+
+    /* ---------- Token helpers ---------- */
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        return this.tokens[this.pos++];
+    }
+
+    isWord(word, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === "word" && token.upper === word;
+    }
+
+    acceptWord(...words) {
+        if (!words.every((word, i) => this.isWord(word, i))) return false;
+        this.pos += words.length;
+        return true;
+    }
+
+    expectWord(...words) {
+        if (!this.acceptWord(...words)) this.fail(words.join(" "));
+    }
+
+    isOp(op, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === "op" && token.value === op;
+    }
+
+    acceptOp(op) {
+        if (!this.isOp(op)) return false;
+        this.pos++;
+        return true;
+    }
+
+    expectOp(op) {
+        if (!this.acceptOp(op)) this.fail(`"${op}"`);
+    }
+
+    fail(expected) {
+        const token = this.peek();
+        const found =
+            token.type === "eof" ? "end of input" :
+            token.type === "param" ? "a parameter" :
+            `"${token.value}"`;
+
+        throw new SQLError(`Syntax error: expected ${expected} but found ${found}`, "SQL_SYNTAX");
+    }
+
+    isName(offset = 0) {
+        const token = this.peek(offset);
+        return token.type === "ident" || (token.type === "word" && !RESERVED.has(token.upper));
+    }
+
+    identifier() {
+        if (!this.isName()) this.fail("an identifier");
+        return this.next().value;
+    }
+
+    list(item) {
+        const items = [item()];
+        while (this.acceptOp(",")) items.push(item());
+        return items;
+    }
+
+    /* ---------- Statements ---------- */
+
+    script() {
+        const statements = [];
+
+        while (this.peek().type !== "eof") {
+            if (this.acceptOp(";")) continue;
+
+            statements.push(this.statement());
+
+            if (!this.acceptOp(";") && this.peek().type !== "eof") {
+                this.fail('";" or end of input');
+            }
+        }
+
+        return statements;
+    }
+
+    statement() {
+        const token = this.peek();
+
+        switch (token.type === "word" ? token.upper : null) {
+            case "SELECT": return this.select();
+            case "INSERT": return this.insert();
+            case "UPDATE": return this.update();
+            case "DELETE": return this.delete();
+            case "CREATE": return this.create();
+            case "DROP": return this.drop();
+            case "ALTER": return this.alter();
+            case "BEGIN":
+                this.next();
+                this.acceptWord("TRANSACTION") || this.acceptWord("WORK");
+                return { type: "begin" };
+            case "START":
+                this.next();
+                this.expectWord("TRANSACTION");
+                return { type: "begin" };
+            case "COMMIT":
+            case "END":
+                this.next();
+                this.acceptWord("TRANSACTION") || this.acceptWord("WORK");
+                return { type: "commit" };
+            case "ROLLBACK":
+                this.next();
+                this.acceptWord("TRANSACTION") || this.acceptWord("WORK");
+                return { type: "rollback" };
+            default:
+                return this.fail("a statement");
+        }
+    }
+
+    select() {
+        this.expectWord("SELECT");
+
+        const distinct = this.acceptWord("DISTINCT");
+        this.acceptWord("ALL");
+
+        const columns = this.list(() => this.selectColumn());
+        const from = this.acceptWord("FROM") ? this.tableRef() : null;
+        const joins = from ? this.joins() : [];
+        const where = this.acceptWord("WHERE") ? this.expression() : null;
+        const groupBy = this.acceptWord("GROUP", "BY") ? this.list(() => this.expression()) : [];
+        const having = this.acceptWord("HAVING") ? this.expression() : null;
+        const orderBy = this.acceptWord("ORDER", "BY") ? this.list(() => this.orderTerm()) : [];
+
+        let limit = null;
+        let offset = null;
+
+        // LIMIT n OFFSET m, OFFSET m LIMIT n, or MySQL's LIMIT m, n
+        for (;;) {
+            if (!limit && this.acceptWord("LIMIT")) {
+                limit = this.expression();
+                if (this.acceptOp(",")) {
+                    offset = limit;
+                    limit = this.expression();
+                }
+                continue;
+            }
+
+            if (!offset && this.acceptWord("OFFSET")) {
+                offset = this.expression();
+                continue;
+            }
+
+            break;
+        }
+
+        return { type: "select", distinct, columns, from, joins, where, groupBy, having, orderBy, limit, offset };
+    }
+
+    selectColumn() {
+        if (this.acceptOp("*")) return { star: true, table: null };
+
+        if (this.isName() && this.isOp(".", 1) && this.isOp("*", 2)) {
+            const table = this.next().value;
+            this.pos += 2;
+            return { star: true, table };
+        }
+
+        const expr = this.expression();
+        return { expr, alias: this.alias() };
+    }
+
+    alias() {
+        if (this.acceptWord("AS")) return this.identifier();
+        return this.isName() ? this.next().value : null;
+    }
+
+    tableRef() {
+        const table = this.identifier();
+        return { table, alias: this.alias() ?? table };
+    }
+
+    // [INNER] JOIN t ON ..., LEFT [OUTER] JOIN t ON ..., CROSS JOIN t or FROM a, b
+    joins() {
+        const joins = [];
+
+        for (;;) {
+            let kind;
+
+            if (this.acceptOp(",") || this.acceptWord("CROSS", "JOIN")) kind = "cross";
+            else if (this.acceptWord("JOIN") || this.acceptWord("INNER", "JOIN")) kind = "inner";
+            else if (this.acceptWord("LEFT", "JOIN") || this.acceptWord("LEFT", "OUTER", "JOIN")) kind = "left";
+            else if (this.isWord("RIGHT") || this.isWord("FULL")) this.fail("INNER, LEFT or CROSS JOIN");
+            else return joins;
+
+            const ref = this.tableRef();
+            const on = kind === "cross" ? null : (this.expectWord("ON"), this.expression());
+
+            joins.push({ kind, ...ref, on });
+        }
+    }
+
+    orderTerm() {
+        const expr = this.expression();
+        const desc = this.acceptWord("DESC");
+        if (!desc) this.acceptWord("ASC");
+
+        let nulls = null;
+        if (this.acceptWord("NULLS")) {
+            nulls = this.acceptWord("FIRST") ? "first" : (this.expectWord("LAST"), "last");
+        }
+
+        return { expr, desc, nulls };
+    }
+
+    assignment() {
+        const column = this.identifier();
+        this.expectOp("=");
+        return { column, expr: this.expression() };
+    }
+
+    returning() {
+        return this.acceptWord("RETURNING") ? this.list(() => this.selectColumn()) : null;
+    }
+
+    insert() {
+        this.expectWord("INSERT");
+
+        // SQLite's INSERT OR IGNORE / MySQL's INSERT IGNORE
+        const ignore = this.acceptWord("OR", "IGNORE") || this.acceptWord("IGNORE");
+
+        this.expectWord("INTO");
+        const table = this.identifier();
+
+        let columns = null;
+        if (this.acceptOp("(")) {
+            columns = this.list(() => this.identifier());
+            this.expectOp(")");
+        }
+
+        let rows;
+        if (this.acceptWord("DEFAULT", "VALUES")) {
+            columns = [];
+            rows = [[]];
+        } else {
+            this.expectWord("VALUES");
+            rows = this.list(() => {
+                this.expectOp("(");
+                const values = this.list(() => this.expression());
+                this.expectOp(")");
+                return values;
+            });
+        }
+
+        let onConflict = ignore ? { target: null, action: "nothing" } : null;
+
+        if (this.acceptWord("ON", "CONFLICT")) {
+            let target = null;
+            if (this.acceptOp("(")) {
+                target = this.list(() => this.identifier());
+                this.expectOp(")");
+            }
+
+            this.expectWord("DO");
+
+            if (this.acceptWord("NOTHING")) {
+                onConflict = { target, action: "nothing" };
+            } else {
+                this.expectWord("UPDATE", "SET");
+                const set = this.list(() => this.assignment());
+                const where = this.acceptWord("WHERE") ? this.expression() : null;
+                onConflict = { target, action: "update", set, where };
+            }
+        }
+
+        return { type: "insert", table, columns, rows, onConflict, returning: this.returning() };
+    }
+
+    update() {
+        this.expectWord("UPDATE");
+        const { table, alias } = this.tableRef();
+        this.expectWord("SET");
+        const set = this.list(() => this.assignment());
+        const where = this.acceptWord("WHERE") ? this.expression() : null;
+        return { type: "update", table, alias, set, where, returning: this.returning() };
+    }
+
+    delete() {
+        this.expectWord("DELETE", "FROM");
+        const { table, alias } = this.tableRef();
+        const where = this.acceptWord("WHERE") ? this.expression() : null;
+        return { type: "delete", table, alias, where, returning: this.returning() };
+    }
+
+    create() {
+        this.expectWord("CREATE");
+
+        const unique = this.acceptWord("UNIQUE");
+        if (this.acceptWord("INDEX")) return this.createIndex(unique);
+        if (unique) this.fail("INDEX");
+
+        this.acceptWord("TEMPORARY") || this.acceptWord("TEMP");
+        this.expectWord("TABLE");
+
+        const ifNotExists = this.acceptWord("IF", "NOT", "EXISTS");
+        const table = this.identifier();
+        const columns = [];
+        const constraints = [];
+
+        this.expectOp("(");
+        do {
+            if (["PRIMARY", "UNIQUE", "CONSTRAINT", "FOREIGN", "CHECK"].some(word => this.isWord(word))) {
+                constraints.push(this.tableConstraint());
+            } else {
+                columns.push(this.columnDef());
+            }
+        } while (this.acceptOp(","));
+        this.expectOp(")");
+
+        return { type: "createTable", table, ifNotExists, columns, constraints };
+    }
+
+    columnDef() {
+        const name = this.identifier();
+        const typeWords = [];
+
+        while (this.peek().type === "word" && !COLUMN_CONSTRAINTS.has(this.peek().upper)) {
+            typeWords.push(this.next().upper);
+        }
+
+        // VARCHAR(255), DECIMAL(10, 2)
+        if (this.acceptOp("(")) {
+            this.list(() => this.expression());
+            this.expectOp(")");
+        }
+
+        const column = {
+            name,
+            type: typeWords.join(" "),
+            primaryKey: false,
+            autoIncrement: false,
+            notNull: false,
+            unique: false,
+            default: null
+        };
+
+        for (;;) {
+            if (this.acceptWord("PRIMARY", "KEY")) {
+                column.primaryKey = true;
+                this.acceptWord("ASC") || this.acceptWord("DESC");
+            } else if (this.acceptWord("NOT", "NULL")) {
+                column.notNull = true;
+            } else if (this.acceptWord("NULL")) {
+                column.notNull = false;
+            } else if (this.acceptWord("UNIQUE")) {
+                column.unique = true;
+            } else if (this.acceptWord("AUTOINCREMENT") || this.acceptWord("AUTO_INCREMENT")) {
+                column.autoIncrement = true;
+            } else if (this.acceptWord("DEFAULT")) {
+                column.default = this.unary();
+            } else if (this.acceptWord("CONSTRAINT")) {
+                this.identifier();
+            } else if (this.acceptWord("REFERENCES")) {
+                this.references();
+            } else if (this.acceptWord("CHECK")) {
+                this.expectOp("(");
+                this.expression();
+                this.expectOp(")");
+            } else {
+                break;
+            }
+        }
+
+        return column;
+    }
+
+    // Foreign keys are accepted but not enforced
+    references() {
+        this.identifier();
+
+        if (this.acceptOp("(")) {
+            this.list(() => this.identifier());
+            this.expectOp(")");
+        }
+
+        while (this.acceptWord("ON")) {
+            this.next(); // DELETE | UPDATE
+            if (this.acceptWord("SET") || this.acceptWord("NO")) this.next();
+            else this.next(); // CASCADE | RESTRICT
+        }
+    }
+
+    tableConstraint() {
+        if (this.acceptWord("CONSTRAINT")) this.identifier();
+
+        const columnList = () => {
+            this.expectOp("(");
+            const columns = this.list(() => this.identifier());
+            this.expectOp(")");
+            return columns;
+        };
+
+        if (this.acceptWord("PRIMARY", "KEY")) return { type: "primaryKey", columns: columnList() };
+        if (this.acceptWord("UNIQUE")) return { type: "unique", columns: columnList() };
+
+        if (this.acceptWord("FOREIGN", "KEY")) {
+            columnList();
+            this.expectWord("REFERENCES");
+            this.references();
+            return { type: "foreignKey" };
+        }
+
+        this.expectWord("CHECK");
+        this.expectOp("(");
+        this.expression();
+        this.expectOp(")");
+        return { type: "check" };
+    }
+
+    createIndex(unique) {
+        const ifNotExists = this.acceptWord("IF", "NOT", "EXISTS");
+        const name = this.identifier();
+        this.expectWord("ON");
+        const table = this.identifier();
+
+        this.expectOp("(");
+        const columns = this.list(() => {
+            const column = this.identifier();
+            this.acceptWord("ASC") || this.acceptWord("DESC");
+            return column;
+        });
+        this.expectOp(")");
+
+        return { type: "createIndex", name, table, columns, unique, ifNotExists };
+    }
+
+    drop() {
+        this.expectWord("DROP");
+
+        const kind = this.acceptWord("TABLE") ? "dropTable" : (this.expectWord("INDEX"), "dropIndex");
+        const ifExists = this.acceptWord("IF", "EXISTS");
+        const name = this.identifier();
+        this.acceptWord("CASCADE") || this.acceptWord("RESTRICT");
+
+        return { type: kind, name, ifExists };
+    }
+
+    alter() {
+        this.expectWord("ALTER", "TABLE");
+        const table = this.identifier();
+
+        if (this.acceptWord("ADD")) {
+            this.acceptWord("COLUMN");
+            return { type: "addColumn", table, column: this.columnDef() };
+        }
+
+        this.expectWord("DROP");
+        this.acceptWord("COLUMN");
+        return { type: "dropColumn", table, column: this.identifier() };
+    }
+
+    /* ---------- Expressions ---------- */
+
+    expression() {
+        return this.or();
+    }
+
+    or() {
+        let left = this.and();
+        while (this.acceptWord("OR")) left = { type: "logical", op: "OR", left, right: this.and() };
+        return left;
+    }
+
+    and() {
+        let left = this.not();
+        while (this.acceptWord("AND")) left = { type: "logical", op: "AND", left, right: this.not() };
+        return left;
+    }
+
+    not() {
+        if (this.acceptWord("NOT")) return { type: "not", expr: this.not() };
+        return this.comparison();
+    }
+
+    comparison() {
+        let left = this.additive();
+
+        for (;;) {
+            const token = this.peek();
+
+            if (token.type === "op" && COMPARISONS.has(token.value)) {
+                this.next();
+                const op = token.value === "==" ? "=" : token.value === "!=" ? "<>" : token.value;
+                left = { type: "binary", op, left, right: this.additive() };
+                continue;
+            }
+
+            if (this.acceptWord("IS")) {
+                const negate = this.acceptWord("NOT");
+                this.expectWord("NULL");
+                left = { type: "isNull", expr: left, negate };
+                continue;
+            }
+
+            const negate = this.isWord("NOT") && ["IN", "BETWEEN", "LIKE", "ILIKE"].some(word => this.isWord(word, 1));
+            if (negate) this.next();
+
+            if (this.acceptWord("IN")) {
+                this.expectOp("(");
+
+                if (this.isWord("SELECT")) {
+                    left = { type: "in", expr: left, subquery: this.select(), negate };
+                    this.expectOp(")");
+                    continue;
+                }
+
+                const list = this.isOp(")") ? [] : this.list(() => this.expression());
+                this.expectOp(")");
+                left = { type: "in", expr: left, list, negate };
+                continue;
+            }
+
+            if (this.acceptWord("BETWEEN")) {
+                const low = this.additive();
+                this.expectWord("AND");
+                left = { type: "between", expr: left, low, high: this.additive(), negate };
+                continue;
+            }
+
+            if (this.isWord("LIKE") || this.isWord("ILIKE")) {
+                const caseInsensitive = this.next().upper === "ILIKE";
+                left = { type: "like", expr: left, pattern: this.additive(), negate, caseInsensitive };
+                continue;
+            }
+
+            return left;
+        }
+    }
+
+    additive() {
+        let left = this.multiplicative();
+
+        while (this.isOp("+") || this.isOp("-") || this.isOp("||")) {
+            const op = this.next().value;
+            left = { type: "binary", op, left, right: this.multiplicative() };
+        }
+
+        return left;
+    }
+
+    multiplicative() {
+        let left = this.unary();
+
+        while (this.isOp("*") || this.isOp("/") || this.isOp("%")) {
+            const op = this.next().value;
+            left = { type: "binary", op, left, right: this.unary() };
+        }
+
+        return left;
+    }
+
+    unary() {
+        if (this.acceptOp("-")) return { type: "negate", expr: this.unary() };
+        if (this.acceptOp("+")) return this.unary();
+        return this.primary();
+    }
+
+    primary() {
+        const token = this.next();
+
+        switch (token.type) {
+            case "number":
+            case "string":
+                return { type: "literal", value: token.value };
+
+            case "param":
+                return { type: "param", index: token.index };
+
+            case "ident":
+                return this.columnRef(token.value);
+
+            case "op":
+                if (token.value === "(") {
+                    const expr = this.expression();
+                    this.expectOp(")");
+                    return expr;
+                }
+                break;
+
+            case "word":
+                if (token.upper === "NULL") return { type: "literal", value: null };
+                if (token.upper === "TRUE") return { type: "literal", value: true };
+                if (token.upper === "FALSE") return { type: "literal", value: false };
+                if (token.upper === "CURRENT_TIMESTAMP") return { type: "call", name: "NOW", args: [] };
+                if (this.isOp("(")) return this.call(token.upper);
+                if (!RESERVED.has(token.upper)) return this.columnRef(token.value);
+                break;
+        }
+
+        this.pos--;
+        return this.fail("an expression");
+    }
+
+    columnRef(name) {
+        if (this.acceptOp(".")) return { type: "column", table: name, name: this.identifier() };
+        return { type: "column", table: null, name };
+    }
+
+    call(name) {
+        if (!AGGREGATES.has(name) && !FUNCTIONS[name]) {
+            throw new SQLError(`no such function: ${name}`, "SQL_NO_FUNCTION");
+        }
+
+        this.expectOp("(");
+
+        const distinct = this.acceptWord("DISTINCT");
+        let args = [];
+
+        if (this.acceptOp("*")) args = [{ type: "star" }];
+        else if (!this.isOp(")")) args = this.list(() => this.expression());
+
+        this.expectOp(")");
+
+        return { type: AGGREGATES.has(name) ? "aggregate" : "call", name, args, distinct };
+    }
+}
+
+// Parsed statements are reused; bindings are looked up at execution time
+const parseCache = new Map();
+const PARSE_CACHE_SIZE = 500;
+
+function parse(sql) {
+    let statements = parseCache.get(sql);
+
+    if (!statements) {
+        statements = new Parser(tokenize(sql)).script();
+        parseCache.set(sql, statements);
+
+        if (parseCache.size > PARSE_CACHE_SIZE) {
+            parseCache.delete(parseCache.keys().next().value);
+        }
+    }
+
+    return statements;
+}
+
+/* ---------------------------------- */
+/* Values                             */
+/* ---------------------------------- */
+
+// Bindings are stored the way SQLite would: dates as ISO text, no undefined
+function toStorable(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === "bigint") return Number(value);
+    if (value !== null && typeof value === "object") return structuredClone(value);
+    return value;
+}
+
+function clone(value) {
+    return value !== null && typeof value === "object" ? structuredClone(value) : value;
+}
+
+function isNumeric(value) {
+    return typeof value === "string" && value.trim() !== "" && Number.isFinite(Number(value));
+}
+
+/** SQLite-style ordering: numbers before text, numeric strings compare as numbers. */
+function compare(a, b) {
+    if (typeof a === "boolean") a = Number(a);
+    if (typeof b === "boolean") b = Number(b);
+    if (typeof a === "number" && isNumeric(b)) b = Number(b);
+    if (typeof b === "number" && isNumeric(a)) a = Number(a);
+
+    if (typeof a === "object") a = JSON.stringify(a);
+    if (typeof b === "object") b = JSON.stringify(b);
+
+    if (typeof a === "number" && typeof b !== "number") return -1;
+    if (typeof b === "number" && typeof a !== "number") return 1;
+
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function truthy(value) {
+    if (value == null) return null;
+    if (typeof value === "string") return Number(value) !== 0 && !Number.isNaN(Number(value));
+    return Boolean(value);
+}
+
+function isTrue(value) {
+    return truthy(value) === true;
+}
+
+const likeCache = new Map();
+
+function likeRegExp(pattern, caseInsensitive) {
+    const key = `${caseInsensitive ? "i" : "s"}:${pattern}`;
+    let regexp = likeCache.get(key);
+
+    if (!regexp) {
+        const source = [...pattern]
+            .map(ch => (ch === "%" ? ".*" : ch === "_" ? "." : ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")))
+            .join("");
+
+        regexp = new RegExp(`^${source}$`, caseInsensitive ? "is" : "s");
+        likeCache.set(key, regexp);
+        if (likeCache.size > PARSE_CACHE_SIZE) likeCache.delete(likeCache.keys().next().value);
+    }
+
+    return regexp;
+}
+
+function affinityOf(type) {
+    const t = type.toUpperCase();
+
+    if (/INT|SERIAL/.test(t)) return "integer";
+    if (/BOOL/.test(t)) return "boolean";
+    if (/REAL|FLOA|DOUB|DEC|NUMERIC/.test(t)) return "real";
+    if (/JSON/.test(t)) return "json";
+    if (/DATE|TIME/.test(t)) return "datetime";
+    if (/CHAR|TEXT|CLOB|UUID/.test(t)) return "text";
+
+    return "any";
+}
+
+function coerce(value, column) {
+    if (value == null) return null;
+
+    switch (column.affinity) {
+        case "integer":
+        case "real":
+            if (typeof value === "boolean") return Number(value);
+            return isNumeric(value) ? Number(value) : value;
+
+        case "boolean":
+            if (typeof value === "number") return value !== 0;
+            if (typeof value === "string" && /^(true|t|1|false|f|0)$/i.test(value)) {
+                return /^(true|t|1)$/i.test(value);
+            }
+            return value;
+
+        case "text":
+            return typeof value === "object" ? JSON.stringify(value) : String(value);
+
+        case "json":
+            if (typeof value !== "string") return value;
+            try {
+                return JSON.parse(value);
+            } catch {
+                return value;
+            }
+
+        default:
+            return value;
+    }
+}
+
+/* ---------------------------------- */
+/* Evaluation                         */
+/* ---------------------------------- */
+
+/*
+ * ctx = { params, sources, group, aliases }
+ *   sources: [{ alias, table, row }] visible to column references
+ *   group:   array of `sources` while evaluating an aggregate
+ *   aliases: output columns, for ORDER BY <alias>
+ *   subquery: runs an IN (SELECT ...) for the current statement
+ */
+function evaluate(expr, ctx) {
+    switch (expr.type) {
+        case "literal":
+            return expr.value;
+
+        case "param":
+            if (expr.index >= ctx.params.length) {
+                throw new SQLError(`Missing binding for parameter ${expr.index + 1}`, "SQL_BINDING");
+            }
+            return toStorable(ctx.params[expr.index]);
+
+        case "column":
+            return resolveColumn(expr, ctx);
+
+        case "negate": {
+            const value = evaluate(expr.expr, ctx);
+            return value == null ? null : -Number(value);
+        }
+
+        case "not": {
+            const value = truthy(evaluate(expr.expr, ctx));
+            return value == null ? null : !value;
+        }
+
+        case "logical": {
+            const left = truthy(evaluate(expr.left, ctx));
+
+            if (expr.op === "AND") {
+                if (left === false) return false;
+                const right = truthy(evaluate(expr.right, ctx));
+                if (right === false) return false;
+                return left === null || right === null ? null : true;
+            }
+
+            if (left === true) return true;
+            const right = truthy(evaluate(expr.right, ctx));
+            if (right === true) return true;
+            return left === null || right === null ? null : false;
+        }
+
+        case "binary":
+            return binary(expr.op, evaluate(expr.left, ctx), evaluate(expr.right, ctx));
+
+        case "isNull": {
+            const isNull = evaluate(expr.expr, ctx) == null;
+            return expr.negate ? !isNull : isNull;
+        }
+
+        case "in": {
+            const value = evaluate(expr.expr, ctx);
+            if (value == null) return null;
+
+            // `IN (?)` with an array binding expands to its elements
+            const candidates = expr.subquery
+                ? subqueryValues(expr.subquery, ctx)
+                : expr.list.flatMap(item => {
+                      const candidate = evaluate(item, ctx);
+                      return Array.isArray(candidate) ? candidate : [candidate];
+                  });
+
+            if (candidates.some(c => c != null && compare(value, c) === 0)) return !expr.negate;
+            return candidates.some(c => c == null) ? null : expr.negate;
+        }
+
+        case "between": {
+            const value = evaluate(expr.expr, ctx);
+            const low = evaluate(expr.low, ctx);
+            const high = evaluate(expr.high, ctx);
+            if (value == null || low == null || high == null) return null;
+
+            const inside = compare(value, low) >= 0 && compare(value, high) <= 0;
+            return expr.negate ? !inside : inside;
+        }
+
+        case "like": {
+            const value = evaluate(expr.expr, ctx);
+            const pattern = evaluate(expr.pattern, ctx);
+            if (value == null || pattern == null) return null;
+
+            const matches = likeRegExp(String(pattern), expr.caseInsensitive).test(String(value));
+            return expr.negate ? !matches : matches;
+        }
+
+        case "call":
+            return FUNCTIONS[expr.name](expr.args.map(arg => evaluate(arg, ctx)));
+
+        case "aggregate":
+            return aggregate(expr, ctx);
+
+        default:
+            throw new SQLError(`Cannot evaluate ${expr.type} here`, "SQL_SYNTAX");
+    }
+}
+
+function subqueryValues(stmt, ctx) {
+    if (!ctx.subquery) throw new SQLError("Subqueries are only supported in SELECT, UPDATE and DELETE", "SQL_SYNTAX");
+    return ctx.subquery(stmt);
+}
+
+function binary(op, left, right) {
+    if (left == null || right == null) return null;
+
+    switch (op) {
+        case "=": return compare(left, right) === 0;
+        case "<>": return compare(left, right) !== 0;
+        case "<": return compare(left, right) < 0;
+        case "<=": return compare(left, right) <= 0;
+        case ">": return compare(left, right) > 0;
+        case ">=": return compare(left, right) >= 0;
+        case "||": return String(left) + String(right);
+    }
+
+    const a = Number(left);
+    const b = Number(right);
+
+    switch (op) {
+        case "+": return a + b;
+        case "-": return a - b;
+        case "*": return a * b;
+        case "/":
+            if (b === 0) return null;
+            return Number.isInteger(a) && Number.isInteger(b) ? Math.trunc(a / b) : a / b;
+        case "%":
+            return b === 0 ? null : a % b;
+    }
+
+    throw new SQLError(`Unknown operator ${op}`, "SQL_SYNTAX");
+}
+
+function resolveColumn({ table, name }, ctx) {
+    const lower = name.toLowerCase();
+
+    if (table) {
+        const source = ctx.sources.find(s => s.alias.toLowerCase() === table.toLowerCase());
+        const column = source?.table.columnMap.get(lower);
+        if (!column) throw new SQLError(`no such column: ${table}.${name}`, "SQL_NO_COLUMN");
+        return source.row ? source.row[column.name] ?? null : null;
+    }
+
+    if (ctx.aliases && Object.hasOwn(ctx.aliases, lower)) return ctx.aliases[lower];
+
+    // `excluded` (ON CONFLICT) is only reachable as excluded.<column>
+    const matches = ctx.sources.filter(source => !source.qualifiedOnly && source.table.columnMap.has(lower));
+
+    if (matches.length > 1) throw new SQLError(`ambiguous column name: ${name}`, "SQL_AMBIGUOUS_COLUMN");
+    if (!matches.length) throw new SQLError(`no such column: ${name}`, "SQL_NO_COLUMN");
+
+    const [source] = matches;
+    return source.row ? source.row[source.table.columnMap.get(lower).name] ?? null : null;
+}
+
+function aggregate(expr, ctx) {
+    if (!ctx.group) {
+        throw new SQLError(`misuse of aggregate function ${expr.name}()`, "SQL_SYNTAX");
+    }
+
+    const [arg] = expr.args;
+
+    let values = arg?.type === "star"
+        ? ctx.group.map(() => 1)
+        : ctx.group
+              .map(sources => evaluate(arg, { ...ctx, sources, group: null, aliases: null }))
+              .filter(value => value != null);
+
+    if (expr.distinct) {
+        const seen = new Set();
+        values = values.filter(value => {
+            const key = JSON.stringify(value);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    if (expr.name === "COUNT") return values.length;
+    if (!values.length) return null;
+
+    switch (expr.name) {
+        case "SUM": return values.reduce((sum, v) => sum + Number(v), 0);
+        case "AVG": return values.reduce((sum, v) => sum + Number(v), 0) / values.length;
+        case "MIN": return values.reduce((min, v) => (compare(v, min) < 0 ? v : min));
+        case "MAX": return values.reduce((max, v) => (compare(v, max) > 0 ? v : max));
+    }
+}
+
+function containsAggregate(expr) {
+    if (!expr || typeof expr !== "object") return false;
+    if (expr.type === "aggregate") return true;
+
+    return Object.values(expr).some(value =>
+        Array.isArray(value) ? value.some(containsAggregate) : containsAggregate(value)
+    );
+}
+
+// Unaliased output names follow Postgres: the column name, or the function name
+function outputName(expr) {
+    if (expr.type === "column") return expr.name;
+    if (expr.type === "aggregate" || expr.type === "call") return expr.name.toLowerCase();
+    if (expr.type === "literal") return String(expr.value);
+    return "?column?";
+}
+
+/* ---------------------------------- */
+/* Tables                             */
+/* ---------------------------------- */
+
+function createTable(name) {
+    return { name, columns: [], columnMap: new Map(), uniqueKeys: [], indexes: {}, rows: [], sequence: 0 };
+}
+
+function addColumn(table, def) {
+    if (table.columnMap.has(def.name.toLowerCase())) {
+        throw new SQLError(`duplicate column name: ${def.name}`, "SQL_SCHEMA");
+    }
+
+    const affinity = affinityOf(def.type);
+    const generated = /SERIAL/.test(def.type) || def.autoIncrement || (def.primaryKey && affinity === "integer");
+
+    const column = {
+        name: def.name,
+        type: def.type,
+        affinity,
+        primaryKey: def.primaryKey,
+        autoIncrement: def.default == null && generated,
+        notNull: def.notNull,
+        default: def.default
+    };
+
+    if (column.primaryKey && !column.autoIncrement) column.notNull = true;
+
+    table.columns.push(column);
+    table.columnMap.set(column.name.toLowerCase(), column);
+
+    if (def.primaryKey || def.unique) table.uniqueKeys.push([column.name]);
+
+    return column;
+}
+
+function uniqueSets(table) {
+    return [
+        ...table.uniqueKeys,
+        ...Object.values(table.indexes).filter(index => index.unique).map(index => index.columns)
+    ];
+}
+
+function tableState(table) {
+    return {
+        columns: [...table.columns],
+        columnMap: new Map(table.columnMap),
+        uniqueKeys: table.uniqueKeys.map(key => [...key]),
+        indexes: { ...table.indexes }
+    };
+}
+
+function serializeTable(table) {
+    return {
+        name: table.name,
+        columns: table.columns,
+        uniqueKeys: table.uniqueKeys,
+        indexes: table.indexes,
+        sequence: table.sequence,
+        // Dropped columns may linger on row objects; only declared ones are saved
+        rows: table.rows.map(row => Object.fromEntries(table.columns.map(c => [c.name, row[c.name] ?? null])))
+    };
+}
+
+function hydrateTable(data) {
+    const table = { ...createTable(data.name), ...data, columnMap: new Map() };
+    for (const column of table.columns) table.columnMap.set(column.name.toLowerCase(), column);
+    return table;
+}
+
+/* ---------------------------------- */
+/* Database                           */
+/* ---------------------------------- */
+
+class MemoryDatabase {
+    constructor({ filename = null, saveDelay = 100 } = {}) {
+        this.filename = filename;
+        this.saveDelay = saveDelay;
+        this.tables = new Map();
+        this.saveTimer = null;
+        this.saving = Promise.resolve();
+        this.saveError = null;
+    }
+
+    async load() {
+        if (!this.filename) return this;
+
+        let raw;
+        try {
+            raw = await fs.promises.readFile(this.filename, "utf8");
+        } catch (err) {
+            if (err.code === "ENOENT") return this;
+            throw err;
+        }
+
+        const data = JSON.parse(raw);
+
+        for (const table of data.tables ?? []) {
+            this.tables.set(table.name.toLowerCase(), hydrateTable(table));
+        }
+
+        return this;
+    }
+
+    table(name) {
+        const table = this.tables.get(name.toLowerCase());
+        if (!table) throw new SQLError(`no such table: ${name}`, "SQL_NO_TABLE");
+        return table;
+    }
+
+    toJSON() {
+        return { version: 1, tables: [...this.tables.values()].map(serializeTable) };
+    }
+
+    // Coalesces bursts of writes into one file write
+    scheduleSave() {
+        if (!this.filename || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this._queueWrite();
+        }, this.saveDelay);
+    }
+
+    // Saves a pending change now; rejects if the latest save failed
+    async flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+            this._queueWrite();
+        }
+
+        await this.saving;
+
+        if (this.saveError) {
+            const err = this.saveError;
+            this.saveError = null;
+            throw err;
+        }
+    }
+
+    // A failed save is kept for the next flush(); a later successful one supersedes it
+    _queueWrite() {
+        this.saving = this.saving.then(() =>
+            this._write().then(
+                () => { this.saveError = null; },
+                err => { this.saveError = err; }
+            )
+        );
+    }
+
+    // Write-then-rename so a crash never leaves a half-written file
+    async _write() {
+        const tmp = `${this.filename}.${process.pid}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(this.filename), { recursive: true });
+        await fs.promises.writeFile(tmp, JSON.stringify(this.toJSON()));
+        await fs.promises.rename(tmp, this.filename);
+    }
+}
+
+/* ---------------------------------- */
+/* Connection                         */
+/* ---------------------------------- */
+
+class MemoryConnection {
+    constructor(database) {
+        this.database = database;
+        this.transaction = null; // undo log while a transaction is open
+        this.journal = null;     // undo log of the running statement
+        this.closed = false;
+    }
+
+    get inTransaction() {
+        return this.transaction !== null;
+    }
+
+    /**
+     * @param {string} sql  one or more `;`-separated statements
+     * @param {Array} params  `?` / `$n` bindings
+     * @returns {Promise<{ command, rows, rowCount, lastInsertId? }>} result of the last statement
+     */
+    async query(sql, params = []) {
+        if (this.closed) throw new SQLError("Connection is closed", "SQL_CLOSED");
+
+        let result = { command: null, rows: [], rowCount: 0 };
+
+        for (const statement of parse(String(sql))) {
+            result = this._run(statement, params);
+        }
+
+        return result;
+    }
+
+    async close() {
+        if (this.inTransaction) this._rollback();
+        this.closed = true;
+        await this.database.flush();
+    }
+
+    _run(statement, params) {
+        switch (statement.type) {
+            case "begin":
+                if (this.inTransaction) {
+                    throw new SQLError("cannot start a transaction within a transaction", "SQL_TRANSACTION");
+                }
+                this.transaction = [];
+                return { command: "BEGIN", rows: [], rowCount: 0 };
+
+            case "commit":
+                this.transaction = null;
+                this.database.scheduleSave();
+                return { command: "COMMIT", rows: [], rowCount: 0 };
+
+            case "rollback":
+                this._rollback();
+                return { command: "ROLLBACK", rows: [], rowCount: 0 };
+        }
+
+        // Each statement is atomic: on error, its own changes are undone
+        this.journal = [];
+
+        try {
+            const result = this._execute(statement, params);
+
+            if (this.inTransaction) this.transaction.push(...this.journal);
+            else if (this.journal.length) this.database.scheduleSave();
+
+            return result;
+        } catch (err) {
+            this._undo(this.journal);
+            throw err;
+        } finally {
+            this.journal = null;
+        }
+    }
+
+    _rollback() {
+        if (this.transaction) this._undo(this.transaction);
+        this.transaction = null;
+    }
+
+    _undo(entries) {
+        for (const entry of [...entries].reverse()) {
+            switch (entry.type) {
+                case "insert":
+                    entry.table.rows = entry.table.rows.filter(row => row !== entry.row);
+                    break;
+                case "update":
+                    Object.assign(entry.row, entry.before);
+                    break;
+                case "delete":
+                    entry.table.rows.push(...entry.rows);
+                    break;
+                case "schema":
+                    if (!entry.table) {
+                        this.database.tables.delete(entry.key);
+                    } else {
+                        Object.assign(entry.table, entry.state);
+                        this.database.tables.set(entry.key, entry.table);
+                    }
+                    break;
+            }
+        }
+    }
+
+    _execute(statement, params) {
+        switch (statement.type) {
+            case "select": return this._select(statement, params);
+            case "insert": return this._insert(statement, params);
+            case "update": return this._update(statement, params);
+            case "delete": return this._delete(statement, params);
+            case "createTable": return this._createTable(statement);
+            case "dropTable": return this._dropTable(statement);
+            case "addColumn": return this._addColumn(statement);
+            case "dropColumn": return this._dropColumn(statement);
+            case "createIndex": return this._createIndex(statement);
+            case "dropIndex": return this._dropIndex(statement);
+        }
+
+        throw new SQLError(`Unsupported statement: ${statement.type}`, "SQL_SYNTAX");
+    }
+
+    /* ---------- Queries ---------- */
+
+    _source(table, alias, row = null) {
+        return { alias, table, row };
+    }
+
+    // IN (SELECT ...) can't see the outer row, so each one runs once per statement
+    _context(params) {
+        const results = new Map();
+
+        const subquery = stmt => {
+            if (!results.has(stmt)) {
+                const { rows } = this._select(stmt, params);
+
+                if (rows.length && Object.keys(rows[0]).length !== 1) {
+                    throw new SQLError("sub-select returns more than 1 column", "SQL_SYNTAX");
+                }
+
+                results.set(stmt, rows.map(row => Object.values(row)[0]));
+            }
+
+            return results.get(stmt);
+        };
+
+        return { params, subquery };
+    }
+
+    _select(stmt, params) {
+        const ctx = this._context(params);
+
+        let scopes;
+        let empty = [];
+
+        if (stmt.from) {
+            const table = this.database.table(stmt.from.table);
+            scopes = table.rows.map(row => [this._source(table, stmt.from.alias, row)]);
+            empty = [this._source(table, stmt.from.alias)];
+
+            for (const join of stmt.joins) {
+                const joined = this.database.table(join.table);
+                empty.push(this._source(joined, join.alias));
+
+                scopes = scopes.flatMap(sources => {
+                    const matches = joined.rows
+                        .map(row => [...sources, this._source(joined, join.alias, row)])
+                        .filter(candidate => !join.on || isTrue(evaluate(join.on, { ...ctx, sources: candidate })));
+
+                    // LEFT JOIN keeps unmatched rows with the joined columns NULL
+                    if (!matches.length && join.kind === "left") {
+                        return [[...sources, this._source(joined, join.alias)]];
+                    }
+
+                    return matches;
+                });
+            }
+        } else {
+            scopes = [[]];
+        }
+
+        if (stmt.where) {
+            scopes = scopes.filter(sources => isTrue(evaluate(stmt.where, { ...ctx, sources })));
+        }
+
+        const grouped =
+            stmt.groupBy.length > 0 ||
+            stmt.having !== null ||
+            stmt.columns.some(c => containsAggregate(c.expr)) ||
+            stmt.orderBy.some(o => containsAggregate(o.expr));
+
+        let units;
+
+        if (stmt.groupBy.length) {
+            const groups = new Map();
+
+            for (const sources of scopes) {
+                const key = JSON.stringify(stmt.groupBy.map(expr => evaluate(expr, { ...ctx, sources })));
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(sources);
+            }
+
+            units = [...groups.values()].map(group => ({ sources: group[0], group }));
+        } else if (grouped) {
+            // Without GROUP BY an aggregate query is one group of every matching row
+            units = [{ sources: scopes[0] ?? empty, group: scopes }];
+        } else {
+            units = scopes.map(sources => ({ sources, group: null }));
+        }
+
+        let results = units.map(unit => {
+            const unitCtx = { ...ctx, sources: unit.sources, group: unit.group };
+            const row = this._project(stmt.columns, unitCtx);
+
+            // ORDER BY and HAVING may name output columns
+            const aliases = Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v]));
+            const keep = !stmt.having || isTrue(evaluate(stmt.having, { ...unitCtx, aliases }));
+            const keys = keep ? stmt.orderBy.map(term => evaluate(term.expr, { ...unitCtx, aliases })) : [];
+
+            return { row, keys, keep };
+        }).filter(result => result.keep);
+
+        if (stmt.orderBy.length) {
+            results.sort((a, b) => {
+                for (let i = 0; i < stmt.orderBy.length; i++) {
+                    const { desc, nulls } = stmt.orderBy[i];
+                    const x = a.keys[i];
+                    const y = b.keys[i];
+
+                    if (x == null || y == null) {
+                        if (x == null && y == null) continue;
+                        // NULLs sort as the smallest value unless NULLS FIRST/LAST says otherwise
+                        const nullsFirst = nulls ? nulls === "first" : !desc;
+                        return (x == null) === nullsFirst ? -1 : 1;
+                    }
+
+                    const order = compare(x, y);
+                    if (order !== 0) return desc ? -order : order;
+                }
+
+                return 0;
+            });
+        }
+
+        let rows = results.map(result => result.row);
+
+        if (stmt.distinct) {
+            const seen = new Set();
+            rows = rows.filter(row => {
+                const key = JSON.stringify(Object.values(row));
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+        }
+
+        const offset = stmt.offset ? Math.max(0, Number(evaluate(stmt.offset, { ...ctx, sources: [] }))) : 0;
+        const limit = stmt.limit ? Number(evaluate(stmt.limit, { ...ctx, sources: [] })) : -1;
+
+        rows = rows.slice(offset, limit >= 0 ? offset + limit : undefined);
+
+        return { command: "SELECT", rows, rowCount: rows.length };
+    }
+
+    _project(columns, ctx) {
+        const out = {};
+
+        for (const column of columns) {
+            if (!column.star) {
+                out[column.alias ?? outputName(column.expr)] = clone(evaluate(column.expr, ctx));
+                continue;
+            }
+
+            const sources = column.table
+                ? ctx.sources.filter(s => s.alias.toLowerCase() === column.table.toLowerCase())
+                : ctx.sources;
+
+            if (column.table && !sources.length) {
+                throw new SQLError(`no such table: ${column.table}`, "SQL_NO_TABLE");
+            }
+
+            for (const source of sources) {
+                for (const { name } of source.table.columns) {
+                    out[name] = source.row ? clone(source.row[name] ?? null) : null;
+                }
+            }
+        }
+
+        return out;
+    }
+
+    _returning(stmt, table, alias, rows, params) {
+        if (!stmt.returning) return [];
+
+        return rows.map(row =>
+            this._project(stmt.returning, { params, sources: [this._source(table, alias, row)], group: null })
+        );
+    }
+
+    /* ---------- Writes ---------- */
+
+    _column(table, name) {
+        const column = table.columnMap.get(name.toLowerCase());
+        if (!column) throw new SQLError(`table ${table.name} has no column named ${name}`, "SQL_NO_COLUMN");
+        return column;
+    }
+
+    _newRow(table, values) {
+        const row = {};
+
+        for (const column of table.columns) {
+            let value = values[column.name];
+
+            if (value === undefined) {
+                value = column.default ? evaluate(column.default, { params: [], sources: [] }) : null;
+            }
+
+            if (value == null && column.autoIncrement) value = table.sequence + 1;
+
+            value = coerce(value, column);
+
+            if (value == null && column.notNull) {
+                throw new SQLError(`NOT NULL constraint failed: ${table.name}.${column.name}`, "SQL_CONSTRAINT");
+            }
+
+            if (column.autoIncrement && typeof value === "number" && value > table.sequence) {
+                table.sequence = value;
+            }
+
+            row[column.name] = value;
+        }
+
+        return row;
+    }
+
+    // First row other than `row` that shares a unique key with it; NULLs never conflict
+    _findConflict(table, row) {
+        for (const key of uniqueSets(table)) {
+            if (key.some(name => row[name] == null)) continue;
+
+            const existing = table.rows.find(other =>
+                other !== row && key.every(name => other[name] != null && compare(other[name], row[name]) === 0)
+            );
+
+            if (existing) return { row: existing, key };
+        }
+
+        return null;
+    }
+
+    _constraintError(table, key) {
+        return new SQLError(
+            `UNIQUE constraint failed: ${key.map(name => `${table.name}.${name}`).join(", ")}`,
+            "SQL_CONSTRAINT"
+        );
+    }
+
+    _assign(table, row, assignments, ctx) {
+        const changes = {};
+
+        for (const { column, expr } of assignments) {
+            const target = this._column(table, column);
+            changes[target.name] = coerce(evaluate(expr, ctx), target);
+
+            if (changes[target.name] == null && target.notNull) {
+                throw new SQLError(`NOT NULL constraint failed: ${table.name}.${target.name}`, "SQL_CONSTRAINT");
+            }
+        }
+
+        return changes;
+    }
+
+    _applyChanges(table, row, changes) {
+        const before = Object.fromEntries(Object.keys(changes).map(name => [name, row[name]]));
+
+        Object.assign(row, changes);
+
+        const conflict = this._findConflict(table, row);
+        if (conflict) {
+            Object.assign(row, before);
+            throw this._constraintError(table, conflict.key);
+        }
+
+        this.journal.push({ type: "update", row, before });
+    }
+
+    _insert(stmt, params) {
+        const table = this.database.table(stmt.table);
+        const columns = (stmt.columns ?? table.columns.map(c => c.name)).map(name => this._column(table, name));
+        const affected = [];
+        let lastInsertId;
+
+        for (const values of stmt.rows) {
+            if (values.length !== columns.length) {
+                throw new SQLError(`${values.length} values for ${columns.length} columns`, "SQL_SYNTAX");
+            }
+
+            const given = {};
+            columns.forEach((column, i) => {
+                given[column.name] = evaluate(values[i], { params, sources: [] });
+            });
+
+            const row = this._newRow(table, given);
+            const conflict = this._findConflict(table, row);
+
+            if (conflict) {
+                const { onConflict } = stmt;
+                const targeted = !onConflict?.target ||
+                    (onConflict.target.length === conflict.key.length &&
+                        onConflict.target.every(name => conflict.key.some(k => k.toLowerCase() === name.toLowerCase())));
+
+                if (!onConflict || !targeted) throw this._constraintError(table, conflict.key);
+                if (onConflict.action === "nothing") continue;
+
+                // DO UPDATE: bare columns are the existing row, EXCLUDED.x the proposed one
+                const sources = [
+                    this._source(table, table.name, conflict.row),
+                    { ...this._source(table, "excluded", row), qualifiedOnly: true }
+                ];
+                const ctx = { params, sources };
+
+                if (onConflict.where && !isTrue(evaluate(onConflict.where, ctx))) continue;
+
+                this._applyChanges(table, conflict.row, this._assign(table, conflict.row, onConflict.set, ctx));
+                affected.push(conflict.row);
+                continue;
+            }
+
+            table.rows.push(row);
+            this.journal.push({ type: "insert", table, row });
+            affected.push(row);
+
+            const generated = table.columns.find(c => c.autoIncrement);
+            if (generated) lastInsertId = row[generated.name];
+        }
+
+        return {
+            command: "INSERT",
+            rows: this._returning(stmt, table, table.name, affected, params),
+            rowCount: affected.length,
+            lastInsertId
+        };
+    }
+
+    _update(stmt, params) {
+        const table = this.database.table(stmt.table);
+        const ctx = this._context(params);
+        const affected = [];
+
+        const matches = table.rows.filter(row =>
+            !stmt.where || isTrue(evaluate(stmt.where, { ...ctx, sources: [this._source(table, stmt.alias, row)] }))
+        );
+
+        // Every SET expression sees the row as it was before the statement
+        const changes = matches.map(row =>
+            this._assign(table, row, stmt.set, { ...ctx, sources: [this._source(table, stmt.alias, row)] })
+        );
+
+        matches.forEach((row, i) => {
+            this._applyChanges(table, row, changes[i]);
+            affected.push(row);
+        });
+
+        return {
+            command: "UPDATE",
+            rows: this._returning(stmt, table, stmt.alias, affected, params),
+            rowCount: affected.length
+        };
+    }
+
+    _delete(stmt, params) {
+        const table = this.database.table(stmt.table);
+        const ctx = this._context(params);
+        const removed = [];
+        const kept = [];
+
+        for (const row of table.rows) {
+            const match = !stmt.where || isTrue(evaluate(stmt.where, { ...ctx, sources: [this._source(table, stmt.alias, row)] }));
+            (match ? removed : kept).push(row);
+        }
+
+        if (removed.length) {
+            table.rows = kept;
+            this.journal.push({ type: "delete", table, rows: removed });
+        }
+
+        return {
+            command: "DELETE",
+            rows: this._returning(stmt, table, stmt.alias, removed, params),
+            rowCount: removed.length
+        };
+    }
+
+    /* ---------- Schema ---------- */
+
+    _ddl(command) {
+        return { command, rows: [], rowCount: 0 };
+    }
+
+    _snapshot(key, table) {
+        this.journal.push({ type: "schema", key, table, state: table && tableState(table) });
+    }
+
+    _createTable(stmt) {
+        const key = stmt.table.toLowerCase();
+
+        if (this.database.tables.has(key)) {
+            if (stmt.ifNotExists) return this._ddl("CREATE");
+            throw new SQLError(`table ${stmt.table} already exists`, "SQL_SCHEMA");
+        }
+
+        const table = createTable(stmt.table);
+        for (const def of stmt.columns) addColumn(table, def);
+
+        for (const constraint of stmt.constraints) {
+            if (constraint.type !== "primaryKey" && constraint.type !== "unique") continue;
+
+            const columns = constraint.columns.map(name => this._column(table, name));
+            if (constraint.type === "primaryKey") columns.forEach(column => (column.notNull = true));
+            table.uniqueKeys.push(columns.map(column => column.name));
+        }
+
+        this._snapshot(key, undefined);
+        this.database.tables.set(key, table);
+
+        return this._ddl("CREATE");
+    }
+
+    _dropTable(stmt) {
+        const key = stmt.name.toLowerCase();
+        const table = this.database.tables.get(key);
+
+        if (!table) {
+            if (stmt.ifExists) return this._ddl("DROP");
+            throw new SQLError(`no such table: ${stmt.name}`, "SQL_NO_TABLE");
+        }
+
+        this._snapshot(key, table);
+        this.database.tables.delete(key);
+
+        return this._ddl("DROP");
+    }
+
+    _addColumn(stmt) {
+        const table = this.database.table(stmt.table);
+        this._snapshot(table.name.toLowerCase(), table);
+
+        const column = addColumn(table, stmt.column);
+
+        for (const row of table.rows) {
+            const value = coerce(column.default ? evaluate(column.default, { params: [], sources: [] }) : null, column);
+
+            if (value == null && column.notNull) {
+                throw new SQLError(`Cannot add a NOT NULL column without a default to ${table.name}`, "SQL_SCHEMA");
+            }
+
+            this.journal.push({ type: "update", row, before: { [column.name]: row[column.name] } });
+            row[column.name] = value;
+        }
+
+        return this._ddl("ALTER");
+    }
+
+    _dropColumn(stmt) {
+        const table = this.database.table(stmt.table);
+        const column = this._column(table, stmt.column);
+
+        this._snapshot(table.name.toLowerCase(), table);
+
+        table.columns = table.columns.filter(c => c !== column);
+        table.columnMap.delete(column.name.toLowerCase());
+        table.uniqueKeys = table.uniqueKeys.filter(key => !key.includes(column.name));
+
+        for (const [name, index] of Object.entries(table.indexes)) {
+            if (index.columns.includes(column.name)) delete table.indexes[name];
+        }
+
+        return this._ddl("ALTER");
+    }
+
+    // Indexes only matter for UNIQUE; lookups are always full scans
+    _createIndex(stmt) {
+        const table = this.database.table(stmt.table);
+        const owner = [...this.database.tables.values()].find(t => Object.hasOwn(t.indexes, stmt.name));
+
+        if (owner) {
+            if (stmt.ifNotExists) return this._ddl("CREATE");
+            throw new SQLError(`index ${stmt.name} already exists`, "SQL_SCHEMA");
+        }
+
+        const columns = stmt.columns.map(name => this._column(table, name).name);
+
+        this._snapshot(table.name.toLowerCase(), table);
+        table.indexes = { ...table.indexes, [stmt.name]: { columns, unique: stmt.unique } };
+
+        if (stmt.unique) {
+            for (const row of table.rows) {
+                if (this._findConflict(table, row)) throw this._constraintError(table, columns);
+            }
+        }
+
+        return this._ddl("CREATE");
+    }
+
+    _dropIndex(stmt) {
+        const table = [...this.database.tables.values()].find(t => Object.hasOwn(t.indexes, stmt.name));
+
+        if (!table) {
+            if (stmt.ifExists) return this._ddl("DROP");
+            throw new SQLError(`no such index: ${stmt.name}`, "SQL_SCHEMA");
+        }
+
+        this._snapshot(table.name.toLowerCase(), table);
+
+        const { [stmt.name]: _dropped, ...indexes } = table.indexes;
+        table.indexes = indexes;
+
+        return this._ddl("DROP");
+    }
+}
+
+/* ---------------------------------- */
+/* Driver                             */
+/* ---------------------------------- */
+
+class MemoryDriver {
+    /**
+     * @param {{ filename?: string, saveDelay?: number }} options
+     *   filename: JSON file to load from and save to (default: memory only)
+     *   saveDelay: ms to coalesce writes before saving (default 100)
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.databases = new Map();
+    }
+
+    /**
+     * Called by DatabaseManager for each pooled connection.
+     * `config.filename` overrides the driver option; without a file,
+     * `config.database` names a separate in-memory database.
+     */
+    async createConnection(config = {}) {
+        const filename = config.filename ?? this.options.filename ?? null;
+        const key = filename ? path.resolve(filename) : `memory:${config.database ?? ""}`;
+
+        if (!this.databases.has(key)) {
+            const database = new MemoryDatabase({
+                filename: filename && path.resolve(filename),
+                saveDelay: config.saveDelay ?? this.options.saveDelay
+            });
+
+            this.databases.set(key, database.load().catch(err => {
+                this.databases.delete(key);
+                throw err;
+            }));
+        }
+
+        return new MemoryConnection(await this.databases.get(key));
+    }
+
+    /**
+     * Save every file-backed database with pending changes. Rejects with
+     * the error when a save failed, so callers can report it.
+     */
+    async flush() {
+        const databases = await Promise.all(this.databases.values());
+        await Promise.all(databases.map(database => database.flush()));
+    }
+
+    /** Drop every in-memory database (files on disk are left alone). */
+    reset() {
+        this.databases.clear();
+    }
+}
+
+module.exports = {
+    MemoryDriver,
+    SQLError
+};
@@ -16,6 +16,7 @@ class MetricsCollector {
         this.namespace = options.namespace || "app";
         this.defaultLabels = options.defaultLabels || {};
         this.metrics = new Map();
+        this.descriptions = new Map();
         this.exporters = [];
         this.batchSize = options.batchSize || 50;
         this.exportInterval = options.exportInterval || null;
@@ -58,6 +59,12 @@ class MetricsCollector {
         return this.metrics.get(key);
     }
 
+    // HELP text for every label set of `name`
+    describe(name, description) {
+        this.descriptions.set(name, description);
+        return this;
+    }
+
     /* ---------------- METRIC TYPES ---------------- */
     counter(name, description = "", labels = {}) {
         return this._getMetric(name, "counter", { description, labels });
@@ -203,6 +210,9 @@ async _flush({ force = false } = {}) {
 _record(metric) {
     metric.lastUpdated = Date.now();
 
+    // Nothing to push to; skip cloning every update
+    if (!this.exporters.length) return;
+
     this.buffer.push(
         typeof structuredClone === "function"
             ? structuredClone(metric)
@@ -266,16 +276,59 @@ async stopAutoExport({ flush = true } = {}) {
         }));
     }
 
+    /**
+     * Prometheus text exposition format (version 0.0.4): HELP/TYPE per
+     * metric name, cumulative `_bucket{le}` series plus `_sum`/`_count`
+     * for histograms, and p50/p90/p99 quantiles for summaries.
+     */
     toPrometheus() {
-        return this.snapshot()
-            .map(m => {
-                const labels = Object.entries(m.labels || {})
-                    .map(([k, v]) => `${k}="${v}"`)
-                    .join(",");
-                const labelStr = labels ? `{${labels}}` : "";
-                return `${this.namespace}_${m.name}${labelStr} ${m.value || m.sum || 0}`;
-            })
-            .join("\n");
+        const groups = new Map();
+
+        for (const m of this.snapshot()) {
+            if (!groups.has(m.name)) groups.set(m.name, []);
+            groups.get(m.name).push(m);
+        }
+
+        const lines = [];
+
+        for (const [name, series] of groups) {
+            const fullName = `${this.namespace}_${name}`.replace(/[^a-zA-Z0-9_:]/g, "_");
+            const help = this.descriptions.get(name) || series.find(m => m.description)?.description;
+            const type = series[0].type;
+
+            if (help) lines.push(`# HELP ${fullName} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`);
+            lines.push(`# TYPE ${fullName} ${type}`);
+
+            for (const m of series) {
+                if (type === "histogram") {
+                    let cumulative = 0;
+                    m.buckets.forEach((le, i) => {
+                        cumulative += m.counts[i];
+                        lines.push(`${fullName}_bucket${this._labels(m.labels, { le })} ${cumulative}`);
+                    });
+                    lines.push(`${fullName}_bucket${this._labels(m.labels, { le: "+Inf" })} ${m.count}`);
+                    lines.push(`${fullName}_sum${this._labels(m.labels)} ${m.sum}`);
+                    lines.push(`${fullName}_count${this._labels(m.labels)} ${m.count}`);
+                } else if (type === "summary") {
+                    for (const [quantile, p] of [["0.5", "p50"], ["0.9", "p90"], ["0.99", "p99"]]) {
+                        lines.push(`${fullName}${this._labels(m.labels, { quantile })} ${m.percentiles[p]}`);
+                    }
+                    lines.push(`${fullName}_sum${this._labels(m.labels)} ${m.sum}`);
+                    lines.push(`${fullName}_count${this._labels(m.labels)} ${m.count}`);
+                } else {
+                    lines.push(`${fullName}${this._labels(m.labels)} ${m.value}`);
+                }
+            }
+        }
+
+        return lines.join("\n") + "\n";
+    }
+
+    _labels(labels = {}, extra = {}) {
+        const pairs = Object.entries({ ...labels, ...extra }).map(
+            ([k, v]) => `${k}="${String(v).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+        );
+        return pairs.length ? `{${pairs.join(",")}}` : "";
     }
 
     clear() {
@@ -57,25 +57,17 @@ class MigrationTool {
         }
     }
 
-let locked = false;
+    async releaseLock(connection) {
+        await connection.query(`DELETE FROM ${this.lockTable} WHERE id = 1`);
+    }
 
-try {
-    await this.acquireLock(connection);
-    locked = true;
+    async appliedMigrations(connection) {
+        const res = await connection.query(
+            `SELECT id, checksum FROM ${this.tableName} ORDER BY applied_at, id`
+        );
 
-    ...
-}
-catch (err) {
-    await connection.query("ROLLBACK");
-    throw err;
-}
-finally {
-    if (locked) {
-        try {
-            await this.releaseLock(connection);
-        } catch {}
+        return res.rows;
     }
-}
 
     async validateChecksums(appliedMap) {
         for (const m of this.migrations) {
@@ -171,6 +163,8 @@ finally {
 
     async status(config = {}) {
         return this.databaseManager.query(async connection => {
+            await this.ensureTables(connection);
+
             const applied = await this.appliedMigrations(connection);
             const appliedIds = new Set(applied.map(m => m.id));
 
@@ -56,10 +56,14 @@ export class NotificationSystem {
             notification = mw(notification) || notification;
         }
 
-        // Duplicate handling
+        // Duplicate handling (by dedupeKey when given, else message + type)
         if (!this.options.allowDuplicates) {
             for (const n of this.notifications.values()) {
-                if (n.message === notification.message && n.type === notification.type) {
+                const duplicate = notification.dedupeKey != null
+                    ? n.dedupeKey === notification.dedupeKey
+                    : n.message === notification.message && n.type === notification.type;
+
+                if (duplicate) {
                     if (this.options.duplicateStrategy === "update") {
                         this.update(n.id, notification);
                         return n.id;
@@ -0,0 +1,121 @@
+/**
+ * Observability (server-only)
+ *
+ * The process-wide logger and metrics registry for the API routes:
+ *   - trackRequest() gives each request an ID (incoming X-Request-Id or
+ *     a new UUID, echoed back) and a child logger carrying it, then logs
+ *     one line and records metrics when the response finishes
+ *   - recordUpstream() / recordCacheLookup() are called by
+ *     utils/weatherService.js around provider calls
+ *   - /api/metrics serves `metrics.toPrometheus()`
+ *
+ * Logs are JSON lines (LOG_LEVEL, default "info"). Both singletons live
+ * on globalThis so every route bundle and hot reload shares one set of
+ * counters.
+ */
+
+const { randomUUID } = require("crypto");
+const { Logger, ConsoleTransport } = require("./logger");
+const MetricsCollector = require("./metricsCollector");
+const { getEnv } = require("./env");
+
+// Seconds; Prometheus' conventional latency buckets trimmed to our range
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const REQUEST_ID = /^[\w.:-]{1,64}$/;
+
+function createObservability() {
+  const logger = new Logger({
+    level: getEnv("LOG_LEVEL", "info"),
+    transports: [new ConsoleTransport()],
+    context: { service: "weatherpro" }
+  });
+
+  const metrics = new MetricsCollector({ namespace: "weatherpro" })
+    .describe("http_requests_total", "API responses by route, method and status")
+    .describe("http_request_duration_seconds", "API response time by route")
+    .describe("upstream_requests_total", "Weather provider calls by provider and outcome")
+    .describe("upstream_request_duration_seconds", "Weather provider latency by provider")
+    .describe("cache_lookups_total", "Weather cache lookups by result (hit, miss, stale)")
+    .describe("uptime_seconds", "Seconds since the metrics registry was created")
+    .describe("memory_rss_bytes", "Resident set size of the server process")
+    .describe("heap_used_bytes", "V8 heap in use");
+
+  return { logger, metrics };
+}
+
+globalThis.__weatherproObservability ??= createObservability();
+
+const { logger, metrics } = globalThis.__weatherproObservability;
+
+/* --------------------------------
+   Requests
+-------------------------------- */
+
+/**
+ * Start tracking an API request. `annotate()` adds fields (provider,
+ * city, upstreamMs, ...) to the completion log line; cache hit/miss is
+ * read from the X-Cache header the route sets.
+ * @returns {{ requestId: string, log: Logger, annotate: (fields: object) => void }}
+ */
+function trackRequest(req, res, route) {
+  const incoming = req.headers["x-request-id"];
+  const requestId = REQUEST_ID.test(incoming || "") ? incoming : randomUUID();
+  const start = performance.now();
+  const fields = {};
+
+  const log = logger.child({ requestId, route });
+  res.setHeader("X-Request-Id", requestId);
+
+  res.once("finish", () => {
+    const durationMs = performance.now() - start;
+    const status = res.statusCode;
+    const cache = res.getHeader("X-Cache");
+
+    metrics.increment("http_requests_total", 1, { route, method: req.method, status: String(status) });
+    metrics.observeHistogram("http_request_duration_seconds", durationMs / 1000, DURATION_BUCKETS, { route });
+
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+    log[level]("request completed", {
+      method: req.method,
+      status,
+      durationMs: Math.round(durationMs),
+      cache: cache ? String(cache).toLowerCase() : undefined,
+      ...fields
+    });
+  });
+
+  return {
+    requestId,
+    log,
+    annotate: extra => Object.assign(fields, extra)
+  };
+}
+
+/* --------------------------------
+   Upstream & cache
+-------------------------------- */
+
+function recordUpstream(provider, durationMs, outcome) {
+  metrics.increment("upstream_requests_total", 1, { provider, outcome });
+  metrics.observeHistogram("upstream_request_duration_seconds", durationMs / 1000, DURATION_BUCKETS, { provider });
+}
+
+function recordCacheLookup(cache, result) {
+  metrics.increment("cache_lookups_total", 1, { cache, result });
+}
+
+/** Prometheus text for /api/metrics, with process gauges refreshed. */
+function renderMetrics() {
+  metrics.collectSystemMetrics();
+  return metrics.toPrometheus();
+}
+
+module.exports = {
+  logger,
+  metrics,
+  trackRequest,
+  recordUpstream,
+  recordCacheLookup,
+  renderMetrics
+};
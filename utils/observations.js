@@ -0,0 +1,455 @@
+/**
+ * Observation Store (server-only)
+ *
+ * Keeps every /api/weather result fetched from a provider for trend analysis:
+ *   Location          one row per place (name, country, coordinates)
+ *   Observation       current conditions, one per location, provider and
+ *                     observation time
+ *   ForecastSnapshot  the forecast list as fetched (?include=forecast)
+ *
+ * Models are utils/orm.js, the tables come from utils/migrationTool.js
+ * migrations (run on first use) and the database is utils/memoryDriver.js
+ * saved to WEATHER_DB_FILE (default .data/weather-db.json; ":memory:"
+ * keeps nothing across restarts) at most once per WEATHER_DB_SAVE_DELAY
+ * ms. Values are stored in base metric units whatever ?units= the request
+ * asked for.
+ *
+ * Observations are kept; forecast snapshots are pruned to the newest
+ * FORECAST_SNAPSHOTS_PER_LOCATION per location and dropped after
+ * FORECAST_SNAPSHOT_RETENTION_DAYS (0 turns either limit off).
+ */
+
+const DatabaseManager = require("./databaseManager");
+const MigrationTool = require("./migrationTool");
+const { ORM } = require("./orm");
+const { MemoryDriver } = require("./memoryDriver");
+const { logger } = require("./observability");
+const { getEnv, getBoolean, getInt } = require("./env");
+
+const DB_FILE = getEnv("WEATHER_DB_FILE", ".data/weather-db.json");
+
+// Writes in this window share one rewrite of the file; a crash loses at most this much
+const SAVE_DELAY = getInt("WEATHER_DB_SAVE_DELAY", 5000);
+
+const SNAPSHOTS_PER_LOCATION = getInt("FORECAST_SNAPSHOTS_PER_LOCATION", 24);
+const SNAPSHOT_RETENTION_DAYS = getInt("FORECAST_SNAPSHOT_RETENTION_DAYS", 7);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// OBSERVATIONS_ENABLED=false stops recording; /api/observations still reads
+const ENABLED = getBoolean("OBSERVATIONS_ENABLED", true);
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Metric readings copied from the normalized `current` block (utils/weatherProviders.js)
+const READINGS = [
+  "temp", "feelsLike", "tempMin", "tempMax", "humidity", "pressure", "windSpeed",
+  "windDeg", "windGust", "clouds", "visibility", "rain", "snow"
+];
+
+/* --------------------------------
+   Migrations
+-------------------------------- */
+
+const MIGRATIONS = [
+  {
+    id: "001_create_locations",
+    async up(conn) {
+      await conn.query(`
+        CREATE TABLE locations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          slug VARCHAR(255) NOT NULL UNIQUE,
+          name VARCHAR(255) NOT NULL,
+          country VARCHAR(8),
+          lat REAL,
+          lon REAL,
+          timezone VARCHAR(64),
+          createdAt TIMESTAMP,
+          updatedAt TIMESTAMP
+        )
+      `);
+      await conn.query("CREATE INDEX locations_name ON locations (name)");
+    },
+    async down(conn) {
+      await conn.query("DROP TABLE locations");
+    }
+  },
+  {
+    id: "002_create_observations",
+    async up(conn) {
+      await conn.query(`
+        CREATE TABLE observations (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          locationId INTEGER NOT NULL REFERENCES locations (id),
+          provider VARCHAR(32) NOT NULL,
+          observedAt TIMESTAMP NOT NULL,
+          temp REAL,
+          feelsLike REAL,
+          tempMin REAL,
+          tempMax REAL,
+          humidity REAL,
+          pressure REAL,
+          windSpeed REAL,
+          windDeg REAL,
+          windGust REAL,
+          clouds REAL,
+          visibility REAL,
+          rain REAL,
+          snow REAL,
+          weather VARCHAR(32),
+          description VARCHAR(255),
+          icon VARCHAR(8),
+          createdAt TIMESTAMP,
+          updatedAt TIMESTAMP,
+          UNIQUE (locationId, provider, observedAt)
+        )
+      `);
+      await conn.query("CREATE INDEX observations_location_time ON observations (locationId, observedAt)");
+    },
+    async down(conn) {
+      await conn.query("DROP TABLE observations");
+    }
+  },
+  {
+    id: "003_create_forecast_snapshots",
+    async up(conn) {
+      await conn.query(`
+        CREATE TABLE forecast_snapshots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          locationId INTEGER NOT NULL REFERENCES locations (id),
+          provider VARCHAR(32) NOT NULL,
+          fetchedAt TIMESTAMP NOT NULL,
+          forecast JSON NOT NULL,
+          createdAt TIMESTAMP,
+          updatedAt TIMESTAMP,
+          UNIQUE (locationId, provider, fetchedAt)
+        )
+      `);
+    },
+    async down(conn) {
+      await conn.query("DROP TABLE forecast_snapshots");
+    }
+  }
+];
+
+/* --------------------------------
+   Models
+-------------------------------- */
+
+function createStore() {
+  const driver = new MemoryDriver({ filename: DB_FILE === ":memory:" ? null : DB_FILE, saveDelay: SAVE_DELAY });
+  const db = new DatabaseManager();
+  db.registerDriver("memory", driver);
+
+  const migrations = new MigrationTool(db);
+  for (const migration of MIGRATIONS) migrations.register(migration);
+
+  // Observations are history: rows are never soft-deleted
+  const orm = new ORM(db, { paranoid: false });
+
+  const Location = orm.defineModel("Location", {
+    fields: {
+      slug: { type: "string", required: true },
+      name: { type: "string", required: true },
+      country: "string",
+      lat: "number",
+      lon: "number",
+      timezone: "string"
+    },
+    relationships: {
+      observations: { type: "hasMany", model: "Observation" },
+      forecasts: { type: "hasMany", model: "ForecastSnapshot" }
+    }
+  });
+
+  const Observation = orm.defineModel("Observation", {
+    fields: {
+      locationId: { type: "integer", required: true },
+      provider: { type: "string", required: true },
+      observedAt: { type: "datetime", required: true },
+      ...Object.fromEntries(READINGS.map(name => [name, "number"])),
+      weather: "string",
+      description: "string",
+      icon: "string"
+    },
+    relationships: {
+      location: { type: "belongsTo", model: "Location" }
+    }
+  });
+
+  const ForecastSnapshot = orm.defineModel("ForecastSnapshot", {
+    tableName: "forecast_snapshots",
+    fields: {
+      locationId: { type: "integer", required: true },
+      provider: { type: "string", required: true },
+      fetchedAt: { type: "datetime", required: true },
+      forecast: { type: "json", required: true }
+    },
+    relationships: {
+      location: { type: "belongsTo", model: "Location" }
+    }
+  });
+
+  return {
+    db,
+    driver,
+    orm,
+    migrations,
+    models: { Location, Observation, ForecastSnapshot },
+    ready: null,
+    queue: Promise.resolve(),
+    saveTimer: null
+  };
+}
+
+// One database per process, shared by every route bundle and hot reload
+globalThis.__weatherproObservations ??= createStore();
+
+const store = globalThis.__weatherproObservations;
+const { Location, Observation, ForecastSnapshot } = store.models;
+
+/** Runs pending migrations once; a failed run is retried on the next call. */
+function ready() {
+  store.ready ??= store.migrations.migrate().catch(error => {
+    store.ready = null;
+    throw error;
+  });
+
+  return store.ready;
+}
+
+/* --------------------------------
+   Writes
+-------------------------------- */
+
+// Providers disagree slightly on coordinates, so a place is name + country + ~1 km
+function locationSlug({ name, country, lat, lon }) {
+  return [name, country ?? "", Number(lat).toFixed(2), Number(lon).toFixed(2)].join("|").toLowerCase();
+}
+
+async function findOrCreateLocation(location) {
+  const slug = locationSlug(location);
+
+  return (
+    (await Location.findOne({ slug })) ??
+    (await Location.create({
+      slug,
+      name: location.name,
+      country: location.country ?? null,
+      lat: location.lat ?? null,
+      lon: location.lon ?? null,
+      timezone: location.timezone ?? null
+    }))
+  );
+}
+
+async function writeWeather(data, fetchedAt) {
+  await ready();
+
+  const location = await findOrCreateLocation(data.location);
+  const { current, provider } = data;
+
+  // Providers repeat a reading until their next update, so one row per provider timestamp
+  const observedAt = new Date((current.time ?? Math.floor(fetchedAt / 1000)) * 1000);
+
+  const observation =
+    (await Observation.findOne({ locationId: location.id, provider, observedAt })) ??
+    (await Observation.create({
+      locationId: location.id,
+      provider,
+      observedAt,
+      ...Object.fromEntries(READINGS.map(name => [name, current[name] ?? null])),
+      weather: current.condition?.main ?? null,
+      description: current.condition?.description ?? null,
+      icon: current.condition?.icon ?? null
+    }));
+
+  let snapshot = null;
+
+  if (data.forecast?.list?.length) {
+    const at = new Date(fetchedAt);
+
+    snapshot = await ForecastSnapshot.findOne({ locationId: location.id, provider, fetchedAt: at });
+
+    if (!snapshot) {
+      snapshot = await ForecastSnapshot.create({ locationId: location.id, provider, fetchedAt: at, forecast: data.forecast.list });
+      await pruneSnapshots(location.id, fetchedAt);
+    }
+  }
+
+  scheduleSave();
+
+  return { location, observation, snapshot };
+}
+
+// Age is checked for every location, so places nobody looks up any more empty out too
+async function pruneSnapshots(locationId, now) {
+  const prune = ForecastSnapshot.query().delete();
+  let limited = false;
+
+  if (SNAPSHOT_RETENTION_DAYS > 0) {
+    prune.where("fetchedAt", "<", new Date(now - SNAPSHOT_RETENTION_DAYS * DAY_MS));
+    limited = true;
+  }
+
+  if (SNAPSHOTS_PER_LOCATION > 0) {
+    const newestFirst = await ForecastSnapshot.query()
+      .select("id")
+      .where("locationId", locationId)
+      .orderBy("fetchedAt", "desc")
+      .orderBy("id", "desc")
+      .get();
+
+    const excess = newestFirst.slice(SNAPSHOTS_PER_LOCATION).map(snapshot => snapshot.id);
+
+    if (excess.length) {
+      prune.orWhereIn("id", excess);
+      limited = true;
+    }
+  }
+
+  if (!limited) return 0;
+
+  const { sql, params } = prune.build();
+  const result = await store.db.query(conn => conn.query(sql, params));
+
+  return result.rowCount;
+}
+
+// A failed save is logged here, not thrown to a request that has already been answered
+function scheduleSave() {
+  if (store.saveTimer) return;
+
+  store.saveTimer = setTimeout(() => {
+    store.saveTimer = null;
+    flush().catch(error => logger.warn("observation history not saved", { file: DB_FILE, error: error.message }));
+  }, SAVE_DELAY);
+
+  store.saveTimer.unref?.();
+}
+
+/**
+ * Write pending changes to WEATHER_DB_FILE now instead of after
+ * WEATHER_DB_SAVE_DELAY; rejects if the save failed.
+ */
+function flush() {
+  return store.driver.flush();
+}
+
+/**
+ * Store a provider result (base units, as cached by utils/weatherService.js)
+ * off the request path. Only entries that came from the provider are
+ * stored: a cache hit replays a reading that was recorded when it was
+ * fetched. Writes run one at a time, so two requests for the same city
+ * can't record it twice; callers only await it to log failures.
+ * @param {{ data, fetchedAt: number, fetched: boolean }} entry  from weatherService's cache
+ * @returns {Promise<{ location, observation, snapshot } | null>}
+ */
+function recordWeather({ data, fetchedAt = Date.now(), fetched = true }) {
+  if (!ENABLED || !fetched) return Promise.resolve(null);
+
+  const write = store.queue.then(() => writeWeather(data, fetchedAt));
+  store.queue = write.catch(() => {});
+
+  return write;
+}
+
+/* --------------------------------
+   Reads
+-------------------------------- */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate /api/observations params: ?city= (required), ?from= / ?to=
+ * (ISO dates or date-times; a date-only `to` includes that whole day),
+ * ?page= and ?limit= (1–500, default 50).
+ * @returns {{ isValid: true, city, from: Date|null, to: Date|null, page, limit }
+ *   | { isValid: false, error: string, errors: object }}
+ */
+function parseObservationQuery(params = {}) {
+  const errors = {};
+  const add = (field, message) => (errors[field] ??= []).push(message);
+
+  const city = String(params.city ?? "").trim();
+  if (!city) add("city", "city is required");
+
+  const range = { from: null, to: null };
+
+  for (const key of ["from", "to"]) {
+    const value = params[key];
+    if (value === undefined || value === "") continue;
+
+    const date = new Date(String(value));
+
+    if (Number.isNaN(date.getTime())) {
+      add(key, `${key} must be an ISO date such as 2026-10-01 or 2026-10-01T12:00:00Z`);
+      continue;
+    }
+
+    if (key === "to" && DATE_ONLY.test(String(value))) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setTime(date.getTime() - 1);
+    }
+
+    range[key] = date;
+  }
+
+  if (range.from && range.to && range.from > range.to) add("to", "to must not be before from");
+
+  const page = params.page === undefined ? 1 : Number(params.page);
+  if (!Number.isInteger(page) || page < 1) add("page", "page must be a whole number from 1");
+
+  const limit = params.limit === undefined ? DEFAULT_PAGE_SIZE : Number(params.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    add("limit", `limit must be a whole number between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  if (Object.keys(errors).length) {
+    return { isValid: false, error: "Invalid observation query", errors };
+  }
+
+  return { isValid: true, city, ...range, page, limit };
+}
+
+/**
+ * A page of a city's observations, oldest first. Every stored location
+ * with that name (any country or provider) is included.
+ * @returns {Promise<{ locations, rows, total, page, limit, pages }>}
+ */
+async function listObservations({ city, from = null, to = null, page = 1, limit = DEFAULT_PAGE_SIZE }) {
+  await ready();
+
+  const locations = await Location.query()
+    .whereRaw("LOWER(name) = ?", [city.toLowerCase()])
+    .orderBy("id")
+    .get();
+
+  if (!locations.length) {
+    return { locations, rows: [], total: 0, page, limit, pages: 0 };
+  }
+
+  const result = await Observation.paginate({
+    page,
+    limit,
+    orderBy: "observedAt asc",
+    where: q => {
+      q.whereIn("locationId", locations.map(location => location.id));
+      if (from) q.where("observedAt", ">=", from);
+      if (to) q.where("observedAt", "<=", to);
+    }
+  });
+
+  return { locations, ...result };
+}
+
+module.exports = {
+  Location,
+  Observation,
+  ForecastSnapshot,
+  ready,
+  recordWeather,
+  flush,
+  parseObservationQuery,
+  listObservations
+};
@@ -1,12 +1,238 @@
 const EventEmitter = require("events");
+const { Validator, builtInValidators } = require("./validator");
+
+class ValidationError extends Error {
+    constructor(message, errors = {}) {
+        super(message);
+        this.name = "ValidationError";
+        this.code = "VALIDATION_ERROR";
+        this.status = 400;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Field types for `schema.fields`. cast() turns database or user input
+ * into the JS value models hold; serialize() turns it back into a value
+ * every driver can bind. A cast that fails valid() keeps the raw value,
+ * and validation reports it.
+ */
+// Half away from zero on the decimal digits, as SQL NUMERIC rounds: 1.005 is
+// 1.01 (not 1.00 from 1.005 * 100 = 100.49999…) and -2.5 is -3. No -0.
+const roundTo = (value, scale) => {
+    const shifted = Math.round(Number((Math.abs(value) * 10 ** scale).toPrecision(15)));
+    const rounded = Math.sign(value) * shifted / 10 ** scale;
+    return rounded === 0 ? 0 : rounded;
+};
+const toNumber = v => (typeof v === "string" && !v.trim() ? NaN : Number(v));
+const toDate = v => (v instanceof Date ? new Date(v) : new Date(typeof v === "number" ? v : String(v)));
+const isDate = v => v instanceof Date && !Number.isNaN(v.getTime());
+
+const FIELD_TYPES = {
+    any: { cast: v => v },
+    string: {
+        cast: v => (typeof v === "number" || typeof v === "boolean" ? String(v) : v),
+        valid: v => typeof v === "string",
+        message: "Must be a string"
+    },
+    integer: {
+        cast: toNumber,
+        valid: Number.isInteger,
+        message: "Must be an integer"
+    },
+    number: {
+        cast: toNumber,
+        valid: Number.isFinite,
+        message: "Must be a number"
+    },
+    // Held as numbers rounded to `scale` (default 2), written as fixed-point strings
+    decimal: {
+        cast: (v, field) => roundTo(toNumber(v), field.scale ?? 2),
+        valid: Number.isFinite,
+        serialize: (v, field) => v.toFixed(field.scale ?? 2),
+        message: "Must be a number"
+    },
+    boolean: {
+        cast: v => {
+            if (typeof v === "string") {
+                if (/^(true|t|1|yes|on)$/i.test(v)) return true;
+                if (/^(false|f|0|no|off)$/i.test(v)) return false;
+            }
+            return v === 0 || v === 1 ? v === 1 : v;
+        },
+        valid: v => typeof v === "boolean",
+        message: "Must be true or false"
+    },
+    date: {
+        cast: toDate,
+        valid: isDate,
+        serialize: v => v.toISOString().slice(0, 10),
+        message: "Must be a valid date"
+    },
+    datetime: {
+        cast: toDate,
+        valid: isDate,
+        message: "Must be a valid date"
+    },
+    // Strings are read as JSON text (how most drivers return JSON columns)
+    json: {
+        cast: v => (typeof v === "string" ? JSON.parse(v) : v),
+        serialize: v => JSON.stringify(v)
+    }
+};
+
+const TYPE_ALIASES = {
+    text: "string",
+    int: "integer",
+    float: "number",
+    double: "number",
+    bool: "boolean",
+    timestamp: "datetime"
+};
+
+// "json" or { type: "json", required, rules, validate } -> { type, ... }
+function normalizeField(name, definition) {
+    const field = typeof definition === "string" ? { type: definition } : { ...definition };
+    const type = String(field.type ?? "any").toLowerCase();
+
+    field.type = TYPE_ALIASES[type] ?? type;
+
+    if (!FIELD_TYPES[field.type]) {
+        throw new TypeError(`Field '${name}' has unknown type '${definition.type ?? definition}'.`);
+    }
+
+    return field;
+}
+
+function castValue(field, value) {
+    if (!field || value == null) return value;
+
+    const type = FIELD_TYPES[field.type];
+
+    try {
+        const cast = type.cast(value, field);
+        return !type.valid || type.valid(cast) ? cast : value;
+    } catch {
+        return value;
+    }
+}
+
+function serializeValue(field, value) {
+    const cast = castValue(field, value);
+    if (!field || cast == null) return cast;
+
+    const type = FIELD_TYPES[field.type];
+    const valid = !type.valid || type.valid(cast);
+
+    return type.serialize && valid ? type.serialize(cast, field) : cast;
+}
+
+function castAttributes(Model, attrs) {
+    return Object.fromEntries(
+        Object.entries(attrs).map(([key, value]) => [key, castValue(Model.fields?.[key], value)])
+    );
+}
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const RELATION_TYPES = ["hasOne", "hasMany", "belongsTo", "belongsToMany"];
+
+// Extra column on belongsToMany rows: the parent key they were loaded for
+const PIVOT_KEY = "__pivotKey";
+
+const lowerFirst = name => name.charAt(0).toLowerCase() + name.slice(1);
+
+// ["station.readings", { city: qb => ... }] -> Map { station: { children: Map { readings } }, city }
+function parseIncludes(relations) {
+    const tree = new Map();
+
+    for (const entry of relations.flat()) {
+        const items = typeof entry === "string" ? [[entry, null]] : Object.entries(entry);
+
+        for (const [path, constrain] of items) {
+            let level = tree;
+            const parts = path.split(".");
+
+            parts.forEach((part, i) => {
+                if (!level.has(part)) {
+                    level.set(part, { constrain: null, children: new Map() });
+                }
+
+                const node = level.get(part);
+                if (i === parts.length - 1 && constrain) node.constrain = constrain;
+
+                level = node.children;
+            });
+        }
+    }
+
+    return tree;
+}
 
 class BaseModel {
     constructor(attrs = {}, options = {}) {
         this.$exists = Boolean(options.exists);
         this.$orm = options.orm;
         this.$model = options.model;
+        this.$relations = {};
+
+        Object.assign(this, this.$model ? castAttributes(this.$model, attrs) : attrs);
+
+        this.$original = this.$exists ? this._snapshot() : {};
+    }
+
+    /** Column values as last loaded or saved. */
+    get original() {
+        return structuredClone(this.$original);
+    }
+
+    /** Columns changed since load or the last save: { column: value }. */
+    getChanges() {
+        const changes = {};
+
+        for (const [key, value] of Object.entries(this._attributes())) {
+            const current = castValue(this.$model?.fields?.[key], value);
+
+            if (!Object.hasOwn(this.$original, key) || !sameValue(current, this.$original[key])) {
+                changes[key] = value;
+            }
+        }
+
+        return changes;
+    }
+
+    /** isDirty() for any change, isDirty("name", "email") for those columns. */
+    isDirty(...fields) {
+        const changed = Object.keys(this.getChanges());
 
-        Object.assign(this, attrs);
+        return fields.length
+            ? fields.some(field => changed.includes(field))
+            : changed.length > 0;
+    }
+
+    syncOriginal() {
+        this.$original = this._snapshot();
+        return this;
+    }
+
+    _snapshot() {
+        return structuredClone(castAttributes(this.$model ?? {}, this._attributes()));
+    }
+
+    // Loaded relations are serialized by toJSON() but never saved as columns
+    setRelation(name, value) {
+        this.$relations[name] = value;
+        this[name] = value;
+        return this;
+    }
+
+    /**
+     * Eager load relations onto this instance, e.g.
+     * `await station.load("readings", "city.country")`.
+     */
+    async load(...relations) {
+        await this.$orm.eagerLoad(this.$model, [this], relations);
+        return this;
     }
 
     toJSON() {
@@ -25,12 +251,29 @@ class BaseModel {
             : this._create(config);
     }
 
+    // Own columns, hidden ones included, without loaded relations
+    _attributes() {
+        return Object.fromEntries(
+            Object.entries(this).filter(
+                ([key]) => !key.startsWith("$") && !Object.hasOwn(this.$relations, key)
+            )
+        );
+    }
+
+    // Copy columns from a fresh instance, keeping this one's $ state
+    _fill(other) {
+        for (const [key, value] of Object.entries(other)) {
+            if (!key.startsWith("$")) this[key] = value;
+        }
+    }
+
     async _create(config = {}) {
-        const created = await this.$model.create(this.toJSON(), config);
+        const created = await this.$model.create(this._attributes(), config);
 
         if (created) {
-            Object.assign(this, created);
+            this._fill(created);
             this.$exists = true;
+            this.syncOriginal();
         }
 
         return this;
@@ -44,13 +287,7 @@ class BaseModel {
             throw new Error(`Cannot update ${this.$model.modelName}: missing ${primaryKey}`);
         }
 
-        const updated = await this.$model.update(id, this.toJSON(), config);
-
-        if (updated) {
-            Object.assign(this, updated);
-        }
-
-        return this;
+        return this.$model._saveChanges(this, config);
     }
 
     async destroy(config = {}) {
@@ -79,8 +316,9 @@ class BaseModel {
             return null;
         }
 
-        Object.assign(this, fresh);
+        this._fill(fresh);
         this.$exists = true;
+        this.syncOriginal();
 
         return this;
     }
@@ -134,7 +372,8 @@ class ORM extends EventEmitter {
             modelName: name,
             tableName,
             schema: schema.fields || {},
-            relationships: schema.relationships || {},
+            fields: this._normalizeFields(schema),
+            relationships: {},
             primaryKey: schema.primaryKey || "id",
             hidden: schema.hidden || [],
             fillable: schema.fillable ?? null,
@@ -146,6 +385,10 @@ class ORM extends EventEmitter {
         this._attachModelMethods(Model);
         this.models.set(name, Model);
 
+        for (const [relationName, definition] of Object.entries(schema.relationships || {})) {
+            this._addRelation(Model, relationName, definition);
+        }
+
         return Model;
     }
 
@@ -161,24 +404,101 @@ class ORM extends EventEmitter {
                   })
                 : null;
 
-        const addHook = async (hook, payload, config = {}) => {
+        const addHook = async (hook, payload, config = {}, extra = {}) => {
             const handler = Model.hooks?.[hook];
 
             if (typeof handler === "function") {
                 await handler(payload, {
                     model: Model,
                     orm,
-                    ...config
+                    ...config,
+                    ...extra
                 });
             }
         };
 
-        Model.query = () =>
-            orm.db.createQueryBuilder().table(Model.tableName);
+        /**
+         * A QueryBuilder on the model's table, plus:
+         *   with(...relations)      eager load after get()/first()
+         *   whereHas(name, fn?)     only rows with a matching related row
+         *   whereDoesntHave(name, fn?)
+         *   get() / first()         run it (global scopes applied) and
+         *                           return model instances
+         */
+        Model.query = () => {
+            const qb = orm.db.createQueryBuilder().table(Model.tableName);
+            const includes = [];
+            let scoped = false;
+
+            return Object.assign(qb, {
+                with(...relations) {
+                    includes.push(...relations.flat());
+                    return qb;
+                },
+
+                whereHas(relation, constrain) {
+                    return qb.whereIn(...orm._relationSubquery(Model, relation, constrain));
+                },
+
+                orWhereHas(relation, constrain) {
+                    return qb.orWhereIn(...orm._relationSubquery(Model, relation, constrain));
+                },
+
+                whereDoesntHave(relation, constrain) {
+                    const [column, sub] = orm._relationSubquery(Model, relation, constrain);
+                    return qb.where(q => q.whereNotIn(column, sub).orWhereNull(column));
+                },
+
+                async get(config = {}) {
+                    if (!scoped) {
+                        orm.applyGlobalScopes(Model, qb);
+                        scoped = true;
+                    }
+
+                    const { sql, params } = qb.build();
+
+                    const instances = await orm.db.query(async conn => {
+                        const result = await conn.query(sql, params);
+                        return result.rows.map(row => wrap(row));
+                    }, config);
+
+                    if (includes.length) {
+                        await orm.eagerLoad(Model, instances, includes, config);
+                    }
+
+                    return instances;
+                },
+
+                async first(config = {}) {
+                    const [instance] = await qb.limit(1).get(config);
+                    return instance ?? null;
+                },
+
+                // The old Model.with(...).load(instance) form
+                async load(target, config = {}) {
+                    const instances = Array.isArray(target) ? target : [target];
+                    await orm.eagerLoad(Model, instances, includes, config);
+                    return target;
+                }
+            });
+        };
+
+        Model.with = (...relations) => Model.query().with(...relations);
+
+        Model.whereHas = (relation, constrain) => Model.query().whereHas(relation, constrain);
+
+        for (const type of RELATION_TYPES) {
+            Model[type] = (name, related, options = {}) =>
+                orm._addRelation(Model, name, { ...options, type, model: related });
+        }
+
+        Model.validate = (attrs = {}, options = {}) =>
+            orm._validate(Model, attrs, options);
 
         Model.create = async (attrs = {}, config = {}) => {
             const data = orm._prepareAttributes(Model, attrs, true);
 
+            await orm._assertValid(Model, data);
             await addHook("beforeCreate", data, config);
 
             const fields = Object.keys(data);
@@ -187,21 +507,13 @@ class ORM extends EventEmitter {
                 throw new Error(`No attributes supplied for ${Model.modelName}`);
             }
 
-            const values = Object.values(data);
-
-            const placeholders = fields
-                .map((_, i) => `$${i + 1}`)
-                .join(", ");
-
-            const sql = `
-                INSERT INTO ${Model.tableName}
-                (${fields.join(", ")})
-                VALUES (${placeholders})
-                RETURNING *
-            `;
+            const { sql, params } = Model.query()
+                .insert(orm._serialize(Model, data))
+                .returning("*")
+                .build();
 
             return orm.db.query(async conn => {
-                const res = await conn.query(sql, values);
+                const res = await conn.query(sql, params);
                 const instance = wrap(res.rows[0]);
 
                 await addHook("afterCreate", instance, config);
@@ -215,38 +527,19 @@ class ORM extends EventEmitter {
             }, config);
         };
 
-        Model.findById = async (id, config = {}) => {
-            const qb = Model.query()
+        Model.findById = async (id, config = {}) =>
+            Model.query()
                 .where({ [Model.primaryKey]: id })
-                .limit(1);
-
-            orm.applyGlobalScopes(Model, qb);
+                .first(config);
 
-            const sql = qb.build();
-
-            return orm.db.query(async conn => {
-                const result = await conn.query(sql, qb.getParams());
-                return wrap(result.rows[0]);
-            }, config);
-        };
-
-        Model.findOne = async (where = {}, config = {}) => {
-            const qb = Model.query().where(where).limit(1);
-
-            orm.applyGlobalScopes(Model, qb);
-
-            const sql = qb.build();
-
-            return orm.db.query(async conn => {
-                const result = await conn.query(sql, qb.getParams());
-                return wrap(result.rows[0]);
-            }, config);
-        };
+        Model.findOne = async (where = {}, config = {}) =>
+            Model.query().where(where).first(config);
 
         Model.findAll = async (opts = {}, config = {}) => {
             const qb = Model.query();
 
             if (opts.fields) qb.select(opts.fields);
+            if (opts.with) qb.with(opts.with);
             if (opts.where) qb.where(opts.where);
             if (opts.whereIn) qb.whereIn(opts.whereIn);
 
@@ -265,14 +558,7 @@ class ORM extends EventEmitter {
             if (opts.limit != null) qb.limit(Number(opts.limit));
             if (opts.offset != null) qb.offset(Number(opts.offset));
 
-            orm.applyGlobalScopes(Model, qb);
-
-            const sql = qb.build();
-
-            return orm.db.query(async conn => {
-                const result = await conn.query(sql, qb.getParams());
-                return result.rows.map(row => wrap(row));
-            }, config);
+            return qb.get(config);
         };
 
         Model.count = async (where = {}, config = {}) => {
@@ -280,10 +566,10 @@ class ORM extends EventEmitter {
 
             orm.applyGlobalScopes(Model, qb);
 
-            const sql = qb.build();
+            const { sql, params } = qb.build();
 
             return orm.db.query(async conn => {
-                const result = await conn.query(sql, qb.getParams());
+                const result = await conn.query(sql, params);
                 return Number(result.rows[0]?.count ?? 0);
             }, config);
         };
@@ -319,44 +605,63 @@ class ORM extends EventEmitter {
             };
         };
 
+        // Loads the row and saves it, so hooks get the same diff as instance saves
         Model.update = async (id, attrs = {}, config = {}) => {
-            const data = orm._prepareAttributes(Model, attrs, false);
-            const fields = Object.keys(data);
+            const instance = await Model.findById(id, config);
 
-            if (!fields.length) {
-                return Model.findById(id, config);
-            }
+            if (!instance) return null;
 
-            await addHook("beforeUpdate", {
-                id,
-                data
-            }, config);
+            Object.assign(instance, orm._fillable(Model, attrs));
 
-            const values = Object.values(data);
+            return instance.save(config);
+        };
+
+        /**
+         * Write an instance's changed columns (and updatedAt) only.
+         * beforeUpdate gets { id, data, changes } and afterUpdate / the
+         * "updated" event get `changes`: { column: { from, to } }.
+         */
+        Model._saveChanges = async (instance, config = {}) => {
+            const changed = orm._fillable(Model, instance.getChanges());
+
+            if (!Object.keys(changed).length) return instance;
+
+            const id = instance[Model.primaryKey];
+            const data = orm._prepareAttributes(Model, changed, false);
+
+            await orm._assertValid(Model, data, { partial: true });
+
+            const changes = Object.fromEntries(
+                Object.keys(data).map(key => [
+                    key,
+                    { from: instance.$original[key], to: castValue(Model.fields[key], data[key]) }
+                ])
+            );
 
-            const assignments = fields
-                .map((field, i) => `${field}=$${i + 1}`)
-                .join(", ");
+            await addHook("beforeUpdate", { id, data, changes }, config);
 
-            const sql = `
-                UPDATE ${Model.tableName}
-                SET ${assignments}
-                WHERE ${Model.primaryKey}=$${fields.length + 1}
-                RETURNING *
-            `;
+            const { sql, params } = Model.query()
+                .where(Model.primaryKey, id)
+                .update(orm._serialize(Model, data))
+                .returning("*")
+                .build();
 
             return orm.db.query(async conn => {
-                const result = await conn.query(sql, [...values, id]);
-                const instance = wrap(result.rows[0]);
+                const result = await conn.query(sql, params);
+                const updated = wrap(result.rows[0]);
 
-                if (instance) {
-                    await addHook("afterUpdate", instance, config);
+                if (!updated) return instance;
 
-                    orm.emit("updated", {
-                        model: Model.modelName,
-                        instance
-                    });
-                }
+                instance._fill(updated);
+                instance.syncOriginal();
+
+                await addHook("afterUpdate", instance, config, { changes });
+
+                orm.emit("updated", {
+                    model: Model.modelName,
+                    instance,
+                    changes
+                });
 
                 return instance;
             }, config);
@@ -366,15 +671,13 @@ class ORM extends EventEmitter {
             if (Model.softDelete) {
                 await addHook("beforeDestroy", { id }, config);
 
-                const sql = `
-                    UPDATE ${Model.tableName}
-                    SET deletedAt = NOW()
-                    WHERE ${Model.primaryKey} = $1
-                    RETURNING *
-                `;
+                const { sql, params } = Model.query()
+                    .where(Model.primaryKey, id)
+                    .update({ deletedAt: new Date() })
+                    .build();
 
                 return orm.db.query(async conn => {
-                    const result = await conn.query(sql, [id]);
+                    const result = await conn.query(sql, params);
 
                     if (!result.rowCount) return false;
 
@@ -400,13 +703,13 @@ class ORM extends EventEmitter {
         Model.forceDelete = async (id, config = {}) => {
             await addHook("beforeForceDelete", { id }, config);
 
-            const sql = `
-                DELETE FROM ${Model.tableName}
-                WHERE ${Model.primaryKey} = $1
-            `;
+            const { sql, params } = Model.query()
+                .where(Model.primaryKey, id)
+                .delete()
+                .build();
 
             return orm.db.query(async conn => {
-                const result = await conn.query(sql, [id]);
+                const result = await conn.query(sql, params);
 
                 if (!result.rowCount) return false;
 
@@ -433,14 +736,13 @@ class ORM extends EventEmitter {
 
             await addHook("beforeRestore", { id }, config);
 
-            const sql = `
-                UPDATE ${Model.tableName}
-                SET deletedAt = NULL
-                WHERE ${Model.primaryKey} = $1
-            `;
+            const { sql, params } = Model.query()
+                .where(Model.primaryKey, id)
+                .update({ deletedAt: null })
+                .build();
 
             return orm.db.query(async conn => {
-                const result = await conn.query(sql, [id]);
+                const result = await conn.query(sql, params);
 
                 if (!result.rowCount) return false;
 
@@ -454,63 +756,307 @@ class ORM extends EventEmitter {
                 return true;
             }, config);
         };
+    }
+
+    /**
+     * Register a relation; `definition.model` is a model name or class.
+     * Keys default to camelCase "<model>Id" columns:
+     *   hasOne / hasMany   foreignKey (on the related table), localKey
+     *   belongsTo          foreignKey (on this table), ownerKey
+     *   belongsToMany      through (pivot table, default "<a>_<b>" of the
+     *                      lowercased model names, sorted), foreignPivotKey,
+     *                      relatedPivotKey, parentKey, relatedKey
+     */
+    _addRelation(Model, name, definition = {}) {
+        if (!RELATION_TYPES.includes(definition.type)) {
+            throw new TypeError(
+                `Relation '${name}' on ${Model.modelName} has unknown type '${definition.type}'.`
+            );
+        }
+
+        const model =
+            typeof definition.model === "function"
+                ? definition.model.modelName
+                : definition.model;
+
+        if (!model) {
+            throw new TypeError(`Relation '${name}' on ${Model.modelName} needs a model.`);
+        }
 
-        Model.with = (...relations) => ({
-            async load(instance) {
-                if (!instance) return instance;
+        Model.relationships[name] = { ...definition, model };
+        return Model;
+    }
 
-                for (const relationName of relations) {
-                    const relation =
-                        Model.relationships?.[relationName];
+    // Related models are looked up on use, so models can be defined in any order
+    _relation(Model, name) {
+        const definition = Model.relationships[name];
 
-                    if (!relation) continue;
+        if (!definition) {
+            throw new Error(`${Model.modelName} has no relation '${name}'.`);
+        }
 
-                    const Related = orm.models.get(relation.model);
+        const Related = this.models.get(definition.model);
 
-                    if (!Related) {
-                        throw new Error(
-                            `Related model '${relation.model}' not found.`
-                        );
-                    }
+        if (!Related) {
+            throw new Error(`Related model '${definition.model}' not found.`);
+        }
 
-                    if (relation.type === "hasMany") {
-                        const localKey =
-                            relation.localKey || Model.primaryKey;
-
-                        instance[relationName] =
-                            await Related.findAll({
-                                where: {
-                                    [relation.foreignKey]:
-                                        instance[localKey]
-                                }
-                            });
-                    }
+        const ownForeignKey = `${lowerFirst(Model.modelName)}Id`;
+        const relatedForeignKey = `${lowerFirst(Related.modelName)}Id`;
+
+        switch (definition.type) {
+            case "hasOne":
+            case "hasMany":
+                return {
+                    foreignKey: ownForeignKey,
+                    localKey: Model.primaryKey,
+                    ...definition,
+                    name,
+                    Related
+                };
+
+            case "belongsTo":
+                return {
+                    foreignKey: relatedForeignKey,
+                    ownerKey: Related.primaryKey,
+                    ...definition,
+                    name,
+                    Related
+                };
+
+            default:
+                return {
+                    through:
+                        this.options.tablePrefix +
+                        [Model.modelName, Related.modelName]
+                            .map(n => n.toLowerCase())
+                            .sort()
+                            .join("_"),
+                    foreignPivotKey: ownForeignKey,
+                    relatedPivotKey: relatedForeignKey,
+                    parentKey: Model.primaryKey,
+                    relatedKey: Related.primaryKey,
+                    ...definition,
+                    name,
+                    Related
+                };
+        }
+    }
 
-                    if (relation.type === "belongsTo") {
-                        instance[relationName] =
-                            await Related.findById(
-                                instance[relation.foreignKey]
-                            );
-                    }
-                }
+    /**
+     * Load relations onto many instances with one query per relation
+     * and nesting level, however many parents there are. `relations`
+     * are names, dotted paths ("station.readings") or
+     * `{ path: qb => ... }` to constrain what gets loaded.
+     */
+    async eagerLoad(Model, instances, relations, config = {}) {
+        await this._eagerLoadTree(
+            Model,
+            instances.filter(Boolean),
+            parseIncludes(relations),
+            config
+        );
 
-                return instance;
+        return instances;
+    }
+
+    async _eagerLoadTree(Model, parents, tree, config) {
+        if (!parents.length) return;
+
+        for (const [name, node] of tree) {
+            const relation = this._relation(Model, name);
+            const loaded = await this._loadRelation(relation, parents, node.constrain, config);
+
+            await this._eagerLoadTree(relation.Related, loaded, node.children, config);
+        }
+    }
+
+    async _loadRelation(relation, parents, constrain, config) {
+        const { type, name, Related } = relation;
+        const related = Related.tableName;
+
+        // The parent column holding the key, and the loaded row column it matches
+        const [parentKey, rowKey] = {
+            hasOne: [relation.localKey, relation.foreignKey],
+            hasMany: [relation.localKey, relation.foreignKey],
+            belongsTo: [relation.foreignKey, relation.ownerKey],
+            belongsToMany: [relation.parentKey, PIVOT_KEY]
+        }[type];
+
+        const keys = [
+            ...new Set(parents.map(parent => parent[parentKey]).filter(key => key != null))
+        ];
+
+        let rows = [];
+
+        if (keys.length) {
+            const qb = Related.query();
+
+            if (type === "belongsToMany") {
+                const { through } = relation;
+
+                qb.select(`${related}.*`, `${through}.${relation.foreignPivotKey} as ${PIVOT_KEY}`)
+                    .join(through, `${through}.${relation.relatedPivotKey}`, `${related}.${relation.relatedKey}`)
+                    .whereIn(`${through}.${relation.foreignPivotKey}`, keys);
+            } else {
+                qb.whereIn(`${related}.${rowKey}`, keys);
             }
-        });
+
+            if (typeof constrain === "function") constrain(qb);
+
+            rows = await qb.get(config);
+        }
+
+        const byKey = new Map();
+
+        for (const row of rows) {
+            const key = String(row[rowKey]);
+
+            if (type === "belongsToMany") {
+                delete row[PIVOT_KEY];
+                delete row.$original[PIVOT_KEY];
+            }
+
+            if (!byKey.has(key)) byKey.set(key, []);
+            byKey.get(key).push(row);
+        }
+
+        const many = type === "hasMany" || type === "belongsToMany";
+
+        for (const parent of parents) {
+            const matches = byKey.get(String(parent[parentKey])) ?? [];
+            parent.setRelation(name, many ? matches : matches[0] ?? null);
+        }
+
+        return rows;
     }
 
-    _prepareAttributes(Model, attrs = {}, isCreate = false) {
-        let data = { ...attrs };
+    /**
+     * whereHas() as `<column> IN (<subquery>)`: the parent column and a
+     * query selecting the matching keys from the related side. Dotted
+     * paths nest, so whereHas("station.readings", fn) constrains readings.
+     */
+    _relationSubquery(Model, path, constrain) {
+        const [name, ...rest] = String(path).split(".");
+        const relation = this._relation(Model, name);
+        const { type, Related } = relation;
+        const related = Related.tableName;
+
+        const sub = Related.query();
+        let column;
+        let selected;
+
+        if (type === "belongsTo") {
+            column = `${Model.tableName}.${relation.foreignKey}`;
+            selected = `${related}.${relation.ownerKey}`;
+        } else if (type === "belongsToMany") {
+            const { through } = relation;
+
+            column = `${Model.tableName}.${relation.parentKey}`;
+            selected = `${through}.${relation.foreignPivotKey}`;
+            sub.join(through, `${through}.${relation.relatedPivotKey}`, `${related}.${relation.relatedKey}`);
+        } else {
+            column = `${Model.tableName}.${relation.localKey}`;
+            selected = `${related}.${relation.foreignKey}`;
+        }
 
-        if (Model.fillable) {
-            const allowed = new Set(Model.fillable);
+        // NULL keys would turn NOT IN (whereDoesntHave) into "unknown" for every row
+        sub.select(selected).whereNotNull(selected);
 
-            data = Object.fromEntries(
-                Object.entries(data).filter(([key]) =>
-                    allowed.has(key)
-                )
-            );
+        if (rest.length) sub.whereHas(rest.join("."), constrain);
+        else if (typeof constrain === "function") constrain(sub);
+
+        this.applyGlobalScopes(Related, sub);
+
+        return [column, sub];
+    }
+
+    // Declared fields plus the timestamp columns the ORM writes itself
+    _normalizeFields(schema) {
+        const fields = {};
+
+        if (this.options.timestampFields) {
+            fields.createdAt = { type: "datetime" };
+            fields.updatedAt = { type: "datetime" };
+        }
+
+        if (schema.softDelete ?? this.options.paranoid) {
+            fields.deletedAt = { type: "datetime" };
+        }
+
+        for (const [name, definition] of Object.entries(schema.fields || {})) {
+            fields[name] = normalizeField(name, definition);
+        }
+
+        return fields;
+    }
+
+    /**
+     * Validate attributes against the model's fields with
+     * utils/validator.js: `required`, the field type, then the field's
+     * `rules` and `validate`. With `partial`, only the given columns are
+     * checked (updates).
+     * @returns {Promise<{ isValid: boolean, errors: Object<string, string[]> }>}
+     */
+    async _validate(Model, attrs = {}, { partial = false } = {}) {
+        const validator = new Validator();
+
+        for (const [name, field] of Object.entries(Model.fields)) {
+            if (partial && !Object.hasOwn(attrs, name)) continue;
+
+            const type = FIELD_TYPES[field.type];
+            const rules = [];
+
+            if (field.required) rules.push(builtInValidators.required);
+
+            rules.push(value => value == null || !type.valid || type.valid(value) || type.message);
+
+            validator.addRules(name, [
+                ...rules,
+                ...[].concat(field.rules ?? []),
+                ...(field.validate ? [field.validate] : [])
+            ]);
+        }
+
+        const { isValid, errors } = await validator.validate(castAttributes(Model, attrs));
+
+        return {
+            isValid,
+            errors: Object.fromEntries(
+                Object.entries(errors).map(([field, messages]) => [
+                    field,
+                    messages.map(m => (typeof m === "object" ? m.message : m || "Invalid value"))
+                ])
+            )
+        };
+    }
+
+    async _assertValid(Model, attrs, options) {
+        const { isValid, errors } = await this._validate(Model, attrs, options);
+
+        if (!isValid) {
+            throw new ValidationError(`Invalid ${Model.modelName}`, errors);
         }
+    }
+
+    _serialize(Model, attrs) {
+        return Object.fromEntries(
+            Object.entries(attrs).map(([key, value]) => [key, serializeValue(Model.fields[key], value)])
+        );
+    }
+
+    _fillable(Model, attrs = {}) {
+        if (!Model.fillable) return { ...attrs };
+
+        const allowed = new Set(Model.fillable);
+
+        return Object.fromEntries(
+            Object.entries(attrs).filter(([key]) => allowed.has(key))
+        );
+    }
+
+    _prepareAttributes(Model, attrs = {}, isCreate = false) {
+        const data = this._fillable(Model, attrs);
 
         if (this.options.timestampFields) {
             const now = new Date();
@@ -526,8 +1072,9 @@ class ORM extends EventEmitter {
     }
 
     applyGlobalScopes(Model, qb) {
+        // Qualified, so joined queries (pivot tables) stay unambiguous
         if (Model.softDelete) {
-            qb.where({ deletedAt: null });
+            qb.whereNull(`${Model.tableName}.deletedAt`);
         }
 
         for (const scope of Object.values(
@@ -579,5 +1126,6 @@ class ORM extends EventEmitter {
 
 module.exports = {
     ORM,
-    BaseModel
+    BaseModel,
+    ValidationError
 };
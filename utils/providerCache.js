@@ -0,0 +1,112 @@
+/**
+ * Provider Response Caching
+ *
+ * Shared by the API routes that proxy a weather provider:
+ *   - a fresh cache whose concurrent misses are coalesced
+ *   - a 24h "stale" copy served while the provider's circuit is open
+ *   - Cache-Control / ETag / Age / X-Cache headers and 304s
+ *
+ * Entries hold normalized provider data in base units; anything
+ * per-request (units, language) is applied after the cache.
+ */
+
+const { createHash } = require("crypto");
+const CacheManager = require("./cacheManager");
+const { isKeyedRequest } = require("./apiAccess");
+
+const STALE_TTL = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {string} namespace  e.g. "weather"
+ * @param {{ ttl: number, maxSize?: number }} options  ttl in ms
+ */
+function createProviderCache(namespace, { ttl, maxSize = 500 } = {}) {
+  const cache = new CacheManager({ namespace, maxSize, defaultTTL: ttl });
+
+  // Last good response per key, served with `stale: true` while a breaker is open
+  const staleCache = new CacheManager({
+    namespace: `${namespace}-stale`,
+    maxSize,
+    defaultTTL: STALE_TTL,
+  });
+
+  /**
+   * Cached `loader()` result for `key`.
+   * @returns {Promise<{ data, fetchedAt: number, fetched: boolean, stale: boolean }>}
+   */
+  async function load(key, loader) {
+    let fetched = false;
+
+    try {
+      const entry = await cache.getOrSet(key, async () => {
+        fetched = true;
+        const result = { data: await loader(), fetchedAt: Date.now() };
+        staleCache.set(key, result);
+        return result;
+      });
+
+      return { ...entry, fetched, stale: false };
+    } catch (error) {
+      const entry = error?.code === "CIRCUIT_OPEN" ? staleCache.get(key) : null;
+      if (!entry) throw error;
+      return { ...entry, fetched: false, stale: true };
+    }
+  }
+
+  return { ttl, cache, staleCache, load };
+}
+
+/**
+ * Add request headers to `Vary`, keeping any the route already set
+ * (e.g. Accept-Language on /api/air-quality).
+ */
+function appendVary(res, ...fields) {
+  const current = String(res.getHeader("Vary") ?? "")
+    .split(",")
+    .map(field => field.trim())
+    .filter(Boolean);
+
+  const seen = new Set(current.map(field => field.toLowerCase()));
+  const added = fields.filter(field => !seen.has(field.toLowerCase()));
+
+  res.setHeader("Vary", [...current, ...added].join(", "));
+}
+
+/**
+ * Send a JSON body with caching headers derived from the cache entry.
+ * The body is sent raw so Next.js doesn't replace our ETag with its own.
+ * Keyed responses are `private` so a CDN can't replay them to callers
+ * without a key (or past their rate limit).
+ */
+function sendCached(req, res, payload, { ttl, fetchedAt, fetched, stale }) {
+  const body = JSON.stringify(payload);
+
+  const etag = `"${createHash("sha1").update(body).digest("hex")}"`;
+  const age = Math.max(0, Math.floor((Date.now() - fetchedAt) / 1000));
+  const maxAge = stale ? 0 : Math.max(0, Math.floor(ttl / 1000) - age);
+
+  res.setHeader("Content-Type", "application/json");
+  res.setHeader("Cache-Control", `${isKeyedRequest(req) ? "private" : "public"}, max-age=${maxAge}, stale-while-revalidate=60`);
+  appendVary(res, "X-API-Key", "Authorization");
+  res.setHeader("ETag", etag);
+  res.setHeader("Age", String(age));
+  res.setHeader("X-Cache", stale ? "STALE" : fetched ? "MISS" : "HIT");
+
+  if (req.headers["if-none-match"] === etag) {
+    return res.status(304).end();
+  }
+
+  return res.status(200).end(body);
+}
+
+// Every 400 has the same shape: a summary plus per-field messages
+function badRequest(res, error, errors) {
+  return res.status(400).json({ success: false, error, errors });
+}
+
+module.exports = {
+  createProviderCache,
+  sendCached,
+  appendVary,
+  badRequest
+};
@@ -0,0 +1,643 @@
+/**
+ * QueryBuilder
+ * - Parameterized SELECT / INSERT / UPDATE / DELETE
+ * - AND/OR groups, IN (values or a subquery), NULL, BETWEEN, joins,
+ *   GROUP BY/HAVING, aggregates
+ * - Identifier quoting and placeholders per dialect (sqlite, postgres, mysql)
+ *
+ * Column arguments must be plain references ('name', 'users.id',
+ * 'users.*', 'name as alias', 'COUNT(*)', 'SUM(amount)') and values
+ * always become bindings. SQL expressions go through the *Raw methods,
+ * which are used as written (with `?` bindings), so never build those
+ * from user input.
+ *
+ *   new QueryBuilder({ dialect: 'postgres' })
+ *       .table('readings r')
+ *       .join('stations s', 's.id', 'r.stationId')
+ *       .where('s.country', 'KE')
+ *       .where(q => q.where('r.temp', '>', 30).orWhereNull('r.temp'))
+ *       .build();
+ *   // { sql: 'SELECT * FROM "readings" AS "r" INNER JOIN ... WHERE "s"."country" = $1 AND (...)',
+ *   //   params: ['KE', 30] }
+ */
+
+const DIALECTS = {
+    sqlite: { name: 'sqlite', quote: '"', numbered: false, returning: true, offsetWithoutLimit: 'LIMIT -1' },
+    postgres: { name: 'postgres', quote: '"', numbered: true, returning: true, offsetWithoutLimit: null },
+    mysql: { name: 'mysql', quote: '`', numbered: false, returning: false, offsetWithoutLimit: 'LIMIT 18446744073709551615' }
+};
+
+const OPERATORS = new Set(['=', '!=', '<>', '<', '<=', '>', '>=', 'LIKE', 'NOT LIKE', 'ILIKE', 'NOT ILIKE', 'IN', 'NOT IN']);
+
+const IDENTIFIER = /^[A-Za-z_][\w$]*(\.([A-Za-z_][\w$]*|\*))*$/;
+const AGGREGATE = /^(COUNT|SUM|AVG|MIN|MAX)\(\s*(DISTINCT\s+)?(\*|[A-Za-z_][\w$.]*)\s*\)$/i;
+const ALIAS = /^(.+?)\s+as\s+([A-Za-z_][\w$]*)$/i;
+const TABLE = /^([A-Za-z_][\w$.]*)(?:\s+(?:as\s+)?([A-Za-z_][\w$]*))?$/i;
+
+function resolveDialect(name = 'sqlite') {
+    const key = String(name).toLowerCase();
+    const dialect = DIALECTS[key === 'pg' || key === 'postgresql' ? 'postgres' : key];
+
+    if (!dialect) {
+        throw new Error(`Unknown SQL dialect "${name}" (use sqlite, postgres or mysql)`);
+    }
+
+    return dialect;
+}
+
+// a AND b OR c — same precedence as the SQL it becomes
+function compileConditions(conditions) {
+    return {
+        sql: conditions.map((c, i) => (i ? `${c.bool} ${c.sql}` : c.sql)).join(' '),
+        params: conditions.flatMap(c => c.params)
+    };
+}
+
+// Postgres wants $1, $2, ...; skip `?` inside quoted strings and identifiers
+function numberPlaceholders(sql) {
+    let n = 0;
+    let quote = null;
+    let out = '';
+
+    for (const ch of sql) {
+        if (quote) {
+            if (ch === quote) quote = null;
+        } else if (ch === "'" || ch === '"' || ch === '`') {
+            quote = ch;
+        } else if (ch === '?') {
+            out += `$${++n}`;
+            continue;
+        }
+
+        out += ch;
+    }
+
+    return out;
+}
+
+// Keys with undefined values are left out, like an omitted column
+function definedEntries(data) {
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
+
+class QueryBuilder {
+    constructor({ dialect = 'sqlite' } = {}) {
+        this.dialect = resolveDialect(dialect);
+
+        this._type = 'select';
+        this._table = null;
+        this._tableName = null;
+        this._columns = [];
+        this._distinct = false;
+        this._joins = [];
+        this._wheres = [];
+        this._groups = [];
+        this._havings = [];
+        this._orders = [];
+        this._limit = null;
+        this._offset = null;
+        this._data = null;
+        this._returning = null;
+    }
+
+    /* ---------------------------------- */
+    /* Identifiers                        */
+    /* ---------------------------------- */
+
+    quote(name) {
+        const q = this.dialect.quote;
+        return q + String(name).replaceAll(q, q + q) + q;
+    }
+
+    _identifier(ref) {
+        return ref
+            .split('.')
+            .map(part => (part === '*' ? '*' : this.quote(part)))
+            .join('.');
+    }
+
+    _ref(text) {
+        const value = String(text).trim();
+
+        const alias = ALIAS.exec(value);
+        if (alias) return `${this._ref(alias[1])} AS ${this.quote(alias[2])}`;
+
+        if (value === '*') return '*';
+
+        const aggregate = AGGREGATE.exec(value);
+        if (aggregate) {
+            const [, fn, distinct, column] = aggregate;
+            return `${fn.toUpperCase()}(${distinct ? 'DISTINCT ' : ''}${column === '*' ? '*' : this._identifier(column)})`;
+        }
+
+        if (IDENTIFIER.test(value)) return this._identifier(value);
+
+        throw new TypeError(`"${value}" is not a column reference; use the *Raw methods for SQL expressions`);
+    }
+
+    _tableRef(text) {
+        const match = TABLE.exec(String(text).trim());
+        if (!match) throw new Error(`"${text}" is not a table name`);
+
+        const [, name, alias] = match;
+        return {
+            name,
+            sql: alias ? `${this._identifier(name)} AS ${this.quote(alias)}` : this._identifier(name)
+        };
+    }
+
+    _operator(operator) {
+        const op = String(operator).trim().toUpperCase();
+        if (!OPERATORS.has(op)) throw new Error(`Unsupported operator "${operator}"`);
+        return op;
+    }
+
+    /* ---------------------------------- */
+    /* Tables & Columns                   */
+    /* ---------------------------------- */
+
+    table(name) {
+        const { name: tableName, sql } = this._tableRef(name);
+        this._table = sql;
+        this._tableName = tableName;
+        return this;
+    }
+
+    from(name) {
+        return this.table(name);
+    }
+
+    // select('id', 'name'), select(['id', 'name']) or select('id, name')
+    select(...fields) {
+        const refs = fields
+            .flat()
+            .flatMap(field => String(field).split(','))
+            .map(field => field.trim())
+            .filter(Boolean);
+
+        for (const field of refs) {
+            this._columns.push({ sql: this._ref(field), params: [] });
+        }
+
+        return this;
+    }
+
+    selectRaw(sql, params = []) {
+        this._columns.push({ sql, params });
+        return this;
+    }
+
+    distinct() {
+        this._distinct = true;
+        return this;
+    }
+
+    /* ---------------------------------- */
+    /* Aggregates                         */
+    /* ---------------------------------- */
+
+    _aggregate(fn, column, alias) {
+        this._columns.push({ sql: `${this._ref(`${fn}(${column})`)} AS ${this.quote(alias)}`, params: [] });
+        return this;
+    }
+
+    count(column = '*', alias = 'count') {
+        return this._aggregate('COUNT', column, alias);
+    }
+
+    sum(column, alias = 'sum') {
+        return this._aggregate('SUM', column, alias);
+    }
+
+    avg(column, alias = 'avg') {
+        return this._aggregate('AVG', column, alias);
+    }
+
+    min(column, alias = 'min') {
+        return this._aggregate('MIN', column, alias);
+    }
+
+    max(column, alias = 'max') {
+        return this._aggregate('MAX', column, alias);
+    }
+
+    /* ---------------------------------- */
+    /* Conditions                         */
+    /* ---------------------------------- */
+
+    _comparison(column, operator, value) {
+        const ref = this._ref(column);
+        const op = this._operator(operator);
+
+        if (value === undefined) {
+            throw new Error(`Undefined binding for "${column}"`);
+        }
+
+        if (value === null) {
+            if (op === '=') return { sql: `${ref} IS NULL`, params: [] };
+            if (op === '!=' || op === '<>') return { sql: `${ref} IS NOT NULL`, params: [] };
+        }
+
+        if (Array.isArray(value) && (op === '=' || op === 'IN')) return this._in(ref, value, false);
+        if (Array.isArray(value) && op === 'NOT IN') return this._in(ref, value, true);
+
+        if (op === 'IN' || op === 'NOT IN') {
+            throw new Error(`${op} needs an array of values for "${column}"`);
+        }
+
+        return { sql: `${ref} ${op} ?`, params: [value] };
+    }
+
+    _in(ref, values, negate) {
+        // whereIn('id', other.select('userId')) becomes IN (SELECT ...)
+        if (values instanceof QueryBuilder) {
+            const { sql, params } = values._compile();
+            return { sql: `${ref} ${negate ? 'NOT IN' : 'IN'} (${sql})`, params };
+        }
+
+        if (!Array.isArray(values)) throw new Error('IN needs an array of values or a QueryBuilder');
+
+        // An empty list matches nothing (or everything, negated)
+        if (!values.length) return { sql: negate ? '1 = 1' : '1 = 0', params: [] };
+
+        return {
+            sql: `${ref} ${negate ? 'NOT IN' : 'IN'} (${values.map(() => '?').join(', ')})`,
+            params: values
+        };
+    }
+
+    /**
+     * where(column, value), where(column, operator, value),
+     * where({ column: value, ... }) or where(q => q.where(...).orWhere(...)).
+     * The column is never used as SQL text; whereRaw / havingRaw take that.
+     */
+    _condition(args) {
+        const [column, ...rest] = args;
+
+        if (typeof column === 'function') {
+            const group = new QueryBuilder({ dialect: this.dialect.name });
+            column.call(group, group);
+
+            if (!group._wheres.length) return null;
+
+            const { sql, params } = compileConditions(group._wheres);
+            return { sql: `(${sql})`, params };
+        }
+
+        if (column && typeof column === 'object') {
+            const parts = Object.entries(column).map(([key, value]) => this._comparison(key, '=', value));
+            if (!parts.length) return null;
+
+            return {
+                sql: parts.length > 1 ? `(${parts.map(p => p.sql).join(' AND ')})` : parts[0].sql,
+                params: parts.flatMap(p => p.params)
+            };
+        }
+
+        const text = String(column).trim();
+
+        if (!IDENTIFIER.test(text) && !AGGREGATE.test(text)) {
+            throw new TypeError(`"${text}" is not a column reference; use whereRaw / havingRaw for SQL expressions`);
+        }
+
+        if (rest.length === 0) throw new TypeError(`No value given for "${text}"`);
+
+        if (rest.length === 1) return this._comparison(text, '=', rest[0]);
+
+        return this._comparison(text, rest[0], rest[1]);
+    }
+
+    _push(list, bool, condition) {
+        if (condition) list.push({ bool, ...condition });
+        return this;
+    }
+
+    where(...args) {
+        return this._push(this._wheres, 'AND', this._condition(args));
+    }
+
+    orWhere(...args) {
+        return this._push(this._wheres, 'OR', this._condition(args));
+    }
+
+    // whereIn('id', [1, 2]) or whereIn({ id: [1, 2], type: ['a'] })
+    whereIn(column, values) {
+        if (column && typeof column === 'object') {
+            for (const [key, list] of Object.entries(column)) this.whereIn(key, list);
+            return this;
+        }
+
+        return this._push(this._wheres, 'AND', this._in(this._ref(column), values, false));
+    }
+
+    orWhereIn(column, values) {
+        return this._push(this._wheres, 'OR', this._in(this._ref(column), values, false));
+    }
+
+    whereNotIn(column, values) {
+        return this._push(this._wheres, 'AND', this._in(this._ref(column), values, true));
+    }
+
+    orWhereNotIn(column, values) {
+        return this._push(this._wheres, 'OR', this._in(this._ref(column), values, true));
+    }
+
+    whereNull(column) {
+        return this._push(this._wheres, 'AND', { sql: `${this._ref(column)} IS NULL`, params: [] });
+    }
+
+    orWhereNull(column) {
+        return this._push(this._wheres, 'OR', { sql: `${this._ref(column)} IS NULL`, params: [] });
+    }
+
+    whereNotNull(column) {
+        return this._push(this._wheres, 'AND', { sql: `${this._ref(column)} IS NOT NULL`, params: [] });
+    }
+
+    orWhereNotNull(column) {
+        return this._push(this._wheres, 'OR', { sql: `${this._ref(column)} IS NOT NULL`, params: [] });
+    }
+
+    _between(column, range, negate) {
+        if (!Array.isArray(range) || range.length !== 2) {
+            throw new Error(`BETWEEN needs [low, high] for "${column}"`);
+        }
+
+        return { sql: `${this._ref(column)} ${negate ? 'NOT BETWEEN' : 'BETWEEN'} ? AND ?`, params: range };
+    }
+
+    whereBetween(column, range) {
+        return this._push(this._wheres, 'AND', this._between(column, range, false));
+    }
+
+    orWhereBetween(column, range) {
+        return this._push(this._wheres, 'OR', this._between(column, range, false));
+    }
+
+    whereNotBetween(column, range) {
+        return this._push(this._wheres, 'AND', this._between(column, range, true));
+    }
+
+    whereRaw(sql, params = []) {
+        return this._push(this._wheres, 'AND', { sql: `(${sql})`, params });
+    }
+
+    orWhereRaw(sql, params = []) {
+        return this._push(this._wheres, 'OR', { sql: `(${sql})`, params });
+    }
+
+    /* ---------------------------------- */
+    /* Joins                              */
+    /* ---------------------------------- */
+
+    // join('stations s', 's.id', 'r.stationId'), join(t, a, '<', b) or
+    // join(t, on => on.on(a, b).orOn(c, '=', d))
+    _join(kind, table, on) {
+        let condition;
+
+        if (typeof on[0] === 'function') {
+            const conditions = [];
+            const add = bool => (first, operator, second) => {
+                const [a, op, b] = second === undefined ? [first, '=', operator] : [first, operator, second];
+                conditions.push({ bool, sql: `${this._ref(a)} ${this._operator(op)} ${this._ref(b)}`, params: [] });
+                return clause;
+            };
+            const clause = { on: add('AND'), andOn: add('AND'), orOn: add('OR') };
+
+            on[0].call(clause, clause);
+            condition = compileConditions(conditions);
+        } else {
+            const [first, operator, second] = on.length === 2 ? [on[0], '=', on[1]] : on;
+            condition = { sql: `${this._ref(first)} ${this._operator(operator)} ${this._ref(second)}`, params: [] };
+        }
+
+        this._joins.push({ sql: `${kind} ${this._tableRef(table).sql} ON ${condition.sql}`, params: condition.params });
+        return this;
+    }
+
+    join(table, ...on) {
+        return this._join('INNER JOIN', table, on);
+    }
+
+    innerJoin(table, ...on) {
+        return this._join('INNER JOIN', table, on);
+    }
+
+    leftJoin(table, ...on) {
+        return this._join('LEFT JOIN', table, on);
+    }
+
+    crossJoin(table) {
+        this._joins.push({ sql: `CROSS JOIN ${this._tableRef(table).sql}`, params: [] });
+        return this;
+    }
+
+    /* ---------------------------------- */
+    /* Grouping & Ordering                */
+    /* ---------------------------------- */
+
+    groupBy(...columns) {
+        for (const column of columns.flat().flatMap(c => String(c).split(','))) {
+            if (column.trim()) this._groups.push(this._ref(column));
+        }
+        return this;
+    }
+
+    // having('COUNT(*)', '>', 2), having(q => ...), havingRaw('SUM(x) > ?', [5])
+    having(...args) {
+        return this._push(this._havings, 'AND', this._condition(args));
+    }
+
+    orHaving(...args) {
+        return this._push(this._havings, 'OR', this._condition(args));
+    }
+
+    havingRaw(sql, params = []) {
+        return this._push(this._havings, 'AND', { sql: `(${sql})`, params });
+    }
+
+    orderBy(field, dir = 'ASC') {
+        const direction = String(dir).toUpperCase();
+
+        if (direction !== 'ASC' && direction !== 'DESC') {
+            throw new Error(`Order direction must be ASC or DESC, got "${dir}"`);
+        }
+
+        this._orders.push({ sql: `${this._ref(field)} ${direction}`, params: [] });
+        return this;
+    }
+
+    orderByRaw(sql, params = []) {
+        this._orders.push({ sql, params });
+        return this;
+    }
+
+    limit(n) {
+        this._limit = this._count(n, 'limit');
+        return this;
+    }
+
+    offset(n) {
+        this._offset = this._count(n, 'offset');
+        return this;
+    }
+
+    _count(n, name) {
+        const value = Number(n);
+        if (!Number.isInteger(value) || value < 0) throw new Error(`${name} must be a non-negative integer`);
+        return value;
+    }
+
+    /* ---------------------------------- */
+    /* Writes                             */
+    /* ---------------------------------- */
+
+    insert(rows) {
+        const list = (Array.isArray(rows) ? rows : [rows]).map(definedEntries);
+        if (!list.length) throw new Error('insert() needs at least one row');
+
+        this._type = 'insert';
+        this._data = list;
+        return this;
+    }
+
+    update(data) {
+        const values = definedEntries(data ?? {});
+        if (!Object.keys(values).length) throw new Error('update() needs at least one column');
+
+        this._type = 'update';
+        this._data = values;
+        return this;
+    }
+
+    delete() {
+        this._type = 'delete';
+        return this;
+    }
+
+    returning(...columns) {
+        if (!this.dialect.returning) {
+            throw new Error(`RETURNING is not supported by ${this.dialect.name}`);
+        }
+
+        const fields = columns.flat().length ? columns.flat() : ['*'];
+        this._returning = fields.map(field => this._ref(field));
+        return this;
+    }
+
+    /* ---------------------------------- */
+    /* Build                              */
+    /* ---------------------------------- */
+
+    /** @returns {{ sql: string, params: Array }} */
+    build() {
+        const { sql, params } = this._compile();
+
+        return {
+            sql: this.dialect.numbered ? numberPlaceholders(sql) : sql,
+            params
+        };
+    }
+
+    // SQL with `?` placeholders, so subqueries can be numbered with their parent
+    _compile() {
+        const parts = [];
+        const params = [];
+
+        const add = (sql, values = []) => {
+            parts.push(sql);
+            params.push(...values);
+        };
+
+        const addWhere = () => {
+            if (!this._wheres.length) return;
+            const where = compileConditions(this._wheres);
+            add(`WHERE ${where.sql}`, where.params);
+        };
+
+        const needsTable = () => {
+            if (!this._table) throw new Error(`${this._type}() needs a table`);
+            return this._identifier(this._tableName);
+        };
+
+        switch (this._type) {
+            case 'insert': {
+                const table = needsTable();
+                const columns = Object.keys(this._data[0]);
+
+                for (const row of this._data) {
+                    const keys = Object.keys(row);
+                    if (keys.length !== columns.length || keys.some(key => !columns.includes(key))) {
+                        throw new Error('Every inserted row needs the same columns');
+                    }
+                }
+
+                if (!columns.length) {
+                    add(this.dialect.name === 'mysql' ? `INSERT INTO ${table} () VALUES ()` : `INSERT INTO ${table} DEFAULT VALUES`);
+                } else {
+                    const placeholders = `(${columns.map(() => '?').join(', ')})`;
+                    add(
+                        `INSERT INTO ${table} (${columns.map(c => this.quote(c)).join(', ')}) VALUES ${this._data.map(() => placeholders).join(', ')}`,
+                        this._data.flatMap(row => columns.map(c => row[c]))
+                    );
+                }
+                break;
+            }
+
+            case 'update': {
+                const table = needsTable();
+                const columns = Object.keys(this._data);
+
+                add(
+                    `UPDATE ${table} SET ${columns.map(c => `${this.quote(c)} = ?`).join(', ')}`,
+                    columns.map(c => this._data[c])
+                );
+                addWhere();
+                break;
+            }
+
+            case 'delete':
+                add(`DELETE FROM ${needsTable()}`);
+                addWhere();
+                break;
+
+            default: {
+                const columns = this._columns.length ? this._columns : [{ sql: '*', params: [] }];
+
+                add(
+                    `SELECT ${this._distinct ? 'DISTINCT ' : ''}${columns.map(c => c.sql).join(', ')}`,
+                    columns.flatMap(c => c.params)
+                );
+
+                if (this._table) add(`FROM ${this._table}`);
+                for (const join of this._joins) add(join.sql, join.params);
+
+                addWhere();
+
+                if (this._groups.length) add(`GROUP BY ${this._groups.join(', ')}`);
+
+                if (this._havings.length) {
+                    const having = compileConditions(this._havings);
+                    add(`HAVING ${having.sql}`, having.params);
+                }
+
+                if (this._orders.length) {
+                    add(`ORDER BY ${this._orders.map(o => o.sql).join(', ')}`, this._orders.flatMap(o => o.params));
+                }
+
+                if (this._limit != null) add('LIMIT ?', [this._limit]);
+                else if (this._offset != null && this.dialect.offsetWithoutLimit) add(this.dialect.offsetWithoutLimit);
+
+                if (this._offset != null) add('OFFSET ?', [this._offset]);
+            }
+        }
+
+        if (this._returning && this._type !== 'select') {
+            add(`RETURNING ${this._returning.join(', ')}`);
+        }
+
+        return { sql: parts.join(' '), params };
+    }
+}
+
+module.exports = QueryBuilder;
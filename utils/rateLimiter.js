@@ -2,8 +2,104 @@
  * Enterprise Rate Limiter
  * Token Bucket, Fixed Window, Sliding Window
  * Memory + Redis compatible
+ *
+ * `storage` is anything with Redis-style `get`, `set(key, value, "PX", ms)`,
+ * `incrby`, `decrby` and `pexpire` (an ioredis or Upstash client works as-is),
+ * so several server instances can share one set of counters. MemoryStore
+ * below is the single-process stand-in.
+ *
+ * A shared store only ever sees atomic INCRBY/DECRBY, never a read-modify-write,
+ * so instances can't overwrite each other's counts:
+ *   - fixed: one counter per window
+ *   - sliding: the current window's counter plus the previous one's,
+ *     weighted by how much of it still overlaps the last `timeWindow`
+ * A request that takes a counter over the limit gives its increment back,
+ * so concurrent callers may be refused early but never let through late.
+ * check(key, { cost }) charges several requests at once (a batch of lookups).
+ * The token strategy keeps state per process and can't use a store.
  */
 
+/* ---------------------------------- */
+/* Memory Store */
+/* ---------------------------------- */
+
+export class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    return this._live(key)?.value ?? null;
+  }
+
+  async set(key, value, mode, ttl) {
+    const expiresAt = mode === "PX" && ttl > 0 ? Date.now() + ttl : 0;
+    this.entries.set(key, { value: String(value), expiresAt });
+    return "OK";
+  }
+
+  async del(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+
+  // Single-threaded, so each of these is as atomic as its Redis namesake
+
+  async incr(key) {
+    return this._add(key, 1);
+  }
+
+  async decr(key) {
+    return this._add(key, -1);
+  }
+
+  async incrby(key, amount) {
+    return this._add(key, Number(amount));
+  }
+
+  async decrby(key, amount) {
+    return this._add(key, -Number(amount));
+  }
+
+  async pexpire(key, ttl) {
+    const entry = this._live(key);
+    if (!entry) return 0;
+
+    entry.expiresAt = Date.now() + ttl;
+    return 1;
+  }
+
+  _live(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  _add(key, delta) {
+    const entry = this._live(key) ?? { value: "0", expiresAt: 0 };
+    const value = Number(entry.value) + delta;
+
+    if (!Number.isInteger(value)) {
+      throw new Error("ERR value is not an integer or out of range");
+    }
+
+    entry.value = String(value);
+    this.entries.set(key, entry);
+    return value;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+const SHARED_STRATEGIES = ["fixed", "sliding"];
+
 export class RateLimiter {
   constructor({
     maxRequests,
@@ -18,6 +114,10 @@ export class RateLimiter {
       throw new Error("maxRequests and timeWindow are required");
     }
 
+    if (storage && !SHARED_STRATEGIES.includes(strategy)) {
+      throw new Error(`A shared storage supports the ${SHARED_STRATEGIES.join(" and ")} strategies only`);
+    }
+
     this.maxRequests = maxRequests;
     this.timeWindow = timeWindow;
     this.strategy = strategy;
@@ -38,12 +138,7 @@ export class RateLimiter {
     return Date.now();
   }
 
-  async _getBucket(key) {
-    if (this.storage) {
-      const raw = await this.storage.get(`ratelimit:${key}`);
-      if (raw) return JSON.parse(raw);
-    }
-
+  _getBucket(key) {
     return this.memory.get(key) || {
       tokens: this.capacity,
       lastRefill: this._now(),
@@ -54,17 +149,7 @@ export class RateLimiter {
     };
   }
 
-  async _saveBucket(key, bucket) {
-    if (this.storage) {
-      await this.storage.set(
-        `ratelimit:${key}`,
-        JSON.stringify(bucket),
-        "PX",
-        this.timeWindow * 2
-      );
-      return;
-    }
-
+  _saveBucket(key, bucket) {
     this.memory.set(key, bucket);
   }
 
@@ -72,7 +157,7 @@ export class RateLimiter {
 /* Token Bucket */
 /* ---------------------------------- */
 
-_token(bucket) {
+_token(bucket, cost = 1) {
     const now = this._now();
 
     // Initialize missing state
@@ -96,21 +181,21 @@ _token(bucket) {
         bucket.lastRefill = now;
     }
 
-    // Consume token
-    if (bucket.tokens >= 1) {
-        bucket.tokens -= 1;
+    // Consume tokens
+    if (bucket.tokens >= cost) {
+        bucket.tokens -= cost;
 
         bucket.remaining = Math.floor(bucket.tokens);
         bucket.resetAt =
             now + ((this.capacity - bucket.tokens) / refillRate);
 
-        return this._allow(bucket, bucket.remaining);
+        return this._allow(bucket, bucket.remaining, bucket.resetAt);
     }
 
     // Calculate retry time
     const retryAfter = Math.max(
         0,
-        (1 - bucket.tokens) / refillRate
+        (cost - bucket.tokens) / refillRate
     );
 
     bucket.remaining = 0;
@@ -124,7 +209,7 @@ _token(bucket) {
   /* Fixed Window */
   /* ---------------------------------- */
 
-  _fixed(bucket) {
+  _fixed(bucket, cost = 1) {
     const now = this._now();
 
     if (!bucket.windowStart || now - bucket.windowStart >= this.timeWindow) {
@@ -132,9 +217,13 @@ _token(bucket) {
       bucket.count = 0;
     }
 
-    if (bucket.count < this.maxRequests) {
-      bucket.count++;
-      return this._allow(bucket, this.maxRequests - bucket.count);
+    if (bucket.count + cost <= this.maxRequests) {
+      bucket.count += cost;
+      return this._allow(
+        bucket,
+        this.maxRequests - bucket.count,
+        bucket.windowStart + this.timeWindow
+      );
     }
 
     return this._deny(bucket, bucket.windowStart + this.timeWindow - now);
@@ -144,7 +233,7 @@ _token(bucket) {
   /* Sliding Window (Optimized) */
   /* ---------------------------------- */
 
-  _sliding(bucket) {
+  _sliding(bucket, cost = 1) {
     const now = this._now();
     const windowStart = now - this.timeWindow;
 
@@ -155,41 +244,142 @@ _token(bucket) {
       bucket.timestamps.shift();
     }
 
-    if (bucket.timestamps.length < this.maxRequests) {
-      bucket.timestamps.push(now);
+    if (bucket.timestamps.length + cost <= this.maxRequests) {
+      for (let i = 0; i < cost; i++) bucket.timestamps.push(now);
       return this._allow(
         bucket,
-        this.maxRequests - bucket.timestamps.length
+        this.maxRequests - bucket.timestamps.length,
+        bucket.timestamps[0] + this.timeWindow
       );
     }
 
+    // Wait until enough of the oldest requests have left the window for `cost` more
+    const freed = bucket.timestamps[bucket.timestamps.length + cost - this.maxRequests - 1];
+
     return this._deny(
       bucket,
-      bucket.timestamps[0] + this.timeWindow - now
+      freed === undefined ? this.timeWindow : freed + this.timeWindow - now
     );
   }
 
+  /* ---------------------------------- */
+  /* Shared Store Counters */
+  /* ---------------------------------- */
+
+  // INCRBY, starting the TTL when this request created the counter
+  async _increment(counterKey, ttl, cost) {
+    const count = Number(await this.storage.incrby(counterKey, cost));
+    if (count === cost) await this.storage.pexpire(counterKey, ttl);
+    return count;
+  }
+
+  async _sharedFixed(key, now, cost) {
+    const window = Math.floor(now / this.timeWindow);
+    const counterKey = `ratelimit:${key}:${window}`;
+    const resetAt = (window + 1) * this.timeWindow;
+
+    const count = await this._increment(counterKey, this.timeWindow, cost);
+
+    if (count <= this.maxRequests) {
+      return this._allow(null, this.maxRequests - count, resetAt);
+    }
+
+    await this.storage.decrby(counterKey, cost);
+    return this._deny(null, resetAt - now);
+  }
+
+  async _sharedSliding(key, now, cost) {
+    const window = Math.floor(now / this.timeWindow);
+    const into = now - window * this.timeWindow;
+    const counterKey = `ratelimit:${key}:${window}`;
+
+    const [previousRaw, count] = await Promise.all([
+      this.storage.get(`ratelimit:${key}:${window - 1}`),
+      this._increment(counterKey, this.timeWindow * 2, cost)
+    ]);
+
+    // Share of the previous window still inside the last `timeWindow`
+    const previous = Number(previousRaw) || 0;
+    const overlap = 1 - into / this.timeWindow;
+    const weighted = previous * overlap + count;
+
+    if (weighted <= this.maxRequests) {
+      return this._allow(
+        null,
+        Math.floor(this.maxRequests - weighted),
+        now + this.timeWindow
+      );
+    }
+
+    await this.storage.decrby(counterKey, cost);
+
+    // Next window if this one is full by itself, else when enough of the previous has slid out
+    const room = this.maxRequests - count;
+    const retryMs = room < 0 || !previous
+      ? this.timeWindow - into
+      : (1 - room / previous) * this.timeWindow - into;
+
+    return this._deny(null, Math.max(1, retryMs));
+  }
+
+  async _checkShared(key, cost) {
+    const now = this._now();
+    const blockKey = `ratelimit:${key}:blocked`;
+
+    if (this.blockDuration > 0) {
+      const blockedUntil = Number(await this.storage.get(blockKey));
+      if (blockedUntil > now) return this._blocked(blockedUntil, now);
+    }
+
+    const result = this.strategy === "fixed"
+      ? await this._sharedFixed(key, now, cost)
+      : await this._sharedSliding(key, now, cost);
+
+    if (!result.allowed && this.blockDuration > 0) {
+      await this.storage.set(blockKey, String(result.resetAt), "PX", this.blockDuration);
+    }
+
+    return result;
+  }
+
   /* ---------------------------------- */
   /* Allow / Deny */
   /* ---------------------------------- */
 
-  _allow(bucket, remaining) {
+  // resetAt: epoch ms when the full limit is available again
+  _allow(bucket, remaining, resetAt) {
     return {
       allowed: true,
+      limit: this.maxRequests,
       remaining,
-      retryAfter: 0
+      retryAfter: 0,
+      resetAt: Math.ceil(resetAt)
     };
   }
 
+  // `bucket` is null for shared-store checks, which keep the block in the store
   _deny(bucket, retryMs) {
     if (this.blockDuration > 0) {
-      bucket.blockedUntil = this._now() + this.blockDuration;
+      if (bucket) bucket.blockedUntil = this._now() + this.blockDuration;
+      retryMs = Math.max(retryMs, this.blockDuration);
     }
 
     return {
       allowed: false,
+      limit: this.maxRequests,
       remaining: 0,
-      retryAfter: Math.ceil(retryMs / 1000)
+      retryAfter: Math.ceil(retryMs / 1000),
+      resetAt: Math.ceil(this._now() + retryMs)
+    };
+  }
+
+  _blocked(blockedUntil, now) {
+    return {
+      allowed: false,
+      limit: this.maxRequests,
+      remaining: 0,
+      retryAfter: Math.ceil((blockedUntil - now) / 1000),
+      resetAt: blockedUntil
     };
   }
 
@@ -197,39 +387,50 @@ _token(bucket) {
   /* Main Check */
   /* ---------------------------------- */
 
-  async check(key) {
-    const bucket = await this._getBucket(key);
+  async check(key, { cost = 1 } = {}) {
+    if (this.storage) return this._checkShared(key, cost);
+
+    const bucket = this._getBucket(key);
     const now = this._now();
 
     if (bucket.blockedUntil && now < bucket.blockedUntil) {
-      return {
-        allowed: false,
-        remaining: 0,
-        retryAfter: Math.ceil(
-          (bucket.blockedUntil - now) / 1000
-        )
-      };
+      return this._blocked(bucket.blockedUntil, now);
     }
 
     let result;
 
     switch (this.strategy) {
       case "fixed":
-        result = this._fixed(bucket);
+        result = this._fixed(bucket, cost);
         break;
       case "sliding":
-        result = this._sliding(bucket);
+        result = this._sliding(bucket, cost);
         break;
       case "token":
       default:
-        result = this._token(bucket);
+        result = this._token(bucket, cost);
         break;
     }
 
-    await this._saveBucket(key, bucket);
+    this._saveBucket(key, bucket);
     return result;
   }
 
+  /* ---------------------------------- */
+  /* Response Headers */
+  /* ---------------------------------- */
+
+  // X-RateLimit-Reset is in epoch seconds; Retry-After only on denials
+  setHeaders(res, result) {
+    res.setHeader("X-RateLimit-Limit", String(result.limit ?? this.maxRequests));
+    res.setHeader("X-RateLimit-Remaining", String(result.remaining));
+    res.setHeader("X-RateLimit-Reset", String(Math.ceil(result.resetAt / 1000)));
+
+    if (!result.allowed) {
+      res.setHeader("Retry-After", String(Math.max(1, result.retryAfter)));
+    }
+  }
+
   /* ---------------------------------- */
   /* Express Middleware */
   /* ---------------------------------- */
@@ -239,9 +440,7 @@ _token(bucket) {
       const key = keyGenerator(req);
       const result = await this.check(key);
 
-      res.setHeader("X-RateLimit-Limit", this.maxRequests);
-      res.setHeader("X-RateLimit-Remaining", result.remaining);
-      res.setHeader("Retry-After", result.retryAfter);
+      this.setHeaders(res, result);
 
       if (!result.allowed) {
         return res.status(429).json({
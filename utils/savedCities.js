@@ -0,0 +1,150 @@
+/**
+ * Saved Cities (favorites + recent searches)
+ * Stored through localStorageManager and synced across tabs.
+ *
+ * A saved city is the `location` block returned by /api/weather:
+ * { id, name, country, lat, lon }.
+ */
+
+import { getItem, setItem, onStorageChange } from "./localStorageManager";
+
+const FAVORITES_KEY = "favorites";
+const RECENT_KEY = "recentSearches";
+
+// Bump when the stored shape changes; older entries are then ignored
+const SCHEMA_VERSION = 1;
+
+const MAX_FAVORITES = 12;
+const MAX_RECENT = 8;
+const RECENT_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const readOptions = { version: SCHEMA_VERSION };
+
+/**
+ * Identity used for de-duplication ("london|gb")
+ */
+export function cityKey(city) {
+  return `${String(city?.name || "").trim().toLowerCase()}|${String(city?.country || "").toLowerCase()}`;
+}
+
+/**
+ * Keep only what's needed to reload a city
+ */
+function toSaved(location) {
+  const { id = null, name, country = "", lat = null, lon = null } = location || {};
+  return { id, name, country, lat, lon };
+}
+
+/**
+ * Query string that reloads a saved city. Coordinates work with every
+ * provider, so they win over ids and names.
+ */
+export function cityQuery(city) {
+  if (Number.isFinite(city?.lat) && Number.isFinite(city?.lon)) {
+    return `lat=${city.lat}&lon=${city.lon}`;
+  }
+  if (city?.id) return `id=${encodeURIComponent(city.id)}`;
+  return `q=${encodeURIComponent(city?.name || "")}`;
+}
+
+/* --------------------------------
+   Favorites
+-------------------------------- */
+
+export function getFavorites() {
+  return getItem(FAVORITES_KEY, [], readOptions);
+}
+
+function saveFavorites(list) {
+  const next = list.slice(0, MAX_FAVORITES);
+  setItem(FAVORITES_KEY, next, { version: SCHEMA_VERSION });
+  return next;
+}
+
+export function isFavorite(location) {
+  const key = cityKey(location);
+  return getFavorites().some((c) => cityKey(c) === key);
+}
+
+export function addFavorite(location) {
+  const list = getFavorites();
+  if (list.some((c) => cityKey(c) === cityKey(location))) return list;
+  return saveFavorites([...list, toSaved(location)]);
+}
+
+export function removeFavorite(location) {
+  const key = cityKey(location);
+  return saveFavorites(getFavorites().filter((c) => cityKey(c) !== key));
+}
+
+export function toggleFavorite(location) {
+  return isFavorite(location) ? removeFavorite(location) : addFavorite(location);
+}
+
+/**
+ * Move a favorite by `offset` positions (-1 = up, +1 = down)
+ */
+export function moveFavorite(location, offset) {
+  const list = getFavorites();
+  const from = list.findIndex((c) => cityKey(c) === cityKey(location));
+  const to = from + offset;
+
+  if (from === -1 || to < 0 || to >= list.length) return list;
+
+  const next = [...list];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return saveFavorites(next);
+}
+
+/* --------------------------------
+   Recent searches
+-------------------------------- */
+
+export function getRecent() {
+  return getItem(RECENT_KEY, [], readOptions);
+}
+
+/**
+ * Most recent first; re-searching a city moves it to the front
+ */
+export function pushRecent(location) {
+  const key = cityKey(location);
+  const next = [toSaved(location), ...getRecent().filter((c) => cityKey(c) !== key)].slice(0, MAX_RECENT);
+  setItem(RECENT_KEY, next, { ttl: RECENT_TTL, version: SCHEMA_VERSION });
+  return next;
+}
+
+export function clearRecent() {
+  setItem(RECENT_KEY, [], { ttl: RECENT_TTL, version: SCHEMA_VERSION });
+  return [];
+}
+
+/* --------------------------------
+   Last city (server-side default)
+-------------------------------- */
+
+// Read by utils/defaultCity.js so the next page load renders this city
+const LAST_CITY_COOKIE = "lastCity";
+const LAST_CITY_MAX_AGE = 365 * 24 * 60 * 60; // seconds
+
+export function rememberLastCity(location) {
+  if (typeof document === "undefined" || !location) return;
+  document.cookie =
+    `${LAST_CITY_COOKIE}=${encodeURIComponent(cityQuery(location))}; Path=/; Max-Age=${LAST_CITY_MAX_AGE}; SameSite=Lax`;
+}
+
+/* --------------------------------
+   Cross-tab sync
+-------------------------------- */
+
+/**
+ * Calls back with fresh lists when another tab changes them.
+ * Returns an unsubscribe function.
+ */
+export function subscribeSavedCities(callback) {
+  return onStorageChange(({ key }) => {
+    if (key === FAVORITES_KEY) callback({ favorites: getFavorites() });
+    if (key === RECENT_KEY) callback({ recent: getRecent() });
+  });
+}
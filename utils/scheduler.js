@@ -92,7 +92,7 @@ export class Scheduler {
  * Parse a cron expression (v2)
  * Supports:
  *  - *
- *  - */n
+ *  - *\/n
  *  - a,b,c
  *  - a-b
  *  - a-b/n
@@ -138,26 +138,56 @@ parseCron(expr) {
     });
 }
     /**
-     * Parse individual cron field (*, numbers, lists)
+     * Parse individual cron field (*, *\/n, a-b, a-b/n, lists)
+     * Returns null for "any", otherwise the sorted list of allowed values.
      */
     parseCronField(field, min, max) {
         if (field === '*') return null;
 
-        return field.split(',').map(v => {
+        const toNumber = (v) => {
             const num = Number(v);
-            if (isNaN(num) || num < min || num > max) {
+            if (v === '' || !Number.isInteger(num) || num < min || num > max) {
                 throw new Error(`Invalid cron field value '${v}'`);
             }
             return num;
-        });
+        };
+
+        const values = new Set();
+
+        for (const part of field.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid cron step '${part}'`);
+            }
+
+            let start, end;
+
+            if (range === '*') {
+                [start, end] = [min, max];
+            } else if (range.includes('-')) {
+                [start, end] = range.split('-').map(toNumber);
+                if (start > end) throw new Error(`Invalid cron range '${range}'`);
+            } else {
+                start = toNumber(range);
+                end = stepText === undefined ? start : max;
+            }
+
+            for (let v = start; v <= end; v += step) values.add(v);
+        }
+
+        return [...values].sort((a, b) => a - b);
     }
 
     /**
      * Compute next execution date
      */
     computeNext(parsed) {
-        const now = new Date();
-        const next = new Date(now.getTime() + 1000); // move ahead 1 sec
+        // Start at the next whole minute so a task never runs twice in one minute
+        const next = new Date();
+        next.setSeconds(0, 0);
+        next.setMinutes(next.getMinutes() + 1);
 
         while (true) {
             if (
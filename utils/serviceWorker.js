@@ -0,0 +1,65 @@
+/**
+ * Service Worker & Connectivity (client-only)
+ * Registers public/sw.js in production builds and tells the page when the
+ * browser goes offline or comes back. See public/sw.js for what is cached.
+ */
+
+const SW_URL = "/sw.js";
+
+function isSupported() {
+  return typeof window !== "undefined" && "serviceWorker" in navigator;
+}
+
+/**
+ * Register the worker. Skipped in development, where cached chunks would
+ * fight hot reloading.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (!isSupported() || process.env.NODE_ENV !== "production") return null;
+
+  try {
+    return await navigator.serviceWorker.register(SW_URL, { scope: "/" });
+  } catch (error) {
+    console.warn("Service worker registration failed:", error);
+    return null;
+  }
+}
+
+export function isOnline() {
+  return typeof navigator === "undefined" ? true : navigator.onLine !== false;
+}
+
+/**
+ * Calls `callback(online)` whenever connectivity changes.
+ * @returns {Function} unsubscribe
+ */
+export function subscribeConnectivity(callback) {
+  if (typeof window === "undefined") return () => {};
+
+  const onOnline = () => callback(true);
+  const onOffline = () => callback(false);
+
+  window.addEventListener("online", onOnline);
+  window.addEventListener("offline", onOffline);
+
+  return () => {
+    window.removeEventListener("online", onOnline);
+    window.removeEventListener("offline", onOffline);
+  };
+}
+
+/**
+ * Ask the worker to re-fetch every city saved for offline use
+ */
+export async function requestWeatherRefresh() {
+  if (!isSupported()) return;
+
+  const registration = await navigator.serviceWorker.ready;
+  registration.active?.postMessage({ type: "REFRESH_WEATHER" });
+}
+
+// True when the worker answered from its offline copy
+export function isOfflineResponse(response) {
+  return response?.headers?.get("X-SW-Cache") === "offline";
+}
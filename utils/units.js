@@ -1,137 +1,319 @@
 /**
- * Advanced Fetch JSON Utility
+ * Weather Unit Conversion
+ *
+ * Base units (what providers return, see utils/weatherProviders.js):
+ *   temperature °C · wind m/s · pressure hPa · precipitation mm · distance m
+ *   absolute humidity g/m³ (derived, see utils/forecastUtils.js)
+ *
+ * Unit systems (heights such as cloud base are a distance too):
+ *   metric   °C, m/s,  hPa,  mm, km, height m,  g/m³
+ *   imperial °F, mph,  inHg, in, mi, height ft, gr/ft³
+ *   standard K,  m/s,  hPa,  mm, m,  height m,  g/m³   (OpenWeatherMap "standard")
+ *   custom   metric with per-quantity overrides
  */
 
-class FetchError extends Error {
-  constructor(message, { status, url, body }) {
+class UnitError extends Error {
+  constructor(message, { quantity, unit } = {}) {
     super(message);
-    this.name = "FetchError";
-    this.status = status;
-    this.url = url;
-    this.body = body;
+    this.name = "UnitError";
+    this.quantity = quantity;
+    this.unit = unit;
   }
 }
 
+/* --------------------------------
+   Unit Tables
+-------------------------------- */
+
+// Linear units: value_in_unit = base_value * factor
+const LINEAR = {
+  speed: {
+    "m/s": { factor: 1, label: "m/s" },
+    "km/h": { factor: 3.6, label: "km/h" },
+    mph: { factor: 3600 / 1609.344, label: "mph" },
+    kn: { factor: 3600 / 1852, label: "kn" }
+  },
+  pressure: {
+    hPa: { factor: 1, label: "hPa" },
+    inHg: { factor: 1 / 33.8639, label: "inHg" },
+    mmHg: { factor: 1 / 1.33322, label: "mmHg" }
+  },
+  precipitation: {
+    mm: { factor: 1, label: "mm" },
+    in: { factor: 1 / 25.4, label: "in" }
+  },
+  distance: {
+    m: { factor: 1, label: "m" },
+    km: { factor: 1 / 1000, label: "km" },
+    mi: { factor: 1 / 1609.344, label: "mi" },
+    ft: { factor: 1 / 0.3048, label: "ft" }
+  },
+  absoluteHumidity: {
+    "g/m3": { factor: 1, label: "g/m³" },
+    "gr/ft3": { factor: 15.4324 / 35.3147, label: "gr/ft³" }
+  }
+};
+
+const TEMPERATURE = {
+  C: { label: "°C", fromBase: c => c, toBase: c => c },
+  F: { label: "°F", fromBase: c => c * 9 / 5 + 32, toBase: f => (f - 32) * 5 / 9 },
+  K: { label: "K", fromBase: c => c + 273.15, toBase: k => k - 273.15 }
+};
+
+// Upper bound (m/s) of Beaufort forces 0–11; anything above is 12
+const BEAUFORT_LIMITS = [0.5, 1.5, 3.3, 5.5, 7.9, 10.7, 13.8, 17.1, 20.7, 24.4, 28.4, 32.6];
+
+const ALIASES = {
+  c: "C", celsius: "C",
+  f: "F", fahrenheit: "F",
+  k: "K", kelvin: "K",
+  ms: "m/s", mps: "m/s", "m/s": "m/s",
+  kmh: "km/h", kph: "km/h", "km/h": "km/h",
+  mph: "mph",
+  kn: "kn", kt: "kn", kts: "kn", knots: "kn",
+  bft: "bft", beaufort: "bft",
+  hpa: "hPa", mbar: "hPa", mb: "hPa",
+  inhg: "inHg",
+  mmhg: "mmHg", torr: "mmHg",
+  mm: "mm", in: "in", inch: "in", inches: "in",
+  m: "m", km: "km", mi: "mi", miles: "mi", ft: "ft", feet: "ft",
+  "g/m3": "g/m3", "g/m³": "g/m3", gm3: "g/m3",
+  "gr/ft3": "gr/ft3", "gr/ft³": "gr/ft3", grft3: "gr/ft3"
+};
+
+// Which quantity each unit measures (bft is speed, handled specially)
+const QUANTITY_OF = {
+  C: "temperature", F: "temperature", K: "temperature",
+  bft: "speed",
+  ...Object.fromEntries(
+    Object.entries(LINEAR).flatMap(([quantity, units]) =>
+      Object.keys(units).map(u => [u, quantity])
+    )
+  )
+};
+
+/* --------------------------------
+   Unit Systems
+-------------------------------- */
+
+const UNIT_SYSTEMS = {
+  metric: {
+    temperature: "C", wind: "m/s", pressure: "hPa",
+    precipitation: "mm", visibility: "km", distance: "km",
+    height: "m", humidity: "g/m3"
+  },
+  imperial: {
+    temperature: "F", wind: "mph", pressure: "inHg",
+    precipitation: "in", visibility: "mi", distance: "mi",
+    height: "ft", humidity: "gr/ft3"
+  },
+  standard: {
+    temperature: "K", wind: "m/s", pressure: "hPa",
+    precipitation: "mm", visibility: "m", distance: "m",
+    height: "m", humidity: "g/m3"
+  }
+};
+
+// Unit-system field → physical quantity
+const FIELD_QUANTITY = {
+  temperature: "temperature",
+  wind: "speed",
+  pressure: "pressure",
+  precipitation: "precipitation",
+  visibility: "distance",
+  distance: "distance",
+  height: "distance",
+  humidity: "absoluteHumidity"
+};
+
 /* --------------------------------
    Helpers
 -------------------------------- */
 
-function buildUrl(url, params) {
-  if (!params) return url;
+function isValidNumber(v) {
+  return typeof v === "number" && Number.isFinite(v);
+}
 
-  const u = new URL(url);
-  Object.entries(params).forEach(([k, v]) => {
-    if (v !== undefined && v !== null) {
-      u.searchParams.append(k, v);
-    }
-  });
+function normalizeUnit(unit) {
+  if (typeof unit !== "string") return null;
+  const key = unit.trim();
+  return ALIASES[key.toLowerCase()] || (QUANTITY_OF[key] ? key : null);
+}
 
-  return u.toString();
+function quantityOf(unit) {
+  return QUANTITY_OF[normalizeUnit(unit)] || null;
 }
 
-async function parseBody(res) {
-  const contentType = res.headers?.get?.("content-type") || "";
+function unitLabel(unit) {
+  const u = normalizeUnit(unit);
+  if (!u) return "";
+  if (u === "bft") return "Bft";
+  if (TEMPERATURE[u]) return TEMPERATURE[u].label;
+  return LINEAR[QUANTITY_OF[u]][u].label;
+}
 
-  if (contentType.includes("application/json")) {
-    return res.json();
-  }
+/* --------------------------------
+   Beaufort
+-------------------------------- */
+
+function toBeaufort(ms) {
+  if (!isValidNumber(ms)) return null;
+
+  const force = BEAUFORT_LIMITS.findIndex(limit => ms < limit);
+  return force === -1 ? 12 : force;
+}
 
-  return res.text();
+// Representative speed for a force: v = 0.836 · B^1.5 m/s
+function fromBeaufort(force) {
+  if (!isValidNumber(force)) return null;
+  return 0.836 * Math.max(0, force) ** 1.5;
 }
 
 /* --------------------------------
-   Core Request
+   Conversion
 -------------------------------- */
 
-async function fetchJson(url, options = {}) {
-
-  const {
-    method = "GET",
-    headers = {},
-    body,
-    params,
-    timeout = 10000,
-    retries = 0
-  } = options;
-
-  const finalUrl = buildUrl(url, params);
-
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), timeout);
-
-  try {
-
-    const res = await fetch(finalUrl, {
-      method,
-      headers: {
-        "Accept": "application/json",
-        ...headers
-      },
-      body:
-        body && typeof body === "object"
-          ? JSON.stringify(body)
-          : body,
-      signal: controller.signal
-    });
-
-    clearTimeout(timer);
-
-    const parsedBody = await parseBody(res);
-
-    if (!res.ok) {
-      const message =
-        parsedBody?.message ||
-        parsedBody ||
-        `Request failed (${res.status})`;
-
-      throw new FetchError(message, {
-        status: res.status,
-        url: finalUrl,
-        body: parsedBody
-      });
-    }
+/**
+ * Convert between any two units of the same quantity.
+ * @example convert(20, "C", "F") // 68
+ * @example convert(10, "m/s", "knots") // 19.44
+ */
+function convert(value, from, to) {
+  if (!isValidNumber(value)) return null;
 
-    return parsedBody;
+  const a = normalizeUnit(from);
+  const b = normalizeUnit(to);
 
-  } catch (err) {
+  if (!a) throw new UnitError(`Unknown unit "${from}"`, { unit: from });
+  if (!b) throw new UnitError(`Unknown unit "${to}"`, { unit: to });
 
-    if (retries > 0) {
-      return fetchJson(url, { ...options, retries: retries - 1 });
-    }
+  const quantity = QUANTITY_OF[a];
 
-    if (err.name === "AbortError") {
-      throw new FetchError("Request timeout", { url });
-    }
+  if (quantity !== QUANTITY_OF[b]) {
+    throw new UnitError(`Cannot convert ${a} to ${b}`, { quantity, unit: b });
+  }
 
-    throw err;
+  if (a === b) return value;
+
+  if (quantity === "temperature") {
+    return TEMPERATURE[b].fromBase(TEMPERATURE[a].toBase(value));
   }
+
+  const base = a === "bft" ? fromBeaufort(value) : value / LINEAR[quantity][a].factor;
+
+  return b === "bft" ? toBeaufort(base) : base * LINEAR[quantity][b].factor;
 }
 
+const convertTemperature = (value, from = "C", to = "C") => convert(value, from, to);
+const convertSpeed = (value, from = "m/s", to = "m/s") => convert(value, from, to);
+const convertPressure = (value, from = "hPa", to = "hPa") => convert(value, from, to);
+const convertPrecipitation = (value, from = "mm", to = "mm") => convert(value, from, to);
+const convertDistance = (value, from = "m", to = "m") => convert(value, from, to);
+
 /* --------------------------------
-   HTTP Helpers
+   Unit System Resolution
 -------------------------------- */
 
-const get = (url, options = {}) =>
-  fetchJson(url, { ...options, method: "GET" });
+/**
+ * Build a full unit set from a preset name plus per-field overrides.
+ * `custom` starts from metric. Overrides accept aliases ("kmh", "knots").
+ * @returns {{ system, temperature, wind, pressure, precipitation, visibility, distance, height, humidity }}
+ */
+function resolveUnits(system = "metric", overrides = {}) {
+  const name = String(system || "metric").trim().toLowerCase();
+  const preset = name === "custom" ? UNIT_SYSTEMS.metric : UNIT_SYSTEMS[name];
+
+  if (!preset) {
+    throw new UnitError(
+      `Unknown unit system "${system}". Use one of: ${[...Object.keys(UNIT_SYSTEMS), "custom"].join(", ")}`,
+      { unit: system }
+    );
+  }
+
+  const units = { ...preset };
+  let customized = false;
 
-const post = (url, body, options = {}) =>
-  fetchJson(url, { ...options, method: "POST", body });
+  for (const [field, quantity] of Object.entries(FIELD_QUANTITY)) {
+    const requested = overrides[field];
+    if (requested == null || requested === "") continue;
 
-const put = (url, body, options = {}) =>
-  fetchJson(url, { ...options, method: "PUT", body });
+    const unit = normalizeUnit(requested);
 
-const del = (url, options = {}) =>
-  fetchJson(url, { ...options, method: "DELETE" });
+    if (!unit || QUANTITY_OF[unit] !== quantity) {
+      throw new UnitError(`Invalid ${field} unit "${requested}"`, { quantity: field, unit: requested });
+    }
+
+    if (unit !== units[field]) customized = true;
+    units[field] = unit;
+  }
+
+  return { system: customized ? "custom" : name, ...units };
+}
+
+/**
+ * Convert one normalized weather entry (current or forecast slice)
+ * from base units into `units` (from resolveUnits).
+ */
+function convertEntry(entry, units) {
+  if (!entry) return entry;
+
+  // Two decimals keep inHg and inches meaningful without float noise
+  const to = (v, from, unit) => {
+    const out = convert(v, from, unit);
+    return out === null ? null : Math.round(out * 100) / 100;
+  };
+
+  const t = v => to(v, "C", units.temperature);
+  const w = v => to(v, "m/s", units.wind);
+  const p = v => to(v, "mm", units.precipitation);
+
+  return {
+    ...entry,
+    temp: t(entry.temp),
+    feelsLike: t(entry.feelsLike),
+    tempMin: t(entry.tempMin),
+    tempMax: t(entry.tempMax),
+    windSpeed: w(entry.windSpeed),
+    windGust: w(entry.windGust),
+    pressure: to(entry.pressure, "hPa", units.pressure),
+    visibility: to(entry.visibility, "m", units.visibility),
+    rain: p(entry.rain) ?? 0,
+    snow: p(entry.snow) ?? 0
+  };
+}
+
+/**
+ * Convert a normalized `{ current, forecast }` payload.
+ */
+function convertWeather(data, units) {
+  return {
+    ...data,
+    current: convertEntry(data.current, units),
+    forecast: data.forecast
+      ? { ...data.forecast, list: data.forecast.list.map(e => convertEntry(e, units)) }
+      : data.forecast
+  };
+}
 
 /* --------------------------------
    Export
 -------------------------------- */
 
 module.exports = {
-  fetchJson,
-  get,
-  post,
-  put,
-  del,
-  FetchError
+  UNIT_SYSTEMS,
+  UnitError,
+  normalizeUnit,
+  quantityOf,
+  unitLabel,
+  convert,
+  convertTemperature,
+  convertSpeed,
+  convertPressure,
+  convertPrecipitation,
+  convertDistance,
+  toBeaufort,
+  fromBeaufort,
+  resolveUnits,
+  convertEntry,
+  convertWeather
 };
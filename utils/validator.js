@@ -85,7 +85,7 @@ loadSchema(schema = {}) {
                     );
                 }
 
-                this.addRules(field, rule);
+                this.addRule(field, rule);
             }
         }
 
@@ -0,0 +1,373 @@
+/**
+ * Weather Alerts
+ * Threshold rules per watched city ("wind > 50 km/h",
+ * "rain probability > 70% tomorrow"), evaluated against the normalized
+ * /api/weather payload and checked on a cron schedule.
+ *
+ * A rule is stored together with the city it watches:
+ * { id, city: { id, name, country, lat, lon }, metric, op, value, unit, window, enabled, createdAt }
+ * `value` is kept in the unit the user typed; it's converted to base
+ * units (see utils/units.js) only when evaluating.
+ */
+
+import { getItem, setItem, onStorageChange } from "./localStorageManager";
+import { Scheduler } from "./scheduler";
+import { convert, normalizeUnit, quantityOf, unitLabel } from "./units";
+import { localDateKey } from "./forecastUtils";
+import { cityQuery } from "./savedCities";
+
+const RULES_KEY = "alertRules";
+const FIRED_KEY = "alertsFired";
+const SCHEMA_VERSION = 1;
+
+const MAX_RULES = 50;
+const FIRED_TTL = 2 * 24 * 60 * 60 * 1000; // longer than any rule window
+
+export const DEFAULT_CHECK_CRON = "*/15 * * * *";
+
+export class AlertRuleError extends Error {
+  constructor(message, { field } = {}) {
+    super(message);
+    this.name = "AlertRuleError";
+    this.field = field;
+  }
+}
+
+/* --------------------------------
+   Rule Vocabulary
+-------------------------------- */
+
+// `base` is the unit the normalized payload uses; percentages are 0..100
+export const METRICS = {
+  temp: { label: "Temperature", field: "temp", base: "C", aliases: ["temperature", "temp"] },
+  feelsLike: { label: "Feels like", field: "feelsLike", base: "C", aliases: ["feels like", "feels-like", "feelslike"] },
+  wind: { label: "Wind", field: "windSpeed", base: "m/s", aliases: ["wind speed", "wind"] },
+  gust: { label: "Wind gusts", field: "windGust", base: "m/s", aliases: ["wind gusts", "wind gust", "gusts", "gust"] },
+  pop: {
+    label: "Rain probability",
+    field: "pop",
+    base: "%",
+    aliases: ["rain probability", "precipitation probability", "chance of rain", "rain chance", "pop"]
+  },
+  rain: { label: "Rain", field: "rain", base: "mm", aliases: ["rainfall", "rain"] },
+  snow: { label: "Snow", field: "snow", base: "mm", aliases: ["snowfall", "snow"] },
+  humidity: { label: "Humidity", field: "humidity", base: "%", aliases: ["humidity"] },
+  pressure: { label: "Pressure", field: "pressure", base: "hPa", aliases: ["pressure"] }
+};
+
+const OPERATORS = {
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b
+};
+
+const OPERATOR_WORDS = { above: ">", over: ">", below: "<", under: "<" };
+
+export const WINDOWS = {
+  now: "right now",
+  today: "today",
+  tomorrow: "tomorrow",
+  next24h: "in the next 24h"
+};
+
+const WINDOW_PATTERNS = [
+  [/\b(?:right )?now$/, "now"],
+  [/\btoday$/, "today"],
+  [/\btomorrow$/, "tomorrow"],
+  [/\b(?:in the )?next 24 ?h(?:ours?)?$/, "next24h"]
+];
+
+// Which field of a unit set (utils/units.resolveUnits) a quantity maps to
+const UNIT_FIELD = { temperature: "temperature", speed: "wind", pressure: "pressure", precipitation: "precipitation" };
+
+// Longest aliases first so "wind gust" isn't read as "wind"
+const ALIAS_LIST = Object.entries(METRICS)
+  .flatMap(([metric, { aliases }]) => aliases.map(alias => [alias, metric]))
+  .sort(([a], [b]) => b.length - a.length);
+
+/* --------------------------------
+   Parsing
+-------------------------------- */
+
+/**
+ * Parse "wind > 50 km/h" or "rain probability above 70% tomorrow".
+ * A missing unit falls back to the user's display `units`; a missing
+ * window means the next 24 hours.
+ * @throws {AlertRuleError}
+ */
+export function parseRule(text, { units = {} } = {}) {
+  const input = String(text || "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!input) throw new AlertRuleError("Enter a rule, e.g. wind > 50 km/h", { field: "rule" });
+
+  const match = ALIAS_LIST.find(([alias]) => input.startsWith(alias));
+  if (!match) {
+    throw new AlertRuleError(
+      `Unknown measurement. Try one of: ${Object.values(METRICS).map(m => m.aliases[0]).join(", ")}`,
+      { field: "metric" }
+    );
+  }
+
+  const [alias, metric] = match;
+  let rest = input.slice(alias.length).trim();
+
+  const comparison = rest.match(/^(>=|<=|>|<|above|over|below|under)\s*(-?\d+(?:\.\d+)?)\s*(.*)$/);
+  if (!comparison) {
+    throw new AlertRuleError("Expected a comparison such as > 50 or below 0", { field: "op" });
+  }
+
+  const [, opText, valueText] = comparison;
+  rest = comparison[3].trim();
+
+  let window = "next24h";
+  for (const [pattern, name] of WINDOW_PATTERNS) {
+    if (pattern.test(rest)) {
+      window = name;
+      rest = rest.replace(pattern, "").trim();
+      break;
+    }
+  }
+
+  return {
+    metric,
+    op: OPERATOR_WORDS[opText] || opText,
+    value: Number(valueText),
+    unit: parseUnit(metric, rest, units),
+    window
+  };
+}
+
+function parseUnit(metric, text, units) {
+  const { base } = METRICS[metric];
+
+  if (base === "%") {
+    if (text && text !== "%") throw new AlertRuleError(`${METRICS[metric].label} is a percentage`, { field: "unit" });
+    return "%";
+  }
+
+  const quantity = quantityOf(base);
+
+  if (!text) return units[UNIT_FIELD[quantity]] || base;
+
+  const unit = normalizeUnit(text.replace(/^°\s*/, ""));
+  if (!unit || quantityOf(unit) !== quantity) {
+    throw new AlertRuleError(`"${text}" is not a ${quantity} unit`, { field: "unit" });
+  }
+
+  return unit;
+}
+
+/**
+ * "Wind > 50 km/h tomorrow"
+ */
+export function describeRule(rule) {
+  const unit = rule.unit === "%" ? "%" : ` ${unitLabel(rule.unit)}`;
+  return `${METRICS[rule.metric].label} ${rule.op} ${rule.value}${unit} ${WINDOWS[rule.window]}`;
+}
+
+/* --------------------------------
+   Evaluation
+-------------------------------- */
+
+function readValue(entry, metric) {
+  const value = entry?.[METRICS[metric].field];
+  if (!Number.isFinite(value)) return null;
+  return metric === "pop" ? value * 100 : value;
+}
+
+function entriesInWindow(weather, window, now, zone) {
+  const list = weather.forecast?.list || [];
+
+  switch (window) {
+    case "now":
+      return weather.current ? [weather.current] : [];
+    case "today":
+    case "tomorrow": {
+      const day = localDateKey(now + (window === "tomorrow" ? 86400 : 0), zone);
+      return list.filter(e => localDateKey(e.time, zone) === day);
+    }
+    default:
+      // Forecast slices are up to 3h long; keep the one we're currently in
+      return list.filter(e => e.time > now - 3 * 3600 && e.time <= now + 86400);
+  }
+}
+
+/**
+ * Check one rule against an /api/weather body fetched with units=metric.
+ * Returns the most extreme matching slice, or null.
+ * @returns {{ rule, value, unit, time, date, key } | null}
+ */
+export function evaluateRule(rule, weather, { now = Math.floor(Date.now() / 1000) } = {}) {
+  if (!weather?.success) return null;
+
+  const { base } = METRICS[rule.metric];
+  const threshold = base === "%" ? rule.value : convert(rule.value, rule.unit, base);
+  const compare = OPERATORS[rule.op];
+  const zone = { timezone: weather.location?.timezone, utcOffset: weather.location?.timezoneOffset };
+  const higher = rule.op.startsWith(">");
+
+  let hit = null;
+
+  for (const entry of entriesInWindow(weather, rule.window, now, zone)) {
+    const value = readValue(entry, rule.metric);
+    if (value === null || !compare(value, threshold)) continue;
+
+    if (!hit || (higher ? value > hit.value : value < hit.value)) {
+      hit = { value, time: entry.time ?? now };
+    }
+  }
+
+  if (!hit) return null;
+
+  const date = localDateKey(hit.time, zone);
+  const value = base === "%" ? hit.value : convert(hit.value, base, rule.unit);
+
+  return {
+    rule,
+    value: Math.round(value * 10) / 10,
+    unit: rule.unit,
+    time: hit.time,
+    date,
+    // One alert per rule per local day, however often we poll
+    key: `${rule.id}|${date}`
+  };
+}
+
+/* --------------------------------
+   Rule Storage
+-------------------------------- */
+
+const readOptions = { version: SCHEMA_VERSION };
+
+export function getRules() {
+  return getItem(RULES_KEY, [], readOptions);
+}
+
+function saveRules(list) {
+  const next = list.slice(0, MAX_RULES);
+  setItem(RULES_KEY, next, { version: SCHEMA_VERSION });
+  return next;
+}
+
+function newId() {
+  return globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Store a parsed rule for `location` (the /api/weather location block)
+ */
+export function addRule(location, parsed) {
+  const { id = null, name, country = "", lat = null, lon = null } = location || {};
+
+  if (!name) throw new AlertRuleError("Load a city before adding alerts", { field: "city" });
+
+  const rule = { ...parsed, id: newId(), city: { id, name, country, lat, lon }, enabled: true, createdAt: Date.now() };
+  return saveRules([...getRules(), rule]);
+}
+
+export function removeRule(id) {
+  return saveRules(getRules().filter(r => r.id !== id));
+}
+
+export function setRuleEnabled(id, enabled) {
+  return saveRules(getRules().map(r => (r.id === id ? { ...r, enabled } : r)));
+}
+
+/**
+ * Calls back with the fresh rule list when another tab edits it.
+ * Returns an unsubscribe function.
+ */
+export function subscribeRules(callback) {
+  return onStorageChange(({ key }) => {
+    if (key === RULES_KEY) callback(getRules());
+  });
+}
+
+/* --------------------------------
+   Dedupe
+-------------------------------- */
+
+// key -> timestamp; persisted so a reload doesn't re-announce the same alert
+function getFired() {
+  const now = Date.now();
+  const fired = getItem(FIRED_KEY, {}, readOptions);
+  return Object.fromEntries(Object.entries(fired).filter(([, at]) => now - at < FIRED_TTL));
+}
+
+function markFired(keys) {
+  const fired = getFired();
+  keys.forEach(key => { fired[key] = Date.now(); });
+  setItem(FIRED_KEY, fired, { version: SCHEMA_VERSION });
+}
+
+/* --------------------------------
+   Monitor
+-------------------------------- */
+
+async function fetchWeather(city) {
+  const res = await fetch(`/api/weather?${cityQuery(city)}&include=forecast&units=metric`);
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || "Error fetching weather");
+  return data;
+}
+
+/**
+ * Evaluate every enabled rule now. Each watched city is fetched once;
+ * only hits that haven't fired before are sent to `notifications`.
+ * @returns {Promise<Array>} new hits
+ */
+export async function checkAlerts({ notifications, fetcher = fetchWeather } = {}) {
+  const rules = getRules().filter(r => r.enabled);
+  const byCity = new Map();
+
+  for (const rule of rules) {
+    const query = cityQuery(rule.city);
+    if (!byCity.has(query)) byCity.set(query, []);
+    byCity.get(query).push(rule);
+  }
+
+  const fired = getFired();
+  const hits = [];
+
+  await Promise.allSettled(
+    [...byCity.values()].map(async (cityRules) => {
+      const weather = await fetcher(cityRules[0].city);
+
+      for (const rule of cityRules) {
+        const hit = evaluateRule(rule, weather);
+        if (hit && !fired[hit.key]) hits.push(hit);
+      }
+    })
+  );
+
+  if (!hits.length) return hits;
+
+  markFired(hits.map(h => h.key));
+
+  for (const hit of hits) {
+    const unit = hit.unit === "%" ? "%" : ` ${unitLabel(hit.unit)}`;
+    notifications?.notify({
+      type: "warning",
+      priority: 1,
+      duration: 0, // stays until dismissed
+      dedupeKey: hit.key,
+      message: `${hit.rule.city.name}: ${describeRule(hit.rule)} (${hit.value}${unit} on ${hit.date})`,
+      meta: { ruleId: hit.rule.id, time: hit.time }
+    });
+  }
+
+  return hits;
+}
+
+/**
+ * Run checkAlerts on a cron schedule (default every 15 minutes).
+ * Returns a stop function.
+ */
+export function startAlertMonitor({ notifications, cron = DEFAULT_CHECK_CRON, onError } = {}) {
+  const scheduler = new Scheduler();
+  const id = "weather-alerts";
+
+  scheduler.schedule(id, cron, () => checkAlerts({ notifications }), { onError });
+
+  return () => scheduler.cancel(id);
+}
@@ -0,0 +1,194 @@
+/**
+ * Weather Export
+ * Serializes a normalized /api/weather payload (already converted to the
+ * requested units, see utils/units.convertWeather) for download:
+ *   csv   one row per forecast entry (utils/csvParser.js)
+ *   json  location, units, current and forecast as-is
+ *   xml   the same rows as elements (utils/xmlParser.js)
+ *   ics   one all-day event per forecast day (utils/icalendar.js)
+ */
+
+import { CSVParser } from "./csvParser";
+import { XMLParser } from "./xmlParser";
+import { stringifyCalendar } from "./icalendar";
+import { unitLabel } from "./units";
+import { summarizeDailyForecast, localDateKey } from "./forecastUtils";
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: "text/csv; charset=utf-8", extension: "csv" },
+  json: { contentType: "application/json; charset=utf-8", extension: "json" },
+  xml: { contentType: "application/xml; charset=utf-8", extension: "xml" },
+  ics: { contentType: "text/calendar; charset=utf-8", extension: "ics" }
+};
+
+/* --------------------------------
+   Rows
+-------------------------------- */
+
+// [key, unit field of the unit set (or a fixed label), read from an entry]
+const COLUMNS = [
+  ["time", null, e => new Date(e.time * 1000).toISOString()],
+  ["temp", "temperature", e => e.temp],
+  ["feelsLike", "temperature", e => e.feelsLike],
+  ["tempMin", "temperature", e => e.tempMin],
+  ["tempMax", "temperature", e => e.tempMax],
+  ["humidity", "%", e => e.humidity],
+  ["pressure", "pressure", e => e.pressure],
+  ["windSpeed", "wind", e => e.windSpeed],
+  ["windGust", "wind", e => e.windGust],
+  ["windDeg", "°", e => e.windDeg],
+  ["clouds", "%", e => e.clouds],
+  ["pop", "%", e => (Number.isFinite(e.pop) ? Math.round(e.pop * 100) : null)],
+  ["rain", "precipitation", e => e.rain],
+  ["snow", "precipitation", e => e.snow],
+  ["visibility", "visibility", e => e.visibility],
+  ["condition", null, e => e.condition?.main ?? null],
+  ["description", null, e => e.condition?.description ?? null]
+];
+
+function columnUnit(unitField, units) {
+  if (!unitField) return null;
+  return unitField in units ? unitLabel(units[unitField]) : unitField;
+}
+
+// Local calendar date first, so spreadsheets can group by day
+function forecastRows(data) {
+  const zone = { timezone: data.location?.timezone, utcOffset: data.location?.timezoneOffset };
+
+  return (data.forecast?.list || []).map(entry => ({
+    date: localDateKey(entry.time, zone),
+    ...Object.fromEntries(COLUMNS.map(([key, , read]) => [key, read(entry) ?? null]))
+  }));
+}
+
+/* --------------------------------
+   Serializers
+-------------------------------- */
+
+function toCsv(data, units) {
+  const headers = [
+    "date",
+    ...COLUMNS.map(([key, unitField]) => {
+      const unit = columnUnit(unitField, units);
+      return unit ? `${key} (${unit})` : key;
+    })
+  ];
+
+  const rows = forecastRows(data).map(row => Object.values(row));
+
+  // BOM so Excel opens UTF-8 (°, µ) correctly
+  return CSVParser.generate(rows, { headers, bom: true });
+}
+
+function toJson(data, units, fetchedAt) {
+  return JSON.stringify({
+    location: data.location,
+    provider: data.provider,
+    fetchedAt,
+    units,
+    current: data.current,
+    forecast: data.forecast?.list || []
+  }, null, 2);
+}
+
+function toXml(data, units, fetchedAt) {
+  const { location } = data;
+
+  const entries = forecastRows(data).map(({ date, time, ...values }) => ({
+    name: "entry",
+    attributes: { date, time },
+    children: COLUMNS
+      .filter(([key]) => key in values && values[key] !== null)
+      .map(([key, unitField]) => {
+        const unit = columnUnit(unitField, units);
+        return { name: key, text: values[key], ...(unit ? { attributes: { unit } } : {}) };
+      })
+  }));
+
+  return XMLParser.stringify({
+    name: "weather",
+    attributes: {
+      city: location.name,
+      country: location.country ?? "",
+      lat: location.lat,
+      lon: location.lon,
+      timezone: location.timezone ?? "",
+      provider: data.provider,
+      fetchedAt
+    },
+    children: [
+      {
+        name: "units",
+        attributes: Object.fromEntries(Object.entries(units).map(([k, v]) => [k, k === "system" ? v : unitLabel(v)]))
+      },
+      { name: "forecast", children: entries }
+    ]
+  });
+}
+
+function toICalendar(data, units, fetchedAt) {
+  const { location } = data;
+  const zone = { timezone: location.timezone, utcOffset: location.timezoneOffset };
+  const place = [location.name, location.country].filter(Boolean).join(", ");
+
+  // Values are already in `units`, so only labels are added here
+  const temp = v => (v === null ? "—" : `${v}${unitLabel(units.temperature) === "K" ? " K" : unitLabel(units.temperature)}`);
+  const measure = (v, field) => `${v} ${unitLabel(units[field])}`;
+
+  // Derived metrics assume base units; the payload may be converted
+  const days = summarizeDailyForecast(data.forecast?.list, { ...zone, days: 7, includeDerived: false });
+
+  const events = days.map(d => {
+    const outlook = d.description ? d.description[0].toUpperCase() + d.description.slice(1) : d.weather || "Forecast";
+
+    const details = [
+      `Low ${temp(d.min)}, high ${temp(d.max)}`,
+      d.precipitationProbability !== null && `Chance of precipitation ${d.precipitationProbability}%`,
+      d.rain > 0 && `Rain ${measure(d.rain, "precipitation")}`,
+      d.snow > 0 && `Snow ${measure(d.snow, "precipitation")}`,
+      d.humidity !== null && `Humidity ${d.humidity}%`,
+      d.wind !== null && `Wind ${measure(d.wind, "wind")}`,
+      `Source: ${data.provider}, ${fetchedAt}`
+    ].filter(Boolean);
+
+    return {
+      uid: `${d.date}-${location.id ?? `${location.lat},${location.lon}`}@weatherpro`,
+      start: d.date,
+      allDay: true,
+      summary: `${location.name}: ${outlook}, ${temp(d.min)} / ${temp(d.max)}`,
+      description: details.join("\n"),
+      location: place,
+      geo: { lat: location.lat, lon: location.lon },
+      categories: ["Weather"]
+    };
+  });
+
+  return stringifyCalendar({ name: `Weather · ${place}`, events });
+}
+
+const SERIALIZERS = { csv: toCsv, json: toJson, xml: toXml, ics: toICalendar };
+
+/* --------------------------------
+   Export
+-------------------------------- */
+
+/**
+ * @param {"csv"|"json"|"xml"|"ics"} format
+ * @param {{ data: object, units: object, fetchedAt: string }} payload
+ * @returns {{ body: string, contentType: string, filename: string }}
+ */
+export function exportWeather(format, { data, units, fetchedAt }) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new TypeError(`Unknown export format "${format}"`);
+
+  const zone = { timezone: data.location.timezone, utcOffset: data.location.timezoneOffset };
+  const today = localDateKey(Math.floor(Date.now() / 1000), zone);
+  const slug = String(data.location.name || "location").toLowerCase().normalize("NFKD")
+    .replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "location";
+
+  return {
+    body: SERIALIZERS[format](data, units, fetchedAt),
+    contentType: spec.contentType,
+    filename: `weather-${slug}-${today}.${spec.extension}`
+  };
+}
@@ -1,7 +1,10 @@
 /**
  * Weather / Display Formatters v2
+ * Values are converted through utils/units.js before formatting.
  */
 
+const { convert, unitLabel, toBeaufort } = require("./units");
+
 /* --------------------------------
    Helpers
 -------------------------------- */
@@ -39,40 +42,39 @@ function formatCityLabel(name, country) {
    Temperature
 -------------------------------- */
 
+// `from` is the unit `value` is in (defaults to `unit`, i.e. no conversion)
 function formatTemp(value, {
   unit = "C",
+  from = unit,
   decimals = 1
 } = {}) {
 
   if (!isValidNumber(value)) return "";
 
-  const v = round(value, decimals);
-
-  if (unit === "F") {
-    return `${v}°F`;
-  }
+  const v = round(convert(value, from, unit), decimals);
+  const label = unitLabel(unit);
 
-  return `${v}°C`;
+  return label === "K" ? `${v} K` : `${v}${label}`;
 }
 
-/* --------------------------------
-   Wind
--------------------------------- */
+// A temperature difference in °C, e.g. an anomaly: "+4.2°" (K steps equal °C steps, °F are 5/9 as large)
+function formatTempDelta(deltaC, {
+  unit = "C",
+  decimals = 1
+} = {}) {
 
-function msToKmh(ms) {
-  return ms * 3.6;
-}
+  if (!isValidNumber(deltaC)) return "";
 
-function getBeaufort(ms) {
-  const scale = [
-    0, 0.5, 1.5, 3.3, 5.5, 7.9,
-    10.7, 13.8, 17.1, 20.7,
-    24.4, 28.4, 32.6
-  ];
+  const v = round(unit === "F" ? deltaC * 9 / 5 : deltaC, decimals);
 
-  return scale.findIndex(v => ms <= v);
+  return `${v > 0 ? "+" : ""}${v}°`;
 }
 
+/* --------------------------------
+   Wind
+-------------------------------- */
+
+// unit: m/s | km/h | mph | kn | bft
 function formatWind(valueMs, {
   unit = "m/s",
   decimals = 1,
@@ -81,22 +83,104 @@ function formatWind(valueMs, {
 
   if (!isValidNumber(valueMs)) return "";
 
-  let value = valueMs;
-  let label = "m/s";
+  const scale = toBeaufort(valueMs);
 
-  if (unit === "km/h") {
-    value = msToKmh(valueMs);
-    label = "km/h";
+  if (unitLabel(unit) === "Bft") {
+    return `Bft ${scale}`;
   }
 
-  const result = `${round(value, decimals)} ${label}`;
+  const result = `${round(convert(valueMs, "m/s", unit), decimals)} ${unitLabel(unit)}`;
 
   if (!withScale) return result;
 
-  const scale = getBeaufort(valueMs);
   return `${result} (Bft ${scale})`;
 }
 
+/* --------------------------------
+   Pressure / Precipitation / Distance
+-------------------------------- */
+
+function formatMeasure(value, from, unit, decimals) {
+  if (!isValidNumber(value)) return "";
+  return `${round(convert(value, from, unit), decimals)} ${unitLabel(unit)}`;
+}
+
+function formatPressure(valueHpa, {
+  unit = "hPa",
+  decimals = unit === "inHg" ? 2 : 0
+} = {}) {
+  return formatMeasure(valueHpa, "hPa", unit, decimals);
+}
+
+function formatPrecipitation(valueMm, {
+  unit = "mm",
+  decimals = unit === "in" ? 2 : 1
+} = {}) {
+  return formatMeasure(valueMm, "mm", unit, decimals);
+}
+
+// Visibility and other distances, given in metres
+function formatDistance(valueM, {
+  unit = "km",
+  decimals = 1
+} = {}) {
+  return formatMeasure(valueM, "m", unit, decimals);
+}
+
+// Cloud base and other heights, given in metres
+function formatHeight(valueM, {
+  unit = "m",
+  decimals = 0
+} = {}) {
+  return formatMeasure(valueM, "m", unit, decimals);
+}
+
+/* --------------------------------
+   Derived Metrics
+-------------------------------- */
+
+// Absolute humidity, given in g/m³ (unit: g/m3 | gr/ft3)
+function formatAbsoluteHumidity(valueGm3, {
+  unit = "g/m3",
+  decimals = 1
+} = {}) {
+  return formatMeasure(valueGm3, "g/m3", unit, decimals);
+}
+
+// Growing degree days are °C·days; °F-based GDD are 9/5 as large
+function formatDegreeDays(valueC, {
+  unit = "C",
+  decimals = 1
+} = {}) {
+
+  if (!isValidNumber(valueC)) return "";
+
+  const v = round(unit === "F" ? valueC * 9 / 5 : valueC, decimals);
+  return `${v} GDD`;
+}
+
+const COMFORT_LEVELS = [
+  [80, "Very comfortable"],
+  [60, "Comfortable"],
+  [40, "Fair"],
+  [20, "Uncomfortable"],
+  [0, "Very uncomfortable"]
+];
+
+// Comfort score 0–100 → "72 · Comfortable"
+function formatComfort(score, {
+  withLabel = true
+} = {}) {
+
+  if (!isValidNumber(score)) return "";
+
+  const v = round(clamp(score, 0, 100));
+  if (!withLabel) return `${v}`;
+
+  const [, label] = COMFORT_LEVELS.find(([min]) => v >= min);
+  return `${v} · ${label}`;
+}
+
 /* --------------------------------
    Percentage
 -------------------------------- */
@@ -137,7 +221,15 @@ function formatNumber(value, {
 module.exports = {
   formatCityLabel,
   formatTemp,
+  formatTempDelta,
   formatWind,
+  formatPressure,
+  formatPrecipitation,
+  formatDistance,
+  formatHeight,
+  formatAbsoluteHumidity,
+  formatDegreeDays,
+  formatComfort,
   formatPercent,
   formatNumber
 };
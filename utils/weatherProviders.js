@@ -0,0 +1,952 @@
+/**
+ * Weather Provider Layer
+ *
+ * Every provider maps its upstream payload into one normalized shape so
+ * the API route and the UI never see vendor-specific fields:
+ *
+ *   {
+ *     provider: "open-meteo",
+ *     location: { id, name, country, lat, lon, timezone, timezoneOffset },
+ *     current:  { time, temp, feelsLike, tempMin, tempMax, humidity,
+ *                 pressure, windSpeed, windDeg, windGust, clouds,
+ *                 visibility, rain, snow, condition, sunrise, sunset },
+ *     forecast: { list: [{ time, temp, ..., pop, rain, snow, condition }] }
+ *   }
+ *
+ * All values are metric (°C, m/s, hPa, mm, metres) and timestamps are
+ * unix seconds. `timezone` is the IANA zone when the vendor reports one
+ * (null otherwise) and `timezoneOffset` the current UTC offset in seconds. `condition` is `{ id, main, description, icon }` using
+ * OpenWeatherMap icon codes so the UI can keep a single icon set.
+ *
+ * Providers that support it also implement getAirQuality(query):
+ *
+ *   {
+ *     provider, location,
+ *     current: { time, pm2_5, pm10, o3, no2, uvIndex, uvIndexMax }
+ *   }
+ *
+ * with concentrations in µg/m³ (null when the vendor doesn't report
+ * them); utils/airQuality.js derives the AQI and bands.
+ *
+ * ...and getHistory(query, { days }), the completed local days before
+ * today, oldest first:
+ *
+ *   { provider, location, days: [{ date: "YYYY-MM-DD", tempMin, tempMax, tempMean, precipitation }] }
+ *
+ * Queries come from utils/locationQuery.js: `{ type: "city", q }`,
+ * `{ type: "coords", lat, lon }`, `{ type: "zip", zip, country }` or
+ * `{ type: "id", id }` (OpenWeatherMap / GeoNames city id).
+ *
+ * Upstream calls go through a per-provider circuit breaker wrapping
+ * jittered retries, so a vendor outage fails fast instead of hanging.
+ */
+
+const { fetchJson } = require("./fetchJson");
+const { getTimezoneOffset } = require("./forecastUtils");
+const { CircuitBreaker } = require("./circuitBreaker");
+const { RetryManager } = require("./retryManager");
+
+class WeatherProviderError extends Error {
+  constructor(message, { status = 502, provider, code } = {}) {
+    super(message);
+    this.name = "WeatherProviderError";
+    this.status = status;
+    this.provider = provider;
+    this.code = code;
+  }
+}
+
+/* --------------------------------
+   Helpers
+-------------------------------- */
+
+function num(value) {
+  return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+function toUnix(value) {
+  if (typeof value === "number") return value;
+  const ms = Date.parse(value);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+// Canonical conditions shared by the non-OWM providers.
+const CONDITIONS = {
+  clear:        { id: 800, main: "Clear",        description: "clear sky",        icon: "01" },
+  fair:         { id: 801, main: "Clouds",       description: "few clouds",       icon: "02" },
+  partlyCloudy: { id: 802, main: "Clouds",       description: "scattered clouds", icon: "03" },
+  cloudy:       { id: 804, main: "Clouds",       description: "overcast clouds",  icon: "04" },
+  fog:          { id: 741, main: "Fog",          description: "fog",              icon: "50" },
+  drizzle:      { id: 300, main: "Drizzle",      description: "drizzle",          icon: "09" },
+  lightRain:    { id: 500, main: "Rain",         description: "light rain",       icon: "10" },
+  rain:         { id: 501, main: "Rain",         description: "moderate rain",    icon: "10" },
+  heavyRain:    { id: 502, main: "Rain",         description: "heavy rain",       icon: "09" },
+  sleet:        { id: 611, main: "Snow",         description: "sleet",            icon: "13" },
+  lightSnow:    { id: 600, main: "Snow",         description: "light snow",       icon: "13" },
+  snow:         { id: 601, main: "Snow",         description: "snow",             icon: "13" },
+  heavySnow:    { id: 602, main: "Snow",         description: "heavy snow",       icon: "13" },
+  thunderstorm: { id: 211, main: "Thunderstorm", description: "thunderstorm",     icon: "11" }
+};
+
+function condition(key, isDay = true) {
+  const c = CONDITIONS[key] || CONDITIONS.cloudy;
+  return { ...c, icon: `${c.icon}${isDay ? "d" : "n"}` };
+}
+
+// WMO weather interpretation codes (used by Open-Meteo)
+function wmoToKey(code) {
+  if (code === 0) return "clear";
+  if (code === 1) return "fair";
+  if (code === 2) return "partlyCloudy";
+  if (code === 3) return "cloudy";
+  if (code === 45 || code === 48) return "fog";
+  if (code >= 51 && code <= 57) return "drizzle";
+  if (code === 61 || code === 80) return "lightRain";
+  if (code === 63 || code === 81) return "rain";
+  if (code === 65 || code === 82) return "heavyRain";
+  if (code === 66 || code === 67) return "sleet";
+  if (code === 71 || code === 77 || code === 85) return "lightSnow";
+  if (code === 73) return "snow";
+  if (code === 75 || code === 86) return "heavySnow";
+  if (code >= 95) return "thunderstorm";
+  return "cloudy";
+}
+
+// met.no symbol codes, e.g. "partlycloudy_day", "heavyrainandthunder"
+function symbolToKey(symbol = "") {
+  const base = symbol.split("_")[0];
+
+  if (base.includes("thunder")) return "thunderstorm";
+  if (base.includes("sleet")) return "sleet";
+  if (base.includes("snow")) {
+    return base.startsWith("light") ? "lightSnow" : base.startsWith("heavy") ? "heavySnow" : "snow";
+  }
+  if (base.includes("rain")) {
+    return base.startsWith("light") ? "lightRain" : base.startsWith("heavy") ? "heavyRain" : "rain";
+  }
+  if (base === "fog") return "fog";
+  if (base === "clearsky") return "clear";
+  if (base === "fair") return "fair";
+  if (base === "partlycloudy") return "partlyCloudy";
+  return "cloudy";
+}
+
+/* --------------------------------
+   Base Provider
+-------------------------------- */
+
+class WeatherProvider {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = options;
+
+    const {
+      retries = 2,
+      retryDelay = 250,
+      attemptTimeout = 4000,
+      deadline = 10000,
+      failureThreshold = 5,
+      resetTimeout = 30000
+    } = options.resilience || {};
+
+    // Each attempt gets its own AbortSignal timeout; the breaker's
+    // signal caps the whole retry sequence.
+    this.breaker = new CircuitBreaker(
+      (url, fetchOptions, { signal }) =>
+        RetryManager.execute(
+          () => fetchJson(url, { ...fetchOptions, timeout: attemptTimeout, signal }),
+          {
+            retries,
+            initialDelay: retryDelay,
+            maxDelay: 2000,
+            backoff: "exponential",
+            jitter: true,
+            signal
+          }
+        ),
+      {
+        threshold: failureThreshold,
+        successThreshold: 1,
+        timeout: deadline,
+        resetTimeout,
+        // 4xx (bad key, unknown city) is the caller's fault, not an outage
+        errorFilter: err => !(err?.status >= 400 && err.status < 500),
+        fallback: err => {
+          throw /^CircuitBreaker:/.test(err.message)
+            ? new WeatherProviderError(`${name} is temporarily unavailable`, {
+              status: 503,
+              provider: name,
+              code: "CIRCUIT_OPEN"
+            })
+            : err;
+        }
+      }
+    );
+  }
+
+  getBreakerState() {
+    const { state, failures, nextAttempt } = this.breaker.getState();
+
+    return {
+      state,
+      failures,
+      retryAt: state === "OPEN" ? new Date(nextAttempt).toISOString() : null
+    };
+  }
+
+  /**
+   * Fetch normalized weather for a location query.
+   * @param {{ type: string }} query  parsed by utils/locationQuery.js
+   * @param {{ includeForecast?: boolean }} [options]
+   */
+  async getWeather(query, options = {}) {
+    throw new Error(`${this.name}: getWeather() not implemented`);
+  }
+
+  /**
+   * Fetch normalized air quality and UV for a location query.
+   * @param {{ type: string }} query  parsed by utils/locationQuery.js
+   */
+  async getAirQuality(query) {
+    throw this.error(`${this.name} does not provide air quality data`, 501);
+  }
+
+  /**
+   * Fetch observed daily values for the `days` days before today.
+   * @param {{ type: string }} query  parsed by utils/locationQuery.js
+   * @param {{ days?: number }} [options]
+   */
+  async getHistory(query, options = {}) {
+    throw this.error(`${this.name} does not provide historical data`, 501);
+  }
+
+  error(message, status) {
+    return new WeatherProviderError(message, { status, provider: this.name });
+  }
+
+  async request(url, options = {}) {
+    try {
+      return await this.breaker.execute(url, options);
+    } catch (err) {
+      if (err instanceof WeatherProviderError) throw err;
+
+      if (err?.name === "AbortError") {
+        throw this.error("Upstream request timed out", 504);
+      }
+
+      throw this.error(
+        typeof err.message === "string" ? err.message : "Upstream request failed",
+        err.status || 502
+      );
+    }
+  }
+}
+
+/* --------------------------------
+   Geocoding (Open-Meteo)
+-------------------------------- */
+
+const GEOCODING_URL = "https://geocoding-api.open-meteo.com/v1";
+
+function mapPlace(place) {
+  const timezone = place.timezone || null;
+
+  return {
+    id: place.id ?? null,
+    name: place.name,
+    country: place.country_code || "",
+    lat: place.latitude,
+    lon: place.longitude,
+    timezone,
+    timezoneOffset: timezone ? getTimezoneOffset(timezone) : null
+  };
+}
+
+// Resolve any query type to coordinates for coordinate-only providers
+async function resolvePlace(provider, query) {
+  if (query.type === "coords") {
+    return {
+      id: null,
+      name: `${query.lat.toFixed(2)}, ${query.lon.toFixed(2)}`,
+      country: "",
+      lat: query.lat,
+      lon: query.lon,
+      timezone: null,
+      // Solar-time estimate; providers that know the zone overwrite it
+      timezoneOffset: Math.round(query.lon / 15) * 3600
+    };
+  }
+
+  if (query.type === "id") {
+    const place = await provider.request(`${GEOCODING_URL}/get`, {
+      params: { id: query.id, language: "en", format: "json" }
+    });
+    return mapPlace(place);
+  }
+
+  // Postal codes are searched like names, narrowed by country
+  const data = await provider.request(`${GEOCODING_URL}/search`, {
+    params: {
+      name: query.type === "zip" ? query.zip : query.q,
+      countryCode: query.type === "zip" && query.country ? query.country.toUpperCase() : undefined,
+      count: 1,
+      language: "en",
+      format: "json"
+    }
+  });
+
+  const place = data?.results?.[0];
+
+  if (!place) {
+    throw provider.error("city not found", 404);
+  }
+
+  return mapPlace(place);
+}
+
+/* --------------------------------
+   OpenWeatherMap
+-------------------------------- */
+
+class OpenWeatherMapProvider extends WeatherProvider {
+  constructor(options = {}) {
+    super("openweathermap", options);
+    this.baseUrl = options.baseUrl || "https://api.openweathermap.org/data/2.5";
+  }
+
+  get apiKey() {
+    return this.options.apiKey ||
+      process.env.OPENWEATHER_KEY ||
+      process.env.OPENWEATHER_API_KEY;
+  }
+
+  async getWeather(query, { includeForecast = false } = {}) {
+    const appid = this.apiKey;
+
+    if (!appid) {
+      throw this.error("Missing OPENWEATHER_KEY in environment", 500);
+    }
+
+    const params = { ...this.locationParams(query), units: "metric", appid };
+
+    const [current, forecast] = await Promise.all([
+      this.request(`${this.baseUrl}/weather`, { params }),
+      includeForecast
+        ? this.request(`${this.baseUrl}/forecast`, { params })
+        : null
+    ]);
+
+    return {
+      provider: this.name,
+      location: this.mapLocation(current),
+      current: {
+        ...this.mapEntry(current),
+        sunrise: current.sys?.sunrise ?? null,
+        sunset: current.sys?.sunset ?? null
+      },
+      forecast: forecast
+        ? { list: (forecast.list || []).map(e => this.mapEntry(e)) }
+        : null
+    };
+  }
+
+  // Air pollution is coordinate-only, so the place is resolved through /weather first
+  async getAirQuality(query) {
+    const appid = this.apiKey;
+
+    if (!appid) {
+      throw this.error("Missing OPENWEATHER_KEY in environment", 500);
+    }
+
+    const current = await this.request(`${this.baseUrl}/weather`, {
+      params: { ...this.locationParams(query), units: "metric", appid }
+    });
+    const location = this.mapLocation(current);
+
+    const data = await this.request(`${this.baseUrl}/air_pollution`, {
+      params: { lat: location.lat, lon: location.lon, appid }
+    });
+
+    const sample = data?.list?.[0];
+
+    if (!sample) {
+      throw this.error("Empty air quality response", 502);
+    }
+
+    const c = sample.components || {};
+
+    return {
+      provider: this.name,
+      location,
+      current: {
+        time: sample.dt ?? null,
+        pm2_5: num(c.pm2_5),
+        pm10: num(c.pm10),
+        o3: num(c.o3),
+        no2: num(c.no2),
+        // UV needs One Call 3.0, which the free key doesn't include
+        uvIndex: null,
+        uvIndexMax: null
+      }
+    };
+  }
+
+  mapLocation(current) {
+    return {
+      id: current.id ?? null,
+      name: current.name,
+      country: current.sys?.country || "",
+      lat: num(current.coord?.lat),
+      lon: num(current.coord?.lon),
+      // OWM reports only the offset, not the IANA zone
+      timezone: null,
+      timezoneOffset: num(current.timezone)
+    };
+  }
+
+  locationParams(query) {
+    switch (query.type) {
+      case "coords":
+        return { lat: query.lat, lon: query.lon };
+      case "zip":
+        return { zip: query.country ? `${query.zip},${query.country}` : query.zip };
+      case "id":
+        return { id: query.id };
+      default:
+        return { q: query.q };
+    }
+  }
+
+  mapEntry(e) {
+    const w = e.weather?.[0] || {};
+
+    return {
+      time: e.dt,
+      temp: num(e.main?.temp),
+      feelsLike: num(e.main?.feels_like),
+      tempMin: num(e.main?.temp_min),
+      tempMax: num(e.main?.temp_max),
+      humidity: num(e.main?.humidity),
+      pressure: num(e.main?.pressure),
+      windSpeed: num(e.wind?.speed),
+      windDeg: num(e.wind?.deg),
+      windGust: num(e.wind?.gust),
+      clouds: num(e.clouds?.all),
+      visibility: num(e.visibility),
+      pop: num(e.pop),
+      rain: e.rain?.["3h"] ?? e.rain?.["1h"] ?? 0,
+      snow: e.snow?.["3h"] ?? e.snow?.["1h"] ?? 0,
+      condition: {
+        id: w.id ?? null,
+        main: w.main ?? null,
+        description: w.description ?? null,
+        icon: w.icon ?? null
+      }
+    };
+  }
+}
+
+/* --------------------------------
+   Open-Meteo
+-------------------------------- */
+
+const OPEN_METEO_FIELDS = [
+  "temperature_2m",
+  "relative_humidity_2m",
+  "apparent_temperature",
+  "is_day",
+  "rain",
+  "snowfall",
+  "weather_code",
+  "cloud_cover",
+  "pressure_msl",
+  "wind_speed_10m",
+  "wind_direction_10m",
+  "wind_gusts_10m"
+];
+
+const OPEN_METEO_AIR_FIELDS = ["pm2_5", "pm10", "ozone", "nitrogen_dioxide", "uv_index"];
+
+// Water equivalent of 1 cm of snowfall, per Open-Meteo's docs
+const SNOW_CM_TO_WATER_MM = 10 / 7;
+
+class OpenMeteoProvider extends WeatherProvider {
+  constructor(options = {}) {
+    super("open-meteo", options);
+    this.baseUrl = options.baseUrl || "https://api.open-meteo.com/v1/forecast";
+    this.airQualityUrl = options.airQualityUrl ||
+      "https://air-quality-api.open-meteo.com/v1/air-quality";
+  }
+
+  async getWeather(query, { includeForecast = false } = {}) {
+    const location = await resolvePlace(this, query);
+
+    const data = await this.request(this.baseUrl, {
+      params: {
+        latitude: location.lat,
+        longitude: location.lon,
+        current: OPEN_METEO_FIELDS.join(","),
+        hourly: includeForecast
+          ? [...OPEN_METEO_FIELDS, "precipitation_probability", "visibility"].join(",")
+          : undefined,
+        daily: "sunrise,sunset,temperature_2m_min,temperature_2m_max",
+        forecast_days: 5,
+        timezone: "auto",
+        timeformat: "unixtime",
+        wind_speed_unit: "ms"
+      }
+    });
+
+    location.timezone = data.timezone || location.timezone;
+    location.timezoneOffset = num(data.utc_offset_seconds);
+
+    const c = data.current || {};
+    const daily = data.daily || {};
+
+    return {
+      provider: this.name,
+      location,
+      current: {
+        ...this.mapEntry(c),
+        tempMin: num(daily.temperature_2m_min?.[0]),
+        tempMax: num(daily.temperature_2m_max?.[0]),
+        sunrise: daily.sunrise?.[0] ?? null,
+        sunset: daily.sunset?.[0] ?? null
+      },
+      forecast: includeForecast
+        ? { list: this.mapHourly(data.hourly || {}) }
+        : null
+    };
+  }
+
+  async getAirQuality(query) {
+    const location = await resolvePlace(this, query);
+
+    const data = await this.request(this.airQualityUrl, {
+      params: {
+        latitude: location.lat,
+        longitude: location.lon,
+        current: OPEN_METEO_AIR_FIELDS.join(","),
+        hourly: "uv_index",
+        forecast_days: 1,
+        timezone: "auto",
+        timeformat: "unixtime"
+      }
+    });
+
+    location.timezone = data.timezone || location.timezone;
+    location.timezoneOffset = num(data.utc_offset_seconds);
+
+    const c = data.current || {};
+    const uvHours = (data.hourly?.uv_index || []).map(num).filter(v => v !== null);
+
+    return {
+      provider: this.name,
+      location,
+      current: {
+        time: c.time ?? null,
+        pm2_5: num(c.pm2_5),
+        pm10: num(c.pm10),
+        o3: num(c.ozone),
+        no2: num(c.nitrogen_dioxide),
+        uvIndex: num(c.uv_index),
+        uvIndexMax: uvHours.length ? Math.max(...uvHours) : null
+      }
+    };
+  }
+
+  // Recent past days come from the forecast API's reanalysis (up to 92 days)
+  async getHistory(query, { days = 14 } = {}) {
+    const location = await resolvePlace(this, query);
+
+    const data = await this.request(this.baseUrl, {
+      params: {
+        latitude: location.lat,
+        longitude: location.lon,
+        daily: "temperature_2m_max,temperature_2m_min,temperature_2m_mean,precipitation_sum",
+        past_days: days,
+        forecast_days: 1,
+        timezone: "auto"
+      }
+    });
+
+    location.timezone = data.timezone || location.timezone;
+    location.timezoneOffset = num(data.utc_offset_seconds);
+
+    const daily = data.daily || {};
+
+    // The last row is today, which isn't over yet
+    const rows = (daily.time || []).slice(0, -1).map((date, i) => {
+      const tempMax = num(daily.temperature_2m_max?.[i]);
+      const tempMin = num(daily.temperature_2m_min?.[i]);
+      const mean = num(daily.temperature_2m_mean?.[i]);
+
+      return {
+        date,
+        tempMin,
+        tempMax,
+        tempMean: mean ?? (tempMax !== null && tempMin !== null ? (tempMax + tempMin) / 2 : null),
+        precipitation: num(daily.precipitation_sum?.[i])
+      };
+    });
+
+    return { provider: this.name, location, days: rows };
+  }
+
+  mapHourly(hourly) {
+    const times = hourly.time || [];
+
+    return times.map((time, i) => {
+      const row = {};
+      for (const key of Object.keys(hourly)) {
+        row[key] = hourly[key]?.[i];
+      }
+      return this.mapEntry(row);
+    });
+  }
+
+  mapEntry(row) {
+    const temp = num(row.temperature_2m);
+    const pop = num(row.precipitation_probability);
+
+    return {
+      time: row.time,
+      temp,
+      feelsLike: num(row.apparent_temperature),
+      tempMin: temp,
+      tempMax: temp,
+      humidity: num(row.relative_humidity_2m),
+      pressure: num(row.pressure_msl),
+      windSpeed: num(row.wind_speed_10m),
+      windDeg: num(row.wind_direction_10m),
+      windGust: num(row.wind_gusts_10m),
+      clouds: num(row.cloud_cover),
+      visibility: num(row.visibility),
+      pop: pop === null ? null : pop / 100,
+      rain: num(row.rain) ?? 0,
+      // snowfall is cm of fresh snow; Open-Meteo puts 7 cm at 10 mm of water, the mm OWM reports
+      snow: Number(((num(row.snowfall) ?? 0) * SNOW_CM_TO_WATER_MM).toFixed(2)),
+      condition: condition(wmoToKey(row.weather_code), row.is_day !== 0)
+    };
+  }
+}
+
+/* --------------------------------
+   met.no Locationforecast
+-------------------------------- */
+
+class MetNoProvider extends WeatherProvider {
+  constructor(options = {}) {
+    super("met-no", options);
+    this.baseUrl = options.baseUrl ||
+      "https://api.met.no/weatherapi/locationforecast/2.0/compact";
+    this.userAgent = options.userAgent ||
+      process.env.METNO_USER_AGENT ||
+      "WeatherPro/1.0 github.com/hamse122/Weather_App101";
+  }
+
+  async getWeather(query, { includeForecast = false } = {}) {
+    const location = await resolvePlace(this, query);
+
+    const data = await this.request(this.baseUrl, {
+      params: {
+        lat: location.lat.toFixed(4),
+        lon: location.lon.toFixed(4)
+      },
+      headers: { "User-Agent": this.userAgent }
+    });
+
+    const series = (data?.properties?.timeseries || []).map(s => this.mapEntry(s));
+
+    if (!series.length) {
+      throw this.error("Empty forecast from met.no", 502);
+    }
+
+    const horizon = series[0].time + 5 * 86400;
+
+    return {
+      provider: this.name,
+      location,
+      current: { ...series[0], sunrise: null, sunset: null },
+      forecast: includeForecast
+        ? { list: series.filter(e => e.time < horizon) }
+        : null
+    };
+  }
+
+  mapEntry(step) {
+    const d = step.data?.instant?.details || {};
+    const next = step.data?.next_1_hours || step.data?.next_6_hours || {};
+    const symbol = next.summary?.symbol_code || "";
+    const key = symbolToKey(symbol);
+    const precip = num(next.details?.precipitation_amount) ?? 0;
+    const temp = num(d.air_temperature);
+    const isSnow = key === "lightSnow" || key === "snow" || key === "heavySnow";
+
+    return {
+      time: toUnix(step.time),
+      temp,
+      feelsLike: null,
+      tempMin: num(step.data?.next_6_hours?.details?.air_temperature_min) ?? temp,
+      tempMax: num(step.data?.next_6_hours?.details?.air_temperature_max) ?? temp,
+      humidity: num(d.relative_humidity),
+      pressure: num(d.air_pressure_at_sea_level),
+      windSpeed: num(d.wind_speed),
+      windDeg: num(d.wind_from_direction),
+      windGust: num(d.wind_speed_of_gust),
+      clouds: num(d.cloud_area_fraction),
+      visibility: null,
+      pop: num(next.details?.probability_of_precipitation) === null
+        ? null
+        : next.details.probability_of_precipitation / 100,
+      rain: isSnow ? 0 : precip,
+      snow: isSnow ? precip : 0,
+      condition: condition(key, !symbol.endsWith("_night"))
+    };
+  }
+}
+
+/* --------------------------------
+   Local Fixture (offline)
+-------------------------------- */
+
+const FIXTURE_CITIES = {
+  london:     { id: 2643743, name: "London",   country: "GB", zip: "EC1A",     lat: 51.5085,  lon: -0.1257,   timezone: "Europe/London",    base: 11, humidity: 78 },
+  paris:      { id: 2988507, name: "Paris",    country: "FR", zip: "75001",    lat: 48.8534,  lon: 2.3488,    timezone: "Europe/Paris",     base: 13, humidity: 70 },
+  nairobi:    { id: 184745,  name: "Nairobi",  country: "KE", zip: "00100",    lat: -1.2833,  lon: 36.8167,   timezone: "Africa/Nairobi",   base: 20, humidity: 62 },
+  tokyo:      { id: 1850147, name: "Tokyo",    country: "JP", zip: "100-0001", lat: 35.6895,  lon: 139.6917,  timezone: "Asia/Tokyo",       base: 17, humidity: 65 },
+  "new york": { id: 5128581, name: "New York", country: "US", zip: "10001",    lat: 40.7143,  lon: -74.006,   timezone: "America/New_York", base: 12, humidity: 60 },
+  // Either side of the date line, for day-grouping checks
+  auckland:   { id: 2193733, name: "Auckland", country: "NZ", zip: "1010",     lat: -36.8485, lon: 174.7633,  timezone: "Pacific/Auckland", base: 15, humidity: 75 },
+  honolulu:   { id: 5856195, name: "Honolulu", country: "US", zip: "96813",    lat: 21.3069,  lon: -157.8583, timezone: "Pacific/Honolulu", base: 26, humidity: 68 }
+};
+
+// Coordinate lookups snap to a fixture city within this radius
+const FIXTURE_RADIUS_KM = 50;
+
+function distanceKm(a, b) {
+  const rad = Math.PI / 180;
+  const dLat = (b.lat - a.lat) * rad;
+  const dLon = (b.lon - a.lon) * rad;
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(a.lat * rad) * Math.cos(b.lat * rad) * Math.sin(dLon / 2) ** 2;
+  return 2 * 6371 * Math.asin(Math.sqrt(h));
+}
+
+const FIXTURE_CYCLE = ["clear", "fair", "partlyCloudy", "cloudy", "lightRain", "rain", "cloudy", "fair"];
+
+class FixtureProvider extends WeatherProvider {
+  constructor(options = {}) {
+    super("fixture", options);
+    this.cities = options.cities || FIXTURE_CITIES;
+    this.now = options.now || (() => Date.now());
+  }
+
+  find(query) {
+    const cities = Object.values(this.cities);
+
+    switch (query.type) {
+      case "coords":
+        return cities.find(c => distanceKm(c, query) <= FIXTURE_RADIUS_KM);
+      case "zip":
+        return cities.find(c =>
+          c.zip === query.zip &&
+          (!query.country || c.country.toLowerCase() === query.country)
+        );
+      case "id":
+        return cities.find(c => String(c.id) === query.id);
+      default:
+        return this.cities[String(query.q || "").trim().toLowerCase()];
+    }
+  }
+
+  async getWeather(query, { includeForecast = false } = {}) {
+    const city = this.find(query);
+
+    if (!city) {
+      throw this.error("city not found", 404);
+    }
+
+    const start = Math.floor(this.now() / 3600000) * 3600;
+    const { place, timezoneOffset } = this.place(city, start);
+
+    const current = this.entry(city, start);
+    const localMidnight = start - ((start + timezoneOffset) % 86400);
+
+    return {
+      provider: this.name,
+      location: { ...place, timezoneOffset },
+      current: {
+        ...current,
+        sunrise: localMidnight + 6 * 3600,
+        sunset: localMidnight + 18 * 3600
+      },
+      forecast: includeForecast
+        ? {
+          list: Array.from({ length: 40 }, (_, i) =>
+            this.entry(city, start - (start % 10800) + (i + 1) * 10800)
+          )
+        }
+        : null
+    };
+  }
+
+  async getAirQuality(query) {
+    const city = this.find(query);
+
+    if (!city) {
+      throw this.error("city not found", 404);
+    }
+
+    const time = Math.floor(this.now() / 3600000) * 3600;
+    const { place, timezoneOffset } = this.place(city, time);
+    const localHour = ((time + timezoneOffset) % 86400) / 3600;
+
+    // Busier cities get dirtier air; UV peaks at local noon and with low latitude
+    const traffic = (city.id % 7) + (localHour >= 7 && localHour <= 19 ? 4 : 0);
+    const uvIndexMax = Number((11 * Math.cos((city.lat * Math.PI) / 180) ** 2).toFixed(1));
+    const sun = Math.max(0, Math.sin(((localHour - 6) / 12) * Math.PI));
+
+    return {
+      provider: this.name,
+      location: { ...place, timezoneOffset },
+      current: {
+        time,
+        pm2_5: 4 + traffic * 2.5,
+        pm10: 10 + traffic * 4,
+        o3: 40 + sun * 45,
+        no2: 8 + traffic * 5,
+        uvIndex: Number((uvIndexMax * sun).toFixed(1)),
+        uvIndexMax
+      }
+    };
+  }
+
+  async getHistory(query, { days = 14 } = {}) {
+    const city = this.find(query);
+
+    if (!city) {
+      throw this.error("city not found", 404);
+    }
+
+    const now = Math.floor(this.now() / 1000);
+    const { place, timezoneOffset } = this.place(city, now);
+    const today = Math.floor((now + timezoneOffset) / 86400);
+
+    const rows = Array.from({ length: days }, (_, i) => {
+      const day = today - days + i;
+      const slots = Array.from({ length: 8 }, (_, k) => this.entry(city, day * 86400 - timezoneOffset + k * 10800));
+      const temps = slots.map(e => e.temp);
+
+      return {
+        date: new Date(day * 86400000).toISOString().slice(0, 10),
+        tempMin: Math.min(...temps),
+        tempMax: Math.max(...temps),
+        tempMean: Number((temps.reduce((a, b) => a + b, 0) / temps.length).toFixed(1)),
+        precipitation: Number(slots.reduce((sum, e) => sum + e.rain, 0).toFixed(1))
+      };
+    });
+
+    return { provider: this.name, location: { ...place, timezoneOffset }, days: rows };
+  }
+
+  place(city, time) {
+    const { base, humidity, zip, ...place } = city;
+    return { place, timezoneOffset: getTimezoneOffset(city.timezone, new Date(time * 1000)) };
+  }
+
+  entry(city, time) {
+    const offset = getTimezoneOffset(city.timezone, new Date(time * 1000));
+    const localHour = ((time + offset) % 86400) / 3600;
+    const day = Math.floor(time / 86400);
+    const temp = Number((city.base + 5 * Math.sin(((localHour - 9) / 24) * 2 * Math.PI) + (day % 3)).toFixed(1));
+    const key = FIXTURE_CYCLE[(day + Math.floor(localHour / 6)) % FIXTURE_CYCLE.length];
+    const wet = key === "lightRain" || key === "rain";
+
+    return {
+      time,
+      temp,
+      feelsLike: Number((temp - 1.2).toFixed(1)),
+      tempMin: Number((temp - 1).toFixed(1)),
+      tempMax: Number((temp + 1).toFixed(1)),
+      humidity: city.humidity + (wet ? 15 : 0),
+      pressure: 1013 - (wet ? 8 : 0),
+      windSpeed: Number((3 + 2 * Math.cos(localHour / 4)).toFixed(1)),
+      windDeg: (day * 45 + localHour * 10) % 360,
+      windGust: null,
+      clouds: wet ? 90 : key === "clear" ? 0 : 40,
+      visibility: 10000,
+      pop: wet ? 0.8 : 0.1,
+      rain: key === "rain" ? 2.4 : key === "lightRain" ? 0.6 : 0,
+      snow: 0,
+      condition: condition(key, localHour >= 6 && localHour < 18)
+    };
+  }
+}
+
+/* --------------------------------
+   Registry
+-------------------------------- */
+
+const DEFAULT_PROVIDER = "openweathermap";
+
+const factories = new Map([
+  ["openweathermap", options => new OpenWeatherMapProvider(options)],
+  ["open-meteo", options => new OpenMeteoProvider(options)],
+  ["met-no", options => new MetNoProvider(options)],
+  ["fixture", options => new FixtureProvider(options)]
+]);
+
+const instances = new Map();
+
+function registerProvider(name, factory) {
+  factories.set(name, factory);
+  instances.delete(name);
+}
+
+function listProviders() {
+  return [...factories.keys()];
+}
+
+function resolveProviderName(requested) {
+  const name = String(
+    requested || process.env.WEATHER_PROVIDER || DEFAULT_PROVIDER
+  ).trim().toLowerCase();
+
+  if (!factories.has(name)) {
+    throw new WeatherProviderError(
+      `Unknown weather provider "${name}". Available: ${listProviders().join(", ")}`,
+      { status: 400 }
+    );
+  }
+
+  return name;
+}
+
+function getProvider(requested) {
+  const name = resolveProviderName(requested);
+
+  if (!instances.has(name)) {
+    instances.set(name, factories.get(name)({}));
+  }
+
+  return instances.get(name);
+}
+
+/* --------------------------------
+   Export
+-------------------------------- */
+
+module.exports = {
+  WeatherProvider,
+  OpenWeatherMapProvider,
+  OpenMeteoProvider,
+  MetNoProvider,
+  FixtureProvider,
+  WeatherProviderError,
+  DEFAULT_PROVIDER,
+  registerProvider,
+  listProviders,
+  resolveProviderName,
+  getProvider
+};
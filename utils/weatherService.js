@@ -0,0 +1,217 @@
+/**
+ * Weather Service (server-only)
+ *
+ * Everything between request params and the /api/weather response body,
+ * shared by the API routes (/api/weather, /api/weather/export,
+ * /api/weather/batch) and the Home page's getServerSideProps, so SSR
+ * never calls its own API over HTTP.
+ *
+ * One cache backs every caller: an export or a page load right after a
+ * search is a cache hit. Entries hold base (metric) units; ?units= is
+ * applied per response.
+ */
+
+const { createProviderCache } = require("./providerCache");
+const { getProvider } = require("./weatherProviders");
+const { parseLocationQuery, locationKey, formatLocationErrors } = require("./locationQuery");
+const { resolveUnits, convertWeather } = require("./units");
+const { recordUpstream, recordCacheLookup } = require("./observability");
+
+// Upstream responses are reused for WEATHER_CACHE_TTL seconds (default 10 min)
+const CACHE_TTL = (Number(process.env.WEATHER_CACHE_TTL) || 600) * 1000;
+
+// Fresh entries plus a 24h stale copy for when the provider's circuit is open
+const cache = createProviderCache("weather", { ttl: CACHE_TTL });
+
+/* --------------------------------
+   Cache
+-------------------------------- */
+
+// "  New   York " and "new york" share one entry, as do nearby coordinates,
+// and metric and imperial callers share one upstream call.
+function cacheKey({ provider, query, includeForecast }) {
+  return [provider, locationKey(query), includeForecast ? "forecast" : "current"].join("|");
+}
+
+/**
+ * Cached provider.getWeather(); concurrent misses are coalesced.
+ * `upstreamMs` is set on the call that actually reached the provider.
+ * @returns {Promise<{ data, fetchedAt: number, fetched: boolean, stale: boolean, upstreamMs?: number }>}
+ */
+async function loadWeather(provider, query, { includeForecast = false } = {}) {
+  let upstreamMs;
+
+  const entry = await cache.load(
+    cacheKey({ provider: provider.name, query, includeForecast }),
+    async () => {
+      const start = performance.now();
+      try {
+        const data = await provider.getWeather(query, { includeForecast });
+        upstreamMs = performance.now() - start;
+        recordUpstream(provider.name, upstreamMs, "success");
+        return data;
+      } catch (error) {
+        recordUpstream(provider.name, performance.now() - start, error?.code === "CIRCUIT_OPEN" ? "circuit_open" : "error");
+        throw error;
+      }
+    }
+  );
+
+  recordCacheLookup("weather", entry.stale ? "stale" : entry.fetched ? "miss" : "hit");
+
+  return upstreamMs === undefined ? entry : { ...entry, upstreamMs: Math.round(upstreamMs) };
+}
+
+/* --------------------------------
+   Requests
+-------------------------------- */
+
+/**
+ * Validate /api/weather-style params: location (?q=, ?lat=&lon=,
+ * ?zip=, ?id=), ?units= with per-quantity overrides, ?provider= and
+ * ?include=forecast.
+ * @returns {Promise<{ isValid: true, query, units, provider, includeForecast }
+ *   | { isValid: false, error: string, errors: object }>}
+ */
+async function parseWeatherRequest(params = {}) {
+  const includeForecast = params.include === "forecast" || params.forecast === "1";
+
+  // ?units=metric|imperial|standard|custom, with per-quantity overrides
+  // (&temperature=F&wind=kn&pressure=mmHg&precipitation=in&visibility=mi)
+  let units;
+  try {
+    units = resolveUnits(params.units, {
+      temperature: params.temperature,
+      wind: params.wind,
+      pressure: params.pressure,
+      precipitation: params.precipitation,
+      visibility: params.visibility
+    });
+  } catch (error) {
+    return { isValid: false, error: error.message, errors: { [error.quantity || "units"]: [error.message] } };
+  }
+
+  const { isValid, errors, query } = await parseLocationQuery(params);
+
+  if (!isValid) {
+    return { isValid: false, error: "Invalid location query", errors: formatLocationErrors(errors) };
+  }
+
+  // ?provider= overrides WEATHER_PROVIDER (default: openweathermap)
+  let provider;
+  try {
+    provider = getProvider(params.provider);
+  } catch (error) {
+    return { isValid: false, error: error.message, errors: { provider: [error.message] } };
+  }
+
+  return { isValid: true, query, units, provider, includeForecast };
+}
+
+/**
+ * The /api/weather response body for a parsed request, plus the cache
+ * entry it came from (for caching headers).
+ * @returns {Promise<{ payload: object, entry: object }>}
+ */
+async function getWeather({ query, units, provider, includeForecast }) {
+  const entry = await loadWeather(provider, query, { includeForecast });
+  const data = convertWeather(entry.data, units);
+
+  // Normalized schema, see utils/weatherProviders.js
+  const payload = {
+    success: true,
+    city: data.location.name,
+    query,
+    stale: entry.stale,
+    provider: data.provider,
+    units,
+    location: data.location,
+    current: data.current,
+    forecast: includeForecast ? data.forecast : undefined,
+    meta: {
+      fetchedAt: new Date(entry.fetchedAt).toISOString(),
+      breaker: provider.getBreakerState()
+    }
+  };
+
+  return { payload, entry };
+}
+
+/**
+ * Parse and fetch in one go, for callers without an HTTP response to
+ * shape (SSR). Invalid params throw with `status: 400` and `errors`.
+ */
+async function fetchWeather(params) {
+  const request = await parseWeatherRequest(params);
+
+  if (!request.isValid) {
+    const error = new Error(request.error);
+    error.status = 400;
+    error.errors = request.errors;
+    throw error;
+  }
+
+  return (await getWeather(request)).payload;
+}
+
+/* --------------------------------
+   Batches
+-------------------------------- */
+
+const MAX_BATCH = 10;
+const LOCATION_PARAMS = ["q", "lat", "lon", "zip", "id"];
+
+/**
+ * Weather for several locations at once. `locations` are location param
+ * objects ({ q } | { lat, lon } | { zip } | { id }); `shared` params
+ * (units, include, provider) apply to all of them. Lookups run in
+ * parallel and one bad city never fails the others.
+ * @returns {Promise<Array<{ index, input, success: true, ...payload }
+ *   | { index, input, success: false, status, error, errors? }>>}
+ */
+async function getWeatherBatch(locations, shared = {}) {
+  const common = Object.fromEntries(
+    Object.entries(shared).filter(([key]) => !LOCATION_PARAMS.includes(key))
+  );
+
+  const settled = await Promise.allSettled(
+    locations.map(async location => {
+      const request = await parseWeatherRequest({ ...common, ...pickLocationParams(location) });
+
+      if (!request.isValid) {
+        return { success: false, status: 400, error: request.error, errors: request.errors };
+      }
+
+      return (await getWeather(request)).payload;
+    })
+  );
+
+  return settled.map((result, index) => {
+    const input = locations[index];
+
+    if (result.status === "fulfilled") return { index, input, ...result.value };
+
+    const error = result.reason;
+    return { index, input, success: false, status: error?.status || 500, error: error?.message || "Server error" };
+  });
+}
+
+// Only location keys are taken per item, so one entry can't change units or provider
+function pickLocationParams(location = {}) {
+  const params = {};
+  for (const key of LOCATION_PARAMS) {
+    if (location[key] !== undefined && location[key] !== null) params[key] = String(location[key]);
+  }
+  return params;
+}
+
+module.exports = {
+  CACHE_TTL,
+  MAX_BATCH,
+  cacheKey,
+  loadWeather,
+  parseWeatherRequest,
+  getWeather,
+  fetchWeather,
+  getWeatherBatch
+};